@@ -11,6 +11,11 @@ export default defineConfig({
     baseURL: 'http://localhost:5173/csv-filtering/',
     trace: 'on-first-retry',
     timezoneId: 'America/Los_Angeles',
+    // CSV files open in the import preview by default; most tests load them straight away
+    storageState: {
+      cookies: [],
+      origins: [{ origin: 'http://localhost:5173', localStorage: [{ name: 'csvImportPreview', value: 'false' }] }],
+    },
   },
   projects: [
     {
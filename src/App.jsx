@@ -9,20 +9,39 @@ import { JoinConfig } from './components/JoinConfig';
 import { ColumnStatistics } from './components/ColumnStatistics';
 import { DataQualityPanel } from './components/DataQualityPanel';
 import { DataCleaningPanel } from './components/DataCleaningPanel';
+import { CalculatedColumnPanel } from './components/CalculatedColumnPanel';
 import { PivotTable } from './components/PivotTable';
+import { SqlView } from './components/SqlView';
+import { FacetSidebar } from './components/FacetSidebar';
 import { AnonymizePanel } from './components/AnonymizePanel';
+import { ExportDialog } from './components/ExportDialog';
+import { SchemaEditor } from './components/SchemaEditor';
+import { FilterPresets } from './components/FilterPresets';
+import { FilterTextEditor } from './components/FilterTextEditor';
+import { SharedViewBanner } from './components/SharedViewBanner';
+import { SessionStorageMenu } from './components/SessionStorageMenu';
+import { ChangeLog } from './components/ChangeLog';
 import { useFilter } from './hooks/useFilter';
+import { useFilterPresets } from './hooks/useFilterPresets';
+import { useSessionPersistence } from './hooks/useSessionPersistence';
 import { useDarkMode } from './hooks/useDarkMode';
 import { ToastProvider, useToast } from './hooks/useToast';
-import { detectColumnTypes, applyFilter, performJoin, detectSmartColumnTypes, cn } from './lib/utils';
-import { Filter, Download, LayoutGrid, Table as TableIcon, Grid3X3, Shield, Sparkles, BarChart3, ShieldCheck, Undo2, Redo2 } from 'lucide-react';
-import Papa from 'papaparse';
+import { QueryEngineProvider, useQueryEngine } from './hooks/useQueryEngine';
+import { isCancelledError } from './lib/queryEngine';
+import { detectColumnTypes, detectSmartColumnTypes, applyTableView, applySchemaOverrides, cn } from './lib/utils';
+import { fromRows, toRows, takeRows, columnReader, isColumnar, EMPTY_TABLE, setCell, appendRow, dropRows } from './lib/columnar';
+import { editedCellKey, markCellEdited, dropEditedRows, redetectTypes } from './lib/tableEdits';
+import { addCalculatedColumn } from './lib/formula';
+import { downloadRows, downloadFile } from './lib/exporters';
+import { serializePresets, parsePresets, reconcileFilterTree, isFilterNode } from './lib/filterPresets';
+import { encodeViewHash, decodeViewHash, findUnknownViewColumns } from './lib/shareLink';
+import { Filter, Download, FileDown, LayoutGrid, Table as TableIcon, Grid3X3, Shield, Sparkles, BarChart3, ShieldCheck, Undo2, Redo2, TableProperties, Link2, Calculator, Database } from 'lucide-react';
 
 function AppContent() {
-    // Multi-table state: { tableName: { data: [], types: {}, smartTypes: {} } }
+    // Multi-table state: { tableName: { data: columnar table, types: {}, smartTypes: {}, editedCells?: Set } }
     const [tables, setTables] = useState({});
     const [activeTable, setActiveTable] = useState(null);
-    const [activeTab, setActiveTab] = useState('table'); // 'table' | 'charts' | 'pivot'
+    const [activeTab, setActiveTab] = useState('table'); // 'table' | 'charts' | 'pivot' | 'sql'
 
     // Join configuration state
     const [joins, setJoins] = useState([]);
@@ -36,7 +55,38 @@ function AppContent() {
     const [isStatsOpen, setIsStatsOpen] = useState(false);
     const [isQualityPanelOpen, setIsQualityPanelOpen] = useState(false);
     const [isCleaningPanelOpen, setIsCleaningPanelOpen] = useState(false);
+    const [isCalculatedColumnOpen, setIsCalculatedColumnOpen] = useState(false);
     const [isAnonymizePanelOpen, setIsAnonymizePanelOpen] = useState(false);
+    // { rows, columns, types, baseName } for the open export dialog, or null
+    const [exportRequest, setExportRequest] = useState(null);
+
+    // Last view reported by DataTable (visible columns, order, sort, quick search)
+    const [tableView, setTableView] = useState(null);
+    const [exportTableView, setExportTableView] = useState(true);
+
+    // Column type overrides by table name: { tableName: { column: { type, dateFormat } } }.
+    // Kept in localStorage so reloading a file with the same name keeps its schema.
+    const [schemaOverrides, setSchemaOverrides] = useState(() => {
+        try {
+            return JSON.parse(localStorage.getItem('columnSchemas')) || {};
+        } catch {
+            return {};
+        }
+    });
+    const [isSchemaEditorOpen, setIsSchemaEditorOpen] = useState(false);
+
+    // View from a shared link (#view=...), applied once the tables it names are loaded
+    const [sharedLink, setSharedLink] = useState(() => {
+        try {
+            return { view: decodeViewHash(window.location.hash), error: null };
+        } catch (err) {
+            return { view: null, error: err.message };
+        }
+    });
+    const [sharedTableView, setSharedTableView] = useState(null);
+    const [pivotConfig, setPivotConfig] = useState(null);
+    const [sqlQuery, setSqlQuery] = useState('');
+    const [isFacetsOpen, setIsFacetsOpen] = useState(false);
 
     // Undo/Redo history state
     const [history, setHistory] = useState([]);
@@ -44,6 +94,20 @@ function AppContent() {
     const MAX_HISTORY = 50;
 
     const { filterTree, addCondition, addGroup, removeNode, updateNode, setFilterTree } = useFilter();
+    const { presets, savePreset, deletePreset, importPresets } = useFilterPresets();
+    const engine = useQueryEngine();
+    const registeredTablesRef = useRef([]);
+    const queryCountRef = useRef(0);
+    // Engine datasets holding the latest join and filter results, freed when replaced
+    const joinDatasetRef = useRef(null);
+    const filterDatasetRef = useRef(null);
+    const [joinResult, setJoinResult] = useState(null);
+    const [isJoining, setIsJoining] = useState(false);
+    // { data, datasetId, source, sourceRows } - the filtered table, the engine dataset holding it,
+    // the table it was filtered from and each row's index there (null when every row matched)
+    const [filterResult, setFilterResult] = useState({ data: EMPTY_TABLE, datasetId: null, source: EMPTY_TABLE, sourceRows: null });
+    // 0..1 while a filter is running, null otherwise
+    const [filterProgress, setFilterProgress] = useState(null);
     const { theme, toggleTheme } = useDarkMode();
     const { toast } = useToast();
     const shouldConfirmLeaveRef = useRef(false);
@@ -53,17 +117,33 @@ function AppContent() {
     const hasData = tableNames.length > 0;
     const shouldConfirmLeave = hasData || isAddingTable;
 
+    useEffect(() => {
+        localStorage.setItem('columnSchemas', JSON.stringify(schemaOverrides));
+    }, [schemaOverrides]);
+
+    // Tables with schema overrides applied on top of their detected types
+    const typedTables = useMemo(() => {
+        const result = {};
+        Object.entries(tables).forEach(([name, table]) => {
+            const overrides = schemaOverrides[name];
+            result[name] = overrides ? { ...table, types: applySchemaOverrides(table.types, overrides) } : table;
+        });
+        return result;
+    }, [tables, schemaOverrides]);
+
     const canUndo = historyIndex >= 0;
     const canRedo = historyIndex < history.length - 1;
 
-    // Save state to history
-    const saveToHistory = useCallback((tableName, oldData, newData, operation) => {
+    // Save state to history. `details` can hold the columns a change touched (so undo only
+    // re-detects their types), edited cells before and after, and a `change` for the changes log.
+    const saveToHistory = useCallback((tableName, oldData, newData, operation, details = {}) => {
         const historyEntry = {
             tableName,
             oldData,
             newData,
             operation,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ...details
         };
 
         setHistory(prev => {
@@ -85,14 +165,16 @@ function AppContent() {
         if (!canUndo) return;
 
         const entry = history[historyIndex];
-        const { tableName, oldData } = entry;
+        const { tableName, oldData, oldEditedCells, columns } = entry;
 
         if (tables[tableName]) {
-            const types = detectColumnTypes(oldData);
-            const smartTypes = detectSmartColumnTypes(oldData);
             setTables(prev => ({
                 ...prev,
-                [tableName]: { data: oldData, types, smartTypes }
+                [tableName]: {
+                    data: oldData,
+                    ...redetectTypes(prev[tableName], oldData, columns),
+                    editedCells: oldEditedCells
+                }
             }));
         }
 
@@ -105,14 +187,16 @@ function AppContent() {
         if (!canRedo) return;
 
         const entry = history[historyIndex + 1];
-        const { tableName, newData } = entry;
+        const { tableName, newData, newEditedCells, columns } = entry;
 
         if (tables[tableName]) {
-            const types = detectColumnTypes(newData);
-            const smartTypes = detectSmartColumnTypes(newData);
             setTables(prev => ({
                 ...prev,
-                [tableName]: { data: newData, types, smartTypes }
+                [tableName]: {
+                    data: newData,
+                    ...redetectTypes(prev[tableName], newData, columns),
+                    editedCells: newEditedCells
+                }
             }));
         }
 
@@ -195,28 +279,73 @@ function AppContent() {
         return () => window.removeEventListener('keydown', handleKeyDown);
     }, [showLeaveConfirm]);
 
-    // Compute joined data when joins are configured
+    // Tables are mirrored into the query engine so queries only send their parameters
+    useEffect(() => {
+        if (!engine) return;
+        Object.entries(typedTables).forEach(([name, table]) => {
+            engine.setDataset(`table:${name}`, table.data, table.types);
+        });
+        registeredTablesRef.current
+            .filter(name => !typedTables[name])
+            .forEach(name => engine.deleteDataset(`table:${name}`));
+        registeredTablesRef.current = Object.keys(typedTables);
+    }, [engine, typedTables]);
+
+    // Joins run in the query engine; the result is kept there too for filtering
+    const replaceDataset = useCallback((ref, datasetId) => {
+        if (ref.current && ref.current !== datasetId) engine?.deleteDataset(ref.current);
+        ref.current = datasetId;
+    }, [engine]);
+
+    useEffect(() => {
+        if (!engine || joins.length === 0 || tableNames.length < 2) {
+            replaceDataset(joinDatasetRef, null);
+            setJoinResult(null);
+            return;
+        }
+
+        const datasetId = `joined-${++queryCountRef.current}`;
+        const tableIds = Object.fromEntries(tableNames.map(name => [name, `table:${name}`]));
+        const { promise, cancel } = engine.run('join', { tables: tableIds, joins, aliases: tableAliases, resultId: datasetId }, { channel: 'join' });
+        setIsJoining(true);
+
+        promise
+            .then(result => {
+                replaceDataset(joinDatasetRef, datasetId);
+                setJoinResult({ ...result, datasetId });
+                setIsJoining(false);
+            })
+            .catch(err => {
+                if (isCancelledError(err)) return;
+                setIsJoining(false);
+                toast.error(`Join failed: ${err.message}`);
+            });
+
+        return cancel;
+    }, [engine, typedTables, joins, tableNames, tableAliases, replaceDataset, toast]);
+
+    // Rows the filter runs over: the join result, or the active table
     const joinedData = useMemo(() => {
-        if (tableNames.length === 0) return { data: [], types: {}, columns: [], smartTypes: {} };
+        if (tableNames.length === 0) return { data: EMPTY_TABLE, types: {}, columns: [], smartTypes: {} };
 
         if (joins.length > 0 && tableNames.length >= 2) {
-            const result = performJoin(tables, joins, tableAliases);
-            return { ...result, smartTypes: detectSmartColumnTypes(result.data) };
+            return joinResult || { data: EMPTY_TABLE, types: {}, columns: [], smartTypes: {} };
         }
 
         // No joins configured - use active table data
-        if (activeTable && tables[activeTable]) {
-            const table = tables[activeTable];
+        if (activeTable && typedTables[activeTable]) {
+            const table = typedTables[activeTable];
             return {
                 data: table.data,
                 types: table.types,
-                columns: table.data.length > 0 ? Object.keys(table.data[0]) : [],
-                smartTypes: table.smartTypes || {}
+                columns: table.data.columnNames,
+                smartTypes: table.smartTypes || {},
+                datasetId: `table:${activeTable}`
             };
         }
 
-        return { data: [], types: {}, columns: [], smartTypes: {} };
-    }, [tables, joins, activeTable, tableNames, tableAliases]);
+        return { data: EMPTY_TABLE, types: {}, columns: [], smartTypes: {} };
+    }, [typedTables, joins, activeTable, tableNames, joinResult]);
 
     const allColumnsWithTables = useMemo(() => {
         const cols = [];
@@ -224,7 +353,7 @@ function AppContent() {
             const tableData = tables[tableName]?.data;
             const alias = tableAliases[tableName] || tableName;
             if (tableData && tableData.length > 0) {
-                Object.keys(tableData[0]).forEach(col => {
+                tableData.columnNames.forEach(col => {
                     cols.push({ table: tableName, column: col, fullName: `${alias}.${col}` });
                 });
             }
@@ -232,17 +361,64 @@ function AppContent() {
         return cols;
     }, [tables, tableNames, tableAliases]);
 
+    // Tables as the SQL tab names them, read from their query engine datasets
+    const sqlTables = useMemo(() => tableNames.map(name => ({
+        name,
+        alias: tableAliases[name] || name,
+        datasetId: `table:${name}`,
+        columns: tables[name].data.columnNames
+    })), [tables, tableNames, tableAliases]);
+
+    // Column names the filter builder works with (alias-qualified when tables are joined)
+    const filterColumns = useMemo(() => (
+        joins.length > 0 ? allColumnsWithTables.map(c => c.fullName) : joinedData.columns
+    ), [joins.length, allColumnsWithTables, joinedData.columns]);
+
     const allTypesWithTables = useMemo(() => {
         const types = {};
         tableNames.forEach(tableName => {
-            const tableTypes = tables[tableName]?.types || {};
+            const tableTypes = typedTables[tableName]?.types || {};
             const alias = tableAliases[tableName] || tableName;
             Object.entries(tableTypes).forEach(([col, type]) => {
                 types[`${alias}.${col}`] = type;
             });
         });
         return types;
-    }, [tables, tableNames, tableAliases]);
+    }, [typedTables, tableNames, tableAliases]);
+
+    const activeTypes = joins.length > 0 ? allTypesWithTables : joinedData.types;
+
+    // Date format overrides keyed the same way as activeTypes
+    const activeDateFormats = useMemo(() => {
+        const formats = {};
+        const addFormats = (tableName, prefix) => {
+            Object.entries(schemaOverrides[tableName] || {}).forEach(([col, override]) => {
+                if (override.dateFormat) formats[`${prefix}${col}`] = override.dateFormat;
+            });
+        };
+        if (joins.length > 0) {
+            tableNames.forEach(tableName => addFormats(tableName, `${tableAliases[tableName] || tableName}.`));
+        } else if (activeTable) {
+            addFormats(activeTable, '');
+        }
+        return formats;
+    }, [schemaOverrides, joins.length, tableNames, tableAliases, activeTable]);
+
+    // Smart types as detected, minus columns whose type was overridden in the schema editor
+    const activeSmartTypes = useMemo(() => {
+        const smartTypes = { ...joinedData.smartTypes };
+        const dropOverridden = (tableName, prefix) => {
+            Object.entries(schemaOverrides[tableName] || {}).forEach(([col, override]) => {
+                if (override?.type) delete smartTypes[`${prefix}${col}`];
+            });
+        };
+        if (joins.length > 0) {
+            tableNames.forEach(tableName => dropOverridden(tableName, `${tableAliases[tableName] || tableName}.`));
+        } else if (activeTable) {
+            dropOverridden(activeTable, '');
+        }
+        return smartTypes;
+    }, [joinedData.smartTypes, schemaOverrides, joins.length, tableNames, tableAliases, activeTable]);
 
     const deferredJoinedData = useDeferredValue(joinedData, { timeoutMs: 200 });
 
@@ -254,15 +430,16 @@ function AppContent() {
         const columns = deferredJoinedData.columns;
         const MAX_SAMPLE_SIZE = 1000;
         const MAX_UNIQUE_VALUES = 100;
-        const sampleData = data.length > MAX_SAMPLE_SIZE ? data.slice(0, MAX_SAMPLE_SIZE) : data;
+        const sampleSize = Math.min(data.length, MAX_SAMPLE_SIZE);
 
         for (let i = 0; i < columns.length; i++) {
             const col = columns[i];
+            const read = columnReader(data, col);
             const valuesSet = new Set();
             let reachedLimit = false;
 
-            for (let j = 0; j < sampleData.length && !reachedLimit; j++) {
-                const val = sampleData[j][col];
+            for (let j = 0; j < sampleSize && !reachedLimit; j++) {
+                const val = read(j);
                 if (val !== null && val !== undefined) {
                     valuesSet.add(String(val));
                     if (valuesSet.size >= MAX_UNIQUE_VALUES) {
@@ -280,9 +457,10 @@ function AppContent() {
     const handleDataLoaded = useCallback((newData, tableName) => {
         const types = detectColumnTypes(newData);
         const smartTypes = detectSmartColumnTypes(newData);
+        const data = fromRows(newData);
         setTables(prev => ({
             ...prev,
-            [tableName]: { data: newData, types, smartTypes }
+            [tableName]: { data, types, smartTypes }
         }));
         setTableAliases(prev => {
             if (prev[tableName]) return prev;
@@ -295,6 +473,14 @@ function AppContent() {
         setIsAddingTable(false);
     }, []);
 
+    // A query result becomes a table like a loaded file; a taken name gets a number
+    const handleLoadQueryResult = useCallback((data, name) => {
+        let tableName = name;
+        for (let n = 2; tables[tableName]; n++) tableName = `${name}_${n}`;
+        handleDataLoaded(toRows(data), tableName);
+        toast.success(`Loaded ${data.length} rows as table "${tableName}"`);
+    }, [tables, handleDataLoaded, toast]);
+
     const handleRemoveTable = useCallback((tableName) => {
         setTables(prev => {
             const newTables = { ...prev };
@@ -321,58 +507,411 @@ function AppContent() {
         setActiveTable(null);
         setJoins([]);
         setTableAliases({});
+        setTableView(null);
+        setSharedTableView(null);
+        setPivotConfig(null);
         setFilterTree({ id: 'root', type: 'group', logic: 'AND', children: [] });
     }, [setFilterTree]);
 
+    // Workspace state kept alongside the tables when session persistence is on
+    const sessionState = useMemo(() => ({
+        activeTable, tableAliases, joins, filterTree, activeTab, isCaseSensitive
+    }), [activeTable, tableAliases, joins, filterTree, activeTab, isCaseSensitive]);
+
+    const handleRestoreSession = useCallback(({ tables: storedTables, state }) => {
+        // Sessions saved before tables were columnar hold arrays of rows
+        const savedTables = Object.fromEntries(Object.entries(storedTables).map(([name, table]) => [
+            name,
+            isColumnar(table.data) ? table : { ...table, data: fromRows(table.data) }
+        ]));
+        const names = Object.keys(savedTables);
+        // Anything loaded while the session was being read wins over the saved copy
+        setTables(prev => ({ ...savedTables, ...prev }));
+        setActiveTable(prev => prev || (state && savedTables[state.activeTable] ? state.activeTable : names[0]));
+        if (state) {
+            setTableAliases(prev => ({ ...state.tableAliases, ...prev }));
+            setJoins((state.joins || []).filter(j => savedTables[j.leftTable] && savedTables[j.rightTable]));
+            if (isFilterNode(state.filterTree)) setFilterTree(state.filterTree);
+            if (state.activeTab) setActiveTab(state.activeTab);
+            setIsCaseSensitive(Boolean(state.isCaseSensitive));
+        }
+        toast.info(`Restored ${names.length} table${names.length !== 1 ? 's' : ''} from your last session`);
+    }, [setFilterTree, toast]);
+
+    const session = useSessionPersistence({ tables, state: sessionState, onRestore: handleRestoreSession });
+
+    const handleForgetEverything = useCallback(() => {
+        handleClearAll();
+        session.forget();
+        toast.success('Cleared all tables and the saved session');
+    }, [handleClearAll, session.forget, toast]);
+
     const deferredFilterTree = useDeferredValue(filterTree);
     const deferredCaseSensitive = useDeferredValue(isCaseSensitive);
 
-    const filteredData = useMemo(() => {
-        if (joinedData.data.length === 0) return [];
-        return joinedData.data.filter(row => applyFilter(row, deferredFilterTree, deferredCaseSensitive));
-    }, [joinedData.data, deferredFilterTree, deferredCaseSensitive]);
+    // Filtering runs in the query engine. The previous result stays on screen until the new one arrives.
+    useEffect(() => {
+        const source = joinedData.data;
+        const sourceId = joinedData.datasetId;
+        if (!engine || !sourceId || source.length === 0 || deferredFilterTree.children.length === 0) {
+            replaceDataset(filterDatasetRef, null);
+            setFilterResult({ data: source, datasetId: sourceId || null, source, sourceRows: null });
+            setFilterProgress(null);
+            return;
+        }
+
+        const datasetId = `filtered-${++queryCountRef.current}`;
+        const { promise, cancel } = engine.run('filter', {
+            datasetId: sourceId,
+            tree: deferredFilterTree,
+            isCaseSensitive: deferredCaseSensitive,
+            dateFormats: activeDateFormats,
+            resultId: datasetId
+        }, { channel: 'filter', onProgress: setFilterProgress });
+        setFilterProgress(0);
+
+        promise
+            .then(indices => {
+                replaceDataset(filterDatasetRef, datasetId);
+                setFilterResult({ data: takeRows(source, indices), datasetId, source, sourceRows: indices });
+                setFilterProgress(null);
+            })
+            .catch(err => {
+                if (isCancelledError(err)) return;
+                setFilterProgress(null);
+                toast.error(`Filter failed: ${err.message}`);
+            });
+
+        return cancel;
+    }, [engine, joinedData, deferredFilterTree, deferredCaseSensitive, activeDateFormats, replaceDataset, toast]);
+
+    const filteredData = filterResult.data;
+    const isFiltering = filterProgress !== null;
+
+    const handleSchemaChange = useCallback((tableName, column, override) => {
+        setSchemaOverrides(prev => {
+            const tableOverrides = { ...prev[tableName] };
+            if (override) {
+                tableOverrides[column] = override;
+            } else {
+                delete tableOverrides[column];
+            }
+            const next = { ...prev, [tableName]: tableOverrides };
+            if (Object.keys(tableOverrides).length === 0) delete next[tableName];
+            return next;
+        });
+    }, []);
+
+    const handleSchemaReset = useCallback((tableName) => {
+        setSchemaOverrides(prev => {
+            const next = { ...prev };
+            delete next[tableName];
+            return next;
+        });
+    }, []);
 
     // Handle data cleaning updates with history tracking
     const handleCleaningApply = useCallback((cleanedData) => {
         if (!activeTable || !tables[activeTable]) return;
 
+        // Edit marks only still point at the right cells when no rows were removed
+        const { data: oldData, editedCells } = tables[activeTable];
+        const cleanedEditedCells = cleanedData.length === oldData.length ? editedCells : undefined;
+
         // Save to history before applying changes
-        saveToHistory(activeTable, tables[activeTable].data, cleanedData, 'Data Cleaning');
+        saveToHistory(activeTable, oldData, cleanedData, 'Data Cleaning', {
+            oldEditedCells: editedCells,
+            newEditedCells: cleanedEditedCells
+        });
 
         const types = detectColumnTypes(cleanedData);
         const smartTypes = detectSmartColumnTypes(cleanedData);
         setTables(prev => ({
             ...prev,
-            [activeTable]: { data: cleanedData, types, smartTypes }
+            [activeTable]: { data: cleanedData, types, smartTypes, editedCells: cleanedEditedCells }
         }));
         setIsCleaningPanelOpen(false);
     }, [activeTable, tables, saveToHistory]);
 
-    const handleDownload = useCallback((dataToDownload = filteredData, filename = 'filtered_data.csv') => {
+    // Date formats of the active table's own columns, for formulas
+    const activeTableDateFormats = useMemo(() => {
+        const formats = {};
+        Object.entries(schemaOverrides[activeTable] || {}).forEach(([col, override]) => {
+            if (override.dateFormat) formats[col] = override.dateFormat;
+        });
+        return formats;
+    }, [schemaOverrides, activeTable]);
+
+    const handleAddCalculatedColumn = useCallback((name, formula) => {
+        const table = tables[activeTable];
+        if (!table) return;
+
+        let newData;
+        try {
+            newData = addCalculatedColumn(table.data, name, formula, { dateFormats: activeTableDateFormats });
+        } catch (err) {
+            toast.error(`Formula error: ${err.message}`);
+            return;
+        }
+
+        saveToHistory(activeTable, table.data, newData, 'Add Calculated Column', {
+            columns: [name],
+            change: { kind: 'addColumn', column: name, formula },
+            oldEditedCells: table.editedCells,
+            newEditedCells: table.editedCells
+        });
+        setTables(prev => ({
+            ...prev,
+            [activeTable]: { ...prev[activeTable], data: newData, ...redetectTypes(table, newData, [name]) }
+        }));
+        setIsCalculatedColumnOpen(false);
+        toast.success(`Added column "${name}"`);
+    }, [tables, activeTable, activeTableDateFormats, saveToHistory, toast]);
+
+    // Inline edits change the active table and are only offered without joins. They apply
+    // once the table on screen was filtered from the current data, so row indexes line up.
+    const canEditTable = joins.length === 0 && Boolean(tables[activeTable]);
+    const editableTable = canEditTable && tables[activeTable].data === filterResult.source ? activeTable : null;
+    const sourceRowOf = useCallback((rowIndex) => (
+        filterResult.sourceRows ? filterResult.sourceRows[rowIndex] : rowIndex
+    ), [filterResult]);
+
+    const applyTableEdit = useCallback((newData, operation, { columns, editedCells, change }) => {
+        const table = tables[editableTable];
+        saveToHistory(editableTable, table.data, newData, operation, {
+            columns,
+            change,
+            oldEditedCells: table.editedCells,
+            newEditedCells: editedCells
+        });
+        setTables(prev => ({
+            ...prev,
+            [editableTable]: { data: newData, ...redetectTypes(table, newData, columns), editedCells }
+        }));
+    }, [tables, editableTable, saveToHistory]);
+
+    // Edit handlers take row indexes into the filtered table and return whether the change was made
+    const handleEditCell = useCallback((rowIndex, column, value) => {
+        if (!editableTable) return false;
+        const { data, editedCells } = tables[editableTable];
+        const sourceRow = sourceRowOf(rowIndex);
+        const oldValue = columnReader(data, column)(sourceRow);
+        if (oldValue === value) return false;
+        applyTableEdit(setCell(data, sourceRow, column, value), 'Edit Cell', {
+            columns: [column],
+            editedCells: markCellEdited(editedCells, sourceRow, column),
+            change: { kind: 'cell', rowIndex: sourceRow, column, oldValue, newValue: value }
+        });
+        return true;
+    }, [tables, editableTable, sourceRowOf, applyTableEdit]);
+
+    const handleAddRow = useCallback(() => {
+        if (!editableTable) return false;
+        const { data, editedCells } = tables[editableTable];
+        // An empty row leaves every column's detected type as it was
+        applyTableEdit(appendRow(data), 'Add Row', {
+            columns: [],
+            editedCells,
+            change: { kind: 'addRow', rowIndex: data.length }
+        });
+        if (filterTree.children.length > 0) {
+            toast.info('Row added at the end of the table. It stays hidden until it matches the filters.');
+        }
+        return true;
+    }, [tables, editableTable, applyTableEdit, filterTree, toast]);
+
+    const handleDeleteRows = useCallback((rowIndexes) => {
+        if (!editableTable || rowIndexes.length === 0) return false;
+        const { data, editedCells } = tables[editableTable];
+        const sourceRows = rowIndexes.map(sourceRowOf);
+        applyTableEdit(dropRows(data, sourceRows), 'Delete Rows', {
+            columns: data.columnNames,
+            editedCells: dropEditedRows(editedCells, sourceRows),
+            change: { kind: 'deleteRows', rowIndexes: sourceRows }
+        });
+        return true;
+    }, [tables, editableTable, sourceRowOf, applyTableEdit]);
+
+    const isCellEdited = useMemo(() => {
+        const editedCells = tables[editableTable]?.editedCells;
+        if (!editedCells || editedCells.size === 0) return null;
+        return (rowIndex, column) => editedCells.has(editedCellKey(sourceRowOf(rowIndex), column));
+    }, [tables, editableTable, sourceRowOf]);
+
+    const handleDownload = useCallback((dataToDownload = filteredData, { baseName = 'filtered_data', format = 'csv', columns, types = activeTypes, dateFormats = activeDateFormats } = {}) => {
         if (dataToDownload.length === 0) {
             toast.warning('No data to download');
             return;
         }
 
-        const csv = Papa.unparse(dataToDownload);
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.setAttribute('download', filename);
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-
+        const filename = downloadRows(toRows(dataToDownload), { format, baseName, columns, types, dateFormats });
         toast.success(`Downloaded ${dataToDownload.length} rows to ${filename}`);
-    }, [filteredData, toast]);
+    }, [filteredData, activeTypes, activeDateFormats, toast]);
 
-    const handleAnonymizedDownload = useCallback((anonymizedData) => {
+    const handleAnonymizedDownload = useCallback((anonymizedData, format = 'csv') => {
         const baseName = activeTable ? activeTable.replace(/\.csv$/i, '') : 'data';
-        handleDownload(anonymizedData, `${baseName}_anonymized.csv`);
+        handleDownload(anonymizedData, { baseName: `${baseName}_anonymized`, format });
     }, [handleDownload, activeTable]);
 
+    // Filtered rows as shown in the table, or the raw filtered set when the view toggle is off
+    const getTableExport = useCallback(() => {
+        if (exportTableView && tableView) {
+            return applyTableView(filteredData, tableView, activeTypes, activeDateFormats, activeSmartTypes);
+        }
+        return { rows: toRows(filteredData), columns: joinedData.columns };
+    }, [exportTableView, tableView, filteredData, joinedData.columns, activeTypes, activeDateFormats, activeSmartTypes]);
+
+    const handleDownloadTable = useCallback(() => {
+        const { rows, columns } = getTableExport();
+        handleDownload(rows, { columns });
+    }, [getTableExport, handleDownload]);
+
+    // Called without rows to export the filtered table, or with rows (e.g. pivot output)
+    const handleOpenExport = useCallback((rows, { baseName = 'filtered_data', columns, types = activeTypes } = {}) => {
+        setExportRequest(rows
+            ? { rows, columns: columns || joinedData.columns, types, baseName, isTableExport: false }
+            : { baseName, types, isTableExport: true });
+    }, [joinedData.columns, activeTypes]);
+
+    const exportPayload = useMemo(() => {
+        if (!exportRequest) return null;
+        if (!exportRequest.isTableExport) return exportRequest;
+        return { ...exportRequest, ...getTableExport() };
+    }, [exportRequest, getTableExport]);
+
+    const handleCopyFilterText = useCallback(async (text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            toast.success('Filter copied to the clipboard');
+        } catch {
+            toast.warning('Could not copy to the clipboard. Select the text and copy it instead.');
+        }
+    }, [toast]);
+
+    const handleSavePreset = useCallback((name) => {
+        savePreset(name, filterTree, isCaseSensitive);
+        toast.success(`Saved filter preset "${name}"`);
+    }, [savePreset, filterTree, isCaseSensitive, toast]);
+
+    const handleLoadPreset = useCallback((preset) => {
+        const { tree, missing, remapped } = reconcileFilterTree(preset.tree, filterColumns);
+        setFilterTree(tree);
+        setIsCaseSensitive(preset.isCaseSensitive);
+
+        if (missing.length > 0) {
+            toast.warning(`Preset "${preset.name}" uses columns not in this table: ${missing.join(', ')}. Those conditions were skipped.`, 8000);
+        } else if (remapped.length > 0) {
+            toast.info(`Loaded "${preset.name}" with ${remapped.map(r => `${r.from} → ${r.to}`).join(', ')}`);
+        } else {
+            toast.success(`Loaded filter preset "${preset.name}"`);
+        }
+    }, [filterColumns, setFilterTree, toast]);
+
+    const handleDeletePreset = useCallback((name) => {
+        deletePreset(name);
+        toast.info(`Deleted filter preset "${name}"`);
+    }, [deletePreset, toast]);
+
+    const handleExportPresets = useCallback(() => {
+        downloadFile(serializePresets(presets), 'filter_presets.json', 'application/json');
+        toast.success(`Exported ${presets.length} filter preset${presets.length !== 1 ? 's' : ''}`);
+    }, [presets, toast]);
+
+    const handleImportPresets = useCallback(async (file) => {
+        try {
+            const imported = parsePresets(await file.text());
+            importPresets(imported);
+            toast.success(`Imported ${imported.length} filter preset${imported.length !== 1 ? 's' : ''}`);
+        } catch (err) {
+            toast.error(`Could not import presets: ${err.message}`);
+        }
+    }, [importPresets, toast]);
+
+    const handleCopyLink = useCallback(async () => {
+        const linkedTables = joins.length > 0
+            ? [...new Set(joins.flatMap(j => [j.leftTable, j.rightTable]))]
+            : [activeTable];
+        const hash = encodeViewHash({
+            tables: linkedTables,
+            activeTable,
+            aliases: Object.fromEntries(linkedTables.map(name => [name, tableAliases[name] || name])),
+            joins,
+            filter: filterTree,
+            isCaseSensitive,
+            tab: activeTab,
+            table: tableView ? { columns: tableView.columns, sortConfig: tableView.sortConfig } : undefined,
+            pivot: pivotConfig || undefined
+        });
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+        // Keep the leave-guard history entry; only the address changes
+        window.history.replaceState(window.history.state, '', url);
+
+        try {
+            await navigator.clipboard.writeText(url);
+            toast.success('Link copied. Anyone who opens it and loads the same file gets this view.');
+        } catch {
+            toast.warning('Could not copy to the clipboard. The link is in the address bar.');
+        }
+    }, [joins, activeTable, tableAliases, filterTree, isCaseSensitive, activeTab, tableView, pivotConfig, toast]);
+
+    // Drop the link from the address bar too, so a reload doesn't re-apply it over later changes
+    const clearSharedLink = useCallback(() => {
+        setSharedLink({ view: null, error: null });
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+    }, []);
+
+    const applySharedView = useCallback((view) => {
+        const joinsToApply = view.joins.filter(j => tables[j.leftTable] && tables[j.rightTable]);
+        const aliases = { ...tableAliases };
+        Object.entries(view.aliases).forEach(([name, alias]) => {
+            if (tables[name]) aliases[name] = alias;
+        });
+        const targetTable = tables[view.activeTable] ? view.activeTable : activeTable;
+
+        // Columns as the filter builder and table will see them once the view is applied
+        const columns = joinsToApply.length > 0
+            ? tableNames.flatMap(name => tables[name].data.columnNames.map(col => `${aliases[name] || name}.${col}`))
+            : tables[targetTable]?.data.columnNames || [];
+        const { tree, missing } = reconcileFilterTree(view.filter, columns);
+        const unknownColumns = [...new Set([...missing, ...findUnknownViewColumns(view, columns)])];
+
+        setTableAliases(aliases);
+        setJoins(joinsToApply);
+        setActiveTable(targetTable);
+        setFilterTree(tree);
+        setIsCaseSensitive(view.isCaseSensitive);
+        setActiveTab(view.tab);
+        setSharedTableView(view.table);
+        if (view.pivot) {
+            const known = (field) => (columns.includes(field) ? field : '');
+            const { rowField, columnField, valueField } = view.pivot;
+            setPivotConfig({ ...view.pivot, rowField: known(rowField), columnField: known(columnField), valueField: known(valueField) });
+        }
+        clearSharedLink();
+
+        const problems = [];
+        if (unknownColumns.length > 0) problems.push(`unknown columns ${unknownColumns.join(', ')}`);
+        if (joinsToApply.length < view.joins.length) problems.push(`${view.joins.length - joinsToApply.length} join(s) on tables that aren't loaded`);
+        if (problems.length > 0) {
+            toast.warning(`Applied shared view, skipping ${problems.join(' and ')}`, 8000);
+        } else {
+            toast.success('Applied shared view');
+        }
+    }, [tables, tableNames, tableAliases, activeTable, setFilterTree, clearSharedLink, toast]);
+
+    useEffect(() => {
+        const view = sharedLink.view;
+        if (view && view.tables.every(name => tables[name])) {
+            applySharedView(view);
+        }
+    }, [sharedLink, tables, applySharedView]);
+
+    const handleExport = useCallback(({ format, baseName }) => {
+        if (!exportPayload) return;
+        const { rows, columns, types } = exportPayload;
+        handleDownload(rows, { baseName, format, columns, types });
+    }, [exportPayload, handleDownload]);
+
     return (
         <div className={`min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col font-sans text-gray-900 dark:text-gray-100 transition-colors duration-300`}>
 
@@ -417,8 +956,19 @@ function AppContent() {
                                 >
                                     <Redo2 size={18} />
                                 </button>
+                                <ChangeLog history={history} historyIndex={historyIndex} />
                             </div>
                         )}
+                        {session.isAvailable && (
+                            <SessionStorageMenu
+                                isEnabled={session.isEnabled}
+                                onToggle={session.setEnabled}
+                                isRestoring={session.isRestoring}
+                                usage={session.usage}
+                                error={session.error}
+                                onForget={handleForgetEverything}
+                            />
+                        )}
                         <ThemeToggle theme={theme} toggleTheme={toggleTheme} />
                     </div>
                 </div>
@@ -426,6 +976,14 @@ function AppContent() {
 
             <main id="main-content" className="flex-1 max-w-7xl w-full mx-auto p-8 space-y-8" role="main">
 
+                <SharedViewBanner
+                    view={sharedLink.view}
+                    error={sharedLink.error}
+                    loadedTables={tableNames}
+                    onApply={() => applySharedView(sharedLink.view)}
+                    onDismiss={clearSharedLink}
+                />
+
                 {/* Upload Section - Show when no tables or adding new */}
                 {(!hasData || isAddingTable) && (
                     <div className="max-w-2xl mx-auto mt-20 animate-in fade-in slide-in-from-bottom-5 duration-500">
@@ -459,6 +1017,7 @@ function AppContent() {
                             <JoinConfig
                                 tables={tables}
                                 joins={joins}
+                                joinSteps={isJoining ? null : joinResult?.steps}
                                 onUpdateJoins={setJoins}
                                 tableAliases={tableAliases}
                                 onUpdateAliases={setTableAliases}
@@ -469,7 +1028,8 @@ function AppContent() {
                         {/* Premium Feature Modals */}
                         <DataQualityPanel
                             data={filteredData}
-                            types={joins.length > 0 ? allTypesWithTables : joinedData.types}
+                            datasetId={filterResult.datasetId}
+                            types={activeTypes}
                             isOpen={isQualityPanelOpen}
                             onClose={() => setIsQualityPanelOpen(false)}
                         />
@@ -482,6 +1042,16 @@ function AppContent() {
                             onApply={handleCleaningApply}
                         />
 
+                        <CalculatedColumnPanel
+                            data={tables[activeTable]?.data}
+                            columns={tables[activeTable]?.data.columnNames || []}
+                            tableName={activeTable}
+                            dateFormats={activeTableDateFormats}
+                            isOpen={isCalculatedColumnOpen}
+                            onClose={() => setIsCalculatedColumnOpen(false)}
+                            onApply={handleAddCalculatedColumn}
+                        />
+
                         <AnonymizePanel
                             data={filteredData}
                             columns={joinedData.columns}
@@ -491,6 +1061,27 @@ function AppContent() {
                             onDownload={handleAnonymizedDownload}
                         />
 
+                        <ExportDialog
+                            isOpen={!!exportRequest}
+                            onClose={() => setExportRequest(null)}
+                            onExport={handleExport}
+                            rowCount={exportPayload?.rows.length ?? 0}
+                            columnCount={exportPayload?.columns.length ?? 0}
+                            defaultBaseName={exportPayload?.baseName}
+                            matchTableView={exportRequest?.isTableExport ? exportTableView : undefined}
+                            onMatchTableViewChange={setExportTableView}
+                        />
+
+                        <SchemaEditor
+                            tables={tables}
+                            activeTable={activeTable}
+                            overrides={schemaOverrides}
+                            onChange={handleSchemaChange}
+                            onReset={handleSchemaReset}
+                            isOpen={isSchemaEditorOpen}
+                            onClose={() => setIsSchemaEditorOpen(false)}
+                        />
+
                         {/* Action Bar */}
                         <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
                             <button
@@ -509,6 +1100,14 @@ function AppContent() {
                                 )}
 
                                 {/* Premium Feature Buttons */}
+                                <button
+                                    onClick={() => setIsSchemaEditorOpen(true)}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 bg-sky-100 dark:bg-sky-900/30 text-sky-700 dark:text-sky-300 rounded-lg text-xs font-medium hover:bg-sky-200 dark:hover:bg-sky-900/50 transition-colors"
+                                >
+                                    <TableProperties size={14} />
+                                    Schema
+                                </button>
+
                                 <button
                                     onClick={() => setIsQualityPanelOpen(true)}
                                     className="flex items-center gap-1.5 px-3 py-1.5 bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300 rounded-lg text-xs font-medium hover:bg-emerald-200 dark:hover:bg-emerald-900/50 transition-colors"
@@ -525,6 +1124,14 @@ function AppContent() {
                                     Clean Data
                                 </button>
 
+                                <button
+                                    onClick={() => setIsCalculatedColumnOpen(true)}
+                                    className="flex items-center gap-1.5 px-3 py-1.5 bg-sky-100 dark:bg-sky-900/30 text-sky-700 dark:text-sky-300 rounded-lg text-xs font-medium hover:bg-sky-200 dark:hover:bg-sky-900/50 transition-colors"
+                                >
+                                    <Calculator size={14} />
+                                    Add calculated column
+                                </button>
+
                                 {/* View Toggles */}
                                 <div className="bg-white dark:bg-gray-800 p-1 rounded-lg border border-gray-200 dark:border-gray-700 flex items-center">
                                     <button
@@ -545,10 +1152,16 @@ function AppContent() {
                                     >
                                         <Grid3X3 size={16} /> Pivot
                                     </button>
+                                    <button
+                                        onClick={() => setActiveTab('sql')}
+                                        className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-all ${activeTab === 'sql' ? 'bg-gray-100 dark:bg-gray-700 text-blue-600 dark:text-blue-400' : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'}`}
+                                    >
+                                        <Database size={16} /> SQL
+                                    </button>
                                 </div>
 
                                 <button
-                                    onClick={() => handleDownload()}
+                                    onClick={handleDownloadTable}
                                     disabled={filteredData.length === 0}
                                     className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-medium shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                                 >
@@ -556,6 +1169,24 @@ function AppContent() {
                                     Download CSV
                                 </button>
 
+                                <button
+                                    onClick={() => handleOpenExport()}
+                                    disabled={filteredData.length === 0}
+                                    className="flex items-center gap-2 bg-white dark:bg-gray-800 border border-green-600 text-green-700 dark:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/20 px-4 py-2 rounded-lg font-medium shadow-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    <FileDown size={18} />
+                                    Export As...
+                                </button>
+
+                                <button
+                                    onClick={handleCopyLink}
+                                    className="flex items-center gap-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 px-4 py-2 rounded-lg font-medium shadow-sm transition-colors"
+                                    title="Copy a link to this filter and view"
+                                >
+                                    <Link2 size={18} />
+                                    Copy Link
+                                </button>
+
                                 <button
                                     onClick={() => setIsAnonymizePanelOpen(true)}
                                     disabled={filteredData.length === 0}
@@ -571,7 +1202,7 @@ function AppContent() {
                         {activeTab === 'table' && (
                             <ColumnStatistics
                                 data={filteredData}
-                                types={joins.length > 0 ? allTypesWithTables : joinedData.types}
+                                types={activeTypes}
                                 isOpen={isStatsOpen}
                                 onToggle={() => setIsStatsOpen(!isStatsOpen)}
                             />
@@ -599,16 +1230,51 @@ function AppContent() {
                                         <div className={cn("w-2 h-2 rounded-full", isCaseSensitive ? "bg-blue-500" : "bg-gray-300 dark:bg-gray-600")} />
                                         Match Case
                                     </button>
+                                    {(isFiltering || isJoining) && (
+                                        <div className="flex items-center gap-2 text-xs text-blue-600 dark:text-blue-400" role="status">
+                                            <div
+                                                className="w-20 h-1.5 bg-blue-100 dark:bg-blue-900/40 rounded-full overflow-hidden"
+                                                role="progressbar"
+                                                aria-label={isJoining ? 'Join progress' : 'Filter progress'}
+                                                aria-valuemin={0}
+                                                aria-valuemax={100}
+                                                aria-valuenow={isJoining ? undefined : Math.round(filterProgress * 100)}
+                                            >
+                                                <div
+                                                    className={cn("h-full bg-blue-500 transition-all", isJoining && "w-full animate-pulse")}
+                                                    style={isJoining ? undefined : { width: `${Math.round(filterProgress * 100)}%` }}
+                                                />
+                                            </div>
+                                            {isJoining ? 'Joining tables…' : `Filtering… ${Math.round(filterProgress * 100)}%`}
+                                        </div>
+                                    )}
                                     <div className="text-sm text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-800 px-3 py-1 rounded border border-gray-200 dark:border-gray-700">
                                         <span className="font-semibold text-gray-800 dark:text-gray-100">{filteredData.length}</span> matches found
                                     </div>
                                 </div>
                             </div>
                             <div className="p-6">
+                                <FilterPresets
+                                    presets={presets}
+                                    canSave={filterTree.children.length > 0}
+                                    onSave={handleSavePreset}
+                                    onLoad={handleLoadPreset}
+                                    onDelete={handleDeletePreset}
+                                    onExport={handleExportPresets}
+                                    onImport={handleImportPresets}
+                                />
+                                <FilterTextEditor
+                                    tree={filterTree}
+                                    columns={filterColumns}
+                                    types={activeTypes}
+                                    isCaseSensitive={isCaseSensitive}
+                                    onApply={setFilterTree}
+                                    onCopy={handleCopyFilterText}
+                                />
                                 <FilterGroup
                                     node={filterTree}
-                                    columns={joins.length > 0 ? allColumnsWithTables.map(c => c.fullName) : joinedData.columns}
-                                    types={joins.length > 0 ? allTypesWithTables : joinedData.types}
+                                    columns={filterColumns}
+                                    types={activeTypes}
                                     addCondition={addCondition}
                                     addGroup={addGroup}
                                     removeNode={removeNode}
@@ -621,22 +1287,61 @@ function AppContent() {
                         {/* Content Area */}
                         <section className="animate-in fade-in slide-in-from-bottom-2 duration-300">
                             {activeTab === 'table' ? (
-                                <DataTable
-                                    data={filteredData}
-                                    types={joins.length > 0 ? allTypesWithTables : joinedData.types}
-                                    smartTypes={joinedData.smartTypes}
-                                />
+                                <div className="flex flex-col lg:flex-row gap-4 items-start">
+                                    {isFacetsOpen && (
+                                        <FacetSidebar
+                                            source={joinedData.data}
+                                            columns={joinedData.columns}
+                                            types={activeTypes}
+                                            dateFormats={activeDateFormats}
+                                            tree={filterTree}
+                                            onFilterChange={setFilterTree}
+                                            onClose={() => setIsFacetsOpen(false)}
+                                        />
+                                    )}
+                                    <div className="flex-1 min-w-0 w-full">
+                                        <DataTable
+                                            data={filteredData}
+                                            types={activeTypes}
+                                            smartTypes={activeSmartTypes}
+                                            dateFormats={activeDateFormats}
+                                            initialView={sharedTableView}
+                                            onViewChange={setTableView}
+                                            onEditCell={canEditTable ? handleEditCell : undefined}
+                                            onAddRow={canEditTable ? handleAddRow : undefined}
+                                            onDeleteRows={canEditTable ? handleDeleteRows : undefined}
+                                            isCellEdited={isCellEdited}
+                                            filterTree={filterTree}
+                                            filterSource={joinedData.data}
+                                            onFilterChange={setFilterTree}
+                                            isFacetsOpen={isFacetsOpen}
+                                            onToggleFacets={() => setIsFacetsOpen(!isFacetsOpen)}
+                                        />
+                                    </div>
+                                </div>
                             ) : activeTab === 'charts' ? (
                                 <ChartsView
                                     data={filteredData}
                                     columns={joinedData.columns}
-                                    types={joins.length > 0 ? allTypesWithTables : joinedData.types}
+                                    types={activeTypes}
+                                />
+                            ) : activeTab === 'sql' ? (
+                                <SqlView
+                                    tables={sqlTables}
+                                    query={sqlQuery}
+                                    onQueryChange={setSqlQuery}
+                                    onLoadAsTable={handleLoadQueryResult}
+                                    onExport={handleOpenExport}
                                 />
                             ) : (
                                 <PivotTable
                                     data={filteredData}
                                     columns={joinedData.columns}
-                                    types={joins.length > 0 ? allTypesWithTables : joinedData.types}
+                                    types={activeTypes}
+                                    onExport={handleOpenExport}
+                                    config={pivotConfig}
+                                    onConfigChange={setPivotConfig}
+                                    datasetId={filterResult.datasetId}
                                 />
                             )}
                         </section>
@@ -686,7 +1391,9 @@ function AppContent() {
 function App() {
     return (
         <ToastProvider>
-            <AppContent />
+            <QueryEngineProvider>
+                <AppContent />
+            </QueryEngineProvider>
         </ToastProvider>
     );
 }
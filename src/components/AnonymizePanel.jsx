@@ -1,6 +1,8 @@
 import React, { useState, useMemo, useEffect, useCallback } from 'react';
 import { X, Shield, Download, Eye, EyeOff, RefreshCw, AlertTriangle, Check, Hash, Asterisk, Trash2 } from 'lucide-react';
 import { useFocusTrap } from '../hooks/useFocusTrap';
+import { EXPORT_FORMATS } from '../lib/exporters';
+import { toRows, sliceTable } from '../lib/columnar';
 
 // Anonymization methods
 const ANONYMIZATION_METHODS = {
@@ -108,6 +110,7 @@ export function AnonymizePanel({ data, columns, smartTypes, isOpen, onClose, onD
     // Track which columns to anonymize and their methods
     const [anonymizedColumns, setAnonymizedColumns] = useState({});
     const [showPreview, setShowPreview] = useState(true);
+    const [exportFormat, setExportFormat] = useState('csv');
 
     // Focus trap for modal accessibility
     const handleEscape = useCallback(() => onClose(), [onClose]);
@@ -158,7 +161,7 @@ export function AnonymizePanel({ data, columns, smartTypes, isOpen, onClose, onD
     const previewData = useMemo(() => {
         if (!data || data.length === 0) return [];
 
-        const preview = data.slice(0, 5).map(row => {
+        const preview = toRows(sliceTable(data, 0, 5)).map(row => {
             const newRow = { ...row };
             Object.entries(anonymizedColumns).forEach(([col, method]) => {
                 if (method === 'remove') {
@@ -182,7 +185,7 @@ export function AnonymizePanel({ data, columns, smartTypes, isOpen, onClose, onD
     // Handle download with anonymization
     const handleAnonymizedDownload = () => {
         // Apply anonymization to all data
-        const anonymizedData = data.map(row => {
+        const anonymizedData = toRows(data).map(row => {
             const newRow = {};
             columns.forEach(col => {
                 if (anonymizedColumns[col] === 'remove') {
@@ -199,7 +202,7 @@ export function AnonymizePanel({ data, columns, smartTypes, isOpen, onClose, onD
             return newRow;
         });
 
-        onDownload(anonymizedData);
+        onDownload(anonymizedData, exportFormat);
         onClose();
     };
 
@@ -441,12 +444,22 @@ export function AnonymizePanel({ data, columns, smartTypes, isOpen, onClose, onD
                         >
                             Cancel
                         </button>
+                        <select
+                            value={exportFormat}
+                            onChange={(e) => setExportFormat(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-700 dark:text-gray-200 focus:ring-2 focus:ring-orange-500 outline-none"
+                            aria-label="Download format"
+                        >
+                            {Object.entries(EXPORT_FORMATS).map(([id, config]) => (
+                                <option key={id} value={id}>{config.label}</option>
+                            ))}
+                        </select>
                         <button
                             onClick={handleAnonymizedDownload}
                             className="flex items-center gap-2 bg-gradient-to-r from-orange-500 to-amber-500 hover:from-orange-600 hover:to-amber-600 text-white px-5 py-2 rounded-lg font-medium shadow-lg shadow-orange-500/30 transition-all"
                         >
                             <Download size={18} />
-                            Download Anonymized CSV
+                            Download Anonymized {EXPORT_FORMATS[exportFormat].label}
                         </button>
                     </div>
                 </div>
@@ -0,0 +1,252 @@
+import React, { useState, useMemo, useCallback, useRef } from 'react';
+import { Calculator, X, Check, Eye, AlertCircle } from 'lucide-react';
+import { detectColumnTypes } from '../lib/utils';
+import { sliceTable, columnReader } from '../lib/columnar';
+import { compileFormula, FORMULA_FUNCTIONS } from '../lib/formula';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { TypeBadge } from './SmartColumnBadge';
+
+const PREVIEW_ROWS = 100;
+const EXAMPLES = [
+    '[price] * [quantity]',
+    'upper(trim([name]))',
+    'split([email], "@", 2)',
+    'datediff([start], [end], "days")',
+    'if([score] >= 50, "pass", "fail")'
+];
+
+// Bare names work for simple column names; anything else needs brackets, with "]" doubled
+function columnReference(column) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(column) ? column : `[${column.replace(/\]/g, ']]')}]`;
+}
+
+/**
+ * Calculated Column Panel - Modal for deriving a new column from a formula.
+ * The formula is checked against the table's columns as it is typed, with a preview of the first rows.
+ */
+export function CalculatedColumnPanel({ data, columns, tableName, dateFormats = {}, isOpen, onClose, onApply }) {
+    const [name, setName] = useState('');
+    const [formula, setFormula] = useState('');
+    const formulaRef = useRef(null);
+
+    React.useEffect(() => {
+        if (isOpen) {
+            setName('');
+            setFormula('');
+        }
+    }, [isOpen]);
+
+    const compiled = useMemo(() => {
+        if (!formula.trim()) return { error: null, formula: null };
+        try {
+            return { error: null, formula: compileFormula(formula, columns) };
+        } catch (err) {
+            return { error: err, formula: null };
+        }
+    }, [formula, columns]);
+
+    const preview = useMemo(() => {
+        if (!compiled.formula || !data || data.length === 0) return null;
+        const sample = sliceTable(data, 0, PREVIEW_ROWS);
+        const evaluate = compiled.formula.bind(sample, { dateFormats });
+        const readers = compiled.formula.references.map(col => [col, columnReader(sample, col)]);
+        const rows = Array.from({ length: sample.length }, (_, i) => ({
+            inputs: readers.map(([col, read]) => [col, read(i)]),
+            result: evaluate(i)
+        }));
+        const type = detectColumnTypes(rows.map(row => ({ result: row.result }))).result;
+        return { rows: rows.slice(0, 5), type };
+    }, [compiled, data, dateFormats]);
+
+    const trimmedName = name.trim();
+    const nameError = !trimmedName
+        ? null
+        : columns.includes(trimmedName) ? `"${trimmedName}" is already a column` : null;
+    const canApply = Boolean(trimmedName && compiled.formula && !nameError);
+
+    const insertText = (text) => {
+        const input = formulaRef.current;
+        const start = input?.selectionStart ?? formula.length;
+        const end = input?.selectionEnd ?? formula.length;
+        setFormula(formula.slice(0, start) + text + formula.slice(end));
+        requestAnimationFrame(() => {
+            input?.focus();
+            input?.setSelectionRange(start + text.length, start + text.length);
+        });
+    };
+
+    const handleApply = () => {
+        if (!canApply) return;
+        onApply(trimmedName, formula.trim());
+    };
+
+    const handleEscape = useCallback(() => onClose(), [onClose]);
+    const modalRef = useFocusTrap(isOpen, { onEscape: handleEscape });
+
+    if (!isOpen) return null;
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="calculated-column-title"
+        >
+            <div
+                ref={modalRef}
+                className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-2xl w-full max-h-[85vh] overflow-hidden animate-in zoom-in-95 duration-300"
+            >
+                {/* Header */}
+                <div className="bg-gradient-to-r from-sky-500 to-blue-500 px-6 py-5 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                        <div className="bg-white/20 p-2 rounded-lg" aria-hidden="true">
+                            <Calculator className="text-white" size={24} />
+                        </div>
+                        <div>
+                            <h2 id="calculated-column-title" className="text-xl font-bold text-white">Add calculated column</h2>
+                            <p className="text-sky-100 text-sm">Derive a new column in {tableName}</p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-white/80 hover:text-white hover:bg-white/20 rounded-lg transition-colors"
+                        aria-label="Close calculated column panel"
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-5 overflow-y-auto max-h-[calc(85vh-170px)]">
+                    <div>
+                        <label htmlFor="calculated-column-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            New column name
+                        </label>
+                        <input
+                            id="calculated-column-name"
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="e.g. total"
+                            aria-invalid={Boolean(nameError)}
+                            className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-sky-500 outline-none"
+                        />
+                        {nameError && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{nameError}</p>}
+                    </div>
+
+                    <div>
+                        <label htmlFor="calculated-column-formula" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            Formula
+                        </label>
+                        <textarea
+                            id="calculated-column-formula"
+                            ref={formulaRef}
+                            value={formula}
+                            onChange={(e) => setFormula(e.target.value)}
+                            placeholder={EXAMPLES[0]}
+                            rows={3}
+                            spellCheck={false}
+                            aria-invalid={Boolean(compiled.error)}
+                            aria-describedby="calculated-column-status"
+                            className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-mono text-sm focus:ring-2 focus:ring-sky-500 outline-none"
+                        />
+                        <div id="calculated-column-status" className="mt-1 text-xs min-h-[1rem]" aria-live="polite">
+                            {compiled.error ? (
+                                <span className="flex items-center gap-1 text-red-600 dark:text-red-400">
+                                    <AlertCircle size={12} aria-hidden="true" />
+                                    {compiled.error.message}
+                                    {Number.isInteger(compiled.error.position) && ` (at character ${compiled.error.position + 1})`}
+                                </span>
+                            ) : preview ? (
+                                <span className="flex items-center gap-1.5 text-gray-500 dark:text-gray-400">
+                                    Result type <TypeBadge type={preview.type} /> <span className="font-medium">{preview.type}</span>
+                                </span>
+                            ) : null}
+                        </div>
+                    </div>
+
+                    {/* Column and function pickers */}
+                    <div>
+                        <span className="block text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase mb-2">Insert a column</span>
+                        <div className="flex flex-wrap gap-1.5">
+                            {columns.map(col => (
+                                <button
+                                    key={col}
+                                    type="button"
+                                    onClick={() => insertText(columnReference(col))}
+                                    className="px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 text-xs font-mono text-gray-700 dark:text-gray-200 hover:bg-sky-100 dark:hover:bg-sky-900/40 transition-colors"
+                                    title={`Insert ${columnReference(col)}`}
+                                >
+                                    {col}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <details className="text-sm">
+                        <summary className="cursor-pointer text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Functions and operators</summary>
+                        <div className="mt-2 space-y-2 text-xs text-gray-600 dark:text-gray-300">
+                            <p>
+                                <code>+ - * / %</code> for numbers, <code>&amp;</code> to join text, <code>= != &lt; &lt;= &gt; &gt;=</code> to compare,
+                                {' '}<code>and or not</code> for logic. Blank cells and failed calculations give an empty cell.
+                            </p>
+                            <ul className="grid grid-cols-1 sm:grid-cols-2 gap-1 font-mono">
+                                {Object.values(FORMULA_FUNCTIONS).map(({ usage }) => (
+                                    <li key={usage}>{usage}</li>
+                                ))}
+                            </ul>
+                            <p>Examples: {EXAMPLES.map(example => <code key={example} className="mr-2">{example}</code>)}</p>
+                        </div>
+                    </details>
+
+                    {preview && preview.rows.length > 0 && (
+                        <div className="animate-in fade-in slide-in-from-bottom-2 duration-300">
+                            <div className="flex items-center gap-2 mb-2">
+                                <Eye size={16} className="text-sky-500" aria-hidden="true" />
+                                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Preview</span>
+                            </div>
+                            <table className="w-full text-xs border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden" aria-label="Calculated column preview">
+                                <thead className="bg-gray-50 dark:bg-gray-900/50 text-gray-500 dark:text-gray-400">
+                                    <tr>
+                                        {compiled.formula.references.map(col => <th key={col} className="px-3 py-1.5 text-left font-medium">{col}</th>)}
+                                        <th className="px-3 py-1.5 text-left font-semibold text-sky-700 dark:text-sky-300">{trimmedName || 'result'}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                                    {preview.rows.map((row, idx) => (
+                                        <tr key={idx}>
+                                            {row.inputs.map(([col, value]) => (
+                                                <td key={col} className="px-3 py-1.5 text-gray-500 dark:text-gray-400 truncate max-w-[10rem]">{value}</td>
+                                            ))}
+                                            <td className="px-3 py-1.5 font-medium text-gray-800 dark:text-gray-100 truncate max-w-[12rem]">
+                                                {row.result === '' ? <span className="italic text-gray-400">empty</span> : row.result}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="px-6 py-4 bg-gray-50 dark:bg-gray-900/50 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 font-medium transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleApply}
+                        disabled={!canApply}
+                        className="flex items-center gap-2 px-5 py-2 bg-sky-600 hover:bg-sky-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium rounded-lg shadow-sm transition-colors"
+                    >
+                        <Check size={18} />
+                        Add column
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
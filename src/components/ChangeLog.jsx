@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { History } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { describeChange } from '../lib/tableEdits';
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * Change Log - the undo history as a list, newest first. Undone changes stay listed
+ * (struck through) until a new change replaces them.
+ */
+export function ChangeLog({ history, historyIndex }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const appliedCount = historyIndex + 1;
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+                aria-haspopup="true"
+                className="flex items-center gap-1.5 px-2.5 py-2 rounded-lg text-xs font-medium bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600 transition-colors"
+                title="Changes log"
+            >
+                <History size={16} aria-hidden="true" />
+                Changes ({appliedCount})
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 w-96 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl z-30 ring-1 ring-black/5">
+                    <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                        <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-200">Changes log</h3>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Ctrl+Z and Ctrl+Y step through these in order.</p>
+                    </div>
+                    {history.length === 0 ? (
+                        <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">No changes yet</p>
+                    ) : (
+                        <ol className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700" aria-label="Changes, newest first">
+                            {history.map((entry, index) => ({ entry, index })).reverse().map(({ entry, index }) => {
+                                const isUndone = index > historyIndex;
+                                return (
+                                    <li key={`${entry.timestamp}-${index}`} className={cn("px-4 py-2 text-sm", isUndone && "opacity-50")}>
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className={cn("font-medium text-gray-700 dark:text-gray-200", isUndone && "line-through")}>
+                                                {entry.operation}
+                                            </span>
+                                            <span className="text-[11px] text-gray-400 dark:text-gray-500 shrink-0">
+                                                {isUndone ? 'undone · ' : ''}{formatTime(entry.timestamp)}
+                                            </span>
+                                        </div>
+                                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate" title={describeChange(entry)}>
+                                            {entry.tableName} · {describeChange(entry)}
+                                        </p>
+                                    </li>
+                                );
+                            })}
+                        </ol>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -3,6 +3,8 @@ import {
     BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
     PieChart, Pie, Cell
 } from 'recharts';
+import { typeFamily, booleanLabel } from '../lib/utils';
+import { columnValues, columnReader } from '../lib/columnar';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d'];
 
@@ -10,10 +12,10 @@ export function ChartsView({ data, columns, types }) {
     // Find categorical columns (strings with low cardinality) to chart
     const categoricalColumns = useMemo(() => {
         return columns.filter(col => {
-            const type = types[col];
             // Heuristic: If it's a string and has < 20 unique values, it's good for a chart
-            if (type === 'string') {
-                const uniqueValues = new Set(data.map(row => row[col])).size;
+            if (typeFamily(types[col]) === 'boolean') return true;
+            if (typeFamily(types[col]) === 'string') {
+                const uniqueValues = new Set(columnValues(data, col)).size;
                 return uniqueValues > 0 && uniqueValues < 20;
             }
             return false;
@@ -36,17 +38,20 @@ export function ChartsView({ data, columns, types }) {
     const chartData = useMemo(() => {
         if (!selectedColumn) return [];
 
-        // Aggregate counts
+        // Aggregate counts; boolean columns count yes/Y/1 etc. as one "true" bar
+        const isBoolean = typeFamily(types[selectedColumn]) === 'boolean';
         const counts = {};
-        data.forEach(row => {
-            const val = row[selectedColumn] || '(Empty)';
+        const read = columnReader(data, selectedColumn);
+        for (let i = 0; i < data.length; i++) {
+            const raw = read(i) || '(Empty)';
+            const val = isBoolean ? booleanLabel(raw) : raw;
             counts[val] = (counts[val] || 0) + 1;
-        });
+        }
 
         return Object.entries(counts)
             .map(([name, value]) => ({ name, value }))
             .sort((a, b) => b.value - a.value); // Sort desc
-    }, [data, selectedColumn]);
+    }, [data, selectedColumn, types]);
 
     if (categoricalColumns.length === 0) {
         return (
@@ -0,0 +1,242 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { Check, X } from 'lucide-react';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { typeFamily } from '../lib/utils';
+import {
+    columnFacet, getColumnFilter, canListValue,
+    valueConditions, rangeConditions, dateConditions, setColumnFilter
+} from '../lib/columnFilters';
+
+function initialSelection(facet, filter) {
+    const all = facet.values.map(entry => entry.value);
+    if (!filter.values) return new Set(all);
+    const { operator, values } = filter.values;
+    if (operator === 'in') return new Set(all.filter(value => values.includes(value)));
+    return new Set(all.filter(value => !values.includes(value)));
+}
+
+/**
+ * Column Filter Panel - value checkboxes with counts, plus a range for number columns and
+ * a date range for date columns. Applying writes the choices into the filter tree as
+ * top-level conditions, so they stay visible in the Filters panel.
+ */
+export function ColumnFilterPanel({ source, column, type, dateFormat = 'auto', tree, onFilterChange, onApplied }) {
+    const family = typeFamily(type);
+    const facet = useMemo(() => columnFacet(source, column, type, dateFormat), [source, column, type, dateFormat]);
+    const filter = useMemo(() => getColumnFilter(tree, column, dateFormat), [tree, column, dateFormat]);
+
+    const [selected, setSelected] = useState(() => initialSelection(facet, filter));
+    const [valueQuery, setValueQuery] = useState('');
+    const [range, setRange] = useState(() => ({
+        min: filter.range?.min ?? facet.min,
+        max: filter.range?.max ?? facet.max
+    }));
+    const [dates, setDates] = useState(() => ({
+        start: filter.dates?.start || facet.start || '',
+        end: filter.dates?.end || facet.end || ''
+    }));
+
+    const shownValues = useMemo(() => {
+        const query = valueQuery.trim().toLowerCase();
+        return query ? facet.values.filter(entry => entry.value.toLowerCase().includes(query)) : facet.values;
+    }, [facet, valueQuery]);
+
+    const allValues = facet.values.map(entry => entry.value);
+    const isAllSelected = shownValues.every(entry => selected.has(entry.value));
+    const hasRange = family === 'number' && facet.min !== undefined && facet.min < facet.max;
+    const hasDates = family === 'date' && facet.start !== undefined;
+    const isFiltered = Boolean(filter.values || filter.range || filter.dates);
+    // Whole numbers step by one, anything else in hundredths of the span
+    const step = facet.values.every(entry => entry.value === '' || Number.isInteger(Number(entry.value)))
+        ? 1
+        : (facet.max - facet.min) / 100;
+
+    const toggleValue = (value) => {
+        const next = new Set(selected);
+        if (next.has(value)) next.delete(value);
+        else next.add(value);
+        setSelected(next);
+    };
+
+    const toggleAll = () => {
+        const next = new Set(selected);
+        shownValues.forEach(entry => (isAllSelected ? next.delete(entry.value) : next.add(entry.value)));
+        setSelected(next);
+    };
+
+    const apply = () => {
+        let next = setColumnFilter(tree, column, 'values', valueConditions(allValues, selected, !facet.isTruncated));
+        if (hasRange) next = setColumnFilter(next, column, 'range', rangeConditions(range, facet));
+        if (hasDates) next = setColumnFilter(next, column, 'dates', dateConditions(dates, facet));
+        onFilterChange(next);
+        onApplied?.();
+    };
+
+    const remove = () => {
+        let next = tree;
+        ['values', 'range', 'dates'].forEach(kind => {
+            next = setColumnFilter(next, column, kind, []);
+        });
+        onFilterChange(next);
+        onApplied?.();
+    };
+
+    return (
+        <div className="space-y-3 text-sm">
+            {hasRange && (
+                <fieldset className="space-y-1">
+                    <legend className="text-xs font-semibold text-gray-500 dark:text-gray-400">Range</legend>
+                    <div className="flex items-center justify-between text-xs text-gray-600 dark:text-gray-300 font-mono">
+                        <span>{range.min}</span>
+                        <span>{range.max}</span>
+                    </div>
+                    <input
+                        type="range"
+                        min={facet.min}
+                        max={facet.max}
+                        step={step}
+                        value={range.min}
+                        onChange={(e) => setRange({ ...range, min: Math.min(Number(e.target.value), range.max) })}
+                        className="w-full accent-blue-600"
+                        aria-label={`Minimum ${column}`}
+                    />
+                    <input
+                        type="range"
+                        min={facet.min}
+                        max={facet.max}
+                        step={step}
+                        value={range.max}
+                        onChange={(e) => setRange({ ...range, max: Math.max(Number(e.target.value), range.min) })}
+                        className="w-full accent-blue-600"
+                        aria-label={`Maximum ${column}`}
+                    />
+                </fieldset>
+            )}
+
+            {hasDates && (
+                <fieldset className="space-y-1">
+                    <legend className="text-xs font-semibold text-gray-500 dark:text-gray-400">Date range</legend>
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="date"
+                            value={dates.start}
+                            min={facet.start}
+                            max={facet.end}
+                            onChange={(e) => setDates({ ...dates, start: e.target.value })}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                            aria-label={`From date for ${column}`}
+                        />
+                        <span className="text-xs text-gray-400">to</span>
+                        <input
+                            type="date"
+                            value={dates.end}
+                            min={facet.start}
+                            max={facet.end}
+                            onChange={(e) => setDates({ ...dates, end: e.target.value })}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                            aria-label={`To date for ${column}`}
+                        />
+                    </div>
+                </fieldset>
+            )}
+
+            <fieldset className="space-y-1">
+                <legend className="text-xs font-semibold text-gray-500 dark:text-gray-400">Values</legend>
+                {facet.values.length > 10 && (
+                    <input
+                        type="text"
+                        value={valueQuery}
+                        onChange={(e) => setValueQuery(e.target.value)}
+                        placeholder="Find a value..."
+                        className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-xs bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 outline-none"
+                        aria-label={`Find values of ${column}`}
+                    />
+                )}
+                <label className="flex items-center gap-2 px-1 py-0.5 text-xs font-medium text-gray-700 dark:text-gray-200">
+                    <input
+                        type="checkbox"
+                        checked={isAllSelected}
+                        onChange={toggleAll}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Select all
+                </label>
+                <ul className="max-h-48 overflow-y-auto space-y-0.5">
+                    {shownValues.map(({ value, count }) => {
+                        const label = value === '' ? '(empty)' : value;
+                        const isListable = canListValue(value);
+                        return (
+                            <li key={value}>
+                                <label
+                                    className={`flex items-center gap-2 px-1 py-0.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700 ${isListable ? 'cursor-pointer' : 'opacity-50'}`}
+                                    title={isListable ? label : 'Values with commas or surrounding spaces can only be filtered from the Filters panel'}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.has(value)}
+                                        disabled={!isListable}
+                                        onChange={() => toggleValue(value)}
+                                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                        aria-label={label}
+                                    />
+                                    <span className={`flex-1 min-w-0 truncate ${value === '' ? 'italic text-gray-400' : 'text-gray-700 dark:text-gray-200'}`}>{label}</span>
+                                    <span className="text-xs text-gray-400 tabular-nums">{count.toLocaleString()}</span>
+                                </label>
+                            </li>
+                        );
+                    })}
+                </ul>
+                {facet.isTruncated && (
+                    <p className="text-[10px] text-gray-400">Showing the {facet.values.length} most common values.</p>
+                )}
+            </fieldset>
+
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={remove}
+                    disabled={!isFiltered}
+                    className="flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 hover:text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <X size={12} aria-hidden="true" /> Remove filter
+                </button>
+                <button
+                    type="button"
+                    onClick={apply}
+                    disabled={selected.size === 0}
+                    className="flex items-center gap-1 px-2 py-1 rounded text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <Check size={12} aria-hidden="true" /> Apply filter
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Column Filter Popover - the panel in a popover under a table header.
+ * Rendered into document.body so the table's scroll container doesn't clip it.
+ */
+export function ColumnFilterPopover({ anchorRect, onClose, ...panelProps }) {
+    const handleEscape = useCallback(() => onClose(), [onClose]);
+    const popoverRef = useFocusTrap(true, { onEscape: handleEscape });
+    const width = 288;
+    const left = Math.max(8, Math.min(anchorRect.right - width, window.innerWidth - width - 8));
+
+    return createPortal(
+        <>
+            <div className="fixed inset-0 z-[9998]" onClick={onClose} aria-hidden="true" />
+            <div
+                ref={popoverRef}
+                role="dialog"
+                aria-label={`Filter ${panelProps.column}`}
+                style={{ position: 'fixed', top: anchorRect.bottom + 4, left, width, zIndex: 9999 }}
+                className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl p-3 max-h-[70vh] overflow-y-auto"
+            >
+                <ColumnFilterPanel {...panelProps} onApplied={onClose} />
+            </div>
+        </>,
+        document.body
+    );
+}
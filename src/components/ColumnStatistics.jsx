@@ -1,6 +1,6 @@
 import React, { useMemo } from 'react';
 import { BarChart3, TrendingUp, TrendingDown, Activity } from 'lucide-react';
-import { calculateColumnStats } from '../lib/utils';
+import { calculateColumnStats, typeFamily } from '../lib/utils';
 
 /**
  * Mini sparkline component to show distribution
@@ -101,7 +101,7 @@ export function ColumnStatistics({ data, types, isOpen, onToggle }) {
     const numericColumns = useMemo(() => {
         if (!types) return [];
         return Object.entries(types)
-            .filter(([_, type]) => type === 'number')
+            .filter(([_, type]) => typeFamily(type) === 'number')
             .map(([col]) => col);
     }, [types]);
 
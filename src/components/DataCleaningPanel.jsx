@@ -1,6 +1,7 @@
 import React, { useState, useMemo, useCallback } from 'react';
 import { Sparkles, X, Trash2, Type, CaseSensitive, Hash, Eye, Check, RotateCcw } from 'lucide-react';
 import { cleanColumn, removeDuplicateRows } from '../lib/utils';
+import { sliceTable, columnReader } from '../lib/columnar';
 import { useFocusTrap } from '../hooks/useFocusTrap';
 
 const CLEANING_OPERATIONS = [
@@ -54,14 +55,15 @@ export function DataCleaningPanel({ data, columns, isOpen, onClose, onApply }) {
         }
 
         // Get first 10 rows that would be affected
-        const sampleData = data.slice(0, 100);
+        const sampleData = sliceTable(data, 0, 100);
         const cleanedData = cleanColumn(sampleData, selectedColumn, selectedOperation);
+        const readBefore = columnReader(sampleData, selectedColumn);
+        const readAfter = columnReader(cleanedData, selectedColumn);
 
-        return sampleData
-            .map((row, idx) => ({
-                before: String(row[selectedColumn] ?? ''),
-                after: String(cleanedData[idx][selectedColumn] ?? '')
-            }))
+        return Array.from({ length: sampleData.length }, (_, idx) => ({
+            before: String(readBefore(idx) ?? ''),
+            after: String(readAfter(idx) ?? '')
+        }))
             .filter(item => item.before !== item.after)
             .slice(0, 10);
     }, [data, selectedColumn, selectedOperation]);
@@ -1,6 +1,7 @@
 import React, { useMemo, useCallback } from 'react';
 import { Shield, X, AlertTriangle, CheckCircle, XCircle, Copy, AlertOctagon } from 'lucide-react';
 import { detectDataQuality } from '../lib/utils';
+import { useQueryEngine, useEngineQuery } from '../hooks/useQueryEngine';
 import { useFocusTrap } from '../hooks/useFocusTrap';
 
 /**
@@ -78,13 +79,27 @@ function QualityBadge({ score }) {
 }
 
 /**
- * Data Quality Panel - Modal showing quality metrics
+ * Data Quality Panel - Modal showing quality metrics.
+ * With `datasetId` (the query engine dataset holding `data`) the report is computed off the main thread.
  */
-export function DataQualityPanel({ data, types, isOpen, onClose }) {
-    const quality = useMemo(() => {
-        if (!data || data.length === 0) return null;
+export function DataQualityPanel({ data, types, isOpen, onClose, datasetId }) {
+    const engine = useQueryEngine();
+    const useEngine = Boolean(engine && datasetId);
+    const hasData = Boolean(data && data.length > 0);
+
+    // Only profile while the panel is open
+    const engineQuery = useMemo(
+        () => (isOpen && useEngine && hasData ? { datasetId, types } : null),
+        [isOpen, useEngine, hasData, datasetId, types]
+    );
+    const { result: engineQuality } = useEngineQuery('quality', engineQuery, { enabled: Boolean(engineQuery) });
+
+    const localQuality = useMemo(() => {
+        if (!isOpen || useEngine || !hasData) return null;
         return detectDataQuality(data, types);
-    }, [data, types]);
+    }, [isOpen, useEngine, hasData, data, types]);
+
+    const quality = !hasData ? null : useEngine ? engineQuality : localQuality;
 
     // Focus trap for modal accessibility
     const handleEscape = useCallback(() => onClose(), [onClose]);
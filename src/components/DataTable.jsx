@@ -1,15 +1,57 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { ChevronLeft, ChevronRight, ArrowUpDown, ArrowUp, ArrowDown, Eye, Search, Pin, GripVertical } from 'lucide-react';
+import React, { useState, useEffect, useLayoutEffect, useMemo, useCallback, useRef, useId } from 'react';
+import { ChevronLeft, ChevronRight, ArrowUpDown, ArrowUp, ArrowDown, ChevronUp, ChevronDown, X, ListFilter, PanelLeft, Eye, Search, Pin, GripVertical, Square, SquareCheck, Rows3, ScrollText, CornerDownLeft, Plus, Trash2, Highlighter } from 'lucide-react';
 import { SmartColumnBadge, TypeBadge } from './SmartColumnBadge';
+import { searchTable, sortTableRows, sortLevelsOf, typeFamily, parseBoolean } from '../lib/utils';
+import { getRow, columnReader } from '../lib/columnar';
+import { hasColumnFilter } from '../lib/columnFilters';
+import { ColumnFilterPopover } from './ColumnFilterPanel';
 
-export function DataTable({ data, types, smartTypes = {} }) {
+/**
+ * Checkbox-style rendering for boolean cells, keeping the raw value visible
+ */
+function BooleanCell({ value }) {
+    const parsed = parseBoolean(value);
+    return (
+        <span className="inline-flex items-center gap-1.5" title={String(value)}>
+            {parsed
+                ? <SquareCheck size={16} className="text-teal-600 dark:text-teal-400" aria-hidden="true" />
+                : <Square size={16} className="text-gray-400 dark:text-gray-500" aria-hidden="true" />}
+            <span className="text-xs text-gray-500 dark:text-gray-400">{value}</span>
+        </span>
+    );
+}
+
+// Scrolling mode gives every row and column a fixed size so the visible window can be computed
+const ROW_HEIGHT = 40;
+const COLUMN_WIDTH = 150; // also the offset step for frozen columns
+const OVERSCAN_ROWS = 10;
+// Browsers cap element heights (about 17.9M px in Firefox, 33.5M in Chrome); taller tables scroll proportionally
+const MAX_SCROLL_HEIGHT = 10000000;
+const OVERSCAN_COLUMNS = 2;
+
+/**
+ * Data Table - sortable view of the filtered table, paginated or as one virtualized scrolling list.
+ * Search and sort work on row indexes; row objects are only built for the rows on screen.
+ * Arrow keys, Page Up/Down and Home/End move the active cell once the grid has focus.
+ * `initialView` ({ columns, sortConfig }) restores visible columns, their order and the sort once columns are available.
+ * With `onEditCell` cells can be edited in place (double-click, Enter or F2); `onAddRow` and `onDeleteRows`
+ * add the row controls. All three take row indexes into `data` and return whether the change was made.
+ * With `filterTree` and `onFilterChange` each header gets a filter menu: value counts come from `filterSource`
+ * (the unfiltered rows) and choices become conditions in the tree. `onToggleFacets` adds the facet sidebar toggle.
+ */
+export function DataTable({ data, types, smartTypes = {}, dateFormats = {}, initialView, onViewChange, onEditCell, onAddRow, onDeleteRows, isCellEdited, filterTree, filterSource, onFilterChange, isFacetsOpen, onToggleFacets }) {
     const [currentPage, setCurrentPage] = useState(1);
     const [rowsPerPage, setRowsPerPage] = useState(50);
     const [searchTerm, setSearchTerm] = useState('');
     const [isCaseSensitiveSearch, setIsCaseSensitiveSearch] = useState(false);
 
-    // Sorting state
-    const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+    // Sorting state: levels in priority order, [{ key, direction }]
+    const [sortConfig, setSortConfig] = useState([]);
+    const [isSortMenuOpen, setIsSortMenuOpen] = useState(false);
+
+    // Header filter menu: { column, anchorRect }
+    const [filterMenu, setFilterMenu] = useState(null);
+    const hasColumnFilters = Boolean(filterTree && onFilterChange);
 
     // Column Visibility state
     const [visibleColumns, setVisibleColumns] = useState([]);
@@ -23,9 +65,35 @@ export function DataTable({ data, types, smartTypes = {} }) {
     const [columnOrder, setColumnOrder] = useState([]);
     const [draggedColumn, setDraggedColumn] = useState(null);
 
+    // 'pages' | 'scroll'
+    const [viewMode, setViewMode] = useState('pages');
+    const isScrollMode = viewMode === 'scroll';
+    const [scrollPosition, setScrollPosition] = useState({ top: 0, left: 0 });
+    const [viewport, setViewport] = useState({ width: 0, height: 0 });
+    const [rowHeight, setRowHeight] = useState(ROW_HEIGHT);
+
+    // Keyboard navigation: position in the sorted rows and in displayColumns
+    const [activeCell, setActiveCell] = useState(null);
+    const [jumpValue, setJumpValue] = useState('');
+
+    // Inline editing: { row, col, value } in the same coordinates as activeCell
+    const [editingCell, setEditingCell] = useState(null);
+    const [highlightEdits, setHighlightEdits] = useState(true);
+    // Set when an edit made here is about to change `data`, so the grid keeps its place
+    const keepPositionRef = useRef(false);
+    // Length of `data` before adding a row, to find and edit the new row once it arrives
+    const addedRowFromRef = useRef(null);
+    // What to do once the cell editor loses focus: 'down' | 'right' | 'cancel' | null
+    const afterEditRef = useRef(null);
+    const gridId = useId();
+    const containerRef = useRef(null);
+    const gridRef = useRef(null);
+    const theadRef = useRef(null);
+    const tfootRef = useRef(null);
+
     const allColumns = useMemo(() => {
         if (!data || data.length === 0) return [];
-        return Object.keys(data[0]);
+        return data.columnNames;
     }, [data]);
 
     // Ordered columns based on user reordering and frozen columns
@@ -51,15 +119,38 @@ export function DataTable({ data, types, smartTypes = {} }) {
         return orderedColumns.filter(col => col.toLowerCase().includes(term));
     }, [orderedColumns, columnSearchTerm]);
 
+    // Column layout and sort survive filter changes; they reset only when the set of columns changes
+    const columnsKey = allColumns.join('\u0000');
     useEffect(() => {
         setVisibleColumns(allColumns);
         setColumnOrder(allColumns);
         setFrozenColumns([]);
-        setCurrentPage(1);
-        setSortConfig({ key: null, direction: 'asc' });
+        setSortConfig([]);
+        setFilterMenu(null);
         setSearchTerm('');
         setColumnSearchTerm('');
-    }, [data, allColumns]);
+    }, [columnsKey]);
+
+    useEffect(() => {
+        if (keepPositionRef.current) return;
+        setCurrentPage(1);
+        if (containerRef.current) containerRef.current.scrollTop = 0;
+    }, [data]);
+
+    // Apply a restored view once its columns exist. Must run after the reset above.
+    const appliedViewRef = useRef(null);
+    useEffect(() => {
+        if (!initialView || appliedViewRef.current === initialView || allColumns.length === 0) return;
+        appliedViewRef.current = initialView;
+
+        const columns = (initialView.columns || []).filter(col => allColumns.includes(col));
+        if (columns.length > 0) {
+            setVisibleColumns(columns);
+            setColumnOrder([...columns, ...allColumns.filter(col => !columns.includes(col))]);
+        }
+        const levels = sortLevelsOf(initialView.sortConfig).filter(level => allColumns.includes(level.key));
+        if (levels.length > 0) setSortConfig(levels);
+    }, [initialView, allColumns]);
 
     // Toggle column freeze
     const toggleFreezeColumn = useCallback((col) => {
@@ -101,58 +192,47 @@ export function DataTable({ data, types, smartTypes = {} }) {
     }, [draggedColumn]);
 
     // 1. Search Filtering
-    const searchedData = useMemo(() => {
-        if (!data || data.length === 0) return [];
-        if (!searchTerm) return data;
+    const searchedRows = useMemo(
+        () => (data ? searchTable(data, searchTerm, isCaseSensitiveSearch) : []),
+        [data, searchTerm, isCaseSensitiveSearch]
+    );
 
-        const term = isCaseSensitiveSearch ? searchTerm : searchTerm.toLowerCase();
+    // 2. Sorting
+    const sortedRows = useMemo(
+        () => (data ? sortTableRows(data, searchedRows, sortConfig, types, dateFormats, smartTypes) : []),
+        [data, searchedRows, sortConfig, types, dateFormats, smartTypes]
+    );
 
-        return data.filter(row =>
-            Object.values(row).some(val => {
-                const rowVal = String(val ?? '');
-                const finalRowVal = isCaseSensitiveSearch ? rowVal : rowVal.toLowerCase();
-                return finalRowVal.includes(term);
-            })
-        );
-    }, [data, searchTerm, isCaseSensitiveSearch]);
+    // Scrolling mode: past MAX_SCROLL_HEIGHT each pixel scrolled moves `scrollRatio` pixels of rows,
+    // so the last row can still be reached. Offsets are in rows × rowHeight; scrollTop in pixels.
+    const contentHeight = sortedRows.length * rowHeight;
+    const scrollHeight = Math.min(contentHeight, MAX_SCROLL_HEIGHT);
+    const scrollRatio = contentHeight > scrollHeight && scrollHeight > viewport.height
+        ? (contentHeight - viewport.height) / (scrollHeight - viewport.height)
+        : 1;
+    const toScrollTop = (offset) => offset / scrollRatio;
 
-    // 2. Sorting
-    const sortedData = useMemo(() => {
-        if (searchedData.length === 0) return [];
-        let sortableItems = [...searchedData];
-        if (sortConfig.key !== null) {
-            sortableItems.sort((a, b) => {
-                let aVal = a[sortConfig.key];
-                let bVal = b[sortConfig.key];
-
-                const aNum = Number(aVal);
-                const bNum = Number(bVal);
-
-                if (!isNaN(aNum) && !isNaN(bNum) && aVal !== '' && bVal !== '') {
-                    aVal = aNum;
-                    bVal = bNum;
-                } else {
-                    aVal = String(aVal).toLowerCase();
-                    bVal = String(bVal).toLowerCase();
-                }
-
-                if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-                if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
-                return 0;
-            });
-        }
-        return sortableItems;
-    }, [searchedData, sortConfig]);
+    // Report the on-screen view so exports can match it
+    useEffect(() => {
+        if (!onViewChange) return;
+        onViewChange({
+            columns: displayColumns,
+            sortConfig,
+            searchTerm,
+            isCaseSensitiveSearch
+        });
+    }, [onViewChange, displayColumns, sortConfig, searchTerm, isCaseSensitiveSearch]);
 
-    // 2.5 Column Sums (computed on sortedData which represents the full filtered/searched dataset)
+    // 2.5 Column Sums (computed on sortedRows which represents the full filtered/searched dataset)
     const columnSums = useMemo(() => {
-        if (!sortedData || sortedData.length === 0 || !types) return {};
+        if (sortedRows.length === 0 || !types) return {};
 
         const sums = {};
         allColumns.forEach(col => {
-            if (types[col] === 'number') {
-                const sum = sortedData.reduce((acc, row) => {
-                    const val = Number(row[col]);
+            if (typeFamily(types[col]) === 'number') {
+                const read = columnReader(data, col);
+                const sum = sortedRows.reduce((acc, rowIdx) => {
+                    const val = Number(read(rowIdx));
                     return acc + (isNaN(val) ? 0 : val);
                 }, 0);
                 // Round to 2 decimal places if needed, or keep precision? 
@@ -161,7 +241,65 @@ export function DataTable({ data, types, smartTypes = {} }) {
             }
         });
         return sums;
-    }, [sortedData, allColumns, types]);
+    }, [data, sortedRows, allColumns, types]);
+
+    // A different result or order makes the active position meaningless, unless the change
+    // is an edit made here. A row just added becomes active and opens for editing.
+    useEffect(() => {
+        setEditingCell(null);
+        if (!keepPositionRef.current) {
+            setActiveCell(null);
+            return;
+        }
+        keepPositionRef.current = false;
+        setActiveCell(prev => (prev && prev.row >= sortedRows.length
+            ? (sortedRows.length > 0 ? { ...prev, row: sortedRows.length - 1 } : null)
+            : prev));
+
+        const addedFrom = addedRowFromRef.current;
+        addedRowFromRef.current = null;
+        if (addedFrom === null || data.length !== addedFrom + 1) return;
+        const row = sortedRows.indexOf(addedFrom);
+        if (row === -1) return;
+        setActiveCell({ row, col: 0 });
+        setEditingCell({ row, col: 0, value: '' });
+        if (isScrollMode) {
+            if (containerRef.current) containerRef.current.scrollTop = toScrollTop(row * rowHeight);
+        } else {
+            setCurrentPage(Math.floor(row / rowsPerPage) + 1);
+        }
+    }, [sortedRows]);
+
+    const hasRows = Boolean(data && data.length > 0);
+
+    // Track the scroll container's size for the virtualized window
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container || !isScrollMode) return;
+        const measure = () => setViewport({ width: container.clientWidth, height: container.clientHeight });
+        measure();
+        setScrollPosition({ top: container.scrollTop, left: container.scrollLeft });
+        if (typeof ResizeObserver === 'undefined') return;
+        const observer = new ResizeObserver(measure);
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, [isScrollMode, hasRows]);
+
+    // Rows can render taller than ROW_HEIGHT (large fonts, zoom); use the real height for offsets
+    useLayoutEffect(() => {
+        if (!isScrollMode) return;
+        const row = gridRef.current?.querySelector('tbody tr[aria-rowindex]');
+        if (row && row.offsetHeight > 0 && row.offsetHeight !== rowHeight) setRowHeight(row.offsetHeight);
+    });
+
+    // In pages mode the browser can bring the active cell into view; scrolling mode positions it itself
+    useEffect(() => {
+        if (!activeCell || isScrollMode) return;
+        document.getElementById(`${gridId}-${activeCell.row}-${activeCell.col}`)?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }, [activeCell, isScrollMode, gridId, currentPage]);
+
+    // Stable, so the popover's focus trap isn't rebuilt on every render
+    const closeFilterMenu = useCallback(() => setFilterMenu(null), []);
 
     if (!data || data.length === 0) {
         return (
@@ -171,19 +309,223 @@ export function DataTable({ data, types, smartTypes = {} }) {
         );
     }
 
-    // Request Sort Function
-    const requestSort = (key) => {
-        let direction = 'asc';
-        if (sortConfig.key === key && sortConfig.direction === 'asc') {
-            direction = 'desc';
+    // Request Sort Function. A plain click sorts by the column alone; Shift+click adds
+    // it as the next level, or flips it asc -> desc -> removed if it is already a level.
+    const requestSort = (key, isMulti = false) => {
+        const existing = sortConfig.find(level => level.key === key);
+        if (!isMulti) {
+            const direction = sortConfig.length === 1 && existing?.direction === 'asc' ? 'desc' : 'asc';
+            setSortConfig([{ key, direction }]);
+            return;
+        }
+        if (!existing) {
+            setSortConfig([...sortConfig, { key, direction: 'asc' }]);
+        } else if (existing.direction === 'asc') {
+            setSortConfig(sortConfig.map(level => (level.key === key ? { key, direction: 'desc' } : level)));
+        } else {
+            setSortConfig(sortConfig.filter(level => level.key !== key));
+        }
+    };
+
+    const toggleSortDirection = (key) => {
+        setSortConfig(sortConfig.map(level => (
+            level.key === key ? { key, direction: level.direction === 'asc' ? 'desc' : 'asc' } : level
+        )));
+    };
+
+    const moveSortLevel = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= sortConfig.length) return;
+        const next = [...sortConfig];
+        [next[index], next[target]] = [next[target], next[index]];
+        setSortConfig(next);
+    };
+
+    // 3. Pagination, or the window of rows and columns on screen when scrolling
+    const totalPages = Math.ceil(sortedRows.length / rowsPerPage);
+    const frozenCount = displayColumns.filter(col => frozenColumns.includes(col)).length;
+    let startIndex = (currentPage - 1) * rowsPerPage;
+    let endIndex = Math.min(startIndex + rowsPerPage, sortedRows.length);
+    let renderedColumnIndexes = displayColumns.map((_, colIndex) => colIndex);
+    let padding = { top: 0, bottom: 0, left: 0, right: 0 };
+
+    if (isScrollMode) {
+        const offset = scrollPosition.top * scrollRatio;
+        startIndex = Math.max(0, Math.floor(offset / rowHeight) - OVERSCAN_ROWS);
+        endIndex = Math.min(sortedRows.length, startIndex + Math.ceil(viewport.height / rowHeight) + OVERSCAN_ROWS * 2);
+
+        // Frozen columns come first in displayColumns and are always rendered
+        const lastColumn = Math.min(displayColumns.length, Math.ceil((scrollPosition.left + viewport.width) / COLUMN_WIDTH) + OVERSCAN_COLUMNS);
+        const firstColumn = Math.min(lastColumn, Math.max(frozenCount, Math.floor(scrollPosition.left / COLUMN_WIDTH) - OVERSCAN_COLUMNS));
+        renderedColumnIndexes = [
+            ...renderedColumnIndexes.slice(0, frozenCount),
+            ...renderedColumnIndexes.slice(firstColumn, lastColumn)
+        ];
+        // The rows drawn sit where the offset puts them, whatever the scroll ratio
+        const top = Math.max(0, scrollPosition.top - offset + startIndex * rowHeight);
+        padding = {
+            top,
+            bottom: Math.max(0, scrollHeight - top - (endIndex - startIndex) * rowHeight),
+            left: (firstColumn - frozenCount) * COLUMN_WIDTH,
+            right: (displayColumns.length - lastColumn) * COLUMN_WIDTH
+        };
+    }
+
+    const currentData = sortedRows.slice(startIndex, endIndex).map(rowIdx => getRow(data, rowIdx));
+    const renderedColumns = renderedColumnIndexes.map(colIndex => ({ col: displayColumns[colIndex], colIndex }));
+    const cellId = (row, colIndex) => `${gridId}-${row}-${colIndex}`;
+
+    const handleScroll = (e) => {
+        if (!isScrollMode) return;
+        setScrollPosition({ top: e.currentTarget.scrollTop, left: e.currentTarget.scrollLeft });
+    };
+
+    // Scroll just enough to show a cell between the sticky header, footer and frozen columns
+    const revealCell = (row, colIndex) => {
+        if (!isScrollMode) {
+            setCurrentPage(Math.floor(row / rowsPerPage) + 1);
+            return;
+        }
+        const container = containerRef.current;
+        if (!container) return;
+        const headerHeight = theadRef.current?.offsetHeight || 0;
+        const footerHeight = tfootRef.current?.offsetHeight || 0;
+        const rowTop = row * rowHeight;
+        const offset = container.scrollTop * scrollRatio;
+        if (rowTop < offset) {
+            container.scrollTop = toScrollTop(rowTop);
+        } else if (headerHeight + rowTop + rowHeight > offset + container.clientHeight - footerHeight) {
+            container.scrollTop = toScrollTop(headerHeight + footerHeight + rowTop + rowHeight - container.clientHeight);
+        }
+
+        if (colIndex >= frozenCount) {
+            const left = colIndex * COLUMN_WIDTH;
+            const frozenWidth = frozenCount * COLUMN_WIDTH;
+            if (left < container.scrollLeft + frozenWidth) {
+                container.scrollLeft = left - frozenWidth;
+            } else if (left + COLUMN_WIDTH > container.scrollLeft + container.clientWidth) {
+                container.scrollLeft = left + COLUMN_WIDTH - container.clientWidth;
+            }
+        }
+    };
+
+    const moveActiveCell = (row, colIndex) => {
+        const next = {
+            row: Math.max(0, Math.min(sortedRows.length - 1, row)),
+            col: Math.max(0, Math.min(displayColumns.length - 1, colIndex))
+        };
+        setActiveCell(next);
+        revealCell(next.row, next.col);
+    };
+
+    const handleGridKeyDown = (e) => {
+        if (sortedRows.length === 0 || displayColumns.length === 0) return;
+        const { row, col } = activeCell || { row: startIndex, col: 0 };
+        const pageSize = isScrollMode
+            ? Math.max(1, Math.floor((viewport.height - (theadRef.current?.offsetHeight || 0)) / rowHeight) - 1)
+            : rowsPerPage;
+        const toEdge = e.ctrlKey || e.metaKey;
+
+        switch (e.key) {
+            case 'ArrowDown': moveActiveCell(toEdge ? sortedRows.length - 1 : row + 1, col); break;
+            case 'ArrowUp': moveActiveCell(toEdge ? 0 : row - 1, col); break;
+            case 'ArrowRight': moveActiveCell(row, toEdge ? displayColumns.length - 1 : col + 1); break;
+            case 'ArrowLeft': moveActiveCell(row, toEdge ? 0 : col - 1); break;
+            case 'PageDown': moveActiveCell(row + pageSize, col); break;
+            case 'PageUp': moveActiveCell(row - pageSize, col); break;
+            case 'Home': moveActiveCell(toEdge ? 0 : row, 0); break;
+            case 'End': moveActiveCell(toEdge ? sortedRows.length - 1 : row, displayColumns.length - 1); break;
+            case 'Enter':
+            case 'F2':
+                if (!onEditCell) return;
+                startEditing(row, col);
+                break;
+            default: return;
+        }
+        e.preventDefault();
+    };
+
+    const handleJump = (e) => {
+        e.preventDefault();
+        const target = Number(jumpValue);
+        if (!Number.isInteger(target) || sortedRows.length === 0) return;
+        const row = Math.max(1, Math.min(sortedRows.length, target)) - 1;
+        setActiveCell({ row, col: activeCell?.col ?? 0 });
+        if (isScrollMode && containerRef.current) {
+            // Jumped-to row goes to the top rather than the nearest edge
+            containerRef.current.scrollTop = toScrollTop(row * rowHeight);
+        } else {
+            revealCell(row, 0);
+        }
+        gridRef.current?.focus();
+    };
+
+    const changeViewMode = (mode) => {
+        setViewMode(mode);
+        setActiveCell(null);
+        if (containerRef.current) {
+            containerRef.current.scrollTop = 0;
+            containerRef.current.scrollLeft = 0;
+        }
+        setScrollPosition({ top: 0, left: 0 });
+        setCurrentPage(1);
+    };
+
+    const startEditing = (row, colIndex) => {
+        if (!onEditCell) return;
+        const value = columnReader(data, displayColumns[colIndex])(sortedRows[row]);
+        setActiveCell({ row, col: colIndex });
+        setEditingCell({ row, col: colIndex, value: value == null ? '' : String(value) });
+    };
+
+    // Every way out of the editor (Enter, Tab, Escape, clicking elsewhere) goes through blur
+    const finishEditing = () => {
+        const after = afterEditRef.current;
+        afterEditRef.current = null;
+        if (!editingCell) return;
+        const { row, col, value } = editingCell;
+        setEditingCell(null);
+
+        if (after !== 'cancel' && onEditCell(sortedRows[row], displayColumns[col], value)) {
+            keepPositionRef.current = true;
+        }
+        if (after) {
+            gridRef.current?.focus();
+            if (after === 'down') moveActiveCell(row + 1, col);
+            if (after === 'right') moveActiveCell(row, col + 1);
         }
-        setSortConfig({ key, direction });
     };
 
-    // 3. Pagination
-    const totalPages = Math.ceil(sortedData.length / rowsPerPage);
-    const startIndex = (currentPage - 1) * rowsPerPage;
-    const currentData = sortedData.slice(startIndex, startIndex + rowsPerPage);
+    const handleEditorKeyDown = (e) => {
+        // Keep arrow keys and Enter inside the editor rather than the grid
+        e.stopPropagation();
+        const after = { Enter: 'down', Tab: 'right', Escape: 'cancel' }[e.key];
+        if (!after) return;
+        e.preventDefault();
+        afterEditRef.current = after;
+        e.currentTarget.blur();
+    };
+
+    const handleAddRow = () => {
+        const previousLength = data.length;
+        if (onAddRow()) {
+            keepPositionRef.current = true;
+            addedRowFromRef.current = previousLength;
+        }
+    };
+
+    const handleDeleteRow = () => {
+        if (!activeCell) return;
+        if (onDeleteRows([sortedRows[activeCell.row]])) {
+            keepPositionRef.current = true;
+        }
+        gridRef.current?.focus();
+    };
+
+    // Open the header filter menu under its button, or close it when it's already open
+    const openFilterMenu = (col, button) => {
+        setFilterMenu(filterMenu?.column === col ? null : { column: col, anchorRect: button.getBoundingClientRect() });
+    };
 
     // Toggle Column
     const toggleColumn = (col) => {
@@ -233,22 +575,192 @@ export function DataTable({ data, types, smartTypes = {} }) {
                 </div>
 
                 <div className="flex items-center gap-3 relative">
+                    {/* Row Editing */}
+                    {onEditCell && (
+                        <div className="flex items-center gap-1">
+                            {onAddRow && (
+                                <button
+                                    onClick={handleAddRow}
+                                    className="flex items-center gap-1.5 px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors shadow-sm"
+                                    title="Add an empty row at the end of the table"
+                                >
+                                    <Plus size={16} aria-hidden="true" />
+                                    Add row
+                                </button>
+                            )}
+                            {onDeleteRows && (
+                                <button
+                                    onClick={handleDeleteRow}
+                                    disabled={!activeCell}
+                                    className="flex items-center gap-1.5 px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/20 dark:hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-white dark:disabled:hover:bg-gray-800 transition-colors shadow-sm"
+                                    title={activeCell ? `Delete row ${activeCell.row + 1}` : 'Select a cell to delete its row'}
+                                >
+                                    <Trash2 size={16} aria-hidden="true" />
+                                    Delete row
+                                </button>
+                            )}
+                            <button
+                                onClick={() => setHighlightEdits(!highlightEdits)}
+                                aria-pressed={highlightEdits}
+                                className={`p-2 rounded-lg border transition-colors shadow-sm ${
+                                    highlightEdits
+                                        ? 'bg-amber-50 border-amber-300 text-amber-700 dark:bg-amber-900/30 dark:border-amber-700 dark:text-amber-300'
+                                        : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700'
+                                }`}
+                                aria-label="Highlight edited cells"
+                                title="Highlight edited cells"
+                            >
+                                <Highlighter size={16} aria-hidden="true" />
+                            </button>
+                        </div>
+                    )}
+
+                    {/* View Mode */}
+                    <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden shadow-sm" role="group" aria-label="Row display">
+                        {[
+                            { mode: 'pages', label: 'Pages', icon: Rows3, description: 'Show rows in pages' },
+                            { mode: 'scroll', label: 'Scroll', icon: ScrollText, description: 'Show rows as one scrolling list' }
+                        ].map(({ mode, label, icon: Icon, description }) => (
+                            <button
+                                key={mode}
+                                onClick={() => changeViewMode(mode)}
+                                aria-pressed={viewMode === mode}
+                                title={description}
+                                className={`flex items-center gap-1.5 px-3 py-2 text-sm font-medium transition-colors ${
+                                    viewMode === mode
+                                        ? 'bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300'
+                                        : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+                                }`}
+                            >
+                                <Icon size={16} aria-hidden="true" />
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
                     {/* Rows Per Page */}
-                    <select
-                        value={rowsPerPage}
-                        onChange={(e) => { setRowsPerPage(Number(e.target.value)); setCurrentPage(1); }}
-                        className="px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-200 outline-none focus:ring-2 focus:ring-blue-500"
+                    {!isScrollMode && (
+                        <select
+                            value={rowsPerPage}
+                            onChange={(e) => { setRowsPerPage(Number(e.target.value)); setCurrentPage(1); }}
+                            className="px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-200 outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            <option value={10}>10 rows</option>
+                            <option value={20}>20 rows</option>
+                            <option value={50}>50 rows</option>
+                            <option value={100}>100 rows</option>
+                            <option value={500}>500 rows</option>
+                        </select>
+                    )}
+
+                    {/* Facet Sidebar Toggle */}
+                    {onToggleFacets && (
+                        <button
+                            onClick={onToggleFacets}
+                            aria-pressed={isFacetsOpen}
+                            className={`flex items-center gap-2 px-3 py-2 border rounded-lg text-sm font-medium transition-colors shadow-sm ${
+                                isFacetsOpen
+                                    ? 'bg-blue-50 border-blue-300 text-blue-700 dark:bg-blue-900/30 dark:border-blue-700 dark:text-blue-300'
+                                    : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+                            }`}
+                            title="Filter by value from a sidebar"
+                        >
+                            <PanelLeft size={16} aria-hidden="true" />
+                            Facets
+                        </button>
+                    )}
+
+                    {/* Sort levels */}
+                    <button
+                        onClick={() => { setIsSortMenuOpen(!isSortMenuOpen); setIsColumnDropdownOpen(false); }}
+                        aria-expanded={isSortMenuOpen}
+                        className={`flex items-center gap-2 px-3 py-2 border rounded-lg text-sm font-medium transition-colors shadow-sm ${
+                            sortConfig.length > 0
+                                ? 'bg-blue-50 border-blue-300 text-blue-700 dark:bg-blue-900/30 dark:border-blue-700 dark:text-blue-300'
+                                : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+                        }`}
+                        title="Click a header to sort, Shift+click to add a sort level"
                     >
-                        <option value={10}>10 rows</option>
-                        <option value={20}>20 rows</option>
-                        <option value={50}>50 rows</option>
-                        <option value={100}>100 rows</option>
-                        <option value={500}>500 rows</option>
-                    </select>
+                        <ArrowUpDown size={16} aria-hidden="true" />
+                        Sort{sortConfig.length > 0 && ` (${sortConfig.length})`}
+                    </button>
+
+                    {/* Sort Levels Popover */}
+                    {isSortMenuOpen && (
+                        <div className="absolute right-0 top-full mt-2 w-80 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl z-30 p-2 ring-1 ring-black/5" role="dialog" aria-label="Sort levels">
+                            <div className="flex justify-between items-center px-2 mb-2">
+                                <span className="text-xs font-semibold text-gray-500 dark:text-gray-400">Sort Levels</span>
+                                {sortConfig.length > 0 && (
+                                    <button
+                                        onClick={() => setSortConfig([])}
+                                        className="text-[10px] text-blue-600 hover:underline"
+                                    >
+                                        Unsort
+                                    </button>
+                                )}
+                            </div>
+                            {sortConfig.length === 0 && (
+                                <div className="px-2 py-2 text-xs text-gray-400">Not sorted. Shift+click headers to sort by several columns.</div>
+                            )}
+                            <ol className="space-y-1">
+                                {sortConfig.map((level, index) => (
+                                    <li key={level.key} className="flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700">
+                                        <span className="w-4 text-xs font-semibold text-blue-600 dark:text-blue-400">{index + 1}</span>
+                                        <span className="flex-1 min-w-0 truncate text-sm text-gray-700 dark:text-gray-200" title={level.key}>{level.key}</span>
+                                        <button
+                                            onClick={() => toggleSortDirection(level.key)}
+                                            className="flex items-center gap-1 px-1.5 py-0.5 rounded text-xs text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-600 hover:text-blue-600"
+                                            aria-label={`Sort direction for ${level.key}`}
+                                            title="Toggle direction"
+                                        >
+                                            {level.direction === 'asc' ? <ArrowUp size={12} aria-hidden="true" /> : <ArrowDown size={12} aria-hidden="true" />}
+                                            {level.direction === 'asc' ? 'Asc' : 'Desc'}
+                                        </button>
+                                        <button
+                                            onClick={() => moveSortLevel(index, -1)}
+                                            disabled={index === 0}
+                                            className="p-0.5 text-gray-400 hover:text-blue-600 disabled:opacity-30"
+                                            aria-label={`Move ${level.key} up`}
+                                        >
+                                            <ChevronUp size={14} aria-hidden="true" />
+                                        </button>
+                                        <button
+                                            onClick={() => moveSortLevel(index, 1)}
+                                            disabled={index === sortConfig.length - 1}
+                                            className="p-0.5 text-gray-400 hover:text-blue-600 disabled:opacity-30"
+                                            aria-label={`Move ${level.key} down`}
+                                        >
+                                            <ChevronDown size={14} aria-hidden="true" />
+                                        </button>
+                                        <button
+                                            onClick={() => setSortConfig(sortConfig.filter(l => l.key !== level.key))}
+                                            className="p-0.5 text-gray-400 hover:text-red-500"
+                                            aria-label={`Remove sort by ${level.key}`}
+                                        >
+                                            <X size={14} aria-hidden="true" />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ol>
+                            {allColumns.length > sortConfig.length && (
+                                <select
+                                    value=""
+                                    onChange={(e) => e.target.value && setSortConfig([...sortConfig, { key: e.target.value, direction: 'asc' }])}
+                                    className="mt-2 w-full px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md text-xs bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 outline-none"
+                                    aria-label="Add sort level"
+                                >
+                                    <option value="">Then by…</option>
+                                    {allColumns.filter(col => !sortConfig.some(level => level.key === col)).map(col => (
+                                        <option key={col} value={col}>{col}</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                    )}
 
                     {/* Columns Toggle */}
                     <button
-                        onClick={() => setIsColumnDropdownOpen(!isColumnDropdownOpen)}
+                        onClick={() => { setIsColumnDropdownOpen(!isColumnDropdownOpen); setIsSortMenuOpen(false); }}
                         className="flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors shadow-sm"
                     >
                         <Eye size={16} />
@@ -357,73 +869,167 @@ export function DataTable({ data, types, smartTypes = {} }) {
             )}
 
             {/* Table Container - Fixed Height for Sticky Header */}
-            <div className="relative rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm bg-white dark:bg-gray-800 max-h-[70vh] overflow-auto scrollbar-thin scrollbar-thumb-gray-300 dark:scrollbar-thumb-gray-600">
-                <table className="w-full text-sm text-left text-gray-600 dark:text-gray-300 relative" role="grid">
-                    <thead className="text-xs text-gray-700 dark:text-gray-200 uppercase bg-gray-50 dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 sticky top-0 z-10 shadow-sm">
-                        <tr>
-                            {displayColumns.map((col, colIndex) => {
+            <div
+                ref={containerRef}
+                onScroll={handleScroll}
+                className={`relative rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm bg-white dark:bg-gray-800 overflow-auto scrollbar-thin scrollbar-thumb-gray-300 dark:scrollbar-thumb-gray-600 ${isScrollMode ? 'h-[70vh]' : 'max-h-[70vh]'}`}
+            >
+                <table
+                    ref={gridRef}
+                    className="w-full text-sm text-left text-gray-600 dark:text-gray-300 relative focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-inset"
+                    role="grid"
+                    tabIndex={0}
+                    onKeyDown={handleGridKeyDown}
+                    aria-label="Filtered rows"
+                    aria-rowcount={sortedRows.length + 1}
+                    aria-colcount={displayColumns.length}
+                    aria-activedescendant={activeCell ? cellId(activeCell.row, activeCell.col) : undefined}
+                    style={isScrollMode ? { tableLayout: 'fixed', width: displayColumns.length * COLUMN_WIDTH } : undefined}
+                >
+                    <thead ref={theadRef} className="text-xs text-gray-700 dark:text-gray-200 uppercase bg-gray-50 dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 sticky top-0 z-10 shadow-sm">
+                        <tr aria-rowindex={1}>
+                            {renderedColumns.map(({ col, colIndex }, position) => {
                                 const isFrozen = frozenColumns.includes(col);
+                                const sortIndex = sortConfig.findIndex(level => level.key === col);
+                                const sortLevel = sortConfig[sortIndex];
                                 return (
-                                    <th
-                                        key={col}
-                                        className={`px-6 py-3 font-semibold whitespace-nowrap cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors group select-none bg-gray-50 dark:bg-gray-900 ${
-                                            isFrozen ? 'sticky left-0 z-20 border-r-2 border-orange-300 dark:border-orange-600' : ''
-                                        }`}
-                                        style={isFrozen ? { left: colIndex * 150 + 'px' } : undefined}
-                                        onClick={() => requestSort(col)}
-                                        draggable
-                                        onDragStart={(e) => handleDragStart(e, col)}
-                                        onDragOver={handleDragOver}
-                                        onDrop={(e) => handleDrop(e, col)}
-                                        aria-sort={sortConfig.key === col ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
-                                    >
-                                        <div className="flex items-center gap-2">
-                                            {isFrozen && <Pin size={10} className="text-orange-500" aria-hidden="true" />}
-                                            <span className="truncate max-w-[150px]" title={col}>{col}</span>
-                                            {smartTypes[col]?.smartType ? (
-                                                <SmartColumnBadge
-                                                    smartType={smartTypes[col].smartType}
-                                                    validPercent={smartTypes[col].validPercent}
-                                                    showValidation={true}
-                                                />
-                                            ) : types[col] ? (
-                                                <TypeBadge type={types[col]} />
-                                            ) : null}
-                                            <span className="text-gray-400" aria-hidden="true">
-                                                {sortConfig.key === col ? (
-                                                    sortConfig.direction === 'asc' ? <ArrowUp size={14} className="text-blue-600" /> : <ArrowDown size={14} className="text-blue-600" />
-                                                ) : (
-                                                    <ArrowUpDown size={14} className="opacity-0 group-hover:opacity-100 transition-opacity" />
+                                    <React.Fragment key={col}>
+                                        {position === frozenCount && padding.left > 0 && <th aria-hidden="true" style={{ width: padding.left }} />}
+                                        <th
+                                            className={`px-6 py-3 font-semibold whitespace-nowrap cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors group select-none bg-gray-50 dark:bg-gray-900 ${
+                                                isFrozen ? 'sticky left-0 z-20 border-r-2 border-orange-300 dark:border-orange-600' : ''
+                                            }`}
+                                            style={{
+                                                ...(isFrozen ? { left: colIndex * COLUMN_WIDTH + 'px' } : {}),
+                                                ...(isScrollMode ? { width: COLUMN_WIDTH } : {})
+                                            }}
+                                            onClick={(e) => requestSort(col, e.shiftKey)}
+                                            title="Click to sort, Shift+click to add a sort level"
+                                            draggable
+                                            onDragStart={(e) => handleDragStart(e, col)}
+                                            onDragOver={handleDragOver}
+                                            onDrop={(e) => handleDrop(e, col)}
+                                            aria-colindex={colIndex + 1}
+                                            aria-sort={sortLevel ? (sortLevel.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                                        >
+                                            <div className="flex items-center gap-2">
+                                                {isFrozen && <Pin size={10} className="text-orange-500" aria-hidden="true" />}
+                                                <span className="truncate max-w-[150px]" title={col}>{col}</span>
+                                                {smartTypes[col]?.smartType ? (
+                                                    <SmartColumnBadge
+                                                        smartType={smartTypes[col].smartType}
+                                                        validPercent={smartTypes[col].validPercent}
+                                                        showValidation={true}
+                                                    />
+                                                ) : types[col] ? (
+                                                    <TypeBadge type={types[col]} />
+                                                ) : null}
+                                                <span className="flex items-center text-gray-400" aria-hidden="true">
+                                                    {sortLevel ? (
+                                                        <>
+                                                            {sortLevel.direction === 'asc' ? <ArrowUp size={14} className="text-blue-600" /> : <ArrowDown size={14} className="text-blue-600" />}
+                                                            {sortConfig.length > 1 && (
+                                                                <sup className="text-[10px] font-bold text-blue-600" data-sort-priority={sortIndex + 1}>{sortIndex + 1}</sup>
+                                                            )}
+                                                        </>
+                                                    ) : (
+                                                        <ArrowUpDown size={14} className="opacity-0 group-hover:opacity-100 transition-opacity" />
+                                                    )}
+                                                </span>
+                                                {hasColumnFilters && (
+                                                    <button
+                                                        type="button"
+                                                        onClick={(e) => { e.stopPropagation(); openFilterMenu(col, e.currentTarget); }}
+                                                        onKeyDown={(e) => e.stopPropagation()}
+                                                        draggable={false}
+                                                        className={`p-0.5 rounded transition-colors ${
+                                                            hasColumnFilter(filterTree, col)
+                                                                ? 'text-blue-600 bg-blue-100 dark:bg-blue-900/40 dark:text-blue-300'
+                                                                : 'text-gray-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-blue-600'
+                                                        }`}
+                                                        aria-label={`Filter ${col}`}
+                                                        aria-haspopup="dialog"
+                                                        aria-expanded={filterMenu?.column === col}
+                                                        aria-pressed={hasColumnFilter(filterTree, col)}
+                                                        title={hasColumnFilter(filterTree, col) ? 'Filtered - click to change' : 'Filter by value'}
+                                                    >
+                                                        <ListFilter size={12} aria-hidden="true" />
+                                                    </button>
                                                 )}
-                                            </span>
-                                        </div>
-                                    </th>
+                                            </div>
+                                        </th>
+                                    </React.Fragment>
                                 );
                             })}
+                            {padding.right > 0 && <th aria-hidden="true" style={{ width: padding.right }} />}
                         </tr>
                     </thead>
-                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                    <tbody className={isScrollMode ? '' : 'divide-y divide-gray-200 dark:divide-gray-700'}>
+                        {padding.top > 0 && (
+                            <tr aria-hidden="true" style={{ height: padding.top }}>
+                                <td colSpan={renderedColumns.length + 2} className="p-0" />
+                            </tr>
+                        )}
                         {currentData.length > 0 ? (
-                            currentData.map((row, i) => (
-                                <tr key={i} className="bg-white dark:bg-gray-800 hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors">
-                                    {displayColumns.map((col, colIndex) => {
-                                        const isFrozen = frozenColumns.includes(col);
-                                        return (
-                                            <td 
-                                                key={`${i}-${col}`} 
-                                                className={`px-6 py-3 whitespace-nowrap ${
-                                                    isFrozen ? 'sticky left-0 bg-white dark:bg-gray-800 border-r-2 border-orange-300 dark:border-orange-600 z-10' : ''
-                                                }`}
-                                                style={isFrozen ? { left: colIndex * 150 + 'px' } : undefined}
-                                            >
-                                                {row[col] != null && typeof row[col] === 'string' && row[col].length > 50
-                                                    ? <span title={row[col]}>{row[col].substring(0, 50)}...</span>
-                                                    : (row[col] ?? <span className="text-gray-300 dark:text-gray-600 italic">null</span>)}
-                                            </td>
-                                        );
-                                    })}
-                                </tr>
-                            ))
+                            currentData.map((row, i) => {
+                                const rowPosition = startIndex + i;
+                                const rowIndex = sortedRows[rowPosition];
+                                return (
+                                    <tr
+                                        key={rowPosition}
+                                        aria-rowindex={rowPosition + 2}
+                                        className={`bg-white dark:bg-gray-800 hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors ${
+                                            // Borders would make row heights drift from the computed offsets
+                                            isScrollMode ? 'shadow-[inset_0_-1px_0_rgb(229_231_235)] dark:shadow-[inset_0_-1px_0_rgb(55_65_81)]' : ''
+                                        }`}
+                                        style={isScrollMode ? { height: ROW_HEIGHT } : undefined}
+                                    >
+                                        {renderedColumns.map(({ col, colIndex }, position) => {
+                                            const isFrozen = frozenColumns.includes(col);
+                                            const isActive = activeCell?.row === rowPosition && activeCell?.col === colIndex;
+                                            const isEditing = editingCell?.row === rowPosition && editingCell?.col === colIndex;
+                                            const isEdited = highlightEdits && Boolean(isCellEdited?.(rowIndex, col));
+                                            return (
+                                                <React.Fragment key={col}>
+                                                    {position === frozenCount && padding.left > 0 && <td aria-hidden="true" className="p-0" />}
+                                                    <td
+                                                        id={cellId(rowPosition, colIndex)}
+                                                        aria-colindex={colIndex + 1}
+                                                        aria-selected={isActive || undefined}
+                                                        onClick={() => setActiveCell({ row: rowPosition, col: colIndex })}
+                                                        onDoubleClick={() => startEditing(rowPosition, colIndex)}
+                                                        data-edited={isEdited || undefined}
+                                                        className={`px-6 whitespace-nowrap ${isScrollMode ? 'py-0 overflow-hidden text-ellipsis' : 'py-3'} ${
+                                                            isFrozen ? 'sticky left-0 border-r-2 border-orange-300 dark:border-orange-600 z-10' : ''
+                                                        } ${
+                                                            isEdited ? 'bg-amber-50 dark:bg-amber-950' : isFrozen ? 'bg-white dark:bg-gray-800' : ''
+                                                        } ${isActive ? 'outline outline-2 -outline-offset-2 outline-blue-500' : ''}`}
+                                                        style={isFrozen ? { left: colIndex * COLUMN_WIDTH + 'px' } : undefined}
+                                                    >
+                                                        {isEditing ? (
+                                                            <input
+                                                                autoFocus
+                                                                value={editingCell.value}
+                                                                onChange={(e) => setEditingCell(prev => ({ ...prev, value: e.target.value }))}
+                                                                onKeyDown={handleEditorKeyDown}
+                                                                onBlur={finishEditing}
+                                                                onFocus={(e) => e.target.select()}
+                                                                aria-label={`Edit ${col}, row ${rowPosition + 1}`}
+                                                                className="w-full min-w-[6rem] px-1.5 py-0.5 -mx-1.5 border border-blue-400 rounded bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-500"
+                                                            />
+                                                        ) : types && typeFamily(types[col]) === 'boolean' && parseBoolean(row[col]) !== null
+                                                            ? <BooleanCell value={row[col]} />
+                                                            : row[col] != null && typeof row[col] === 'string' && row[col].length > 50
+                                                                ? <span title={row[col]}>{row[col].substring(0, 50)}...</span>
+                                                                : (row[col] ?? <span className="text-gray-300 dark:text-gray-600 italic">null</span>)}
+                                                    </td>
+                                                </React.Fragment>
+                                            );
+                                        })}
+                                        {padding.right > 0 && <td aria-hidden="true" className="p-0" />}
+                                    </tr>
+                                );
+                            })
                         ) : (
                             <tr>
                                 <td colSpan={displayColumns.length} className="px-6 py-10 text-center text-gray-500">
@@ -431,63 +1037,108 @@ export function DataTable({ data, types, smartTypes = {} }) {
                                 </td>
                             </tr>
                         )}
+                        {padding.bottom > 0 && (
+                            <tr aria-hidden="true" style={{ height: padding.bottom }}>
+                                <td colSpan={renderedColumns.length + 2} className="p-0" />
+                            </tr>
+                        )}
                     </tbody>
                     {/* Footer Sums */}
-                    <tfoot className="bg-gray-100 dark:bg-gray-900 border-t-2 border-gray-200 dark:border-gray-700 font-semibold text-gray-900 dark:text-gray-100 sticky bottom-0 z-10 shadow-md">
+                    <tfoot ref={tfootRef} className="bg-gray-100 dark:bg-gray-900 border-t-2 border-gray-200 dark:border-gray-700 font-semibold text-gray-900 dark:text-gray-100 sticky bottom-0 z-10 shadow-md">
                         <tr>
-                            {displayColumns.map((col, colIndex) => {
+                            {renderedColumns.map(({ col, colIndex }, position) => {
                                 const isFrozen = frozenColumns.includes(col);
                                 return (
-                                    <td 
-                                        key={`sum-${col}`} 
-                                        className={`px-6 py-3 whitespace-nowrap text-sm ${
-                                            isFrozen ? 'sticky left-0 bg-gray-100 dark:bg-gray-900 border-r-2 border-orange-300 dark:border-orange-600 z-10' : ''
-                                        }`}
-                                        style={isFrozen ? { left: colIndex * 150 + 'px' } : undefined}
-                                    >
-                                        {types && types[col] === 'number' ? (
-                                            <div className="flex flex-col">
-                                                <span className="text-[10px] uppercase text-gray-500 font-normal">Sum</span>
-                                                <span>{columnSums[col]?.toLocaleString() ?? '-'}</span>
-                                            </div>
-                                        ) : (
-                                            <span className="text-gray-400 font-normal text-xs">-</span>
-                                        )}
-                                    </td>
+                                    <React.Fragment key={`sum-${col}`}>
+                                        {position === frozenCount && padding.left > 0 && <td aria-hidden="true" className="p-0" />}
+                                        <td
+                                            className={`px-6 py-3 whitespace-nowrap text-sm ${
+                                                isFrozen ? 'sticky left-0 bg-gray-100 dark:bg-gray-900 border-r-2 border-orange-300 dark:border-orange-600 z-10' : ''
+                                            }`}
+                                            style={isFrozen ? { left: colIndex * COLUMN_WIDTH + 'px' } : undefined}
+                                        >
+                                            {types && typeFamily(types[col]) === 'number' ? (
+                                                <div className="flex flex-col">
+                                                    <span className="text-[10px] uppercase text-gray-500 font-normal">Sum</span>
+                                                    <span>{columnSums[col]?.toLocaleString() ?? '-'}</span>
+                                                </div>
+                                            ) : (
+                                                <span className="text-gray-400 font-normal text-xs">-</span>
+                                            )}
+                                        </td>
+                                    </React.Fragment>
                                 );
                             })}
+                            {padding.right > 0 && <td aria-hidden="true" className="p-0" />}
                         </tr>
                     </tfoot>
                 </table>
             </div>
 
+            {filterMenu && (
+                <ColumnFilterPopover
+                    key={filterMenu.column}
+                    anchorRect={filterMenu.anchorRect}
+                    onClose={closeFilterMenu}
+                    source={filterSource || data}
+                    column={filterMenu.column}
+                    type={types[filterMenu.column]}
+                    dateFormat={dateFormats[filterMenu.column]}
+                    tree={filterTree}
+                    onFilterChange={onFilterChange}
+                />
+            )}
+
             {/* Pagination Controls */}
             <nav className="flex flex-col sm:flex-row items-center justify-between bg-white dark:bg-gray-800 p-4 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm gap-4" aria-label="Pagination">
-                <div className="text-sm text-gray-600 dark:text-gray-400" aria-live="polite">
-                    Showing <span className="font-semibold text-gray-900 dark:text-gray-100">{startIndex + 1}</span> to <span className="font-semibold text-gray-900 dark:text-gray-100">{Math.min(startIndex + rowsPerPage, sortedData.length)}</span> of <span className="font-semibold text-gray-900 dark:text-gray-100">{sortedData.length}</span> results
+                <div className="text-sm text-gray-600 dark:text-gray-400" aria-live={isScrollMode ? undefined : 'polite'}>
+                    Showing <span className="font-semibold text-gray-900 dark:text-gray-100">{sortedRows.length > 0 ? startIndex + 1 : 0}</span> to <span className="font-semibold text-gray-900 dark:text-gray-100">{endIndex}</span> of <span className="font-semibold text-gray-900 dark:text-gray-100">{sortedRows.length}</span> results
                 </div>
 
-                <div className="flex items-center gap-2">
+                <form onSubmit={handleJump} className="flex items-center gap-2">
+                    <label htmlFor={`${gridId}-jump`} className="text-sm text-gray-600 dark:text-gray-400 whitespace-nowrap">Jump to row</label>
+                    <input
+                        id={`${gridId}-jump`}
+                        type="number"
+                        min={1}
+                        max={sortedRows.length || 1}
+                        value={jumpValue}
+                        onChange={(e) => setJumpValue(e.target.value)}
+                        placeholder="#"
+                        className="w-24 px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 outline-none"
+                    />
                     <button
-                        onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
-                        disabled={currentPage === 1}
-                        className="p-2 border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-gray-600 dark:text-gray-300"
-                        aria-label="Go to previous page"
+                        type="submit"
+                        className="p-2 border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors text-gray-600 dark:text-gray-300"
+                        aria-label="Go to row"
                     >
-                        <ChevronLeft size={18} aria-hidden="true" />
+                        <CornerDownLeft size={16} aria-hidden="true" />
                     </button>
-                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300 min-w-[80px] text-center" aria-current="page">
-                        Page {currentPage} / {totalPages || 1}
-                    </span>
-                    <button
-                        onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
-                        disabled={currentPage === totalPages || totalPages === 0}
-                        className="p-2 border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-gray-600 dark:text-gray-300"
-                        aria-label="Go to next page"
-                    >
-                        <ChevronRight size={18} aria-hidden="true" />
-                    </button>
-                </div>
+                </form>
+
+                {!isScrollMode && (
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                            disabled={currentPage === 1}
+                            className="p-2 border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-gray-600 dark:text-gray-300"
+                            aria-label="Go to previous page"
+                        >
+                            <ChevronLeft size={18} aria-hidden="true" />
+                        </button>
+                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300 min-w-[80px] text-center" aria-current="page">
+                            Page {currentPage} / {totalPages || 1}
+                        </span>
+                        <button
+                            onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                            disabled={currentPage === totalPages || totalPages === 0}
+                            className="p-2 border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-gray-600 dark:text-gray-300"
+                            aria-label="Go to next page"
+                        >
+                            <ChevronRight size={18} aria-hidden="true" />
+                        </button>
+                    </div>
+                )}
             </nav>
         </div >
     );
@@ -0,0 +1,170 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { Download, X, FileText, FileSpreadsheet, Braces, Table as TableIcon, Code } from 'lucide-react';
+import { EXPORT_FORMATS } from '../lib/exporters';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+
+const FORMAT_ICONS = {
+    csv: FileText,
+    tsv: FileText,
+    xlsx: FileSpreadsheet,
+    json: Braces,
+    ndjson: Braces,
+    markdown: TableIcon,
+    html: Code
+};
+
+/**
+ * Export Dialog - pick a file format and name for the current result set.
+ * Pass `matchTableView` to offer a choice between the table as shown and the raw filtered rows.
+ */
+export function ExportDialog({
+    isOpen,
+    onClose,
+    onExport,
+    rowCount,
+    columnCount,
+    defaultBaseName = 'filtered_data',
+    matchTableView,
+    onMatchTableViewChange
+}) {
+    const [format, setFormat] = useState('csv');
+    const [baseName, setBaseName] = useState(defaultBaseName);
+
+    useEffect(() => {
+        if (isOpen) {
+            setBaseName(defaultBaseName);
+        }
+    }, [isOpen, defaultBaseName]);
+
+    // Focus trap for modal accessibility
+    const handleEscape = useCallback(() => onClose(), [onClose]);
+    const modalRef = useFocusTrap(isOpen, { onEscape: handleEscape });
+
+    if (!isOpen) return null;
+
+    const handleExport = () => {
+        onExport({ format, baseName: baseName.trim() || defaultBaseName });
+        onClose();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="export-dialog-title"
+        >
+            <div
+                ref={modalRef}
+                className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-xl w-full max-h-[85vh] overflow-hidden animate-in zoom-in-95 duration-300"
+            >
+                {/* Header */}
+                <div className="bg-gradient-to-r from-green-600 to-emerald-500 px-6 py-5 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                        <div className="bg-white/20 p-2 rounded-lg" aria-hidden="true">
+                            <Download className="text-white" size={24} />
+                        </div>
+                        <div>
+                            <h2 id="export-dialog-title" className="text-xl font-bold text-white">Export Data</h2>
+                            <p className="text-green-50 text-sm">
+                                {rowCount.toLocaleString()} rows × {columnCount} columns
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-white/80 hover:text-white hover:bg-white/20 rounded-lg transition-colors"
+                        aria-label="Close export dialog"
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-6 overflow-y-auto max-h-[calc(85vh-160px)]">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
+                            Format
+                        </label>
+                        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3" role="radiogroup" aria-label="Export format">
+                            {Object.entries(EXPORT_FORMATS).map(([id, config]) => {
+                                const Icon = FORMAT_ICONS[id] || FileText;
+                                const isSelected = format === id;
+                                return (
+                                    <button
+                                        key={id}
+                                        type="button"
+                                        role="radio"
+                                        aria-checked={isSelected}
+                                        onClick={() => setFormat(id)}
+                                        title={config.description}
+                                        className={`flex flex-col items-center gap-1 p-3 rounded-lg border-2 transition-all ${isSelected
+                                            ? 'border-green-500 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                                            : 'border-gray-200 dark:border-gray-700 hover:border-green-300 dark:hover:border-green-700 text-gray-600 dark:text-gray-400'
+                                            }`}
+                                    >
+                                        <Icon size={20} />
+                                        <span className="text-xs font-medium">{config.label}</span>
+                                        <span className="text-[10px] text-gray-400 dark:text-gray-500">.{config.extension}</span>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{EXPORT_FORMATS[format].description}</p>
+                    </div>
+
+                    {matchTableView !== undefined && (
+                        <label className="flex items-start gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={matchTableView}
+                                onChange={(e) => onMatchTableViewChange(e.target.checked)}
+                                className="mt-0.5 w-4 h-4 text-green-600 rounded focus:ring-green-500"
+                            />
+                            <span>
+                                <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">Export as shown in table</span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                    Visible columns in their current order, sorted and quick-searched. Uncheck to export every filtered row and column.
+                                </span>
+                            </span>
+                        </label>
+                    )}
+
+                    <div>
+                        <label htmlFor="export-file-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            File name
+                        </label>
+                        <div className="flex items-center gap-2">
+                            <input
+                                id="export-file-name"
+                                type="text"
+                                value={baseName}
+                                onChange={(e) => setBaseName(e.target.value)}
+                                className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-green-500 outline-none"
+                            />
+                            <span className="text-sm text-gray-500 dark:text-gray-400 font-mono">.{EXPORT_FORMATS[format].extension}</span>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="px-6 py-4 bg-gray-50 dark:bg-gray-900/50 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 font-medium transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleExport}
+                        disabled={rowCount === 0}
+                        className="flex items-center gap-2 px-5 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium rounded-lg shadow-sm transition-colors"
+                    >
+                        <Download size={18} />
+                        Export {EXPORT_FORMATS[format].label}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
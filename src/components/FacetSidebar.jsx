@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { ChevronRight, ListFilter, X } from 'lucide-react';
+import { ColumnFilterPanel } from './ColumnFilterPanel';
+import { getColumnFilter, hasColumnFilter } from '../lib/columnFilters';
+
+/**
+ * Facet Sidebar - every column's value filter in one collapsible list next to the table.
+ * Uses the same panel as the header menus, so both edit the same conditions in the filter tree.
+ */
+export function FacetSidebar({ source, columns, types, dateFormats = {}, tree, onFilterChange, onClose }) {
+    const [expanded, setExpanded] = useState([]);
+
+    const toggle = (col) => {
+        setExpanded(prev => (prev.includes(col) ? prev.filter(c => c !== col) : [...prev, col]));
+    };
+
+    return (
+        <aside className="w-full lg:w-72 flex-shrink-0 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm lg:max-h-[80vh] overflow-y-auto" aria-label="Facets">
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700 sticky top-0 bg-white dark:bg-gray-800 z-10">
+                <span className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-200">
+                    <ListFilter size={14} aria-hidden="true" /> Facets
+                </span>
+                <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200" aria-label="Close facets">
+                    <X size={14} />
+                </button>
+            </div>
+            <ul>
+                {columns.map(col => {
+                    const isExpanded = expanded.includes(col);
+                    const isFiltered = hasColumnFilter(tree, col);
+                    return (
+                        <li key={col} className="border-b border-gray-100 dark:border-gray-700 last:border-b-0">
+                            <button
+                                onClick={() => toggle(col)}
+                                aria-expanded={isExpanded}
+                                className="w-full flex items-center gap-2 px-3 py-2 text-left text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                            >
+                                <ChevronRight size={14} className={`flex-shrink-0 text-gray-400 transition-transform ${isExpanded ? 'rotate-90' : ''}`} aria-hidden="true" />
+                                <span className="flex-1 min-w-0 truncate" title={col}>{col}</span>
+                                {isFiltered && <span className="w-2 h-2 rounded-full bg-blue-500" title="Filtered" />}
+                            </button>
+                            {isExpanded && (
+                                <div className="px-3 pb-3">
+                                    <ColumnFilterPanel
+                                        // Start over from the tree whenever the column's conditions change elsewhere
+                                        key={JSON.stringify(getColumnFilter(tree, col))}
+                                        source={source}
+                                        column={col}
+                                        type={types[col]}
+                                        dateFormat={dateFormats[col]}
+                                        tree={tree}
+                                        onFilterChange={onFilterChange}
+                                    />
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </aside>
+    );
+}
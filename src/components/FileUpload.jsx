@@ -1,8 +1,20 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import Papa from 'papaparse';
-import { Upload, Loader2 } from 'lucide-react';
+import { Upload, Loader2, FileSpreadsheet, FileText } from 'lucide-react';
 import { clsx } from 'clsx';
-import { cn, normalizeColumnName } from '../lib/utils';
+import { isExcelFile, readWorkbook, getSheetSummaries, sheetToRows } from '../lib/excel';
+import { isJsonFile, parseJsonRows } from '../lib/json';
+import {
+    DELIMITER_OPTIONS,
+    QUOTE_OPTIONS,
+    ENCODING_OPTIONS,
+    DEFAULT_CSV_OPTIONS,
+    PREVIEW_ROW_COUNT,
+    toPapaConfig,
+    createRowBuilder,
+    looksLikeLegacyEncoding,
+    previewCsv
+} from '../lib/csv';
 
 const LARGE_FILE_THRESHOLD = 5 * 1024 * 1024;
 const MAX_FILE_SIZE = 100 * 1024 * 1024;
@@ -15,6 +27,38 @@ export function FileUpload({ onDataLoaded, compact = false }) {
     const [statusMessage, setStatusMessage] = useState('');
     const abortRef = useRef(false);
 
+    // Excel sheet picker state
+    const [pendingWorkbook, setPendingWorkbook] = useState(null);
+    const [selectedSheets, setSelectedSheets] = useState([]);
+    const [headerRow, setHeaderRow] = useState(1);
+
+    // CSV import wizard state; the preview shows unless the user turned it off
+    const [reviewImport, setReviewImport] = useState(() => localStorage.getItem('csvImportPreview') !== 'false');
+    const [pendingCsv, setPendingCsv] = useState(null);
+    const [csvOptions, setCsvOptions] = useState(DEFAULT_CSV_OPTIONS);
+    const [csvPreview, setCsvPreview] = useState(null);
+
+    useEffect(() => {
+        localStorage.setItem('csvImportPreview', String(reviewImport));
+    }, [reviewImport]);
+
+    // The workbook's parser worker lives until its sheets are loaded or the picker closes
+    useEffect(() => () => pendingWorkbook?.workbook.close(), [pendingWorkbook]);
+
+    // Re-parse the preview whenever an option changes
+    useEffect(() => {
+        if (!pendingCsv) return;
+        let cancelled = false;
+        previewCsv(pendingCsv.file, csvOptions)
+            .then(preview => {
+                if (!cancelled) setCsvPreview({ ...preview, error: null });
+            })
+            .catch(err => {
+                if (!cancelled) setCsvPreview({ headers: [], rows: [], mismatch: null, error: err.message });
+            });
+        return () => { cancelled = true; };
+    }, [pendingCsv, csvOptions]);
+
     const handleDragOver = (e) => {
         e.preventDefault();
         setIsDragOver(true);
@@ -44,8 +88,10 @@ export function FileUpload({ onDataLoaded, compact = false }) {
     };
 
     const processFile = (file) => {
-        if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-            setError('Please upload a valid CSV file.');
+        const isExcel = isExcelFile(file);
+        const isJson = !isExcel && isJsonFile(file);
+        if (!isExcel && !isJson && file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
+            setError('Please upload a valid CSV, Excel or JSON file.');
             return;
         }
 
@@ -59,39 +105,79 @@ export function FileUpload({ onDataLoaded, compact = false }) {
         setError(null);
         abortRef.current = false;
 
-        const isLargeFile = file.size > LARGE_FILE_THRESHOLD;
+        if (isExcel) {
+            parseExcelFile(file);
+            return;
+        }
+
+        if (isJson) {
+            parseJsonFile(file);
+            return;
+        }
+
         const tableName = file.name.replace(/\.csv$/i, '').replace(/[^a-zA-Z0-9_]/g, '_');
 
-        if (isLargeFile) {
-            parseWithStreaming(file, tableName);
+        // Legacy exports are often Windows-1252; let the user confirm the encoding first
+        looksLikeLegacyEncoding(file)
+            .then(isLegacy => {
+                if (isLegacy) {
+                    openCsvWizard(file, tableName, { ...DEFAULT_CSV_OPTIONS, encoding: 'windows-1252' });
+                    setError('This file is not valid UTF-8. Check the encoding before loading.');
+                } else if (reviewImport) {
+                    openCsvWizard(file, tableName, DEFAULT_CSV_OPTIONS);
+                } else {
+                    parseCsvFile(file, tableName, DEFAULT_CSV_OPTIONS);
+                }
+            })
+            .catch(err => {
+                setError(`Error reading file: ${err.message}`);
+                setIsLoading(false);
+                setStatusMessage('');
+            });
+    };
+
+    const openCsvWizard = (file, tableName, options) => {
+        setIsLoading(false);
+        setStatusMessage('');
+        setCsvOptions(options);
+        setCsvPreview(null);
+        setPendingCsv({ file, tableName });
+    };
+
+    const parseCsvFile = (file, tableName, options) => {
+        if (file.size > LARGE_FILE_THRESHOLD) {
+            parseWithStreaming(file, tableName, options);
         } else {
-            parseSmallFile(file, tableName);
+            parseSmallFile(file, tableName, options);
         }
     };
 
-    const parseSmallFile = (file, tableName) => {
+    const reportMismatch = (mismatch) => {
+        if (!mismatch) return;
+        console.error("Parse errors:", mismatch);
+        setError(`CSV parsing issues detected: Row ${mismatch.row} has ${mismatch.actual} fields, expected ${mismatch.expected}`);
+    };
+
+    const parseSmallFile = (file, tableName, options) => {
         setStatusMessage('Parsing CSV...');
         setTimeout(() => {
             Papa.parse(file, {
-                header: true,
-                skipEmptyLines: 'greedy',
-                transformHeader: normalizeColumnName,
-                delimitersToGuess: [',', '\t', '|', ';'],
+                ...toPapaConfig(options),
                 complete: (results) => {
                     setIsLoading(false);
                     setProgress(100);
                     setStatusMessage('');
-                    if (results.errors.length > 0) {
-                        const criticalErrors = results.errors.filter(
-                            e => e.type === 'Quotes' || e.type === 'FieldMismatch'
-                        );
-                        if (criticalErrors.length > 0) {
-                            console.error("Parse errors:", criticalErrors);
-                            setError(`CSV parsing issues detected: ${criticalErrors[0].message}`);
-                        }
+                    const builder = createRowBuilder({ headerRow: options.headerRow });
+                    const rows = builder.addRows(results.data);
+                    const quoteErrors = results.errors.filter(e => e.type === 'Quotes');
+                    if (quoteErrors.length > 0) {
+                        console.error("Parse errors:", quoteErrors);
+                        setError(`CSV parsing issues detected: ${quoteErrors[0].message}`);
+                    } else {
+                        reportMismatch(builder.getMismatch());
                     }
-                    if (results.data && results.data.length > 0) {
-                        onDataLoaded(results.data, tableName);
+                    if (rows.length > 0) {
+                        onDataLoaded(rows, tableName);
                     } else {
                         setError("The CSV file appears to be empty or has no valid data rows.");
                     }
@@ -105,9 +191,133 @@ export function FileUpload({ onDataLoaded, compact = false }) {
         }, 100);
     };
 
-    const parseWithStreaming = (file, tableName) => {
+    const parseExcelFile = async (file) => {
+        setStatusMessage('Reading workbook...');
+        try {
+            const workbook = await readWorkbook(file);
+            const sheets = getSheetSummaries(workbook).filter(sheet => sheet.rowCount > 0);
+            setIsLoading(false);
+            setStatusMessage('');
+
+            if (sheets.length === 0) {
+                workbook.close();
+                setError('The workbook has no sheets with data.');
+                return;
+            }
+
+            setPendingWorkbook({
+                workbook,
+                sheets,
+                baseName: file.name.replace(/\.xlsx?$/i, '').replace(/[^a-zA-Z0-9_]/g, '_')
+            });
+            setSelectedSheets([sheets[0].name]);
+            setHeaderRow(sheets[0].firstRow);
+        } catch (err) {
+            setIsLoading(false);
+            setStatusMessage('');
+            setError(`Error reading workbook: ${err.message}`);
+        }
+    };
+
+    const parseJsonFile = async (file) => {
+        setStatusMessage('Parsing JSON...');
+        const tableName = file.name.replace(/\.(json|ndjson|jsonl)$/i, '').replace(/[^a-zA-Z0-9_]/g, '_');
+        try {
+            const text = await file.text();
+            const rows = parseJsonRows(text, { lines: /\.(ndjson|jsonl)$/i.test(file.name) });
+            setIsLoading(false);
+            setProgress(100);
+            setStatusMessage('');
+            if (rows.length > 0) {
+                onDataLoaded(rows, tableName);
+            } else {
+                setError('The JSON file appears to be empty or has no records.');
+            }
+        } catch (err) {
+            setIsLoading(false);
+            setStatusMessage('');
+            setError(`Error parsing JSON: ${err.message}`);
+        }
+    };
+
+    const toggleSheet = (sheetName) => {
+        setSelectedSheets(prev =>
+            prev.includes(sheetName)
+                ? prev.filter(name => name !== sheetName)
+                : [...prev, sheetName]
+        );
+    };
+
+    const handleLoadSheets = async () => {
+        if (!pendingWorkbook || selectedSheets.length === 0) return;
+
+        const { workbook, sheets, baseName } = pendingWorkbook;
+        const emptySheets = [];
+        let loadedCount = 0;
+
+        // Only the ticked sheets are read, in workbook order regardless of the order they were ticked
+        let chosen;
+        setIsLoading(true);
+        try {
+            chosen = await workbook.readSheets(sheets.filter(sheet => selectedSheets.includes(sheet.name)).map(sheet => sheet.name));
+        } catch (err) {
+            setError(`Error reading workbook: ${err.message}`);
+            return;
+        } finally {
+            setIsLoading(false);
+        }
+
+        chosen.forEach(sheet => {
+            const rows = sheetToRows(sheet, { headerRow });
+            if (rows.length === 0) {
+                emptySheets.push(sheet.name);
+                return;
+            }
+            const tableName = sheets.length > 1
+                ? `${baseName}_${sheet.name.replace(/[^a-zA-Z0-9_]/g, '_')}`
+                : baseName;
+            onDataLoaded(rows, tableName);
+            loadedCount++;
+        });
+
+        if (emptySheets.length > 0) {
+            setError(`No data rows below header row ${headerRow} in: ${emptySheets.join(', ')}`);
+        }
+        if (loadedCount > 0) {
+            setPendingWorkbook(null);
+        }
+    };
+
+    const handleCancelSheets = () => {
+        setPendingWorkbook(null);
+        setSelectedSheets([]);
+        setError(null);
+    };
+
+    const handleCsvOptionChange = (key, value) => {
+        setCsvOptions(prev => ({ ...prev, [key]: value }));
+    };
+
+    const handleLoadCsv = () => {
+        if (!pendingCsv) return;
+        const { file, tableName } = pendingCsv;
+        setPendingCsv(null);
+        setCsvPreview(null);
+        setError(null);
+        setIsLoading(true);
+        setProgress(0);
+        parseCsvFile(file, tableName, csvOptions);
+    };
+
+    const handleCancelCsv = () => {
+        setPendingCsv(null);
+        setCsvPreview(null);
+        setError(null);
+    };
+
+    const parseWithStreaming = (file, tableName, options) => {
         const rows = [];
-        let headers = null;
+        const builder = createRowBuilder({ headerRow: options.headerRow });
         let rowCount = 0;
         const fileSize = file.size;
         let bytesRead = 0;
@@ -115,10 +325,7 @@ export function FileUpload({ onDataLoaded, compact = false }) {
         setStatusMessage('Processing large file...');
 
         Papa.parse(file, {
-            header: true,
-            skipEmptyLines: 'greedy',
-            transformHeader: normalizeColumnName,
-            delimitersToGuess: [',', '\t', '|', ';'],
+            ...toPapaConfig(options),
             worker: true,
             chunk: (results, parser) => {
                 if (abortRef.current) {
@@ -126,12 +333,9 @@ export function FileUpload({ onDataLoaded, compact = false }) {
                     return;
                 }
 
-                if (!headers && results.meta.fields) {
-                    headers = results.meta.fields;
-                }
-
-                rows.push(...results.data);
-                rowCount += results.data.length;
+                const chunkRows = builder.addRows(results.data);
+                rows.push(...chunkRows);
+                rowCount += chunkRows.length;
 
                 bytesRead += results.data.reduce((acc, row) => {
                     return acc + JSON.stringify(row).length;
@@ -142,9 +346,7 @@ export function FileUpload({ onDataLoaded, compact = false }) {
                 setStatusMessage(`Processing... ${rowCount.toLocaleString()} rows`);
 
                 if (results.errors.length > 0) {
-                    const criticalErrors = results.errors.filter(
-                        e => e.type === 'Quotes' || e.type === 'FieldMismatch'
-                    );
+                    const criticalErrors = results.errors.filter(e => e.type === 'Quotes');
                     if (criticalErrors.length > 0) {
                         console.warn("Chunk parse warnings:", criticalErrors);
                     }
@@ -155,6 +357,7 @@ export function FileUpload({ onDataLoaded, compact = false }) {
                 setProgress(100);
                 setStatusMessage('');
 
+                reportMismatch(builder.getMismatch());
                 if (rows.length > 0) {
                     onDataLoaded(rows, tableName);
                 } else {
@@ -169,6 +372,244 @@ export function FileUpload({ onDataLoaded, compact = false }) {
         });
     };
 
+    if (pendingCsv) {
+        const selectClass = "w-full px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 outline-none";
+        const detectedDelimiter = DELIMITER_OPTIONS.find(opt => opt.value && opt.value === csvPreview?.delimiter);
+
+        return (
+            <div className="border border-gray-200 dark:border-gray-700 rounded-xl p-6 bg-white dark:bg-gray-800 space-y-4" role="region" aria-label="CSV import options">
+                <div className="flex items-center gap-3">
+                    <div className="bg-blue-100 dark:bg-blue-900/30 p-2 rounded-lg">
+                        <FileText className="text-blue-600 dark:text-blue-400" size={20} />
+                    </div>
+                    <div className="min-w-0">
+                        <h3 className="font-semibold text-gray-800 dark:text-gray-100 truncate">Import {pendingCsv.file.name}</h3>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Adjust the settings until the preview looks right.</p>
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                    <div>
+                        <label htmlFor="csv-delimiter" className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Delimiter</label>
+                        <select
+                            id="csv-delimiter"
+                            value={csvOptions.delimiter}
+                            onChange={(e) => handleCsvOptionChange('delimiter', e.target.value)}
+                            className={selectClass}
+                        >
+                            {DELIMITER_OPTIONS.map(opt => (
+                                <option key={opt.label} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="csv-quote" className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Quote character</label>
+                        <select
+                            id="csv-quote"
+                            value={csvOptions.quoteChar}
+                            onChange={(e) => handleCsvOptionChange('quoteChar', e.target.value)}
+                            className={selectClass}
+                        >
+                            {QUOTE_OPTIONS.map(opt => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="csv-encoding" className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Encoding</label>
+                        <select
+                            id="csv-encoding"
+                            value={csvOptions.encoding}
+                            onChange={(e) => handleCsvOptionChange('encoding', e.target.value)}
+                            className={selectClass}
+                        >
+                            {ENCODING_OPTIONS.map(opt => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="csv-skip-rows" className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Lines to skip</label>
+                        <input
+                            id="csv-skip-rows"
+                            type="number"
+                            min={0}
+                            value={csvOptions.skipRows}
+                            onChange={(e) => handleCsvOptionChange('skipRows', Math.max(0, Number(e.target.value) || 0))}
+                            className={selectClass}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="csv-header-row" className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Header row (0 = none)</label>
+                        <input
+                            id="csv-header-row"
+                            type="number"
+                            min={0}
+                            value={csvOptions.headerRow}
+                            onChange={(e) => handleCsvOptionChange('headerRow', Math.max(0, Number(e.target.value) || 0))}
+                            className={selectClass}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="csv-comment-prefix" className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Comment prefix</label>
+                        <input
+                            id="csv-comment-prefix"
+                            type="text"
+                            placeholder="e.g. #"
+                            value={csvOptions.commentPrefix}
+                            onChange={(e) => handleCsvOptionChange('commentPrefix', e.target.value)}
+                            className={selectClass}
+                        />
+                    </div>
+                </div>
+
+                <div>
+                    <div className="flex items-center justify-between mb-2">
+                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                            Preview (first {PREVIEW_ROW_COUNT} rows)
+                        </span>
+                        {!csvOptions.delimiter && detectedDelimiter && (
+                            <span className="text-xs text-gray-500 dark:text-gray-400">Detected delimiter: {detectedDelimiter.label}</span>
+                        )}
+                    </div>
+                    {!csvPreview ? (
+                        <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400 py-6 justify-center">
+                            <Loader2 className="animate-spin" size={16} /> Parsing preview...
+                        </div>
+                    ) : csvPreview.error ? (
+                        <div className="text-red-500 text-sm bg-red-50 dark:bg-red-900/20 px-4 py-2 rounded">{csvPreview.error}</div>
+                    ) : csvPreview.rows.length === 0 ? (
+                        <div className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">No data rows with these settings.</div>
+                    ) : (
+                        <div className="overflow-auto max-h-72 border border-gray-200 dark:border-gray-700 rounded-lg">
+                            <table className="w-full text-xs text-left text-gray-600 dark:text-gray-300" aria-label="Import preview">
+                                <thead className="bg-gray-50 dark:bg-gray-900 sticky top-0">
+                                    <tr>
+                                        {csvPreview.headers.map(header => (
+                                            <th key={header} className="px-3 py-2 font-semibold whitespace-nowrap">{header}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                                    {csvPreview.rows.map((row, idx) => (
+                                        <tr key={idx}>
+                                            {csvPreview.headers.map(header => (
+                                                <td key={header} className="px-3 py-1.5 whitespace-nowrap max-w-[200px] truncate">{row[header]}</td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {csvPreview?.mismatch && (
+                        <p className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+                            Row {csvPreview.mismatch.row} has {csvPreview.mismatch.actual} fields, expected {csvPreview.mismatch.expected}.
+                        </p>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="text-red-500 text-sm font-medium bg-red-50 dark:bg-red-900/20 px-4 py-2 rounded">
+                        {error}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-3">
+                    <button
+                        type="button"
+                        onClick={handleCancelCsv}
+                        className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 font-medium transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleLoadCsv}
+                        disabled={!csvPreview || csvPreview.rows.length === 0}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Load CSV
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (pendingWorkbook) {
+        return (
+            <div className="border border-gray-200 dark:border-gray-700 rounded-xl p-6 bg-white dark:bg-gray-800 space-y-4" role="region" aria-label="Select worksheets">
+                <div className="flex items-center gap-3">
+                    <div className="bg-green-100 dark:bg-green-900/30 p-2 rounded-lg">
+                        <FileSpreadsheet className="text-green-600 dark:text-green-400" size={20} />
+                    </div>
+                    <div>
+                        <h3 className="font-semibold text-gray-800 dark:text-gray-100">Select sheets to load</h3>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Each sheet is loaded as a separate table.</p>
+                    </div>
+                </div>
+
+                <div className="space-y-1 max-h-64 overflow-y-auto">
+                    {pendingWorkbook.sheets.map(sheet => (
+                        <label
+                            key={sheet.name}
+                            className="flex items-center gap-3 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={selectedSheets.includes(sheet.name)}
+                                onChange={() => toggleSheet(sheet.name)}
+                                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                aria-label={`Load sheet ${sheet.name}`}
+                            />
+                            <span className="flex-1 text-sm font-medium text-gray-700 dark:text-gray-200">{sheet.name}</span>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                                {sheet.rowCount} rows × {sheet.columnCount} cols
+                            </span>
+                        </label>
+                    ))}
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <label htmlFor="excel-header-row" className="text-sm text-gray-600 dark:text-gray-300">Header row</label>
+                    <input
+                        id="excel-header-row"
+                        type="number"
+                        min={1}
+                        value={headerRow}
+                        onChange={(e) => setHeaderRow(Math.max(1, Number(e.target.value) || 1))}
+                        className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 outline-none"
+                    />
+                    <span className="text-xs text-gray-400 dark:text-gray-500">Merged cells are filled with their top-left value.</span>
+                </div>
+
+                {error && (
+                    <div className="text-red-500 text-sm font-medium bg-red-50 dark:bg-red-900/20 px-4 py-2 rounded">
+                        {error}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-3">
+                    <button
+                        type="button"
+                        onClick={handleCancelSheets}
+                        className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 font-medium transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleLoadSheets}
+                        disabled={selectedSheets.length === 0 || isLoading}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Load {selectedSheets.length} sheet{selectedSheets.length !== 1 ? 's' : ''}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div
             className={clsx(
@@ -205,7 +646,7 @@ export function FileUpload({ onDataLoaded, compact = false }) {
             <input
                 id="file-input"
                 type="file"
-                accept=".csv"
+                accept=".csv,.xlsx,.xls,.json,.ndjson,.jsonl"
                 className="hidden"
                 onChange={handleChange}
                 disabled={isLoading}
@@ -214,13 +655,25 @@ export function FileUpload({ onDataLoaded, compact = false }) {
             <div className="bg-blue-100 dark:bg-blue-900/30 p-4 rounded-full mb-4">
                 <Upload className="text-blue-600 dark:text-blue-400" size={32} />
             </div>
-            <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-2">Upload your CSV</h3>
+            <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-2">Upload your CSV, Excel or JSON file</h3>
             <p className="text-gray-500 dark:text-gray-400 text-center max-w-sm">
                 Drag and drop your file here, or click to browse.
             </p>
             <p className="text-xs text-gray-400 dark:text-gray-500 mt-2">
                 Supports files up to {MAX_FILE_SIZE / (1024 * 1024)}MB
             </p>
+            <label
+                className="mt-3 flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300 cursor-pointer"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <input
+                    type="checkbox"
+                    checked={reviewImport}
+                    onChange={(e) => setReviewImport(e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Review CSV import settings before loading
+            </label>
             {error && (
                 <div className="mt-4 text-red-500 text-sm font-medium bg-red-50 dark:bg-red-900/20 px-4 py-2 rounded">
                     {error}
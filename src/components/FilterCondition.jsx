@@ -1,6 +1,7 @@
 import React, { useMemo, useState, useRef, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { Trash2, ChevronDown, X, Check } from 'lucide-react';
+import { typeFamily } from '../lib/utils';
 
 const OPERATORS_BY_TYPE = {
     string: [
@@ -21,8 +22,15 @@ const OPERATORS_BY_TYPE = {
         'is before', 'is after',
         'is empty', 'is not empty'
     ],
+    boolean: [
+        'is true', 'is false',
+        'is empty'
+    ],
 };
 
+// Operators that need no value input
+const VALUELESS_OPERATORS = ['is empty', 'is not empty', 'is true', 'is false'];
+
 // Max unique values to show as dropdown (beyond this, use text input)
 const MAX_DROPDOWN_VALUES = 50;
 
@@ -129,7 +137,7 @@ function MultiSelectDropdown({ options, selectedValues, onChange }) {
 
 export function FilterCondition({ node, columns, types, updateNode, removeNode, columnUniqueValues = {} }) {
     const { field, operator, value } = node;
-    const fieldType = types[field] || 'string';
+    const fieldType = typeFamily(types[field]);
     const operators = OPERATORS_BY_TYPE[fieldType] || OPERATORS_BY_TYPE.string;
 
     // Get unique values for the selected field
@@ -161,7 +169,10 @@ export function FilterCondition({ node, columns, types, updateNode, removeNode,
             <select
                 className="border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
                 value={field}
-                onChange={(e) => updateNode(node.id, { field: e.target.value, operator: operators[0], value: '' })}
+                onChange={(e) => {
+                    const nextOperators = OPERATORS_BY_TYPE[typeFamily(types[e.target.value])] || OPERATORS_BY_TYPE.string;
+                    updateNode(node.id, { field: e.target.value, operator: nextOperators[0], value: '' });
+                }}
             >
                 <option value="" disabled>Select field</option>
                 {columns.map(col => (
@@ -181,7 +192,7 @@ export function FilterCondition({ node, columns, types, updateNode, removeNode,
             </select>
 
             {/* Value Input */}
-            {!['is empty', 'is not empty'].includes(operator) && (
+            {!VALUELESS_OPERATORS.includes(operator) && (
                 <div className="flex-1 min-w-[200px]">
                     {showMultiSelect ? (
                         // Multi-select for "in" / "not in" operators
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Bookmark, Save, Trash2, Download, Upload, X, ChevronDown } from 'lucide-react';
+
+const buttonClass = "flex items-center gap-1 text-xs font-medium text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 px-2 py-1 rounded hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-blue-600 dark:hover:text-blue-400 transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * Filter Presets - save the current filter tree under a name and load it back later
+ */
+export function FilterPresets({ presets, canSave, onSave, onLoad, onDelete, onExport, onImport }) {
+    const [isMenuOpen, setIsMenuOpen] = useState(false);
+    const [isNaming, setIsNaming] = useState(false);
+    const [name, setName] = useState('');
+
+    const trimmedName = name.trim();
+    const willReplace = presets.some(p => p.name === trimmedName);
+
+    const handleSave = () => {
+        if (!trimmedName) return;
+        onSave(trimmedName);
+        setIsNaming(false);
+        setName('');
+    };
+
+    const handleLoad = (preset) => {
+        onLoad(preset);
+        setIsMenuOpen(false);
+    };
+
+    // Created on demand so the page keeps a single file input for loading data
+    const handleImport = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = () => {
+            if (input.files[0]) onImport(input.files[0]);
+        };
+        input.click();
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-4 pb-4 border-b border-gray-100 dark:border-gray-700">
+            <div className="relative">
+                <button
+                    type="button"
+                    onClick={() => setIsMenuOpen(!isMenuOpen)}
+                    aria-expanded={isMenuOpen}
+                    aria-haspopup="true"
+                    className={buttonClass}
+                >
+                    <Bookmark size={14} /> Presets ({presets.length}) <ChevronDown size={12} />
+                </button>
+
+                {isMenuOpen && (
+                    <div className="absolute left-0 top-full mt-2 w-72 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl z-30 p-2 max-h-72 overflow-y-auto ring-1 ring-black/5">
+                        {presets.length === 0 ? (
+                            <p className="px-2 py-3 text-xs text-gray-500 dark:text-gray-400 text-center">
+                                No saved presets yet. Build a filter and save it to reuse it later.
+                            </p>
+                        ) : (
+                            <ul aria-label="Saved filter presets" className="space-y-1">
+                                {presets.map(preset => (
+                                    <li key={preset.name} className="flex items-center gap-2 rounded hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                                        <button
+                                            type="button"
+                                            onClick={() => handleLoad(preset)}
+                                            className="flex-1 text-left px-2 py-1.5 text-sm text-gray-700 dark:text-gray-200 truncate"
+                                            title={`Saved ${new Date(preset.savedAt).toLocaleString()}`}
+                                        >
+                                            {preset.name}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => onDelete(preset.name)}
+                                            className="p-1 mr-1 text-gray-400 dark:text-gray-500 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded transition-colors"
+                                            aria-label={`Delete preset ${preset.name}`}
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {isNaming ? (
+                <div className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleSave();
+                            if (e.key === 'Escape') setIsNaming(false);
+                        }}
+                        placeholder="Preset name"
+                        aria-label="Preset name"
+                        autoFocus
+                        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-blue-500 outline-none"
+                    />
+                    <button type="button" onClick={handleSave} disabled={!trimmedName} className={buttonClass}>
+                        <Save size={14} /> {willReplace ? 'Replace preset' : 'Save preset'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setIsNaming(false)}
+                        className="p-1 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300 rounded transition-colors"
+                        aria-label="Cancel saving preset"
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            ) : (
+                <button
+                    type="button"
+                    onClick={() => setIsNaming(true)}
+                    disabled={!canSave}
+                    className={buttonClass}
+                    title={canSave ? 'Save the current filters as a preset' : 'Add a filter to save a preset'}
+                >
+                    <Save size={14} /> Save as preset
+                </button>
+            )}
+
+            <div className="flex items-center gap-2 ml-auto">
+                <button type="button" onClick={onExport} disabled={presets.length === 0} className={buttonClass} title="Download all presets as JSON">
+                    <Download size={14} /> Export presets
+                </button>
+                <button type="button" onClick={handleImport} className={buttonClass} title="Load presets from a JSON file">
+                    <Upload size={14} /> Import presets
+                </button>
+            </div>
+        </div>
+    );
+}
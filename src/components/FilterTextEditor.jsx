@@ -0,0 +1,143 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Code, Copy, Check, AlertCircle } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { filterToSql, filterToPandas, parseFilterText } from '../lib/filterText';
+
+const buttonClass = "flex items-center gap-1 text-xs font-medium text-gray-600 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 px-2 py-1 rounded hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-blue-600 dark:hover:text-blue-400 transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed";
+
+const FORMATS = [
+    { id: 'sql', label: 'SQL WHERE', hint: 'Edit the clause and apply it to rebuild the filters. Ctrl+Enter applies.' },
+    { id: 'query', label: 'pandas query', hint: "Pass to df.query(..., engine='python'). Date columns need pd.to_datetime first." },
+    { id: 'mask', label: 'pandas mask', hint: 'A boolean mask: df[mask]. Date columns need pd.to_datetime first.' }
+];
+
+/**
+ * Filter Text Editor - the filter tree as a SQL WHERE clause or pandas expression.
+ * The SQL text can be edited and applied back to the tree; pandas text is read-only.
+ */
+export function FilterTextEditor({ tree, columns, types, isCaseSensitive, onApply, onCopy }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [format, setFormat] = useState('sql');
+    // Text typed by the user; null while the text follows the tree
+    const [draft, setDraft] = useState(null);
+    const textRef = useRef(null);
+
+    // Changes made in the visual builder replace the draft
+    useEffect(() => {
+        setDraft(null);
+    }, [tree]);
+
+    const rendered = useMemo(() => {
+        if (!isOpen) return '';
+        return format === 'sql'
+            ? filterToSql(tree, { isCaseSensitive })
+            : filterToPandas(tree, { isCaseSensitive, style: format });
+    }, [isOpen, format, tree, isCaseSensitive]);
+
+    const parsed = useMemo(() => {
+        if (draft === null) return null;
+        try {
+            return { tree: parseFilterText(draft, { columns, types }), error: null };
+        } catch (err) {
+            return { tree: null, error: err };
+        }
+    }, [draft, columns, types]);
+
+    const isEditable = format === 'sql';
+    const text = draft ?? rendered;
+    const error = parsed?.error;
+    const currentFormat = FORMATS.find(f => f.id === format);
+
+    const handleApply = () => {
+        if (!parsed) return;
+        if (parsed.error) {
+            // Put the cursor on the token the parser stopped at
+            const position = parsed.error.position ?? 0;
+            textRef.current?.focus();
+            textRef.current?.setSelectionRange(position, position);
+            return;
+        }
+        onApply(parsed.tree);
+    };
+
+    const selectFormat = (id) => {
+        setFormat(id);
+        setDraft(null);
+    };
+
+    return (
+        <div className="mb-4">
+            <button
+                type="button"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+                className={buttonClass}
+            >
+                <Code size={14} /> Edit as text
+            </button>
+
+            {isOpen && (
+                <div className="mt-2 p-3 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40 space-y-2">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <div className="flex items-center bg-gray-200 dark:bg-gray-700 rounded p-1 text-xs font-semibold" role="group" aria-label="Text format">
+                            {FORMATS.map(f => (
+                                <button
+                                    key={f.id}
+                                    type="button"
+                                    onClick={() => selectFormat(f.id)}
+                                    aria-pressed={format === f.id}
+                                    className={cn("px-3 py-1 rounded transition-all", format === f.id ? "bg-blue-600 text-white shadow-sm" : "text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400")}
+                                >
+                                    {f.label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="flex items-center gap-2 ml-auto">
+                            <button type="button" onClick={() => onCopy(text)} disabled={!text} className={buttonClass} aria-label="Copy filter text">
+                                <Copy size={14} /> Copy
+                            </button>
+                            {isEditable && (
+                                <button type="button" onClick={handleApply} disabled={!parsed} className={buttonClass}>
+                                    <Check size={14} /> Apply text
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    <textarea
+                        ref={textRef}
+                        value={text}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                                e.preventDefault();
+                                handleApply();
+                            }
+                            if (e.key === 'Escape' && draft !== null) setDraft(null);
+                        }}
+                        readOnly={!isEditable}
+                        rows={3}
+                        spellCheck={false}
+                        aria-label="Filter as text"
+                        aria-invalid={Boolean(error)}
+                        aria-describedby="filter-text-status"
+                        placeholder={isEditable ? "price > 10 AND city IN ('Oslo', 'Rome')" : 'No filters yet'}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-mono text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                    />
+
+                    <div id="filter-text-status" className="text-xs min-h-[1rem]" aria-live="polite">
+                        {error ? (
+                            <span className="flex items-center gap-1 text-red-600 dark:text-red-400">
+                                <AlertCircle size={12} aria-hidden="true" />
+                                {error.message}
+                                {Number.isInteger(error.position) && ` (at character ${error.position + 1})`}
+                            </span>
+                        ) : (
+                            <span className="text-gray-500 dark:text-gray-400">{currentFormat.hint}</span>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
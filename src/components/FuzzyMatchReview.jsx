@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { Check, X, RotateCcw } from 'lucide-react';
+import { useEngineQuery } from '../hooks/useQueryEngine';
+import { joinFuzzyOf } from '../lib/utils';
+import { FUZZY_REVIEW_MARGIN } from '../lib/fuzzy';
+
+const textLabel = (text) => (text === '' ? '(empty)' : text);
+
+function ReviewedPairs({ title, pairs, onRestore }) {
+    if (pairs.length === 0) return null;
+    return (
+        <div className="space-y-1">
+            <h4 className="text-xs font-medium text-gray-500 dark:text-gray-400">{title} ({pairs.length})</h4>
+            <ul className="flex flex-wrap gap-1">
+                {pairs.map(([left, right]) => (
+                    <li key={`${left}\u0000${right}`} className="flex items-center gap-1 px-1.5 py-0.5 rounded border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-xs font-mono text-gray-700 dark:text-gray-300">
+                        {textLabel(left)} ≈ {textLabel(right)}
+                        <button
+                            type="button"
+                            onClick={() => onRestore(left, right)}
+                            className="p-0.5 text-gray-400 hover:text-blue-600"
+                            aria-label={`Restore ${left} ≈ ${right}`}
+                            title="Review again"
+                        >
+                            <RotateCcw size={12} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * Fuzzy Match Review - the borderline matches of a fuzzy join, to accept or reject one pair of texts
+ * at a time. Both lists are kept on the join, so the decisions apply to every row with those texts.
+ * @param {Function} onUpdateFuzzy - Called with the join's new `fuzzy` settings
+ */
+export function FuzzyMatchReview({ join, tableAliases, onUpdateFuzzy }) {
+    const fuzzy = joinFuzzyOf(join);
+    const leftName = tableAliases[join.leftTable] || join.leftTable;
+    const rightName = tableAliases[join.rightTable] || join.rightTable;
+
+    // Tables are registered in the query engine as `table:<name>`
+    const params = useMemo(() => ({
+        left: `table:${join.leftTable}`,
+        right: `table:${join.rightTable}`,
+        join
+    }), [join]);
+    const { result, isPending, error } = useEngineQuery('joinDiagnostics', params);
+    const review = result?.fuzzyReview;
+
+    // Moves a pair to the accepted or rejected list, or (with neither) back to review
+    const decide = (list, left, right) => {
+        const others = (pairs) => pairs.filter(([l, r]) => l !== left || r !== right);
+        onUpdateFuzzy({
+            ...fuzzy,
+            accepted: list === 'accepted' ? [...others(fuzzy.accepted), [left, right]] : others(fuzzy.accepted),
+            rejected: list === 'rejected' ? [...others(fuzzy.rejected), [left, right]] : others(fuzzy.rejected)
+        });
+    };
+    const restore = (left, right) => decide(null, left, right);
+
+    const reviewBelow = Math.min(1, fuzzy.threshold + FUZZY_REVIEW_MARGIN).toFixed(2);
+
+    return (
+        <div className="space-y-3 p-3 bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg text-sm" role="region" aria-label={`Fuzzy matches of ${leftName} and ${rightName}`}>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                Matches scoring {fuzzy.threshold.toFixed(2)}–{reviewBelow}. Accepted pairs stay matched; rejected ones are dropped and each row takes its next best match, if any.
+            </p>
+
+            {isPending || (!result && !error) ? (
+                <p className="text-xs text-gray-500 dark:text-gray-400" aria-live="polite">Finding borderline matches…</p>
+            ) : error ? (
+                <p className="text-xs text-red-600 dark:text-red-400" role="alert">Could not find the matches: {error.message}</p>
+            ) : review.count === 0 ? (
+                <p className="text-xs text-gray-600 dark:text-gray-300">No borderline matches left to review.</p>
+            ) : (
+                <>
+                    {review.count > review.pairs.length && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Showing the {review.pairs.length} lowest scoring of {review.count.toLocaleString()} pairs.
+                        </p>
+                    )}
+                    <table className="w-full text-xs">
+                        <thead className="text-gray-500">
+                            <tr>
+                                <th className="px-2 py-1 text-left font-medium">{leftName}.{fuzzy.leftColumn}</th>
+                                <th className="px-2 py-1 text-left font-medium">{rightName}.{fuzzy.rightColumn}</th>
+                                <th className="px-2 py-1 text-right font-medium">Score</th>
+                                <th className="px-2 py-1 text-right font-medium">Rows</th>
+                                <th className="px-2 py-1"><span className="sr-only">Decision</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {review.pairs.map(pair => (
+                                <tr key={`${pair.left}\u0000${pair.right}`} className="border-t border-gray-200 dark:border-gray-700">
+                                    <td className="px-2 py-1 text-gray-700 dark:text-gray-200">{pair.leftValue}</td>
+                                    <td className="px-2 py-1 text-gray-700 dark:text-gray-200">{pair.rightValue}</td>
+                                    <td className="px-2 py-1 text-right tabular-nums">{pair.score.toFixed(3)}</td>
+                                    <td className="px-2 py-1 text-right tabular-nums text-gray-500">{pair.leftRows.toLocaleString()}</td>
+                                    <td className="px-2 py-1">
+                                        <div className="flex justify-end gap-1">
+                                            <button
+                                                type="button"
+                                                onClick={() => decide('accepted', pair.left, pair.right)}
+                                                className="p-1 rounded text-green-600 hover:bg-green-50 dark:hover:bg-green-900/30"
+                                                aria-label={`Accept ${pair.leftValue} ≈ ${pair.rightValue}`}
+                                            >
+                                                <Check size={14} />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => decide('rejected', pair.left, pair.right)}
+                                                className="p-1 rounded text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30"
+                                                aria-label={`Reject ${pair.leftValue} ≈ ${pair.rightValue}`}
+                                            >
+                                                <X size={14} />
+                                            </button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+
+            <ReviewedPairs title="Rejected" pairs={fuzzy.rejected} onRestore={restore} />
+            <ReviewedPairs title="Accepted" pairs={fuzzy.accepted} onRestore={restore} />
+        </div>
+    );
+}
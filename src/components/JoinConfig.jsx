@@ -1,6 +1,11 @@
 import React, { useState, useCallback, useEffect, useMemo } from 'react';
-import { X, Plus, Link, Trash2, ArrowRight, Edit3, HelpCircle } from 'lucide-react';
+import { X, Plus, Link, Trash2, ArrowRight, Edit3, HelpCircle, Activity, ListChecks } from 'lucide-react';
 import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useEngineQuery } from '../hooks/useQueryEngine';
+import { joinKeysOf, joinRangesOf, joinFuzzyOf, FUZZY_SCORE_COLUMN } from '../lib/utils';
+import { DEFAULT_FUZZY_METRIC, DEFAULT_FUZZY_THRESHOLD, FUZZY_WARN_PAIRS, FUZZY_MAX_PAIRS } from '../lib/fuzzy';
+import { JoinDiagnostics } from './JoinDiagnostics';
+import { FuzzyMatchReview } from './FuzzyMatchReview';
 
 // Detailed explanations for each join type
 const JOIN_EXPLANATIONS = {
@@ -27,9 +32,30 @@ const JOIN_EXPLANATIONS = {
         shortDesc: 'All rows from both',
         longDesc: 'Returns all rows when there is a match in either left or right table. Rows without a match in the other table will have NULL values for the missing columns.',
         example: 'If Table A has [1,2,3] and Table B has [2,3,4], FULL JOIN returns [1,2,3,4] with NULLs where no match'
+    },
+    semi: {
+        label: 'SEMI',
+        shortDesc: 'Left rows with a match',
+        longDesc: 'Returns each row from the left table that has at least one match in the right table, once, no matter how many rows it matches. The right table\'s columns are not added.',
+        example: 'If Table A has [1,2,3] and Table B has [2,3,3,4], SEMI JOIN returns [2,3]'
+    },
+    anti: {
+        label: 'ANTI',
+        shortDesc: 'Left rows without a match',
+        longDesc: 'Returns the rows from the left table that have no match in the right table, such as customers with no orders. The right table\'s columns are not added.',
+        example: 'If Table A has [1,2,3] and Table B has [2,3,4], ANTI JOIN returns [1]'
     }
 };
 
+const JOIN_BADGE_CLASSES = {
+    inner: 'bg-purple-100 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300',
+    left: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300',
+    right: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300',
+    full: 'bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-300',
+    semi: 'bg-teal-100 text-teal-700 dark:bg-teal-900/40 dark:text-teal-300',
+    anti: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'
+};
+
 // Tooltip component for join type explanations
 function JoinTypeTooltip({ type, children }) {
     const [showTooltip, setShowTooltip] = useState(false);
@@ -65,13 +91,53 @@ function JoinTypeTooltip({ type, children }) {
     );
 }
 
+const RANGE_OPERATOR_LABELS = { '<': '<', '<=': '≤', '>': '>', '>=': '≥' };
+
+// Checkboxes for join.keyMatching, in the order of JOIN_KEY_OPTIONS
+const KEY_MATCHING_OPTIONS = [
+    { id: 'isCaseSensitive', label: 'Case-sensitive', short: 'case-sensitive', hint: 'ABC and abc are different keys' },
+    { id: 'trimWhitespace', label: 'Trim whitespace', short: 'trimmed', hint: '"abc " matches "abc"' },
+    { id: 'stripLeadingZeros', label: 'Ignore leading zeros', short: 'no leading zeros', hint: '007 matches 7' },
+    { id: 'numericEquality', label: 'Compare numbers by value', short: 'numeric', hint: '1 matches 1.0' },
+    { id: 'normalizeUnicode', label: 'Normalize Unicode', short: 'Unicode-normalized', hint: 'Composed and decomposed accents, ligatures and full-width characters match' }
+];
+
+const FUZZY_METRIC_LABELS = { levenshtein: 'Levenshtein', jaroWinkler: 'Jaro-Winkler', tokenSet: 'Token set' };
+
+const selectClass = "w-full border border-gray-300 dark:border-gray-600 rounded px-3 py-2 text-sm bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 outline-none";
+
+/**
+ * The conditions of a join as text: `o.order_id = s.order_id and e.time ≥ s.start`
+ */
+function describeJoinConditions(join, tableAliases) {
+    const left = tableAliases[join.leftTable] || join.leftTable;
+    const right = tableAliases[join.rightTable] || join.rightTable;
+    const fuzzy = joinFuzzyOf(join);
+    return [
+        ...joinKeysOf(join).map(key => `${left}.${key.leftColumn} = ${right}.${key.rightColumn}`),
+        ...joinRangesOf(join).map(range => `${left}.${range.leftColumn} ${RANGE_OPERATOR_LABELS[range.operator]} ${right}.${range.rightColumn}`),
+        ...(fuzzy ? [`${left}.${fuzzy.leftColumn} ≈ ${right}.${fuzzy.rightColumn} (${FUZZY_METRIC_LABELS[fuzzy.metric]} ≥ ${fuzzy.threshold})`] : [])
+    ];
+}
+
+// Key matching options that are on, as in "(case-sensitive, trimmed)"
+function describeKeyMatching(join) {
+    if (joinKeysOf(join).length === 0) return '';
+    const options = KEY_MATCHING_OPTIONS.filter(option => join.keyMatching?.[option.id]).map(option => option.short);
+    return options.length > 0 ? `(${options.join(', ')})` : '';
+}
+
 function generateDefaultAlias(tableName, index) {
     const baseName = tableName.replace(/\.(csv|xlsx?|json)$/i, '').replace(/[^a-zA-Z0-9]/g, '_');
     if (baseName.length <= 6) return baseName;
     return `t${index + 1}`;
 }
 
-export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdateAliases, onClose }) {
+/**
+ * Join Config - table aliases and the chain of joins, each with its row count once it has run.
+ * @param {Array<{ rows: number }>} joinSteps - Row count after each join, or null while the joins run
+ */
+export function JoinConfig({ tables, joins, joinSteps, onUpdateJoins, tableAliases, onUpdateAliases, onClose }) {
     const tableNames = useMemo(() => Object.keys(tables), [tables]);
     const [aliasDrafts, setAliasDrafts] = useState({});
 
@@ -82,6 +148,20 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
         rightColumn: '',
         joinType: 'inner' // Default to inner join
     });
+    // Key pairs after the first, and range conditions ("time between start and end" is two of them)
+    const [extraKeys, setExtraKeys] = useState([]);
+    const [ranges, setRanges] = useState([]);
+    const [keyMatching, setKeyMatching] = useState({});
+    // With fuzzy matching on, the first column pair is compared by similarity instead of equality.
+    // The threshold is kept as typed, so "0." on the way to "0.9" isn't thrown away
+    const [fuzzy, setFuzzy] = useState(null);
+    // Join whose diagnostics are shown: `target` is its index in `joins`, or 'new' for the one being added
+    const [diagnosed, setDiagnosed] = useState(null);
+    // Index of the fuzzy join whose borderline matches are being reviewed
+    const [reviewing, setReviewing] = useState(null);
+
+    const { result: diagnostics, isPending: isDiagnosing, error: diagnosticsError } =
+        useEngineQuery('joinDiagnostics', diagnosed?.params, { enabled: Boolean(diagnosed) });
 
     useEffect(() => {
         const nextDrafts = {};
@@ -97,12 +177,63 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
 
     const getColumnsForTable = (tableName) => {
         if (!tableName || !tables[tableName] || !tables[tableName].data.length) return [];
-        return Object.keys(tables[tableName].data[0]);
+        return tables[tableName].data.columnNames;
+    };
+
+    const hasFirstPair = Boolean(newJoin.leftColumn && newJoin.rightColumn);
+    const newKeys = [...(fuzzy ? [] : [{ leftColumn: newJoin.leftColumn, rightColumn: newJoin.rightColumn }]), ...extraKeys]
+        .filter(key => key.leftColumn && key.rightColumn);
+    const newRanges = ranges.filter(range => range.leftColumn && range.rightColumn);
+    const fuzzyThreshold = fuzzy ? Number(fuzzy.threshold) : NaN;
+    const isFuzzyThresholdValid = fuzzy?.threshold !== '' && fuzzyThreshold > 0 && fuzzyThreshold <= 1;
+    const newFuzzy = fuzzy && hasFirstPair && isFuzzyThresholdValid
+        ? { leftColumn: newJoin.leftColumn, rightColumn: newJoin.rightColumn, metric: fuzzy.metric, threshold: fuzzyThreshold, accepted: [], rejected: [] }
+        : null;
+    // Without exact conditions, every left row is compared with the right texts its trigrams point to;
+    // the row counts bound how much work that is (the left side grows with the joins above it)
+    const fuzzyPairs = fuzzy && newKeys.length === 0 && newRanges.length === 0 && newJoin.leftTable && newJoin.rightTable
+        ? (tables[newJoin.leftTable]?.data.length || 0) * (tables[newJoin.rightTable]?.data.length || 0)
+        : 0;
+    // A fuzzy join needs its column pair and a usable threshold, whatever other conditions it has
+    const canAddJoin = Boolean(newJoin.leftTable && newJoin.rightTable) &&
+        (fuzzy ? Boolean(newFuzzy) && fuzzyPairs <= FUZZY_MAX_PAIRS : newKeys.length > 0 || newRanges.length > 0);
+
+    // leftColumn/rightColumn keep naming the first key pair for older sessions and links
+    const pendingJoin = {
+        ...newJoin,
+        leftColumn: newKeys[0]?.leftColumn || '',
+        rightColumn: newKeys[0]?.rightColumn || '',
+        keys: newKeys,
+        ranges: newRanges,
+        keyMatching,
+        ...(newFuzzy ? { fuzzy: newFuzzy } : {})
+    };
+    // Diagnostics of the join being added go stale as soon as its settings change
+    const isPendingDiagnosed = diagnosed?.target === 'new' && JSON.stringify(diagnosed.params.join) === JSON.stringify(pendingJoin);
+
+    const toggleDiagnostics = (target, join) => {
+        const isShown = target === 'new' ? isPendingDiagnosed : diagnosed?.target === target;
+        // Tables are registered in the query engine as `table:<name>`
+        setDiagnosed(isShown ? null : {
+            target,
+            params: { left: `table:${join.leftTable}`, right: `table:${join.rightTable}`, join }
+        });
+    };
+
+    const renderDiagnostics = (join) => {
+        if (isDiagnosing || (!diagnostics && !diagnosticsError)) {
+            return <p className="text-xs text-gray-500 dark:text-gray-400" aria-live="polite">Checking join…</p>;
+        }
+        if (diagnosticsError) {
+            return <p className="text-xs text-red-600 dark:text-red-400" role="alert">Could not check the join: {diagnosticsError.message}</p>;
+        }
+        return <JoinDiagnostics diagnostics={diagnostics} join={join} tables={tables} tableAliases={tableAliases} />;
     };
 
     const handleAddJoin = () => {
-        if (newJoin.leftTable && newJoin.leftColumn && newJoin.rightTable && newJoin.rightColumn) {
-            onUpdateJoins([...joins, { ...newJoin }]);
+        if (canAddJoin) {
+            onUpdateJoins([...joins, pendingJoin]);
+            if (diagnosed?.target === 'new') setDiagnosed(null);
             setNewJoin({
                 leftTable: tableNames[0] || '',
                 leftColumn: '',
@@ -110,11 +241,36 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                 rightColumn: '',
                 joinType: 'inner'
             });
+            setExtraKeys([]);
+            setRanges([]);
+            setKeyMatching({});
+            setFuzzy(null);
         }
     };
 
+    // Picking another table leaves its old column choices meaningless
+    const changeTable = (side, tableName) => {
+        const column = side === 'left' ? 'leftColumn' : 'rightColumn';
+        setNewJoin({ ...newJoin, [`${side}Table`]: tableName, [column]: '' });
+        setExtraKeys(extraKeys.map(key => ({ ...key, [column]: '' })));
+        setRanges(ranges.map(range => ({ ...range, [column]: '' })));
+    };
+
+    const updateAt = (list, setList, index, updates) => {
+        setList(list.map((item, i) => (i === index ? { ...item, ...updates } : item)));
+    };
+
     const handleRemoveJoin = (index) => {
         onUpdateJoins(joins.filter((_, i) => i !== index));
+        // Later joins move up, so an open diagnostics panel would point at the wrong one
+        if (diagnosed?.target !== 'new') setDiagnosed(null);
+        setReviewing(null);
+    };
+
+    const updateJoinFuzzy = (index, nextFuzzy) => {
+        onUpdateJoins(joins.map((join, i) => (i === index ? { ...join, fuzzy: nextFuzzy } : join)));
+        // Its diagnostics were for the join before this review decision
+        if (diagnosed?.target === index) setDiagnosed(null);
     };
 
     const handleAliasChange = (tableName, newAlias) => {
@@ -220,35 +376,73 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                     {joins.length > 0 && (
                         <div className="space-y-3">
                             <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Active Joins</h3>
+                            {tables[joins[0].leftTable] && (
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    Starts from {tables[joins[0].leftTable].data.length.toLocaleString()} rows of {tableAliases[joins[0].leftTable] || joins[0].leftTable}; each join works on the rows of the joins above it.
+                                </p>
+                            )}
                             {joins.map((join, index) => (
-                                <div
-                                    key={index}
-                                    className="flex items-center gap-3 p-3 bg-purple-50 dark:bg-purple-900/20 border border-purple-200 dark:border-purple-800 rounded-lg"
-                                >
-                                    <span className={`text-xs font-semibold px-2 py-0.5 rounded ${
-                                        join.joinType === 'left' ? 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' :
-                                        join.joinType === 'right' ? 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' :
-                                        join.joinType === 'full' ? 'bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-300' :
-                                        'bg-purple-100 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300'
-                                    }`}>
-                                        {join.joinType?.toUpperCase() || 'INNER'}
-                                    </span>
-                                    <div className="flex items-center gap-2 flex-1 flex-wrap">
-                                        <span className="font-mono text-sm bg-white dark:bg-gray-800 px-2 py-1 rounded border">
-                                            <span className="text-purple-600 dark:text-purple-400">{tableAliases[join.leftTable] || join.leftTable}</span>.{join.leftColumn}
+                                <div key={index} className="space-y-2">
+                                    <div className="flex items-center gap-3 p-3 bg-purple-50 dark:bg-purple-900/20 border border-purple-200 dark:border-purple-800 rounded-lg">
+                                        <span className={`text-xs font-semibold px-2 py-0.5 rounded ${JOIN_BADGE_CLASSES[join.joinType] || JOIN_BADGE_CLASSES.inner}`}>
+                                            {join.joinType?.toUpperCase() || 'INNER'}
                                         </span>
-                                        <ArrowRight size={16} className="text-purple-500" aria-hidden="true" />
-                                        <span className="font-mono text-sm bg-white dark:bg-gray-800 px-2 py-1 rounded border">
-                                            <span className="text-purple-600 dark:text-purple-400">{tableAliases[join.rightTable] || join.rightTable}</span>.{join.rightColumn}
+                                        <div className="flex items-center gap-2 flex-1 flex-wrap">
+                                            <span className="font-mono text-sm text-purple-600 dark:text-purple-400">{tableAliases[join.leftTable] || join.leftTable}</span>
+                                            <ArrowRight size={16} className="text-purple-500" aria-hidden="true" />
+                                            <span className="font-mono text-sm text-purple-600 dark:text-purple-400">{tableAliases[join.rightTable] || join.rightTable}</span>
+                                            <span className="text-xs text-gray-400">on</span>
+                                            {describeJoinConditions(join, tableAliases).map((condition, i) => (
+                                                <React.Fragment key={i}>
+                                                    {i > 0 && <span className="text-xs text-gray-400">and</span>}
+                                                    <span className="font-mono text-sm bg-white dark:bg-gray-800 px-2 py-1 rounded border">{condition}</span>
+                                                </React.Fragment>
+                                            ))}
+                                            {describeKeyMatching(join) && (
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">{describeKeyMatching(join)}</span>
+                                            )}
+                                        </div>
+                                        <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap tabular-nums" title="Rows after this join">
+                                            {joinSteps?.[index] ? `→ ${joinSteps[index].rows.toLocaleString()} rows` : '…'}
                                         </span>
+                                        <button
+                                            type="button"
+                                            onClick={() => toggleDiagnostics(index, join)}
+                                            className={`p-1 rounded transition-colors ${diagnosed?.target === index ? 'text-blue-600 bg-blue-100 dark:bg-blue-900/40' : 'text-gray-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/30'}`}
+                                            aria-label={`Diagnose join ${index + 1}`}
+                                            aria-expanded={diagnosed?.target === index}
+                                            title="Match rates, unmatched keys and fan-out"
+                                        >
+                                            <Activity size={16} />
+                                        </button>
+                                        {joinFuzzyOf(join) && (
+                                            <button
+                                                type="button"
+                                                onClick={() => setReviewing(reviewing === index ? null : index)}
+                                                className={`p-1 rounded transition-colors ${reviewing === index ? 'text-blue-600 bg-blue-100 dark:bg-blue-900/40' : 'text-gray-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/30'}`}
+                                                aria-label={`Review fuzzy matches of join ${index + 1}`}
+                                                aria-expanded={reviewing === index}
+                                                title="Accept or reject borderline matches"
+                                            >
+                                                <ListChecks size={16} />
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => handleRemoveJoin(index)}
+                                            className="p-1 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded transition-colors"
+                                            aria-label={`Remove join between ${join.leftTable} and ${join.rightTable}`}
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
                                     </div>
-                                    <button
-                                        onClick={() => handleRemoveJoin(index)}
-                                        className="p-1 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded transition-colors"
-                                        aria-label={`Remove join between ${join.leftTable} and ${join.rightTable}`}
-                                    >
-                                        <Trash2 size={16} />
-                                    </button>
+                                    {diagnosed?.target === index && renderDiagnostics(join)}
+                                    {reviewing === index && joinFuzzyOf(join) && (
+                                        <FuzzyMatchReview
+                                            join={join}
+                                            tableAliases={tableAliases}
+                                            onUpdateFuzzy={(nextFuzzy) => updateJoinFuzzy(index, nextFuzzy)}
+                                        />
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -267,7 +461,7 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                                 </span>
                             </label>
                             <div className="flex flex-wrap gap-2">
-                                {['inner', 'left', 'right', 'full'].map(type => (
+                                {Object.keys(JOIN_EXPLANATIONS).map(type => (
                                     <JoinTypeTooltip key={type} type={type}>
                                         <button
                                             type="button"
@@ -293,7 +487,7 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                                 <label className="block text-xs font-medium text-gray-500 uppercase" id="left-table-label">Left Table</label>
                                 <select
                                     value={newJoin.leftTable}
-                                    onChange={(e) => setNewJoin({ ...newJoin, leftTable: e.target.value, leftColumn: '' })}
+                                    onChange={(e) => changeTable('left', e.target.value)}
                                     className="w-full border border-gray-300 dark:border-gray-600 rounded px-3 py-2 text-sm bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 outline-none"
                                     aria-labelledby="left-table-label"
                                 >
@@ -317,14 +511,14 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                             </div>
 
                             {/* Equals Sign */}
-                            <div className="flex items-center justify-center text-gray-400 font-bold text-lg" aria-hidden="true">=</div>
+                            <div className="flex items-center justify-center text-gray-400 font-bold text-lg" aria-hidden="true">{fuzzy ? '≈' : '='}</div>
 
                             {/* Right Side */}
                             <div className="flex-1 space-y-2">
                                 <label className="block text-xs font-medium text-gray-500 uppercase" id="right-table-label">Right Table</label>
                                 <select
                                     value={newJoin.rightTable}
-                                    onChange={(e) => setNewJoin({ ...newJoin, rightTable: e.target.value, rightColumn: '' })}
+                                    onChange={(e) => changeTable('right', e.target.value)}
                                     className="w-full border border-gray-300 dark:border-gray-600 rounded px-3 py-2 text-sm bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 outline-none"
                                     aria-labelledby="right-table-label"
                                 >
@@ -348,15 +542,208 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                             </div>
                         </div>
 
-                        <button
-                            type="button"
-                            onClick={handleAddJoin}
-                            disabled={!newJoin.leftColumn || !newJoin.rightColumn}
-                            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                        >
-                            <Plus size={16} aria-hidden="true" />
-                            Add Join
-                        </button>
+                        {/* Fuzzy matching of the first column pair */}
+                        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 p-3 bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg">
+                            <label className="flex items-center gap-1.5 text-xs text-gray-700 dark:text-gray-300 cursor-pointer" title='Match similar text, such as "Acme Inc." and "ACME, Inc"'>
+                                <input
+                                    type="checkbox"
+                                    checked={Boolean(fuzzy)}
+                                    onChange={(e) => setFuzzy(e.target.checked ? { metric: DEFAULT_FUZZY_METRIC, threshold: String(DEFAULT_FUZZY_THRESHOLD) } : null)}
+                                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                />
+                                Fuzzy match
+                            </label>
+                            {fuzzy && (
+                                <>
+                                    <select
+                                        value={fuzzy.metric}
+                                        onChange={(e) => setFuzzy({ ...fuzzy, metric: e.target.value })}
+                                        className="border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-xs bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 outline-none"
+                                        aria-label="Similarity metric"
+                                    >
+                                        {Object.entries(FUZZY_METRIC_LABELS).map(([metric, label]) => (
+                                            <option key={metric} value={metric}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <label className="flex items-center gap-1.5 text-xs text-gray-700 dark:text-gray-300">
+                                        Threshold
+                                        <input
+                                            type="number"
+                                            min="0.5"
+                                            max="1"
+                                            step="0.01"
+                                            value={fuzzy.threshold}
+                                            onChange={(e) => setFuzzy({ ...fuzzy, threshold: e.target.value })}
+                                            aria-invalid={!isFuzzyThresholdValid}
+                                            className="w-20 border border-gray-300 dark:border-gray-600 rounded px-2 py-1 text-xs bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 outline-none tabular-nums"
+                                            aria-label="Match threshold"
+                                        />
+                                    </label>
+                                    <p className="w-full text-xs text-gray-500 dark:text-gray-400">
+                                        Case, accents and punctuation are ignored. Each row joins its best scoring matches, and their score is added as the {FUZZY_SCORE_COLUMN} column.
+                                    </p>
+                                    {fuzzyPairs > FUZZY_WARN_PAIRS && (
+                                        <p className={`w-full text-xs ${fuzzyPairs > FUZZY_MAX_PAIRS ? 'text-red-600 dark:text-red-400' : 'text-amber-700 dark:text-amber-300'}`} role="alert">
+                                            {fuzzyPairs > FUZZY_MAX_PAIRS
+                                                ? 'These tables are too large to fuzzy match on their own. Add an exact key pair, such as a country or postcode, so only rows sharing it are compared.'
+                                                : 'Fuzzy matching these tables may take a while. An exact key pair, such as a country or postcode, narrows down the rows compared.'}
+                                        </p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+
+                        {/* More key pairs and range conditions */}
+                        {(extraKeys.length > 0 || ranges.length > 0) && (
+                            <div className="space-y-2 p-4 bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg">
+                                {extraKeys.map((key, index) => (
+                                    <div key={`key-${index}`} className="flex items-center gap-3">
+                                        <select
+                                            value={key.leftColumn}
+                                            onChange={(e) => updateAt(extraKeys, setExtraKeys, index, { leftColumn: e.target.value })}
+                                            className={selectClass}
+                                            disabled={!newJoin.leftTable}
+                                            aria-label={`Key ${index + 2} left column`}
+                                        >
+                                            <option value="">Select column</option>
+                                            {getColumnsForTable(newJoin.leftTable).map(col => (
+                                                <option key={col} value={col}>{col}</option>
+                                            ))}
+                                        </select>
+                                        <span className="text-gray-400 font-bold text-lg w-8 text-center" aria-hidden="true">=</span>
+                                        <select
+                                            value={key.rightColumn}
+                                            onChange={(e) => updateAt(extraKeys, setExtraKeys, index, { rightColumn: e.target.value })}
+                                            className={selectClass}
+                                            disabled={!newJoin.rightTable}
+                                            aria-label={`Key ${index + 2} right column`}
+                                        >
+                                            <option value="">Select column</option>
+                                            {getColumnsForTable(newJoin.rightTable).map(col => (
+                                                <option key={col} value={col}>{col}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="button"
+                                            onClick={() => setExtraKeys(extraKeys.filter((_, i) => i !== index))}
+                                            className="p-1 text-gray-400 hover:text-red-500 rounded transition-colors"
+                                            aria-label={`Remove key pair ${index + 2}`}
+                                        >
+                                            <X size={16} />
+                                        </button>
+                                    </div>
+                                ))}
+                                {ranges.map((range, index) => (
+                                    <div key={`range-${index}`} className="flex items-center gap-3">
+                                        <select
+                                            value={range.leftColumn}
+                                            onChange={(e) => updateAt(ranges, setRanges, index, { leftColumn: e.target.value })}
+                                            className={selectClass}
+                                            disabled={!newJoin.leftTable}
+                                            aria-label={`Range ${index + 1} left column`}
+                                        >
+                                            <option value="">Select column</option>
+                                            {getColumnsForTable(newJoin.leftTable).map(col => (
+                                                <option key={col} value={col}>{col}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={range.operator}
+                                            onChange={(e) => updateAt(ranges, setRanges, index, { operator: e.target.value })}
+                                            className="w-16 flex-shrink-0 border border-gray-300 dark:border-gray-600 rounded px-2 py-2 text-sm bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 outline-none"
+                                            aria-label={`Range ${index + 1} operator`}
+                                        >
+                                            {Object.entries(RANGE_OPERATOR_LABELS).map(([operator, label]) => (
+                                                <option key={operator} value={operator}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={range.rightColumn}
+                                            onChange={(e) => updateAt(ranges, setRanges, index, { rightColumn: e.target.value })}
+                                            className={selectClass}
+                                            disabled={!newJoin.rightTable}
+                                            aria-label={`Range ${index + 1} right column`}
+                                        >
+                                            <option value="">Select column</option>
+                                            {getColumnsForTable(newJoin.rightTable).map(col => (
+                                                <option key={col} value={col}>{col}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="button"
+                                            onClick={() => setRanges(ranges.filter((_, i) => i !== index))}
+                                            className="p-1 text-gray-400 hover:text-red-500 rounded transition-colors"
+                                            aria-label={`Remove range condition ${index + 1}`}
+                                        >
+                                            <X size={16} />
+                                        </button>
+                                    </div>
+                                ))}
+                                {ranges.length > 0 && (
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                                        Range conditions compare numbers or dates. For a value between two columns, add two: value ≥ start and value ≤ end.
+                                    </p>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="flex flex-wrap gap-2">
+                            <button
+                                type="button"
+                                onClick={() => setExtraKeys([...extraKeys, { leftColumn: '', rightColumn: '' }])}
+                                className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                            >
+                                <Plus size={14} aria-hidden="true" />
+                                Add key pair
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => setRanges([...ranges, { leftColumn: '', operator: '>=', rightColumn: '' }])}
+                                className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                            >
+                                <Plus size={14} aria-hidden="true" />
+                                Add range condition
+                            </button>
+                        </div>
+
+                        <fieldset className="flex flex-wrap items-center gap-x-4 gap-y-2 p-3 bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg" disabled={newKeys.length === 0}>
+                            <legend className="sr-only">Key matching</legend>
+                            <span className="text-xs font-medium text-gray-500 uppercase whitespace-nowrap" aria-hidden="true">Key matching:</span>
+                            {KEY_MATCHING_OPTIONS.map(option => (
+                                <label key={option.id} className="flex items-center gap-1.5 text-xs text-gray-700 dark:text-gray-300 cursor-pointer" title={option.hint}>
+                                    <input
+                                        type="checkbox"
+                                        checked={Boolean(keyMatching[option.id])}
+                                        onChange={(e) => setKeyMatching({ ...keyMatching, [option.id]: e.target.checked })}
+                                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    />
+                                    {option.label}
+                                </label>
+                            ))}
+                        </fieldset>
+
+                        <div className="flex flex-wrap items-center gap-2">
+                            <button
+                                type="button"
+                                onClick={handleAddJoin}
+                                disabled={!canAddJoin}
+                                className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Plus size={16} aria-hidden="true" />
+                                Add Join
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => toggleDiagnostics('new', pendingJoin)}
+                                disabled={!canAddJoin}
+                                aria-expanded={isPendingDiagnosed}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg font-medium border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Activity size={16} aria-hidden="true" />
+                                Check join
+                            </button>
+                        </div>
+                        {isPendingDiagnosed && renderDiagnostics(pendingJoin)}
                     </div>
 
                     {/* Info */}
@@ -367,6 +754,8 @@ export function JoinConfig({ tables, joins, onUpdateJoins, tableAliases, onUpdat
                             <li><strong>LEFT:</strong> All rows from left table + matching rows from right</li>
                             <li><strong>RIGHT:</strong> All rows from right table + matching rows from left</li>
                             <li><strong>FULL OUTER:</strong> All rows from both tables, with nulls where no match</li>
+                            <li><strong>SEMI:</strong> Rows from left that have a match, without the right table's columns</li>
+                            <li><strong>ANTI:</strong> Rows from left that have no match, e.g. customers with no orders</li>
                         </ul>
                     </div>
                 </div>
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { getRow } from '../lib/columnar';
+
+function percentOf(part, whole) {
+    return whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '—';
+}
+
+const keyLabel = (label) => (label.trim() === '' ? '(empty)' : label);
+
+function DrillDownRows({ table, title, rowIndexes, onClose }) {
+    const columns = table.columnNames;
+    return (
+        <div className="mt-2 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+            <div className="flex items-center justify-between px-2 py-1 bg-gray-100 dark:bg-gray-900 text-xs font-medium text-gray-600 dark:text-gray-300">
+                <span>{title}</span>
+                <button type="button" onClick={onClose} className="p-0.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200" aria-label="Close rows">
+                    <X size={12} />
+                </button>
+            </div>
+            <div className="max-h-48 overflow-auto">
+                <table className="w-full text-xs">
+                    <thead className="bg-gray-50 dark:bg-gray-800 sticky top-0">
+                        <tr>
+                            <th className="px-2 py-1 text-left font-medium text-gray-500">Row</th>
+                            {columns.map(col => (
+                                <th key={col} className="px-2 py-1 text-left font-medium text-gray-500 whitespace-nowrap">{col}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rowIndexes.map(rowIndex => {
+                            const row = getRow(table, rowIndex);
+                            return (
+                                <tr key={rowIndex} className="border-t border-gray-100 dark:border-gray-700">
+                                    <td className="px-2 py-1 text-gray-400 tabular-nums">{rowIndex + 1}</td>
+                                    {columns.map(col => (
+                                        <td key={col} className="px-2 py-1 text-gray-700 dark:text-gray-200 whitespace-nowrap">{row[col]}</td>
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+function SideSummary({ name, stats, table, hasKeys, drill, onDrill }) {
+    const unmatchedRows = stats.rows - stats.matchedRows;
+    const matchRate = stats.rows > 0 ? stats.matchedRows / stats.rows : 0;
+    const isDrilled = (key) => drill?.side === name && drill.key === key;
+    // Only the first rows of each key or side are kept, so say when the list is cut short
+    const toggleDrill = (key, title, rowIndexes, count) => onDrill(isDrilled(key) ? null : {
+        side: name,
+        key,
+        title: rowIndexes.length < count ? `${title} (first ${rowIndexes.length})` : title,
+        rowIndexes
+    });
+
+    return (
+        <div className="flex-1 min-w-0 space-y-2 p-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <div className="font-mono text-sm text-purple-600 dark:text-purple-400 truncate" title={name}>{name}</div>
+            <div>
+                <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300">
+                    <span>{stats.matchedRows.toLocaleString()} of {stats.rows.toLocaleString()} rows match</span>
+                    <span className="font-semibold tabular-nums">{percentOf(stats.matchedRows, stats.rows)}</span>
+                </div>
+                <div className="h-1.5 mt-1 bg-gray-200 dark:bg-gray-700 rounded" aria-hidden="true">
+                    <div className="h-1.5 bg-blue-500 rounded" style={{ width: `${matchRate * 100}%` }} />
+                </div>
+            </div>
+            {hasKeys && (
+                <dl className="grid grid-cols-3 gap-1 text-xs text-center">
+                    <div>
+                        <dt className="text-gray-400">Distinct keys</dt>
+                        <dd className="font-semibold text-gray-700 dark:text-gray-200 tabular-nums">{stats.distinctKeys.toLocaleString()}</dd>
+                    </div>
+                    <div>
+                        <dt className="text-gray-400">Unmatched keys</dt>
+                        <dd className="font-semibold text-gray-700 dark:text-gray-200 tabular-nums">{stats.unmatchedKeys.toLocaleString()}</dd>
+                    </div>
+                    <div>
+                        <dt className="text-gray-400">Repeated keys</dt>
+                        <dd className="font-semibold text-gray-700 dark:text-gray-200 tabular-nums">{stats.duplicateKeys.toLocaleString()}</dd>
+                    </div>
+                </dl>
+            )}
+            {unmatchedRows > 0 && (
+                <button
+                    type="button"
+                    onClick={() => toggleDrill(null, `Unmatched rows of ${name}`, stats.unmatchedRowIndexes, unmatchedRows)}
+                    aria-expanded={isDrilled(null)}
+                    className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                    Show {unmatchedRows.toLocaleString()} unmatched rows of {name}
+                </button>
+            )}
+            {stats.topUnmatchedKeys.length > 0 && (
+                <ul className="flex flex-wrap gap-1" aria-label={`Unmatched keys of ${name}`}>
+                    {stats.topUnmatchedKeys.map(({ label, count, rowIndexes }) => (
+                        <li key={label}>
+                            <button
+                                type="button"
+                                onClick={() => toggleDrill(label, `Rows of ${name} with key ${keyLabel(label)}`, rowIndexes, count)}
+                                aria-pressed={isDrilled(label)}
+                                className={`px-1.5 py-0.5 rounded border text-xs font-mono ${isDrilled(label)
+                                    ? 'bg-blue-600 border-blue-600 text-white'
+                                    : 'bg-gray-50 dark:bg-gray-900 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:border-blue-400'}`}
+                            >
+                                {keyLabel(label)} <span className="opacity-70">×{count}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {drill?.side === name && (
+                <DrillDownRows
+                    table={table}
+                    title={drill.title}
+                    rowIndexes={drill.rowIndexes}
+                    onClose={() => onDrill(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+/**
+ * Join Diagnostics - match rates, unmatched keys and fan-out of one join, from diagnoseJoin.
+ * Unmatched rows and keys open the rows behind them.
+ */
+export function JoinDiagnostics({ diagnostics, join, tables, tableAliases }) {
+    const [drill, setDrill] = useState(null);
+    const leftName = tableAliases[join.leftTable] || join.leftTable;
+    const rightName = tableAliases[join.rightTable] || join.rightTable;
+    const { left, right, pairs, estimatedRows, fanOutKeys, manyToManyKeys } = diagnostics;
+    const isExploding = manyToManyKeys > 0 && pairs > Math.max(left.rows, right.rows);
+
+    return (
+        <div className="space-y-3 p-3 bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg text-sm" aria-label={`Diagnostics for ${leftName} and ${rightName}`} role="region">
+            <p className="text-gray-700 dark:text-gray-200">
+                Estimated output: <strong className="tabular-nums">{estimatedRows.toLocaleString()} rows</strong>
+                <span className="text-xs text-gray-500 dark:text-gray-400"> ({(join.joinType || 'inner').toUpperCase()}, {pairs.toLocaleString()} matching pairs)</span>
+            </p>
+
+            {manyToManyKeys > 0 && (
+                <div className={`flex gap-2 p-2 rounded border text-xs ${isExploding
+                    ? 'bg-amber-50 dark:bg-amber-900/20 border-amber-300 dark:border-amber-700 text-amber-800 dark:text-amber-200'
+                    : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300'}`} role={isExploding ? 'alert' : undefined}>
+                    <AlertTriangle size={14} className="flex-shrink-0 mt-0.5" aria-hidden="true" />
+                    <div className="space-y-1">
+                        <p>
+                            {manyToManyKeys.toLocaleString()} {manyToManyKeys === 1 ? 'key repeats' : 'keys repeat'} on both sides (many-to-many), so every pair of their rows is joined
+                            {isExploding && ' and the result has more rows than either table'}.
+                        </p>
+                        <ul className="font-mono">
+                            {fanOutKeys.slice(0, 5).map(({ label, left: leftCount, right: rightCount }) => (
+                                <li key={label}>{keyLabel(label)}: {leftCount.toLocaleString()} × {rightCount.toLocaleString()} = {(leftCount * rightCount).toLocaleString()} rows</li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3">
+                <SideSummary name={leftName} stats={left} table={tables[join.leftTable].data} hasKeys={diagnostics.hasKeys} drill={drill} onDrill={setDrill} />
+                <SideSummary name={rightName} stats={right} table={tables[join.rightTable].data} hasKeys={diagnostics.hasKeys} drill={drill} onDrill={setDrill} />
+            </div>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                Counted between the two tables alone; joins earlier in the chain can change the numbers.
+            </p>
+        </div>
+    );
+}
@@ -1,7 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { Grid3X3, Download, GripVertical, X, ChevronDown, HelpCircle } from 'lucide-react';
-import { createPivotData } from '../lib/utils';
-import Papa from 'papaparse';
+import { createPivotData, typeFamily } from '../lib/utils';
+import { useQueryEngine, useEngineQuery } from '../hooks/useQueryEngine';
 
 const AGGREGATION_OPTIONS = [
     { id: 'sum', label: 'Sum', description: 'Total of all values' },
@@ -66,13 +66,13 @@ function PivotHelpPopover({ isOpen, onClose }) {
                     <ol className="text-xs text-indigo-600 dark:text-indigo-400 space-y-1 list-decimal list-inside">
                         <li>Pick a <strong>Row Field</strong> (e.g., City)</li>
                         <li>Leave Column Field as "(None)" for simple summary</li>
-                        <li>Select a <strong>Value Field</strong> for numbers, or use Count</li>
+                        <li>Select a <strong>Value Field</strong> for numbers or true/false columns (Sum counts true values), or use Count</li>
                         <li>Choose how to aggregate (Sum, Average, etc.)</li>
                     </ol>
                 </div>
 
                 <div className="text-xs text-gray-400 dark:text-gray-500 italic">
-                    Tip: Click "Export Pivot" to download your results as CSV!
+                    Tip: Click "Export Pivot" to download your results as CSV, Excel, JSON and more!
                 </div>
             </div>
         </div>
@@ -107,50 +107,80 @@ function FieldSelector({ label, value, options, onChange, placeholder, allowEmpt
 
 /**
  * Pivot Table Component
+ * `config` ({ rowField, columnField, valueField, aggFunc }) seeds the field choices; changes are reported through `onConfigChange`.
+ * With `datasetId` (the query engine dataset holding `data`) the pivot is computed off the main thread.
  */
-export function PivotTable({ data, columns, types }) {
-    const [rowField, setRowField] = useState('');
-    const [columnField, setColumnField] = useState('');
-    const [valueField, setValueField] = useState('');
-    const [aggFunc, setAggFunc] = useState('sum');
+export function PivotTable({ data, columns, types, onExport, config, onConfigChange, datasetId }) {
+    const [rowField, setRowField] = useState(config?.rowField || '');
+    const [columnField, setColumnField] = useState(config?.columnField || '');
+    const [valueField, setValueField] = useState(config?.valueField || '');
+    const [aggFunc, setAggFunc] = useState(config?.aggFunc || 'sum');
     const [isHelpOpen, setIsHelpOpen] = useState(false);
 
+    // Pick up a config set from outside (e.g. a shared link)
+    React.useEffect(() => {
+        if (!config) return;
+        setRowField(config.rowField || '');
+        setColumnField(config.columnField || '');
+        setValueField(config.valueField || '');
+        setAggFunc(config.aggFunc || 'sum');
+    }, [config]);
+
+    React.useEffect(() => {
+        if (onConfigChange) onConfigChange({ rowField, columnField, valueField, aggFunc });
+    }, [onConfigChange, rowField, columnField, valueField, aggFunc]);
+
     // Set defaults when columns change
     React.useEffect(() => {
-        if (columns.length > 0 && !rowField) {
+        if (columns.length > 0 && !columns.includes(rowField)) {
             // Try to find a categorical column for rows
-            const categoricalCol = columns.find(col => types[col] === 'string');
+            const categoricalCol = columns.find(col => types[col] === 'categorical') ||
+                columns.find(col => typeFamily(types[col]) === 'string');
             setRowField(categoricalCol || columns[0]);
 
             // Try to find a numeric column for values
-            const numericCol = columns.find(col => types[col] === 'number');
+            const numericCol = columns.find(col => typeFamily(types[col]) === 'number');
             setValueField(numericCol || '');
         }
     }, [columns, types, rowField]);
 
+    const pivotConfig = useMemo(() => ({
+        rowField,
+        columnField: columnField || null,
+        valueField: valueField || null,
+        aggFunc,
+        types
+    }), [rowField, columnField, valueField, aggFunc, types]);
+
+    const engine = useQueryEngine();
+    const useEngine = Boolean(engine && datasetId);
+    const hasPivot = Boolean(rowField && data && data.length > 0);
+
+    const engineQuery = useMemo(
+        () => (useEngine && hasPivot ? { datasetId, config: pivotConfig } : null),
+        [useEngine, hasPivot, datasetId, pivotConfig]
+    );
+    const { result: enginePivot } = useEngineQuery('pivot', engineQuery, { enabled: Boolean(engineQuery) });
+
     // Calculate pivot data
-    const pivotResult = useMemo(() => {
-        if (!rowField || !data || data.length === 0) {
-            return null;
-        }
+    const localPivot = useMemo(() => {
+        if (useEngine || !hasPivot) return null;
+        return createPivotData(data, pivotConfig);
+    }, [useEngine, hasPivot, data, pivotConfig]);
 
-        return createPivotData(data, {
-            rowField,
-            columnField: columnField || null,
-            valueField: valueField || null,
-            aggFunc
-        });
-    }, [data, rowField, columnField, valueField, aggFunc]);
+    const pivotResult = !hasPivot ? null : useEngine ? enginePivot : localPivot;
 
-    // Export pivot to CSV
+    // Export pivot through the shared export dialog
     const handleExport = () => {
-        if (!pivotResult) return;
+        if (!pivotResult || !onExport) return;
+
+        const valueHeaders = pivotResult.columns.map(colVal => columnField ? `${columnField}: ${colVal}` : 'Value');
+        const exportColumns = [rowField, ...valueHeaders, 'Total'];
 
         const exportData = pivotResult.rows.map(rowVal => {
             const row = { [rowField]: rowVal };
-            pivotResult.columns.forEach(colVal => {
-                const header = columnField ? `${columnField}: ${colVal}` : 'Value';
-                row[header] = pivotResult.pivotData[rowVal][colVal];
+            pivotResult.columns.forEach((colVal, idx) => {
+                row[valueHeaders[idx]] = pivotResult.pivotData[rowVal][colVal];
             });
             row['Total'] = pivotResult.totals.row[rowVal];
             return row;
@@ -158,22 +188,18 @@ export function PivotTable({ data, columns, types }) {
 
         // Add totals row
         const totalsRow = { [rowField]: 'Grand Total' };
-        pivotResult.columns.forEach(colVal => {
-            const header = columnField ? `${columnField}: ${colVal}` : 'Value';
-            totalsRow[header] = pivotResult.totals.column[colVal];
+        pivotResult.columns.forEach((colVal, idx) => {
+            totalsRow[valueHeaders[idx]] = pivotResult.totals.column[colVal];
         });
         totalsRow['Total'] = pivotResult.totals.grand;
         exportData.push(totalsRow);
 
-        const csv = Papa.unparse(exportData);
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.setAttribute('download', 'pivot_table.csv');
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        const exportTypes = { [rowField]: 'string', Total: 'number' };
+        valueHeaders.forEach(header => {
+            exportTypes[header] = 'number';
+        });
+
+        onExport(exportData, { baseName: 'pivot_table', columns: exportColumns, types: exportTypes });
     };
 
     if (!data || data.length === 0) {
@@ -229,7 +255,7 @@ export function PivotTable({ data, columns, types }) {
                     <FieldSelector
                         label="Value Field"
                         value={valueField}
-                        options={columns.filter(c => types[c] === 'number')}
+                        options={columns.filter(c => ['number', 'boolean'].includes(typeFamily(types[c])))}
                         onChange={setValueField}
                         placeholder="(Count)"
                         allowEmpty
@@ -0,0 +1,196 @@
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import { TableProperties, X, RotateCcw, AlertTriangle } from 'lucide-react';
+import { COLUMN_TYPES, DATE_FORMATS, profileColumnTypes, typeFamily } from '../lib/utils';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { TypeBadge } from './SmartColumnBadge';
+
+/**
+ * Conflict summary for a column: how many sampled values don't fit the (suggested) type
+ */
+function ConflictNote({ profile }) {
+    if (!profile || profile.conflicts.count === 0) return null;
+    const expected = profile.suggestedType || profile.type;
+    const examples = profile.conflicts.examples.map(ex => `"${ex.value}" (row ${ex.row + 1})`).join(', ');
+
+    return (
+        <p className="flex items-start gap-1.5 text-xs text-amber-600 dark:text-amber-400 mt-1">
+            <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" aria-hidden="true" />
+            <span>
+                {profile.conflicts.count} value{profile.conflicts.count !== 1 ? 's' : ''} not {expected}
+                {profile.suggestedType ? ` (kept as string, mostly ${profile.suggestedType})` : ''}: {examples}
+            </span>
+        </p>
+    );
+}
+
+/**
+ * Schema Editor - review detected column types and override them per table
+ */
+export function SchemaEditor({ tables, activeTable, overrides = {}, onChange, onReset, isOpen, onClose }) {
+    const tableNames = Object.keys(tables);
+    const [tableName, setTableName] = useState(activeTable);
+
+    useEffect(() => {
+        if (isOpen) setTableName(activeTable);
+    }, [isOpen, activeTable]);
+
+    const table = tables[tableName];
+    const savedOverrides = overrides[tableName];
+    const tableOverrides = savedOverrides || {};
+
+    // Profiling the whole table is only worth doing while the editor is open
+    const profiles = useMemo(() => {
+        if (!isOpen || !table) return {};
+        const dateFormats = {};
+        Object.entries(savedOverrides || {}).forEach(([col, override]) => {
+            if (override.dateFormat) dateFormats[col] = override.dateFormat;
+        });
+        return profileColumnTypes(table.data, { dateFormats });
+    }, [isOpen, table, savedOverrides]);
+
+    const columns = table && table.data.length > 0 ? table.data.columnNames : [];
+    const overrideCount = Object.keys(tableOverrides).length;
+
+    const handleEscape = useCallback(() => onClose(), [onClose]);
+    const modalRef = useFocusTrap(isOpen, { onEscape: handleEscape });
+
+    if (!isOpen || !table) return null;
+
+    const updateColumn = (col, changes) => {
+        const next = { ...tableOverrides[col], ...changes };
+        if (!next.type) delete next.type;
+        if (!next.dateFormat || next.dateFormat === 'auto') delete next.dateFormat;
+        onChange(tableName, col, Object.keys(next).length > 0 ? next : null);
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="schema-editor-title"
+        >
+            <div
+                ref={modalRef}
+                className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-3xl w-full max-h-[85vh] overflow-hidden animate-in zoom-in-95 duration-300"
+            >
+                {/* Header */}
+                <div className="bg-gradient-to-r from-sky-600 to-cyan-500 px-6 py-5 flex items-center justify-between">
+                    <div className="flex items-center gap-3">
+                        <div className="bg-white/20 p-2 rounded-lg" aria-hidden="true">
+                            <TableProperties className="text-white" size={24} />
+                        </div>
+                        <div>
+                            <h2 id="schema-editor-title" className="text-xl font-bold text-white">Column Schema</h2>
+                            <p className="text-sky-50 text-sm">Override detected types and date formats</p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 text-white/80 hover:text-white hover:bg-white/20 rounded-lg transition-colors"
+                        aria-label="Close schema editor"
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-4 overflow-y-auto max-h-[calc(85vh-160px)]">
+                    {tableNames.length > 1 && (
+                        <div>
+                            <label htmlFor="schema-table" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Table
+                            </label>
+                            <select
+                                id="schema-table"
+                                value={tableName}
+                                onChange={(e) => setTableName(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-sky-500 outline-none"
+                            >
+                                {tableNames.map(name => (
+                                    <option key={name} value={name}>{name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Types are detected from up to 10,000 rows sampled across the whole file. Overrides are remembered for tables with the same name.
+                    </p>
+
+                    <div className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+                        {columns.map(col => {
+                            const profile = profiles[col];
+                            const override = tableOverrides[col] || {};
+                            const effectiveType = override.type || table.types[col] || 'string';
+                            const isDate = typeFamily(effectiveType) === 'date';
+
+                            return (
+                                <div key={col} className="px-4 py-3">
+                                    <div className="flex flex-wrap items-center gap-3">
+                                        <div className="flex items-center gap-2 flex-1 min-w-[160px]">
+                                            <TypeBadge type={effectiveType} />
+                                            <span className="font-medium text-sm text-gray-800 dark:text-gray-100 truncate" title={col}>{col}</span>
+                                            {override.type && (
+                                                <span className="text-[10px] uppercase tracking-wide bg-sky-100 dark:bg-sky-900/40 text-sky-700 dark:text-sky-300 px-1.5 py-0.5 rounded">
+                                                    Override
+                                                </span>
+                                            )}
+                                        </div>
+                                        <select
+                                            value={override.type || ''}
+                                            onChange={(e) => updateColumn(col, { type: e.target.value })}
+                                            aria-label={`Type for ${col}`}
+                                            className="px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-sky-500 outline-none"
+                                        >
+                                            <option value="">Detected ({table.types[col] || 'string'})</option>
+                                            {COLUMN_TYPES.map(type => (
+                                                <option key={type} value={type}>{type}</option>
+                                            ))}
+                                        </select>
+                                        {isDate && (
+                                            <select
+                                                value={override.dateFormat || 'auto'}
+                                                onChange={(e) => updateColumn(col, { dateFormat: e.target.value })}
+                                                aria-label={`Date format for ${col}`}
+                                                className="px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded text-sm bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 focus:ring-2 focus:ring-sky-500 outline-none"
+                                            >
+                                                {DATE_FORMATS.map(fmt => (
+                                                    <option key={fmt.value} value={fmt.value}>{fmt.label}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </div>
+                                    {profile && profile.missing > 0 && (
+                                        <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                                            {profile.missing.toLocaleString()} of {profile.sampled.toLocaleString()} sampled values are empty or placeholders
+                                        </p>
+                                    )}
+                                    <ConflictNote profile={profile} />
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {/* Footer */}
+                <div className="px-6 py-4 bg-gray-50 dark:bg-gray-900/50 border-t border-gray-200 dark:border-gray-700 flex justify-between gap-3">
+                    <button
+                        onClick={() => onReset(tableName)}
+                        disabled={overrideCount === 0}
+                        className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                        <RotateCcw size={16} />
+                        Reset to detected types
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="px-5 py-2 bg-sky-600 hover:bg-sky-700 text-white font-medium rounded-lg shadow-sm transition-colors"
+                    >
+                        Done
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
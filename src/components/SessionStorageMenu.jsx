@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { HardDrive, Trash2, Loader2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/**
+ * Session Storage Menu - opt in to keeping the workspace across reloads and see how much space it uses
+ */
+export function SessionStorageMenu({ isEnabled, onToggle, isRestoring, usage, error, onForget }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const usagePercent = usage && usage.quota > 0 ? Math.min(100, (usage.usage / usage.quota) * 100) : 0;
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+                aria-haspopup="true"
+                className={cn(
+                    "flex items-center gap-1.5 px-2.5 py-2 rounded-lg text-xs font-medium transition-colors",
+                    isEnabled
+                        ? "bg-teal-50 text-teal-700 hover:bg-teal-100 dark:bg-teal-900/30 dark:text-teal-300 dark:hover:bg-teal-900/50"
+                        : "bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+                )}
+                title="Session storage"
+            >
+                {isRestoring ? <Loader2 size={16} className="animate-spin" aria-hidden="true" /> : <HardDrive size={16} aria-hidden="true" />}
+                {isRestoring ? 'Restoring…' : isEnabled ? `Saved locally${usage ? ` · ${formatBytes(usage.usage)}` : ''}` : 'Not saved'}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 w-80 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl z-30 p-4 space-y-4 ring-1 ring-black/5">
+                    <label className="flex items-start gap-3 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={isEnabled}
+                            onChange={(e) => onToggle(e.target.checked)}
+                            className="mt-0.5 w-4 h-4 text-teal-600 rounded focus:ring-teal-500"
+                        />
+                        <span>
+                            <span className="block text-sm font-medium text-gray-700 dark:text-gray-200">Keep tables after reload</span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                Tables, joins, aliases, filters and the active tab are saved in this browser's IndexedDB. Nothing leaves your machine.
+                            </span>
+                        </span>
+                    </label>
+
+                    {usage && (
+                        <div>
+                            <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+                                <span>Browser storage used</span>
+                                <span>{formatBytes(usage.usage)}{usage.quota > 0 ? ` of ${formatBytes(usage.quota)}` : ''}</span>
+                            </div>
+                            <div className="h-1.5 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                                <div className="h-full bg-teal-500" style={{ width: `${usagePercent}%` }} />
+                            </div>
+                        </div>
+                    )}
+
+                    {error && (
+                        <p role="alert" className="text-xs text-red-600 dark:text-red-400">{error}</p>
+                    )}
+
+                    <button
+                        onClick={() => {
+                            onForget();
+                            setIsOpen(false);
+                        }}
+                        className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg border border-red-200 dark:border-red-800 text-sm font-medium text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                    >
+                        <Trash2 size={14} />
+                        Forget everything
+                    </button>
+                    <p className="text-[11px] text-gray-400 dark:text-gray-500 -mt-2">
+                        Clears the loaded tables and deletes the saved copy from this browser.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
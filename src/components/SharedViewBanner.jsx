@@ -0,0 +1,43 @@
+import React from 'react';
+import { Link2, AlertTriangle, X } from 'lucide-react';
+
+/**
+ * Shared View Banner - tells the user which tables a shared link is waiting for
+ */
+export function SharedViewBanner({ view, error, loadedTables, onApply, onDismiss }) {
+    if (!view && !error) return null;
+
+    if (error) {
+        return (
+            <div role="alert" className="flex items-start gap-3 px-4 py-3 rounded-lg border border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+                <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" aria-hidden="true" />
+                <p className="flex-1">Could not open the shared link: {error}</p>
+                <button onClick={onDismiss} className="p-1 rounded hover:bg-red-100 dark:hover:bg-red-900/40" aria-label="Dismiss shared link message">
+                    <X size={16} />
+                </button>
+            </div>
+        );
+    }
+
+    const missing = view.tables.filter(name => !loadedTables.includes(name));
+
+    return (
+        <div role="status" className="flex flex-wrap items-center gap-3 px-4 py-3 rounded-lg border border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20 text-sm text-blue-800 dark:text-blue-200">
+            <Link2 size={18} className="flex-shrink-0" aria-hidden="true" />
+            <p className="flex-1">
+                Shared view: load <span className="font-semibold">{missing.join(', ')}</span> to apply its filters and layout.
+            </p>
+            {loadedTables.length > 0 && (
+                <button
+                    onClick={onApply}
+                    className="px-3 py-1 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-xs font-medium transition-colors"
+                >
+                    Apply to loaded tables
+                </button>
+            )}
+            <button onClick={onDismiss} className="p-1 rounded hover:bg-blue-100 dark:hover:bg-blue-900/40" aria-label="Dismiss shared view">
+                <X size={16} />
+            </button>
+        </div>
+    );
+}
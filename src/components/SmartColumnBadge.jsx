@@ -47,19 +47,26 @@ export function SmartColumnBadge({ smartType, validPercent, showValidation = tru
 }
 
 /**
- * Simple type badge for basic types (number, string, date)
+ * Simple type badge for column types (number, date, string and schema overrides)
  */
 export function TypeBadge({ type }) {
     const config = {
         number: { label: '#', color: 'text-blue-600', bg: 'bg-blue-50 dark:bg-blue-900/20' },
+        integer: { label: '12', color: 'text-blue-600', bg: 'bg-blue-50 dark:bg-blue-900/20' },
+        boolean: { label: '✓', color: 'text-teal-600', bg: 'bg-teal-50 dark:bg-teal-900/20' },
         date: { label: '📅', color: 'text-purple-600', bg: 'bg-purple-50 dark:bg-purple-900/20' },
+        datetime: { label: '🕒', color: 'text-purple-600', bg: 'bg-purple-50 dark:bg-purple-900/20' },
+        categorical: { label: '≡', color: 'text-amber-600', bg: 'bg-amber-50 dark:bg-amber-900/20' },
         string: { label: 'Aa', color: 'text-gray-500', bg: 'bg-gray-100 dark:bg-gray-800' }
     };
 
     const typeConfig = config[type] || config.string;
 
     return (
-        <span className={`inline-flex items-center justify-center w-5 h-5 rounded text-[10px] font-bold ${typeConfig.bg} ${typeConfig.color}`}>
+        <span
+            className={`inline-flex items-center justify-center w-5 h-5 rounded text-[10px] font-bold ${typeConfig.bg} ${typeConfig.color}`}
+            title={config[type] ? type : 'string'}
+        >
             {typeConfig.label}
         </span>
     );
@@ -0,0 +1,181 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Database, Play, FileDown, TableProperties, AlertCircle } from 'lucide-react';
+import { DataTable } from './DataTable';
+import { detectColumnTypes, detectSmartColumnTypes } from '../lib/utils';
+import { useQueryEngine, useEngineQuery } from '../hooks/useQueryEngine';
+import { KEYWORDS } from '../lib/sql';
+
+// Names that are not plain identifiers, or would read as keywords, need quotes
+function quoteName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !KEYWORDS.has(name.toUpperCase()) ? name : `"${name}"`;
+}
+
+/**
+ * SQL View - run SELECT queries over the loaded tables, named by their aliases.
+ * Queries run in the query engine; the result can be loaded as a new table or exported.
+ */
+export function SqlView({ tables, query, onQueryChange, onLoadAsTable, onExport }) {
+    const engine = useQueryEngine();
+    const [submitted, setSubmitted] = useState(null);
+    const [resultName, setResultName] = useState('query_result');
+    const editorRef = useRef(null);
+
+    const { result, isPending, error } = useEngineQuery('sql', submitted, { enabled: Boolean(submitted) });
+
+    const resultTypes = useMemo(() => (result ? detectColumnTypes(result.data) : {}), [result]);
+    const resultSmartTypes = useMemo(() => (result ? detectSmartColumnTypes(result.data) : {}), [result]);
+
+    const runQuery = () => {
+        if (!query.trim()) return;
+        // A new object on every run, so running the same text again re-reads the tables
+        setSubmitted({
+            query,
+            tables: Object.fromEntries(tables.map(table => [table.alias, table.datasetId]))
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runQuery();
+        }
+    };
+
+    const insertText = (text) => {
+        const input = editorRef.current;
+        const start = input?.selectionStart ?? query.length;
+        const end = input?.selectionEnd ?? query.length;
+        onQueryChange(query.slice(0, start) + text + query.slice(end));
+        requestAnimationFrame(() => {
+            input?.focus();
+            input?.setSelectionRange(start + text.length, start + text.length);
+        });
+    };
+
+    const showError = error && !isPending;
+    const hasResult = Boolean(result) && !showError;
+
+    return (
+        <div className="space-y-4">
+            <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+                <div className="bg-gradient-to-r from-slate-50 to-blue-50 dark:from-slate-900/20 dark:to-blue-900/20 border-b border-gray-200 dark:border-gray-700 p-5">
+                    <div className="flex items-center gap-3 mb-4">
+                        <div className="bg-slate-700 p-2 rounded-lg shadow-md">
+                            <Database className="text-white" size={18} />
+                        </div>
+                        <h3 className="font-semibold text-gray-800 dark:text-gray-100">SQL Query</h3>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+                        {/* Tables and their columns */}
+                        <div className="lg:col-span-1 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-3 max-h-64 overflow-y-auto text-sm" aria-label="Tables you can query">
+                            {tables.map(table => (
+                                <div key={table.name} className="mb-3 last:mb-0">
+                                    <button
+                                        type="button"
+                                        onClick={() => insertText(quoteName(table.alias))}
+                                        className="font-mono font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+                                        title={`Insert ${quoteName(table.alias)}`}
+                                    >
+                                        {table.alias}
+                                    </button>
+                                    <span className="ml-2 text-xs text-gray-400 dark:text-gray-500">{table.name}</span>
+                                    <ul className="mt-1 ml-2 space-y-0.5">
+                                        {table.columns.map(col => (
+                                            <li key={col}>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => insertText(`${quoteName(table.alias)}.${quoteName(col)}`)}
+                                                    className="font-mono text-xs text-gray-600 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400"
+                                                    title={`Insert ${quoteName(table.alias)}.${quoteName(col)}`}
+                                                >
+                                                    {col}
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="lg:col-span-3 space-y-2">
+                            <textarea
+                                ref={editorRef}
+                                value={query}
+                                onChange={(e) => onQueryChange(e.target.value)}
+                                onKeyDown={handleKeyDown}
+                                aria-label="SQL query"
+                                aria-invalid={Boolean(showError)}
+                                aria-describedby="sql-query-status"
+                                placeholder={tables[0] ? `SELECT * FROM ${quoteName(tables[0].alias)} LIMIT 100` : 'SELECT ...'}
+                                rows={6}
+                                spellCheck={false}
+                                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-mono text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                            />
+                            <div className="flex flex-wrap items-center justify-between gap-3">
+                                <div id="sql-query-status" className="text-xs min-h-[1rem]" aria-live="polite">
+                                    {isPending ? (
+                                        <span className="text-gray-500 dark:text-gray-400">Running…</span>
+                                    ) : showError ? (
+                                        <span className="flex items-center gap-1 text-red-600 dark:text-red-400">
+                                            <AlertCircle size={12} aria-hidden="true" />
+                                            {error.message}
+                                            {Number.isInteger(error.position) && ` (at character ${error.position + 1})`}
+                                        </span>
+                                    ) : hasResult ? (
+                                        <span className="text-gray-500 dark:text-gray-400">
+                                            {result.data.length.toLocaleString()} rows, {result.columns.length} columns
+                                        </span>
+                                    ) : (
+                                        <span className="text-gray-400 dark:text-gray-500">Ctrl+Enter runs the query</span>
+                                    )}
+                                </div>
+                                <button
+                                    onClick={runQuery}
+                                    disabled={!engine || !query.trim()}
+                                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed text-white font-medium rounded-lg shadow-sm transition-colors"
+                                >
+                                    <Play size={16} />
+                                    Run query
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                {hasResult && (
+                    <div className="px-5 py-3 flex flex-wrap items-center gap-3 border-b border-gray-200 dark:border-gray-700">
+                        <label htmlFor="sql-result-name" className="text-sm text-gray-600 dark:text-gray-300">Result table name</label>
+                        <input
+                            id="sql-result-name"
+                            type="text"
+                            value={resultName}
+                            onChange={(e) => setResultName(e.target.value)}
+                            className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                        />
+                        <button
+                            onClick={() => onLoadAsTable(result.data, resultName.trim() || 'query_result')}
+                            disabled={result.data.length === 0}
+                            className="flex items-center gap-2 px-3 py-1.5 bg-white dark:bg-gray-800 border border-blue-600 text-blue-700 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <TableProperties size={16} />
+                            Load as table
+                        </button>
+                        <button
+                            onClick={() => onExport(result.data, { baseName: resultName.trim() || 'query_result', columns: result.columns, types: resultTypes })}
+                            disabled={result.data.length === 0}
+                            className="flex items-center gap-2 px-3 py-1.5 bg-white dark:bg-gray-800 border border-green-600 text-green-700 dark:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/20 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <FileDown size={16} />
+                            Export result
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {hasResult && (
+                <DataTable data={result.data} types={resultTypes} smartTypes={resultSmartTypes} />
+            )}
+        </div>
+    );
+}
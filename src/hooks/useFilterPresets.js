@@ -0,0 +1,24 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadPresets, storePresets, mergePresets } from '../lib/filterPresets';
+
+export function useFilterPresets() {
+    const [presets, setPresets] = useState(loadPresets);
+
+    useEffect(() => {
+        storePresets(presets);
+    }, [presets]);
+
+    const savePreset = useCallback((name, tree, isCaseSensitive) => {
+        setPresets(prev => mergePresets(prev, [{ name, tree, isCaseSensitive, savedAt: Date.now() }]));
+    }, []);
+
+    const deletePreset = useCallback((name) => {
+        setPresets(prev => prev.filter(p => p.name !== name));
+    }, []);
+
+    const importPresets = useCallback((incoming) => {
+        setPresets(prev => mergePresets(prev, incoming));
+    }, []);
+
+    return { presets, savePreset, deletePreset, importPresets };
+}
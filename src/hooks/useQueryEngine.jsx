@@ -0,0 +1,59 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { createQueryEngine, isCancelledError } from '../lib/queryEngine';
+
+const QueryEngineContext = createContext(null);
+
+export function QueryEngineProvider({ children }) {
+    const [engine, setEngine] = useState(null);
+
+    useEffect(() => {
+        const instance = createQueryEngine();
+        setEngine(instance);
+        return () => instance.terminate();
+    }, []);
+
+    return (
+        <QueryEngineContext.Provider value={engine}>
+            {children}
+        </QueryEngineContext.Provider>
+    );
+}
+
+/**
+ * The shared query engine, or null until it has started
+ */
+export function useQueryEngine() {
+    return useContext(QueryEngineContext);
+}
+
+/**
+ * Run an engine query whenever `params` changes (pass a memoized object).
+ * A query still running when params change is cancelled.
+ * @returns {{ result: any, isPending: boolean, error: Error|null }}
+ */
+export function useEngineQuery(op, params, { enabled = true } = {}) {
+    const engine = useQueryEngine();
+    const [state, setState] = useState({ result: null, isPending: false, error: null });
+
+    useEffect(() => {
+        if (!engine || !enabled || !params) return;
+        let isCurrent = true;
+        setState(prev => ({ ...prev, isPending: true, error: null }));
+
+        const { promise, cancel } = engine.run(op, params);
+        promise
+            .then(result => isCurrent && setState({ result, isPending: false, error: null }))
+            .catch(error => {
+                if (isCurrent && !isCancelledError(error)) {
+                    setState(prev => ({ ...prev, isPending: false, error }));
+                }
+            });
+
+        return () => {
+            isCurrent = false;
+            cancel();
+        };
+    }, [engine, op, params, enabled]);
+
+    return state;
+}
@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { saveSessionTables, saveSessionState, loadSession, clearSession, getStorageEstimate, isSessionStoreAvailable } from '../lib/sessionStore';
+
+const PREFERENCE_KEY = 'persistSession';
+const SAVE_DELAY = 1000;
+
+/**
+ * Opt-in copy of the workspace in IndexedDB so a reload doesn't lose loaded tables.
+ * Tables are only rewritten when their object changes; everything else is saved as one small record.
+ * @param {Object} options
+ * @param {Object} options.tables - App tables state
+ * @param {Object} options.state - Serializable workspace state (aliases, joins, filters...)
+ * @param {Function} options.onRestore - Called with { tables, state } when a saved session is found on load
+ */
+export function useSessionPersistence({ tables, state, onRestore }) {
+    const isAvailable = isSessionStoreAvailable();
+    const [isEnabled, setIsEnabled] = useState(() => isAvailable && localStorage.getItem(PREFERENCE_KEY) === 'true');
+    // Nothing is written until the saved session has been read back, so it can't be overwritten by the empty start state
+    const [isRestoring, setIsRestoring] = useState(isEnabled);
+    const [usage, setUsage] = useState(null);
+    const [error, setError] = useState(null);
+    const savedTablesRef = useRef({});
+    const onRestoreRef = useRef(onRestore);
+    onRestoreRef.current = onRestore;
+
+    const refreshUsage = useCallback(async () => {
+        setUsage(await getStorageEstimate());
+    }, []);
+
+    useEffect(() => {
+        localStorage.setItem(PREFERENCE_KEY, String(isEnabled));
+    }, [isEnabled]);
+
+    // Restore once on load
+    useEffect(() => {
+        if (!isRestoring) return;
+        let cancelled = false;
+
+        loadSession()
+            .then(session => {
+                if (cancelled) return;
+                if (session) {
+                    savedTablesRef.current = session.tables;
+                    onRestoreRef.current(session);
+                }
+            })
+            .catch(err => !cancelled && setError(err.message || 'Could not read the saved session'))
+            .finally(() => {
+                if (cancelled) return;
+                setIsRestoring(false);
+                refreshUsage();
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isRestoring, refreshUsage]);
+
+    // Save shortly after changes settle
+    useEffect(() => {
+        if (!isEnabled || isRestoring) return;
+        // Nothing loaded and nothing stored: don't recreate the database just to hold an empty workspace
+        if (Object.keys(tables).length === 0 && Object.keys(savedTablesRef.current).length === 0) return;
+
+        const timer = setTimeout(async () => {
+            const changed = Object.keys(tables).filter(name => savedTablesRef.current[name] !== tables[name]);
+            const removed = Object.keys(savedTablesRef.current).some(name => !tables[name]);
+            try {
+                if (changed.length > 0 || removed) {
+                    await saveSessionTables(tables, changed);
+                    savedTablesRef.current = tables;
+                }
+                await saveSessionState(state);
+                setError(null);
+            } catch (err) {
+                setError(err.name === 'QuotaExceededError'
+                    ? 'Browser storage is full, so the latest changes were not saved'
+                    : (err.message || 'Could not save the session'));
+            }
+            refreshUsage();
+        }, SAVE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [isEnabled, isRestoring, tables, state, refreshUsage]);
+
+    // Delete everything stored for this session. Persistence stays as the user set it.
+    const forget = useCallback(async () => {
+        savedTablesRef.current = {};
+        try {
+            await clearSession();
+            setError(null);
+        } catch (err) {
+            setError(err.message || 'Could not clear the saved session');
+        }
+        refreshUsage();
+    }, [refreshUsage]);
+
+    const setEnabled = useCallback((enabled) => {
+        setIsEnabled(enabled);
+        if (!enabled) {
+            forget();
+        } else {
+            // Force a full write of what is loaded right now
+            savedTablesRef.current = {};
+        }
+    }, [forget]);
+
+    return { isAvailable, isEnabled, setEnabled, isRestoring, usage, error, forget };
+}
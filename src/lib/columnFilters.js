@@ -0,0 +1,229 @@
+/**
+ * Column filters - the per-column filters behind the table header menus and the facet sidebar.
+ *
+ * They are not stored separately: each one is a plain condition at the top of the filter tree,
+ * so it shows up (and can be edited) in the Filters panel like any other condition.
+ *   values -  field in (...), field not in (...) or field is empty
+ *   range  -  field ≥ min and/or field ≤ max
+ *   dates  -  field is between start|end
+ */
+import { columnReader } from './columnar';
+import { parseFlexibleDateParts, typeFamily } from './utils';
+
+const generateId = () => Math.random().toString(36).substr(2, 9);
+
+// Distinct values listed per column; rarer values beyond this are left out
+export const MAX_FACET_VALUES = 500;
+
+const VALUE_OPERATORS = ['in', 'not in', 'is empty'];
+const RANGE_OPERATORS = ['≥', '≤'];
+const DATE_OPERATORS = ['is between'];
+
+const KIND_OPERATORS = { values: VALUE_OPERATORS, range: RANGE_OPERATORS, dates: DATE_OPERATORS };
+
+const isEmptyValue = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * `in` lists are comma separated and their items trimmed, so values holding a comma or
+ * surrounding spaces can't be picked one by one (" a" would be read back as "a")
+ */
+export function canListValue(value) {
+    const text = String(value);
+    return !text.includes(',') && text === text.trim();
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function isoDate(parts) {
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+// A date filter value as yyyy-mm-dd, or '' when it can't be read
+function toIsoDate(value, dateFormat) {
+    const parts = value ? parseFlexibleDateParts(value, dateFormat) : null;
+    return parts ? isoDate(parts) : '';
+}
+
+/**
+ * Value counts and bounds of one column, for its header menu or facet
+ * @param {Object} table - Columnar table (or array of rows)
+ * @param {string} type - Column type; number columns get min/max, date columns the first and last day
+ * @param {string} dateFormat - How to read ambiguous dates, as in the schema overrides
+ * @returns {{ values: Array<{ value: string, count: number }>, isTruncated: boolean, min?: number, max?: number, start?: string, end?: string }}
+ *   Values are in natural order with the empty value last; `start`/`end` are yyyy-mm-dd
+ */
+export function columnFacet(table, column, type, dateFormat = 'auto') {
+    const family = typeFamily(type);
+    const read = columnReader(table, column);
+    const length = table.length;
+
+    const counts = new Map();
+    for (let i = 0; i < length; i++) {
+        const raw = read(i);
+        const value = isEmptyValue(raw) ? '' : String(raw);
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    const facet = { values: [], isTruncated: counts.size > MAX_FACET_VALUES };
+
+    if (family === 'number') {
+        let min = Infinity;
+        let max = -Infinity;
+        counts.forEach((count, value) => {
+            const num = Number(value);
+            if (value === '' || Number.isNaN(num)) return;
+            if (num < min) min = num;
+            if (num > max) max = num;
+        });
+        if (min <= max) Object.assign(facet, { min, max });
+    }
+
+    if (family === 'date') {
+        let start = null;
+        let end = null;
+        counts.forEach((count, value) => {
+            const parts = value === '' ? null : parseFlexibleDateParts(value, dateFormat);
+            if (!parts) return;
+            const day = isoDate(parts);
+            if (start === null || day < start) start = day;
+            if (end === null || day > end) end = day;
+        });
+        if (start !== null) Object.assign(facet, { start, end });
+    }
+
+    let entries = [...counts].map(([value, count]) => ({ value, count }));
+    if (facet.isTruncated) {
+        entries = entries.sort((a, b) => b.count - a.count).slice(0, MAX_FACET_VALUES);
+    }
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    facet.values = entries.sort((a, b) => {
+        if (a.value === '' || b.value === '') return (a.value === '') - (b.value === '');
+        return family === 'number' ? Number(a.value) - Number(b.value) : collator.compare(a.value, b.value);
+    });
+    return facet;
+}
+
+// Conditions a column filter may be read from: direct children of an AND root
+function topConditions(tree, field, kind) {
+    if (!tree || tree.type !== 'group') return [];
+    if (tree.logic === 'OR' && tree.children.length > 1) return [];
+    return tree.children.filter(node =>
+        node.type === 'condition' && node.field === field && KIND_OPERATORS[kind].includes(node.operator)
+    );
+}
+
+/**
+ * Whether the filter tree holds a header filter on the column
+ */
+export function hasColumnFilter(tree, field) {
+    return Object.keys(KIND_OPERATORS).some(kind => topConditions(tree, field, kind).length > 0);
+}
+
+/**
+ * The header filter of one column as found in the filter tree
+ * @param {string} dateFormat - How the column's dates are written; date ranges come back as yyyy-mm-dd
+ * @returns {{ values: null | { operator: 'in' | 'not in', values: string[] }, range: null | { min?: number, max?: number }, dates: null | { start: string, end: string } }}
+ */
+export function getColumnFilter(tree, field, dateFormat = 'auto') {
+    const filter = { values: null, range: null, dates: null };
+
+    const [valueCondition] = topConditions(tree, field, 'values');
+    if (valueCondition) {
+        filter.values = valueCondition.operator === 'is empty'
+            ? { operator: 'in', values: [''] }
+            : { operator: valueCondition.operator, values: String(valueCondition.value).split(',').map(v => v.trim()) };
+    }
+
+    topConditions(tree, field, 'range').forEach(condition => {
+        const num = Number(condition.value);
+        if (condition.value === '' || Number.isNaN(num)) return;
+        filter.range = { ...filter.range, [condition.operator === '≥' ? 'min' : 'max']: num };
+    });
+
+    const [dateCondition] = topConditions(tree, field, 'dates');
+    if (dateCondition) {
+        const [start = '', end = ''] = String(dateCondition.value).split('|');
+        filter.dates = { start: toIsoDate(start, dateFormat), end: toIsoDate(end, dateFormat) };
+    }
+
+    return filter;
+}
+
+/**
+ * Conditions for a set of picked values, choosing whichever of `in` / `not in` lists fewer values
+ * @param {string[]} allValues - Every value the column has
+ * @param {Set<string>} selected - Values to keep; at least one
+ * @param {boolean} isComplete - Whether `allValues` lists every value; if not, only `in` is safe
+ * @returns {Array<{ operator: string, value: string }>} Empty when every value is kept
+ */
+export function valueConditions(allValues, selected, isComplete = true) {
+    const listable = allValues.filter(canListValue);
+    const kept = listable.filter(value => selected.has(value));
+    const dropped = listable.filter(value => !selected.has(value));
+    if (dropped.length === 0 && isComplete) return [];
+    if (kept.length === 1 && kept[0] === '') {
+        return [{ operator: 'is empty', value: '' }];
+    }
+    if (isComplete && dropped.length < kept.length) {
+        return [{ operator: 'not in', value: dropped.join(', ') }];
+    }
+    return [{ operator: 'in', value: kept.join(', ') }];
+}
+
+/**
+ * Conditions for a number range; a side left at the column's bound is dropped
+ */
+export function rangeConditions(range, bounds = {}) {
+    const conditions = [];
+    if (range?.min !== undefined && range.min !== bounds.min) conditions.push({ operator: '≥', value: String(range.min) });
+    if (range?.max !== undefined && range.max !== bounds.max) conditions.push({ operator: '≤', value: String(range.max) });
+    return conditions;
+}
+
+/**
+ * Condition for a date range; a missing end is filled from the column's first or last day
+ */
+export function dateConditions(dates, bounds = {}) {
+    const start = dates?.start || bounds.start;
+    const end = dates?.end || bounds.end;
+    if (!start || !end || (start === bounds.start && end === bounds.end)) return [];
+    return [{ operator: 'is between', value: `${start}|${end}` }];
+}
+
+/**
+ * Replace one kind of header filter on a column. The first existing condition is updated in place,
+ * so the filter keeps its position in the Filters panel; an OR root is wrapped in a new AND root.
+ * @param {'values' | 'range' | 'dates'} kind
+ * @param {Array<{ operator: string, value: string }>} conditions - From valueConditions, rangeConditions
+ *   or dateConditions; empty removes the filter
+ * @returns {Object} The new filter tree
+ */
+export function setColumnFilter(tree, field, kind, conditions) {
+    let root = tree;
+    if (root.logic === 'OR' && root.children.length > 1) {
+        if (conditions.length === 0) return tree;
+        root = { id: tree.id, type: 'group', logic: 'AND', children: [{ ...tree, id: generateId() }] };
+    }
+
+    const existing = topConditions(root, field, kind);
+    const remaining = [...conditions];
+    const children = [];
+    root.children.forEach(node => {
+        if (!existing.includes(node)) {
+            children.push(node);
+            return;
+        }
+        // Reuse the condition with the same operator (or, for values, the first one) and drop the rest
+        const index = remaining.findIndex(c => kind === 'values' || c.operator === node.operator);
+        if (index === -1) return;
+        const [next] = remaining.splice(index, 1);
+        children.push({ ...node, operator: next.operator, value: next.value });
+    });
+    remaining.forEach(({ operator, value }) => {
+        children.push({ id: generateId(), type: 'condition', field, operator, value });
+    });
+
+    return { ...root, logic: children.length > 1 ? 'AND' : root.logic, children };
+}
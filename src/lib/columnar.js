@@ -0,0 +1,362 @@
+/**
+ * Columnar tables - one vector per column instead of one object per row.
+ *
+ * A table is plain data, so it can be posted to the query worker and stored in IndexedDB as is:
+ *   { format: 'columnar', length, columnNames: [...], columns: { name: Column } }
+ *
+ * Columns use one of two encodings:
+ *   { encoding: 'number', values: Float64Array }
+ *       Every value is '' (stored as NaN) or a number string that reads back unchanged ('12', '-0.5').
+ *   { encoding: 'dictionary', dictionary: [...], codes: Uint8Array | Uint16Array | Uint32Array }
+ *       Each distinct value is stored once; rows hold its index in the dictionary.
+ *
+ * Tables are never mutated. Changing a column returns a new table that shares every other column.
+ */
+
+function isCanonicalNumber(value) {
+    if (typeof value !== 'string') return false;
+    if (value === '') return true;
+    const num = Number(value);
+    return !Number.isNaN(num) && String(num) === value;
+}
+
+function codeArrayFor(size, length) {
+    if (size <= 0x100) return new Uint8Array(length);
+    if (size <= 0x10000) return new Uint16Array(length);
+    return new Uint32Array(length);
+}
+
+function encodeNumbers(values) {
+    const out = new Float64Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        out[i] = values[i] === '' ? NaN : Number(values[i]);
+    }
+    return { encoding: 'number', values: out };
+}
+
+function encodeDictionary(values) {
+    const dictionary = [];
+    const lookup = new Map();
+    const codes = new Uint32Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        let code = lookup.get(value);
+        if (code === undefined) {
+            code = dictionary.length;
+            dictionary.push(value);
+            lookup.set(value, code);
+        }
+        codes[i] = code;
+    }
+    // Most columns have few distinct values, so narrow the codes once their count is known
+    const narrow = codeArrayFor(dictionary.length, codes.length);
+    if (narrow instanceof Uint32Array) return { encoding: 'dictionary', dictionary, codes };
+    narrow.set(codes);
+    return { encoding: 'dictionary', dictionary, codes: narrow };
+}
+
+/**
+ * Encode an array of cell values as a column
+ */
+export function encodeColumn(values) {
+    let isNumeric = values.length > 0;
+    for (let i = 0; i < values.length && isNumeric; i++) {
+        isNumeric = isCanonicalNumber(values[i]);
+    }
+    return isNumeric ? encodeNumbers(values) : encodeDictionary(values);
+}
+
+function readNumber(values, i) {
+    const value = values[i];
+    return Number.isNaN(value) ? '' : String(value);
+}
+
+/**
+ * Value of one cell
+ */
+export function readCell(column, rowIndex) {
+    return column.encoding === 'number'
+        ? readNumber(column.values, rowIndex)
+        : column.dictionary[column.codes[rowIndex]];
+}
+
+export function isColumnar(value) {
+    return Boolean(value) && value.format === 'columnar';
+}
+
+export const EMPTY_TABLE = Object.freeze({ format: 'columnar', length: 0, columnNames: [], columns: {} });
+
+function makeTable(length, columnNames, columns) {
+    return { format: 'columnar', length, columnNames, columns };
+}
+
+/**
+ * Build a columnar table from row objects. Columns come from the first row unless given.
+ */
+export function fromRows(rows, columnNames = rows.length > 0 ? Object.keys(rows[0]) : []) {
+    const columns = {};
+    const values = new Array(rows.length);
+    columnNames.forEach(name => {
+        for (let i = 0; i < rows.length; i++) values[i] = rows[i][name];
+        columns[name] = encodeColumn(values);
+    });
+    return makeTable(rows.length, [...columnNames], columns);
+}
+
+/**
+ * Column names of a columnar table or of an array of row objects
+ */
+export function columnNamesOf(data) {
+    if (isColumnar(data)) return data.columnNames;
+    return data && data.length > 0 ? Object.keys(data[0]) : [];
+}
+
+/**
+ * Fast reader for one column: (rowIndex) => value. Also accepts an array of row objects.
+ */
+export function columnReader(data, name) {
+    if (!isColumnar(data)) return (i) => data[i][name];
+    const column = data.columns[name];
+    if (!column) return () => undefined;
+    if (column.encoding === 'number') {
+        const { values } = column;
+        return (i) => readNumber(values, i);
+    }
+    const { dictionary, codes } = column;
+    return (i) => dictionary[codes[i]];
+}
+
+/**
+ * All values of one column as an array
+ */
+export function columnValues(table, name) {
+    const read = columnReader(table, name);
+    const values = new Array(table.length);
+    for (let i = 0; i < table.length; i++) values[i] = read(i);
+    return values;
+}
+
+/**
+ * One row as an object
+ */
+export function getRow(table, rowIndex) {
+    const row = {};
+    table.columnNames.forEach(name => {
+        row[name] = readCell(table.columns[name], rowIndex);
+    });
+    return row;
+}
+
+/**
+ * Row objects for code that still works row by row (exports, charts, joins).
+ * Arrays of rows are returned unchanged.
+ */
+export function toRows(data) {
+    if (!isColumnar(data)) return data || [];
+    const readers = data.columnNames.map(name => [name, columnReader(data, name)]);
+    const rows = new Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        const row = {};
+        for (let c = 0; c < readers.length; c++) row[readers[c][0]] = readers[c][1](i);
+        rows[i] = row;
+    }
+    return rows;
+}
+
+/**
+ * A new table with the given rows, in the given order. Dictionaries are shared.
+ * @param {ArrayLike<number>} indices - Row indexes into `table`
+ */
+export function takeRows(table, indices) {
+    const columns = {};
+    table.columnNames.forEach(name => {
+        const column = table.columns[name];
+        if (column.encoding === 'number') {
+            const values = new Float64Array(indices.length);
+            for (let i = 0; i < indices.length; i++) values[i] = column.values[indices[i]];
+            columns[name] = { encoding: 'number', values };
+        } else {
+            const codes = new column.codes.constructor(indices.length);
+            for (let i = 0; i < indices.length; i++) codes[i] = column.codes[indices[i]];
+            columns[name] = { encoding: 'dictionary', dictionary: column.dictionary, codes };
+        }
+    });
+    return makeTable(indices.length, table.columnNames, columns);
+}
+
+/**
+ * One column at the given rows, for tables assembled from other tables (joins).
+ * An index of -1 reads as null. Dictionaries are shared unless null has to be added.
+ * @param {Object|Array} table - Columnar table (or array of rows)
+ * @param {ArrayLike<number>} indices - Row indexes into `table`, or -1
+ */
+export function takeColumn(table, name, indices) {
+    const column = isColumnar(table) ? table.columns[name] : null;
+    let hasNull = false;
+    for (let i = 0; i < indices.length && !hasNull; i++) hasNull = indices[i] < 0;
+
+    if (column?.encoding === 'number' && !hasNull) {
+        const values = new Float64Array(indices.length);
+        for (let i = 0; i < indices.length; i++) values[i] = column.values[indices[i]];
+        return { encoding: 'number', values };
+    }
+    if (column?.encoding === 'dictionary') {
+        const nullCode = column.dictionary.length;
+        const dictionary = hasNull ? [...column.dictionary, null] : column.dictionary;
+        const codes = codeArrayFor(dictionary.length, indices.length);
+        for (let i = 0; i < indices.length; i++) codes[i] = indices[i] < 0 ? nullCode : column.codes[indices[i]];
+        return { encoding: 'dictionary', dictionary, codes };
+    }
+
+    // Number columns with nulls, and rows, go through encodeColumn
+    const read = columnReader(table, name);
+    const values = new Array(indices.length);
+    for (let i = 0; i < indices.length; i++) values[i] = indices[i] < 0 ? null : read(indices[i]);
+    return encodeColumn(values);
+}
+
+/**
+ * Columnar table from columns built elsewhere (takeColumn, encodeColumn)
+ * @param {Object} columns - { name: Column }, each `length` rows long
+ */
+export function tableFromColumns(length, columnNames, columns) {
+    return makeTable(length, [...columnNames], columns);
+}
+
+/**
+ * Rows `start` to `end` (exclusive) without copying
+ */
+export function sliceTable(table, start, end = table.length) {
+    const from = Math.max(0, Math.min(start, table.length));
+    const to = Math.max(from, Math.min(end, table.length));
+    const columns = {};
+    table.columnNames.forEach(name => {
+        const column = table.columns[name];
+        columns[name] = column.encoding === 'number'
+            ? { encoding: 'number', values: column.values.subarray(from, to) }
+            : { encoding: 'dictionary', dictionary: column.dictionary, codes: column.codes.subarray(from, to) };
+    });
+    return makeTable(to - from, table.columnNames, columns);
+}
+
+/**
+ * Replace (or add) one column. Every other column is shared with the original table.
+ */
+export function withColumn(table, name, values) {
+    const columnNames = table.columns[name] ? table.columnNames : [...table.columnNames, name];
+    return makeTable(table.length, columnNames, { ...table.columns, [name]: encodeColumn(values) });
+}
+
+/**
+ * Transform every value of one column. For dictionary columns `transform` runs once
+ * per distinct value rather than once per row.
+ */
+export function mapColumn(table, name, transform) {
+    const column = table.columns[name];
+    if (!column) return table;
+    if (column.encoding === 'number') {
+        return withColumn(table, name, columnValues(table, name).map(transform));
+    }
+
+    const mapped = column.dictionary.map(transform);
+    if (mapped.every(isCanonicalNumber) && mapped.length > 0) {
+        const values = new Array(table.length);
+        for (let i = 0; i < table.length; i++) values[i] = mapped[column.codes[i]];
+        return withColumn(table, name, values);
+    }
+
+    // Distinct values can collapse into one (e.g. trimming "a " and "a"), so rebuild the dictionary
+    const dictionary = [];
+    const lookup = new Map();
+    const remap = mapped.map(value => {
+        let code = lookup.get(value);
+        if (code === undefined) {
+            code = dictionary.length;
+            dictionary.push(value);
+            lookup.set(value, code);
+        }
+        return code;
+    });
+    const codes = codeArrayFor(dictionary.length, table.length);
+    for (let i = 0; i < table.length; i++) codes[i] = remap[column.codes[i]];
+
+    return makeTable(table.length, table.columnNames, {
+        ...table.columns,
+        [name]: { encoding: 'dictionary', dictionary, codes }
+    });
+}
+
+// Code of `value` in a dictionary, adding it (to a copy) when it is new
+function lookupOrAdd(dictionary, value) {
+    const code = dictionary.indexOf(value);
+    if (code !== -1) return { dictionary, code };
+    return { dictionary: [...dictionary, value], code: dictionary.length };
+}
+
+/**
+ * Change one cell. Only that column is rebuilt.
+ */
+export function setCell(table, rowIndex, name, value) {
+    const column = table.columns[name];
+    if (!column || rowIndex < 0 || rowIndex >= table.length) return table;
+
+    const text = value == null ? '' : String(value);
+    if (column.encoding === 'number' && isCanonicalNumber(text)) {
+        const values = column.values.slice();
+        values[rowIndex] = text === '' ? NaN : Number(text);
+        return makeTable(table.length, table.columnNames, { ...table.columns, [name]: { encoding: 'number', values } });
+    }
+    if (column.encoding === 'dictionary') {
+        const { dictionary, code } = lookupOrAdd(column.dictionary, text);
+        const codes = codeArrayFor(dictionary.length, table.length);
+        codes.set(column.codes);
+        codes[rowIndex] = code;
+        return makeTable(table.length, table.columnNames, { ...table.columns, [name]: { encoding: 'dictionary', dictionary, codes } });
+    }
+
+    // A number column given text (or the reverse) changes encoding
+    const values = columnValues(table, name);
+    values[rowIndex] = text;
+    return withColumn(table, name, values);
+}
+
+/**
+ * Add a row at the end. Missing values are ''.
+ */
+export function appendRow(table, row = {}) {
+    const length = table.length + 1;
+    const columns = {};
+    table.columnNames.forEach(name => {
+        const column = table.columns[name];
+        const text = row[name] == null ? '' : String(row[name]);
+        if (column.encoding === 'number' && isCanonicalNumber(text)) {
+            const values = new Float64Array(length);
+            values.set(column.values);
+            values[table.length] = text === '' ? NaN : Number(text);
+            columns[name] = { encoding: 'number', values };
+        } else if (column.encoding === 'dictionary') {
+            const { dictionary, code } = lookupOrAdd(column.dictionary, text);
+            const codes = codeArrayFor(dictionary.length, length);
+            codes.set(column.codes);
+            codes[table.length] = code;
+            columns[name] = { encoding: 'dictionary', dictionary, codes };
+        } else {
+            columns[name] = encodeColumn([...columnValues(table, name), text]);
+        }
+    });
+    return makeTable(length, table.columnNames, columns);
+}
+
+/**
+ * A new table without the given rows
+ * @param {Iterable<number>} rowIndexes
+ */
+export function dropRows(table, rowIndexes) {
+    const dropped = new Set(rowIndexes);
+    const kept = new Uint32Array(table.length);
+    let count = 0;
+    for (let i = 0; i < table.length; i++) {
+        if (!dropped.has(i)) kept[count++] = i;
+    }
+    return takeRows(table, kept.subarray(0, count));
+}
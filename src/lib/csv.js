@@ -0,0 +1,149 @@
+import Papa from 'papaparse';
+import { buildHeaders } from './utils';
+
+export const DELIMITER_OPTIONS = [
+    { value: '', label: 'Auto-detect' },
+    { value: ',', label: 'Comma (,)' },
+    { value: ';', label: 'Semicolon (;)' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe (|)' }
+];
+
+export const QUOTE_OPTIONS = [
+    { value: '"', label: 'Double quote (")' },
+    { value: "'", label: "Single quote (')" }
+];
+
+export const ENCODING_OPTIONS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'windows-1252', label: 'Windows-1252' },
+    { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+    { value: 'iso-8859-15', label: 'ISO-8859-15 (Latin-9)' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' }
+];
+
+export const DEFAULT_CSV_OPTIONS = {
+    delimiter: '',
+    quoteChar: '"',
+    encoding: 'utf-8',
+    headerRow: 1,
+    skipRows: 0,
+    commentPrefix: ''
+};
+
+export const PREVIEW_ROW_COUNT = 20;
+
+// Enough bytes to cover the preamble, header and preview rows of any sane file
+const PREVIEW_BYTES = 256 * 1024;
+
+/**
+ * Build a PapaParse config from import options. Headers are handled by
+ * createRowBuilder, so Papa always returns arrays of cells.
+ * @param {Object} options - See DEFAULT_CSV_OPTIONS
+ */
+export function toPapaConfig(options = {}) {
+    const { delimiter, quoteChar, encoding, skipRows, commentPrefix } = { ...DEFAULT_CSV_OPTIONS, ...options };
+    const config = {
+        header: false,
+        skipEmptyLines: 'greedy',
+        quoteChar,
+        encoding,
+        skipFirstNLines: skipRows,
+        comments: commentPrefix || false
+    };
+
+    if (delimiter) {
+        config.delimiter = delimiter;
+    } else {
+        config.delimitersToGuess = [',', '\t', '|', ';'];
+    }
+
+    return config;
+}
+
+/**
+ * Turn arrays of parsed cells into row objects keyed by the header row.
+ * Stateful so a streaming parse can feed it chunk by chunk.
+ * @param {Object} options
+ * @param {number} options.headerRow - 1-based row (after skipped lines) holding column names, 0 for none
+ */
+export function createRowBuilder({ headerRow = 1 } = {}) {
+    let rowIndex = 0;
+    let headers = null;
+    let mismatch = null;
+
+    const addRows = (matrix) => {
+        const rows = [];
+        matrix.forEach(cells => {
+            rowIndex++;
+            if (headerRow > 0 && rowIndex < headerRow) return;
+            if (headerRow > 0 && rowIndex === headerRow) {
+                headers = buildHeaders(cells);
+                return;
+            }
+            if (!headers) {
+                headers = buildHeaders(cells.map(() => ''));
+            }
+
+            if (!mismatch && cells.length !== headers.length) {
+                mismatch = { row: rowIndex, expected: headers.length, actual: cells.length };
+            }
+
+            const row = {};
+            headers.forEach((header, c) => {
+                row[header] = cells[c] ?? '';
+            });
+            rows.push(row);
+        });
+        return rows;
+    };
+
+    return {
+        addRows,
+        getHeaders: () => headers || [],
+        // First row whose field count differs from the header, if any
+        getMismatch: () => mismatch
+    };
+}
+
+/**
+ * True when the start of the file does not decode as UTF-8,
+ * which usually means a legacy single-byte encoding.
+ */
+export async function looksLikeLegacyEncoding(file) {
+    const buffer = await file.slice(0, PREVIEW_BYTES).arrayBuffer();
+    try {
+        // stream: true tolerates a multi-byte character cut off at the slice boundary
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return false;
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Parse the head of a file with the given options for the import preview.
+ * @returns {Promise<{ headers: Array<string>, rows: Array<Object>, delimiter: string, mismatch: Object|null }>}
+ */
+export async function previewCsv(file, options = {}) {
+    const merged = { ...DEFAULT_CSV_OPTIONS, ...options };
+    const buffer = await file.slice(0, PREVIEW_BYTES).arrayBuffer();
+    // TextDecoder drops a leading byte order mark by default
+    const text = new TextDecoder(merged.encoding).decode(buffer);
+
+    const results = Papa.parse(text, {
+        ...toPapaConfig(merged),
+        preview: Math.max(0, merged.headerRow) + PREVIEW_ROW_COUNT
+    });
+
+    const builder = createRowBuilder({ headerRow: merged.headerRow });
+    const rows = builder.addRows(results.data).slice(0, PREVIEW_ROW_COUNT);
+
+    return {
+        headers: builder.getHeaders(),
+        rows,
+        delimiter: results.meta.delimiter,
+        mismatch: builder.getMismatch()
+    };
+}
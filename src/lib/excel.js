@@ -0,0 +1,122 @@
+import { buildHeaders } from './utils';
+
+export const EXCEL_EXTENSIONS = /\.xlsx?$/i;
+
+// A crafted file can keep the parser busy indefinitely; give up on it after this long
+const PARSE_TIMEOUT_MS = 2 * 60 * 1000;
+
+export function isExcelFile(file) {
+    return EXCEL_EXTENSIONS.test(file.name) ||
+        file.type === 'application/vnd.ms-excel' ||
+        file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+}
+
+function startWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new Worker(new URL('./excel.worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return null;
+    }
+}
+
+// Sends one message at a time to the Excel worker; a request that fails or runs past
+// PARSE_TIMEOUT_MS terminates the worker, so later requests fail too
+function createWorkerClient(worker) {
+    let failure = null;
+    const fail = (error) => {
+        failure = failure || error;
+        worker.terminate();
+    };
+    return {
+        request: (message, transfer = []) => new Promise((resolve, reject) => {
+            if (failure) {
+                reject(failure);
+                return;
+            }
+            const timer = setTimeout(() => finish(new Error('Reading the workbook took too long')), PARSE_TIMEOUT_MS);
+            const finish = (error, result) => {
+                clearTimeout(timer);
+                worker.onmessage = null;
+                worker.onerror = null;
+                if (error) {
+                    fail(error);
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+            worker.onmessage = ({ data }) => finish(data.error === undefined ? null : new Error(data.error), data.sheets);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(new Error(event.message || 'Excel worker failed'));
+            };
+            worker.postMessage(message, transfer);
+        }),
+        close: () => fail(new Error('The workbook was closed'))
+    };
+}
+
+/**
+ * Open an .xlsx/.xls file and list its sheets. SheetJS runs in a worker of its own, so only
+ * plain cell strings reach the app, and a file that hangs the parser is abandoned after
+ * PARSE_TIMEOUT_MS. Call `close` once the sheets are read to end the worker.
+ * @returns {Promise<{ sheets: Array<Object>, readSheets: (names: string[]) => Promise<Array<Object>>, close: () => void }>}
+ *   `readSheets` resolves to the sheets for sheetToRows
+ */
+export async function readWorkbook(file) {
+    const buffer = await file.arrayBuffer();
+    const worker = startWorker();
+    if (!worker) {
+        const { openWorkbook } = await import('./excelParser');
+        const workbook = openWorkbook(buffer);
+        return { sheets: workbook.sheets, readSheets: async (names) => workbook.readSheets(names), close: () => {} };
+    }
+
+    const client = createWorkerClient(worker);
+    const sheets = await client.request({ type: 'open', buffer }, [buffer]);
+    return {
+        sheets,
+        readSheets: (names) => client.request({ type: 'read', names }),
+        close: client.close
+    };
+}
+
+/**
+ * List sheets with the dimensions of the cells they use
+ */
+export function getSheetSummaries(workbook) {
+    return workbook.sheets;
+}
+
+/**
+ * Convert a sheet into row objects keyed by the header row.
+ * @param {Object} sheet - Sheet from the workbook's readSheets
+ * @param {Object} options
+ * @param {number} options.headerRow - 1-based worksheet row that holds the column names
+ * @returns {Array<Object>}
+ */
+export function sheetToRows({ firstRow, matrix }, { headerRow = 1 } = {}) {
+    const headerIndex = Math.max(0, headerRow - firstRow);
+    if (headerIndex >= matrix.length) return [];
+
+    // Rows end at their last value, so the widest row decides how many columns there are
+    let width = 0;
+    for (let i = headerIndex; i < matrix.length; i++) width = Math.max(width, matrix[i].length);
+    const headers = buildHeaders(Array.from({ length: width }, (_, c) => matrix[headerIndex][c] ?? ''));
+    const rows = [];
+
+    for (let i = headerIndex + 1; i < matrix.length; i++) {
+        const cells = matrix[i];
+        // Mirror PapaParse's skipEmptyLines: 'greedy'
+        if (cells.every(value => value.trim() === '')) continue;
+
+        const row = {};
+        headers.forEach((header, c) => {
+            row[header] = cells[c] ?? '';
+        });
+        rows.push(row);
+    }
+
+    return rows;
+}
@@ -0,0 +1,18 @@
+import { openWorkbook } from './excelParser';
+
+// One workbook per worker, kept while its sheets are being picked; the main thread terminates
+// the worker once it is done with them
+let workbook = null;
+
+self.onmessage = ({ data: message }) => {
+    try {
+        if (message.type === 'open') {
+            workbook = openWorkbook(message.buffer);
+            self.postMessage({ sheets: workbook.sheets });
+        } else if (message.type === 'read') {
+            self.postMessage({ sheets: workbook.readSheets(message.names) });
+        }
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
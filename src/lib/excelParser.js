@@ -0,0 +1,138 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Workbook parsing with SheetJS. Only loaded by the Excel worker (excel.worker.js), or on the
+ * main thread when workers are unavailable: parsing an untrusted file with the SheetJS build on
+ * npm is exposed to known advisories (see README), so it is kept away from the app's own state.
+ */
+
+function pad(num) {
+    return String(num).padStart(2, '0');
+}
+
+// Excel stores dates as serial numbers; decode them without going through
+// the local timezone so the calendar day matches what Excel displays.
+function formatDateCode(serial) {
+    const parts = XLSX.SSF.parse_date_code(serial);
+    if (!parts) return String(serial);
+    const date = `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`;
+    if (parts.H === 0 && parts.M === 0 && Math.round(parts.S) === 0) return date;
+    return `${date} ${pad(parts.H)}:${pad(parts.M)}:${pad(Math.round(parts.S))}`;
+}
+
+function cellToString(cell) {
+    if (!cell || cell.v === null || cell.v === undefined) return '';
+
+    switch (cell.t) {
+        case 'n':
+            if (cell.z && XLSX.SSF.is_date(cell.z)) return formatDateCode(cell.v);
+            return String(cell.v);
+        case 'b':
+            return cell.v ? 'TRUE' : 'FALSE';
+        case 'd':
+            return cell.v instanceof Date ? cell.v.toISOString().slice(0, 10) : String(cell.v);
+        case 'e':
+            return cell.w ?? '';
+        default:
+            return String(cell.v);
+    }
+}
+
+// Cells are keyed by their address ("B7"); keys starting with "!" hold sheet settings
+const cellAddresses = (sheet) => Object.keys(sheet).filter(key => key[0] !== '!');
+
+/**
+ * The range the sheet's non-empty cells (and merges starting from one) actually cover. Files
+ * often keep a stale `!ref` such as A1:Z1048576 left behind by formatting, so it is only
+ * used to leave out cells outside it.
+ * @returns {{ s: { r: number, c: number }, e: { r: number, c: number } } | null} null for a sheet without values
+ */
+function usedRange(sheet) {
+    if (!sheet || !sheet['!ref']) return null;
+    const ref = XLSX.utils.decode_range(sheet['!ref']);
+    let range = null;
+    const cover = (r, c) => {
+        if (r < ref.s.r || r > ref.e.r || c < ref.s.c || c > ref.e.c) return;
+        if (!range) {
+            range = { s: { r, c }, e: { r, c } };
+            return;
+        }
+        range.s.r = Math.min(range.s.r, r);
+        range.s.c = Math.min(range.s.c, c);
+        range.e.r = Math.max(range.e.r, r);
+        range.e.c = Math.max(range.e.c, c);
+    };
+
+    cellAddresses(sheet).forEach(address => {
+        if (cellToString(sheet[address]) === '') return;
+        const { r, c } = XLSX.utils.decode_cell(address);
+        cover(r, c);
+    });
+    (sheet['!merges'] || []).forEach(merge => {
+        if (cellToString(sheet[XLSX.utils.encode_cell(merge.s)]) === '') return;
+        cover(merge.s.r, merge.s.c);
+        cover(Math.min(merge.e.r, ref.e.r), Math.min(merge.e.c, ref.e.c));
+    });
+    return range;
+}
+
+/**
+ * Cell strings of the used range, one array per row, with merged ranges filled from their
+ * top-left cell. Only cells the sheet holds are written, so rows may have holes (empty cells).
+ */
+function sheetToMatrix(sheet, range) {
+    const matrix = Array.from({ length: range.e.r - range.s.r + 1 }, () => []);
+    const inRange = (r, c) => r >= range.s.r && r <= range.e.r && c >= range.s.c && c <= range.e.c;
+
+    cellAddresses(sheet).forEach(address => {
+        const { r, c } = XLSX.utils.decode_cell(address);
+        if (!inRange(r, c)) return;
+        const value = cellToString(sheet[address]);
+        if (value !== '') matrix[r - range.s.r][c - range.s.c] = value;
+    });
+
+    (sheet['!merges'] || []).forEach(merge => {
+        if (!inRange(merge.s.r, merge.s.c)) return;
+        const value = matrix[merge.s.r - range.s.r][merge.s.c - range.s.c];
+        if (value === undefined) return;
+        for (let r = merge.s.r; r <= Math.min(merge.e.r, range.e.r); r++) {
+            for (let c = merge.s.c; c <= Math.min(merge.e.c, range.e.c); c++) {
+                matrix[r - range.s.r][c - range.s.c] = value;
+            }
+        }
+    });
+
+    return matrix;
+}
+
+/**
+ * Parse an .xlsx/.xls file's bytes. Sheets are listed with the dimensions of the cells they use;
+ * their cells are only turned into strings for the sheets asked for.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ sheets: Array<{ name: string, rowCount: number, columnCount: number, firstRow: number }>,
+ *   readSheets: (names: string[]) => Array<{ name: string, firstRow: number, matrix: string[][] }> }}
+ */
+export function openWorkbook(buffer) {
+    // cellNF keeps number formats so date serials can be told apart from plain numbers
+    const workbook = XLSX.read(buffer, { type: 'array', cellNF: true });
+    const ranges = new Map(workbook.SheetNames.map(name => [name, usedRange(workbook.Sheets[name])]));
+
+    const sheets = workbook.SheetNames.map(name => {
+        const range = ranges.get(name);
+        if (!range) return { name, rowCount: 0, columnCount: 0, firstRow: 1 };
+        return {
+            name,
+            rowCount: range.e.r - range.s.r + 1,
+            columnCount: range.e.c - range.s.c + 1,
+            firstRow: range.s.r + 1
+        };
+    });
+
+    const readSheets = (names) => names.map(name => {
+        const range = ranges.get(name);
+        if (!range) return { name, firstRow: 1, matrix: [] };
+        return { name, firstRow: range.s.r + 1, matrix: sheetToMatrix(workbook.Sheets[name], range) };
+    });
+
+    return { sheets, readSheets };
+}
@@ -0,0 +1,188 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { parseFlexibleDateParts, parseBoolean, typeFamily } from './utils';
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8;', description: 'Comma-separated values' },
+    tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8;', description: 'Tab-separated values' },
+    xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', description: 'Workbook with typed number and date cells' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8;', description: 'Array of objects' },
+    ndjson: { label: 'NDJSON', extension: 'ndjson', mimeType: 'application/x-ndjson;charset=utf-8;', description: 'One JSON object per line' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8;', description: 'Markdown table' },
+    html: { label: 'HTML', extension: 'html', mimeType: 'text/html;charset=utf-8;', description: 'Standalone HTML table' }
+};
+
+function cellText(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+function pickColumns(rows, columns) {
+    return rows.map(row => {
+        const picked = {};
+        columns.forEach(col => {
+            picked[col] = row[col] ?? null;
+        });
+        return picked;
+    });
+}
+
+function escapeMarkdown(value) {
+    return cellText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function escapeHtml(value) {
+    return cellText(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toMarkdown(rows, columns) {
+    const header = `| ${columns.map(escapeMarkdown).join(' | ')} |`;
+    const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+    const body = rows.map(row => `| ${columns.map(col => escapeMarkdown(row[col])).join(' | ')} |`);
+    return [header, divider, ...body].join('\n') + '\n';
+}
+
+function toHtml(rows, columns, title) {
+    const head = columns.map(col => `<th>${escapeHtml(col)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr>${columns.map(col => `<td>${escapeHtml(row[col])}</td>`).join('')}</tr>`)
+        .join('\n');
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>table{border-collapse:collapse;font-family:sans-serif;font-size:14px}th,td{border:1px solid #d1d5db;padding:4px 8px;text-align:left}th{background:#f3f4f6}</style>',
+        '</head>',
+        '<body>',
+        '<table>',
+        `<thead><tr>${head}</tr></thead>`,
+        `<tbody>\n${body}\n</tbody>`,
+        '</table>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Excel date serials count days from 1899-12-30
+function toExcelSerial(parts) {
+    const utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return utc / 86400000 + 25569;
+}
+
+function toXlsx(rows, columns, types, dateFormats, sheetName) {
+    const aoa = [columns];
+    rows.forEach(row => {
+        aoa.push(columns.map(col => {
+            const value = row[col];
+            if (value === null || value === undefined || value === '') return null;
+            if (typeFamily(types[col]) === 'number') {
+                const num = Number(value);
+                return Number.isNaN(num) ? String(value) : num;
+            }
+            if (typeFamily(types[col]) === 'boolean') {
+                const bool = parseBoolean(value);
+                return bool === null ? String(value) : bool;
+            }
+            return String(value);
+        }));
+    });
+
+    const sheet = XLSX.utils.aoa_to_sheet(aoa);
+
+    // Rewrite date columns as real date cells so Excel can sort and filter them
+    columns.forEach((col, c) => {
+        if (typeFamily(types[col]) !== 'date') return;
+        for (let r = 1; r < aoa.length; r++) {
+            const address = XLSX.utils.encode_cell({ r, c });
+            const cell = sheet[address];
+            if (!cell) continue;
+            const parts = parseFlexibleDateParts(cell.v, dateFormats[col]);
+            if (!parts) continue;
+            sheet[address] = {
+                t: 'n',
+                v: toExcelSerial(parts),
+                z: parts.hasTime ? 'yyyy-mm-dd hh:mm:ss' : 'yyyy-mm-dd'
+            };
+        }
+    });
+
+    const workbook = XLSX.utils.book_new();
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const safeSheetName = (sheetName || 'Data').replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Data';
+    XLSX.utils.book_append_sheet(workbook, sheet, safeSheetName);
+    return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+}
+
+/**
+ * Serialize rows to the requested format.
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Object} options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {Array<string>} options.columns - Columns to include, in output order (defaults to the first row's keys)
+ * @param {Object} options.types - { column: type } used for typed XLSX cells
+ * @param {Object} options.dateFormats - { column: dateFormat } for reading date cells
+ * @param {string} options.title - Sheet name / document title
+ * @returns {string | ArrayBuffer}
+ */
+export function serializeRows(rows, { format = 'csv', columns, types = {}, dateFormats = {}, title = 'Data' } = {}) {
+    const cols = columns && columns.length > 0 ? columns : (rows.length > 0 ? Object.keys(rows[0]) : []);
+
+    switch (format) {
+        case 'tsv':
+            return Papa.unparse(pickColumns(rows, cols), { delimiter: '\t', columns: cols });
+        case 'xlsx':
+            return toXlsx(rows, cols, types, dateFormats, title);
+        case 'json':
+            return JSON.stringify(pickColumns(rows, cols), null, 2);
+        case 'ndjson':
+            return pickColumns(rows, cols).map(row => JSON.stringify(row)).join('\n') + '\n';
+        case 'markdown':
+            return toMarkdown(rows, cols);
+        case 'html':
+            return toHtml(rows, cols, title);
+        case 'csv':
+        default:
+            return Papa.unparse(pickColumns(rows, cols), { columns: cols });
+    }
+}
+
+export function exportFileName(baseName, format) {
+    const { extension } = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+    return `${baseName}.${extension}`;
+}
+
+/**
+ * Serialize rows and trigger a browser download
+ * @returns {string} The downloaded file name
+ */
+export function downloadRows(rows, { format = 'csv', baseName = 'data', columns, types, dateFormats } = {}) {
+    const config = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+    const filename = exportFileName(baseName, format);
+    const content = serializeRows(rows, { format, columns, types, dateFormats, title: baseName });
+
+    downloadFile(content, filename, config.mimeType);
+    return filename;
+}
+
+/**
+ * Trigger a browser download of in-memory content
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,156 @@
+const STORAGE_KEY = 'filterPresets';
+const FILE_FORMAT = 'csv-filtering/filter-presets';
+const FILE_VERSION = 1;
+
+const generateId = () => Math.random().toString(36).substr(2, 9);
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a value has the shape of a filter tree node built by useFilter
+ */
+export function isFilterNode(node) {
+    if (!isPlainObject(node)) return false;
+    if (node.type === 'group') {
+        return (node.logic === 'AND' || node.logic === 'OR') &&
+            Array.isArray(node.children) &&
+            node.children.every(isFilterNode);
+    }
+    if (node.type === 'condition') {
+        return typeof node.field === 'string' &&
+            typeof node.operator === 'string' &&
+            (typeof node.value === 'string' || typeof node.value === 'number');
+    }
+    return false;
+}
+
+function isPreset(preset) {
+    return isPlainObject(preset) &&
+        typeof preset.name === 'string' &&
+        preset.name.trim() !== '' &&
+        isFilterNode(preset.tree) &&
+        preset.tree.type === 'group';
+}
+
+/**
+ * Presets saved in this browser, newest first
+ * @returns {Array<{ name: string, tree: Object, isCaseSensitive: boolean, savedAt: number }>}
+ */
+export function loadPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(isPreset) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function storePresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Add presets, replacing any existing preset with the same name
+ */
+export function mergePresets(existing, incoming) {
+    const names = new Set(incoming.map(p => p.name));
+    return [...incoming, ...existing.filter(p => !names.has(p.name))];
+}
+
+export function serializePresets(presets) {
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Read presets from an exported file. Accepts the export format or a bare array of presets.
+ * @throws {Error} When the file is not a preset export
+ */
+export function parsePresets(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('File is not valid JSON');
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed?.presets;
+    if (!Array.isArray(list)) {
+        throw new Error('File does not contain filter presets');
+    }
+    if (isPlainObject(parsed) && parsed.version > FILE_VERSION) {
+        throw new Error('Presets were exported by a newer version of this app');
+    }
+
+    const presets = list.filter(isPreset).map(p => ({
+        name: p.name.trim(),
+        tree: p.tree,
+        isCaseSensitive: Boolean(p.isCaseSensitive),
+        savedAt: typeof p.savedAt === 'number' ? p.savedAt : Date.now()
+    }));
+    if (presets.length === 0) {
+        throw new Error('File does not contain any valid filter presets');
+    }
+    return presets;
+}
+
+/**
+ * Find the column a saved field refers to. Falls back to a case-insensitive match,
+ * then to matching with or without a join alias prefix (`t1.name` <-> `name`).
+ */
+function resolveField(field, columns) {
+    if (columns.includes(field)) return field;
+
+    const lower = field.toLowerCase();
+    const caseMatch = columns.find(c => c.toLowerCase() === lower);
+    if (caseMatch) return caseMatch;
+
+    const bare = lower.includes('.') ? lower.slice(lower.indexOf('.') + 1) : lower;
+    const candidates = columns.filter(c => {
+        const col = c.toLowerCase();
+        return col === bare || col.slice(col.indexOf('.') + 1) === bare;
+    });
+    // Only remap when it's unambiguous
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Fit a saved filter tree to the current columns. Node ids are regenerated,
+ * fields are remapped where an equivalent column exists, and conditions on
+ * columns that don't exist are dropped.
+ * @returns {{ tree: Object, missing: Array<string>, remapped: Array<{ from: string, to: string }> }}
+ */
+export function reconcileFilterTree(tree, columns) {
+    const missing = new Set();
+    const remapped = new Map();
+
+    const visit = (node, isRoot) => {
+        if (node.type === 'group') {
+            return {
+                id: isRoot ? 'root' : generateId(),
+                type: 'group',
+                logic: node.logic,
+                children: node.children.map(child => visit(child, false)).filter(Boolean)
+            };
+        }
+
+        const condition = { id: generateId(), type: 'condition', field: node.field, operator: node.operator, value: String(node.value) };
+        // An unset field is part of the saved filter, not a missing column
+        if (!node.field) return condition;
+
+        const field = resolveField(node.field, columns);
+        if (!field) {
+            missing.add(node.field);
+            return null;
+        }
+        if (field !== node.field) remapped.set(node.field, field);
+        return { ...condition, field };
+    };
+
+    return {
+        tree: visit(tree, true),
+        missing: [...missing],
+        remapped: [...remapped].map(([from, to]) => ({ from, to }))
+    };
+}
@@ -0,0 +1,502 @@
+import { tokenize, KEYWORDS } from './sql';
+import { typeFamily } from './utils';
+
+/**
+ * Filter trees as text: a SQL WHERE clause or a pandas expression for handing a filter
+ * to someone else, and a WHERE-style parser for typing one in.
+ *
+ * Empty cells are written as NULL (`isna()` in pandas). Without Match Case, text
+ * comparisons are wrapped in LOWER() (`.str.lower()`); the parser ignores LOWER() and
+ * UPPER() since the Match Case toggle decides that in the app.
+ */
+
+const generateId = () => Math.random().toString(36).substr(2, 9);
+
+export function filterTextError(message, position) {
+    const error = new Error(message);
+    error.name = 'FilterTextError';
+    error.position = position;
+    return error;
+}
+
+const isPlainName = (name) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+const isNumeric = (value) => String(value).trim() !== '' && !Number.isNaN(Number(value));
+const hasCase = (value) => value.toLowerCase() !== value.toUpperCase();
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+
+const listValues = (value) => String(value ?? '').split(',').map(v => v.trim()).filter(Boolean);
+
+// Conditions that filter nothing out are left out of the text
+function isActive(node) {
+    if (node.type === 'group') return node.children.some(isActive);
+    return node.type === 'condition' && Boolean(node.field);
+}
+
+function renderTree(tree, renderCondition, { and, or, wrapConditions = false }) {
+    const render = (node, isNested) => {
+        if (node.type === 'condition') return renderCondition(node);
+        const children = node.children.filter(isActive);
+        if (children.length === 1) return render(children[0], isNested);
+        const text = children
+            .map(child => (child.type === 'condition' && wrapConditions ? `(${render(child, true)})` : render(child, true)))
+            .join(node.logic === 'AND' ? and : or);
+        return isNested ? `(${text})` : text;
+    };
+    return isActive(tree) ? render(tree, false) : '';
+}
+
+// ---- SQL ----
+
+function sqlName(field) {
+    // `t1.name` (a joined column) reads the same way as a qualified SQL column; `order` would read as a keyword
+    if (field.split('.').every(part => isPlainName(part) && !KEYWORDS.has(part.toUpperCase()))) return field;
+    return `"${field.replace(/"/g, '""')}"`;
+}
+
+const sqlString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+const sqlDate = (value) => `${isDateOnly(value) ? 'DATE' : 'TIMESTAMP'} ${sqlString(value.trim())}`;
+
+function sqlLike(value, { before = '', after = '' }, negated) {
+    const escaped = value.replace(/[\\%_]/g, '\\$&');
+    const keyword = negated ? 'NOT LIKE' : 'LIKE';
+    const escape = escaped === value ? '' : " ESCAPE '\\'";
+    return `${keyword} ${sqlString(before + escaped + after)}${escape}`;
+}
+
+// Lowercase a regular expression's letters, leaving escapes such as \D or \S as they are
+const lowerPattern = (pattern) => pattern.replace(/\\.|[^\\]+/gs, part => (part[0] === '\\' ? part : part.toLowerCase()));
+
+const SQL_COMPARISONS = { '=': '=', '≠': '<>', '<': '<', '>': '>', '≤': '<=', '≥': '>=' };
+
+/**
+ * Render a filter tree as a SQL WHERE clause (without the WHERE keyword)
+ * @returns {string} '' when the tree has no conditions
+ */
+export function filterToSql(tree, { isCaseSensitive = false } = {}) {
+    const renderCondition = ({ field, operator, value }) => {
+        const name = sqlName(field);
+        const text = String(value ?? '');
+        const folds = !isCaseSensitive && hasCase(text);
+        const column = folds ? `LOWER(${name})` : name;
+        const folded = folds ? text.toLowerCase() : text;
+        const literal = sqlString(folded);
+
+        switch (operator) {
+            case 'is': return `${column} = ${literal}`;
+            case 'is not': return `${column} <> ${literal}`;
+            case 'contains': return `${column} ${sqlLike(folded, { before: '%', after: '%' }, false)}`;
+            case 'does not contain': return `${column} ${sqlLike(folded, { before: '%', after: '%' }, true)}`;
+            case 'startswith': return `${column} ${sqlLike(folded, { after: '%' }, false)}`;
+            case 'endswith': return `${column} ${sqlLike(folded, { before: '%' }, false)}`;
+            case 'in':
+            case 'not in': {
+                const values = listValues(text);
+                const foldsValues = !isCaseSensitive && values.some(hasCase);
+                const items = values.map(v => sqlString(foldsValues ? v.toLowerCase() : v)).join(', ');
+                return `${foldsValues ? `LOWER(${name})` : name} ${operator === 'in' ? 'IN' : 'NOT IN'} (${items})`;
+            }
+            case 'regexp': return `${column} REGEXP ${sqlString(folds ? lowerPattern(text) : text)}`;
+            case 'is empty': return `${name} IS NULL`;
+            case 'is not empty': return `${name} IS NOT NULL`;
+            case 'is true': return `${name} = TRUE`;
+            case 'is false': return `${name} = FALSE`;
+            case 'is on': return `${name} = ${sqlDate(text)}`;
+            case 'is not on': return `${name} <> ${sqlDate(text)}`;
+            case 'is before': return `${name} < ${sqlDate(text)}`;
+            case 'is after': return `${name} > ${sqlDate(text)}`;
+            case 'is between': {
+                const [start = '', end = ''] = text.split('|');
+                return `${name} BETWEEN ${sqlDate(start)} AND ${sqlDate(end)}`;
+            }
+            default: {
+                const comparison = SQL_COMPARISONS[operator];
+                if (!comparison) throw new Error(`Unknown filter operator "${operator}"`);
+                return `${name} ${comparison} ${isNumeric(text) ? text.trim() : sqlString(text)}`;
+            }
+        }
+    };
+    return renderTree(tree, renderCondition, { and: ' AND ', or: ' OR ' });
+}
+
+// ---- pandas ----
+
+const pythonString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const pythonList = (values) => `[${values.map(pythonString).join(', ')}]`;
+
+// Python keywords can't be bare names in df.query()
+const PYTHON_KEYWORDS = new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+    'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+const PANDAS_COMPARISONS = { '=': '==', '≠': '!=', '<': '<', '>': '>', '≤': '<=', '≥': '>=' };
+
+/**
+ * Render a filter tree for pandas. `style: 'query'` gives the argument of `df.query(...)`
+ * (it uses `.str` methods, so run it with engine='python'); `style: 'mask'` gives a boolean
+ * mask over `frame` for `df[mask]`. Date columns are assumed to be parsed with pd.to_datetime.
+ * @returns {string} '' when the tree has no conditions
+ */
+export function filterToPandas(tree, { isCaseSensitive = false, style = 'mask', frame = 'df' } = {}) {
+    const isQuery = style === 'query';
+    const columnOf = (field) => {
+        if (isQuery) return isPlainName(field) && !PYTHON_KEYWORDS.has(field) ? field : `\`${field.replace(/`/g, '')}\``;
+        return `${frame}[${pythonString(field)}]`;
+    };
+
+    const renderCondition = ({ field, operator, value }) => {
+        const column = columnOf(field);
+        const text = String(value ?? '');
+        const folds = !isCaseSensitive && hasCase(text);
+        const lowered = folds ? `${column}.str.lower()` : column;
+        const folded = pythonString(folds ? text.toLowerCase() : text);
+        const caseFlag = isCaseSensitive ? 'True' : 'False';
+
+        switch (operator) {
+            case 'is': return `${lowered} == ${folded}`;
+            case 'is not': return `${lowered} != ${folded}`;
+            case 'contains': return `${column}.str.contains(${pythonString(text)}, case=${caseFlag}, regex=False, na=False)`;
+            case 'does not contain': return `~${column}.str.contains(${pythonString(text)}, case=${caseFlag}, regex=False, na=False)`;
+            case 'startswith': return `${lowered}.str.startswith(${folded}, na=False)`;
+            case 'endswith': return `${lowered}.str.endswith(${folded}, na=False)`;
+            case 'in':
+            case 'not in': {
+                const values = listValues(text);
+                const foldsValues = !isCaseSensitive && values.some(hasCase);
+                const member = `${foldsValues ? `${column}.str.lower()` : column}.isin(${pythonList(foldsValues ? values.map(v => v.toLowerCase()) : values)})`;
+                return operator === 'in' ? member : `~${member}`;
+            }
+            case 'regexp': return `${column}.str.contains(${pythonString(text)}, case=${caseFlag}, regex=True, na=False)`;
+            case 'is empty': return `${column}.isna()`;
+            case 'is not empty': return `${column}.notna()`;
+            case 'is true': return `${column} == True`;
+            case 'is false': return `${column} == False`;
+            case 'is on': return `${column}.dt.normalize() == ${pythonString(text.trim())}`;
+            case 'is not on': return `${column}.dt.normalize() != ${pythonString(text.trim())}`;
+            case 'is before': return `${column} < ${pythonString(text.trim())}`;
+            case 'is after': return `${column} > ${pythonString(text.trim())}`;
+            case 'is between': {
+                const [start = '', end = ''] = text.split('|');
+                return `${column}.dt.normalize().between(${pythonString(start.trim())}, ${pythonString(end.trim())})`;
+            }
+            default: {
+                const comparison = PANDAS_COMPARISONS[operator];
+                if (!comparison) throw new Error(`Unknown filter operator "${operator}"`);
+                return `${column} ${comparison} ${isNumeric(text) ? text.trim() : pythonString(text)}`;
+            }
+        }
+    };
+
+    // `&` and `|` bind tighter than comparisons, so conditions combined in a mask need parentheses
+    return renderTree(tree, renderCondition, {
+        and: isQuery ? ' and ' : ' & ',
+        or: isQuery ? ' or ' : ' | ',
+        wrapConditions: !isQuery
+    });
+}
+
+// ---- Parsing ----
+
+const NEGATED = {
+    'is': 'is not', 'is not': 'is',
+    'contains': 'does not contain', 'does not contain': 'contains',
+    'in': 'not in', 'not in': 'in',
+    'is empty': 'is not empty', 'is not empty': 'is empty',
+    'is on': 'is not on', 'is not on': 'is on',
+    '=': '≠', '≠': '=', '<': '≥', '≥': '<', '>': '≤', '≤': '>'
+};
+
+function negate(node, position) {
+    if (node.type === 'group') {
+        return { ...node, logic: node.logic === 'AND' ? 'OR' : 'AND', children: node.children.map(child => negate(child, position)) };
+    }
+    const operator = NEGATED[node.operator];
+    if (!operator) throw filterTextError(`NOT cannot be applied to "${node.operator}" filters`, position);
+    return { ...node, operator };
+}
+
+// Filter operator for a LIKE pattern, or a regexp when it is not a plain prefix/suffix/substring
+function likeCondition(pattern, escape) {
+    const parts = [];
+    let literal = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (escape && char === escape && i + 1 < pattern.length) {
+            literal += pattern[++i];
+        } else if (char === '%' || char === '_') {
+            parts.push(literal, char);
+            literal = '';
+        } else {
+            literal += char;
+        }
+    }
+    parts.push(literal);
+
+    const wildcards = parts.filter((_, i) => i % 2 === 1);
+    const texts = parts.filter((_, i) => i % 2 === 0);
+    const shape = parts.map((part, i) => (i % 2 === 1 ? part : part === '' ? '' : 'v')).join('');
+    if (!wildcards.includes('_')) {
+        const value = texts.join('');
+        if (shape === 'v' || shape === '') return { operator: 'is', value };
+        if (shape === '%v%') return { operator: 'contains', value };
+        if (shape === 'v%') return { operator: 'startswith', value };
+        if (shape === '%v') return { operator: 'endswith', value };
+    }
+    const source = parts.map((part, i) => {
+        if (i % 2 === 1) return part === '%' ? '.*' : '.';
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return { operator: 'regexp', value: `^${source}$` };
+}
+
+/**
+ * Parse a WHERE-style expression into a filter tree. Supports AND, OR, NOT and parentheses over
+ * `=`, `<>`/`!=`, `<`, `<=`, `>`, `>=`, [NOT] IN (...), [NOT] LIKE, BETWEEN, REGEXP and IS [NOT] NULL.
+ * Dates can be written as DATE '2024-01-31' or as text against a date column.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string[]} options.columns - Column names that conditions may use
+ * @param {Object} options.types - { column: type }, used to pick number/date/text operators
+ * @returns {Object} Filter tree (a group node)
+ * @throws {Error} FilterTextError with `position` (character offset) of the bad token
+ */
+export function parseFilterText(text, { columns = [], types = {} } = {}) {
+    const source = String(text ?? '');
+    let tokens;
+    try {
+        tokens = tokenize(source);
+    } catch (err) {
+        throw filterTextError(err.message, err.position);
+    }
+    let pos = 0;
+    const peek = (offset = 0) => tokens[pos + offset];
+    const isKeyword = (...words) => peek().type === 'keyword' && words.includes(peek().value);
+    const isWord = (word) => peek().type === 'identifier' && peek().value.toUpperCase() === word;
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+    const describe = (token) => (token.type === 'end' ? 'the end' : `"${source.slice(token.start, token.end)}"`);
+    const fail = (expected, token = peek()) => filterTextError(`Expected ${expected} but found ${describe(token)}`, token.start);
+    const expectOp = (value) => {
+        if (!isOp(value)) throw fail(`"${value}"`);
+        pos++;
+    };
+    const expectKeyword = (word) => {
+        if (!isKeyword(word)) throw fail(word);
+        pos++;
+    };
+
+    const group = (logic, children) => ({ id: generateId(), type: 'group', logic, children });
+    const condition = (field, operator, value = '') => ({ id: generateId(), type: 'condition', field, operator, value });
+
+    // Chains of the same logic become one group
+    const combine = (logic, left, right) => {
+        const childrenOf = (node) => (node.type === 'group' && node.logic === logic ? node.children : [node]);
+        return group(logic, [...childrenOf(left), ...childrenOf(right)]);
+    };
+
+    const parseField = () => {
+        const start = peek().start;
+        let wrapped = false;
+        if ((isWord('LOWER') || isWord('UPPER')) && peek(1).type === 'op' && peek(1).value === '(') {
+            pos += 2;
+            wrapped = true;
+        }
+        if (peek().type !== 'identifier') throw fail('a column name');
+        const parts = [tokens[pos++].value];
+        while (isOp('.') && peek(1).type === 'identifier') {
+            pos++;
+            parts.push(tokens[pos++].value);
+        }
+        if (wrapped) expectOp(')');
+        const name = parts.join('.');
+        const field = columns.includes(name)
+            ? name
+            : columns.find(col => col.toLowerCase() === name.toLowerCase());
+        if (field === undefined) throw filterTextError(`Unknown column "${name}"`, start);
+        return field;
+    };
+
+    // A literal: { kind: 'string' | 'number' | 'date' | 'boolean', value, start }
+    const parseValue = () => {
+        const token = peek();
+        if (token.type === 'string') {
+            pos++;
+            return { kind: 'string', value: token.value, start: token.start };
+        }
+        if (token.type === 'number' || (isOp('-') && peek(1).type === 'number')) {
+            const negative = isOp('-');
+            if (negative) pos++;
+            const number = tokens[pos++];
+            return { kind: 'number', value: `${negative ? '-' : ''}${source.slice(number.start, number.end)}`, start: token.start };
+        }
+        if ((isWord('DATE') || isWord('TIMESTAMP')) && peek(1).type === 'string') {
+            pos += 2;
+            return { kind: 'date', value: tokens[pos - 1].value, start: token.start };
+        }
+        if (isKeyword('TRUE', 'FALSE')) {
+            pos++;
+            return { kind: 'boolean', value: token.value === 'TRUE', start: token.start };
+        }
+        throw fail('a value');
+    };
+
+    const familyOf = (field, literal) => {
+        if (literal.kind === 'date' || literal.kind === 'boolean') return literal.kind;
+        if (types[field]) return typeFamily(types[field]);
+        return literal.kind === 'number' ? 'number' : 'string';
+    };
+
+    const numberValue = (literal) => {
+        if (!isNumeric(literal.value)) throw filterTextError(`Expected a number but found "${literal.value}"`, literal.start);
+        return String(literal.value);
+    };
+
+    const dateValue = (literal) => {
+        if (literal.kind === 'number' || literal.kind === 'boolean') {
+            throw filterTextError('Expected a date such as DATE \'2024-01-31\'', literal.start);
+        }
+        return literal.value;
+    };
+
+    const parseComparison = (field, op, opToken) => {
+        const literal = parseValue();
+        const family = familyOf(field, literal);
+        if (literal.kind === 'boolean') {
+            if (op !== '=') throw filterTextError(`${op} cannot compare with TRUE or FALSE`, opToken.start);
+            return condition(field, literal.value ? 'is true' : 'is false');
+        }
+        if (family === 'number') {
+            const operator = { '=': '=', '<>': '≠', '<': '<', '>': '>', '<=': '≤', '>=': '≥' }[op];
+            return condition(field, operator, numberValue(literal));
+        }
+        if (family === 'date') {
+            const operator = { '=': 'is on', '<>': 'is not on', '<': 'is before', '>': 'is after' }[op];
+            if (!operator) throw filterTextError(`Date filters have no ${op}; use <, > or BETWEEN`, opToken.start);
+            return condition(field, operator, dateValue(literal));
+        }
+        const operator = { '=': 'is', '<>': 'is not' }[op];
+        if (!operator) throw filterTextError(`Text filters have no ${op}; compare a number or date column`, opToken.start);
+        return condition(field, operator, String(literal.value));
+    };
+
+    const parsePredicate = () => {
+        const fieldToken = peek();
+        const field = parseField();
+        const opToken = peek();
+
+        if (opToken.type === 'op' && ['=', '<>', '!=', '<', '<=', '>', '>='].includes(opToken.value)) {
+            pos++;
+            return parseComparison(field, opToken.value === '!=' ? '<>' : opToken.value, opToken);
+        }
+        if (isKeyword('IS')) {
+            pos++;
+            const negated = isKeyword('NOT');
+            if (negated) pos++;
+            expectKeyword('NULL');
+            return condition(field, negated ? 'is not empty' : 'is empty');
+        }
+        const negated = isKeyword('NOT');
+        if (negated) pos++;
+        if (isKeyword('IN')) {
+            pos++;
+            expectOp('(');
+            const values = [];
+            do {
+                if (isOp(',')) pos++;
+                const literal = parseValue();
+                if (String(literal.value).includes(',')) {
+                    throw filterTextError('IN values cannot contain commas', literal.start);
+                }
+                values.push(String(literal.value));
+            } while (isOp(','));
+            expectOp(')');
+            return condition(field, negated ? 'not in' : 'in', values.join(', '));
+        }
+        if (isKeyword('LIKE')) {
+            pos++;
+            const pattern = peek();
+            if (pattern.type !== 'string') throw fail('a LIKE pattern in quotes');
+            pos++;
+            let escape = null;
+            if (isWord('ESCAPE')) {
+                pos++;
+                if (peek().type !== 'string' || peek().value.length !== 1) throw fail('one escape character in quotes');
+                escape = tokens[pos++].value;
+            }
+            const { operator, value } = likeCondition(pattern.value, escape);
+            if (!negated) return condition(field, operator, value);
+            if (!NEGATED[operator]) throw filterTextError(`NOT LIKE only supports '%text%' and 'text' patterns`, pattern.start);
+            return condition(field, NEGATED[operator], value);
+        }
+        if (isKeyword('BETWEEN')) {
+            pos++;
+            const low = parseValue();
+            expectKeyword('AND');
+            const high = parseValue();
+            if (familyOf(field, low) === 'date') {
+                const between = condition(field, 'is between', `${dateValue(low)}|${dateValue(high)}`);
+                return negated ? negate(between, fieldToken.start) : between;
+            }
+            if (negated) {
+                return group('OR', [condition(field, '<', numberValue(low)), condition(field, '>', numberValue(high))]);
+            }
+            return group('AND', [condition(field, '≥', numberValue(low)), condition(field, '≤', numberValue(high))]);
+        }
+        if (!negated && isWord('REGEXP')) {
+            pos++;
+            const pattern = peek();
+            if (pattern.type !== 'string') throw fail('a pattern in quotes');
+            pos++;
+            try {
+                new RegExp(pattern.value);
+            } catch (err) {
+                throw filterTextError(`Invalid pattern: ${err.message}`, pattern.start);
+            }
+            return condition(field, 'regexp', pattern.value);
+        }
+        throw fail(negated ? 'IN, LIKE or BETWEEN after NOT' : 'a comparison such as =, IN or LIKE', negated ? peek() : opToken);
+    };
+
+    const parsePrimary = () => {
+        if (isOp('(')) {
+            pos++;
+            const inner = parseOr();
+            expectOp(')');
+            return inner;
+        }
+        return parsePredicate();
+    };
+
+    const parseNot = () => {
+        if (isKeyword('NOT')) {
+            const start = tokens[pos++].start;
+            return negate(parseNot(), start);
+        }
+        return parsePrimary();
+    };
+
+    const parseAnd = () => {
+        let left = parseNot();
+        while (isKeyword('AND')) {
+            pos++;
+            left = combine('AND', left, parseNot());
+        }
+        return left;
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isKeyword('OR')) {
+            pos++;
+            left = combine('OR', left, parseAnd());
+        }
+        return left;
+    };
+
+    // An optional leading WHERE, as copied from a query
+    if (isKeyword('WHERE')) pos++;
+    if (peek().type === 'end') return group('AND', []);
+    const tree = parseOr();
+    if (peek().type !== 'end') throw fail('AND, OR or the end');
+    return tree.type === 'group' ? tree : group('AND', [tree]);
+}
@@ -0,0 +1,215 @@
+/**
+ * Fuzzy matching - string similarity for joins on keys that are spelled differently
+ * ("Acme Inc." vs "ACME, Inc"). Scores run from 0 (nothing alike) to 1 (same text).
+ *
+ * Text is compared after normalizeFuzzyText, so case, accents and punctuation never count.
+ *   levenshtein - edits needed to turn one text into the other, relative to the longer one
+ *   jaroWinkler - shared characters in roughly the same places, favouring a common start;
+ *                 suits short names and typos
+ *   tokenSet    - compares the sets of words, so word order, repeats and extra words on
+ *                 one side ("Acme" vs "Acme Holdings") don't count against a match
+ *
+ * Without an exact key to narrow them down, each text is only scored against the texts sharing
+ * the most trigrams with it (createFuzzyIndex), not against every text of the other table.
+ */
+
+export const FUZZY_METRICS = ['levenshtein', 'jaroWinkler', 'tokenSet'];
+
+export const DEFAULT_FUZZY_METRIC = 'jaroWinkler';
+export const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+// Matches scoring less than this above the threshold are offered for review
+export const FUZZY_REVIEW_MARGIN = 0.1;
+
+// Rows × distinct texts of a fuzzy join without exact keys: above WARN it is slow, above MAX it is refused
+export const FUZZY_WARN_PAIRS = 1e6;
+export const FUZZY_MAX_PAIRS = 1e8;
+
+// Texts scored per text looked up in a fuzzy index
+export const FUZZY_CANDIDATE_LIMIT = 50;
+
+/**
+ * Lowercase, drop accents and turn punctuation into single spaces: "ACME, Inc." -> "acme inc"
+ */
+export function normalizeFuzzyText(value) {
+    return String(value ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function levenshteinDistance(a, b) {
+    if (a.length < b.length) [a, b] = [b, a];
+    let previous = new Array(b.length + 1);
+    let current = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        current[0] = i;
+        const charA = a.charCodeAt(i - 1);
+        for (let j = 1; j <= b.length; j++) {
+            const cost = charA === b.charCodeAt(j - 1) ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length];
+}
+
+export function levenshteinSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshteinDistance(a, b) / longest;
+}
+
+// Share of characters the texts have in common, in order: 2 * longest common subsequence / total length
+function indelSimilarity(a, b) {
+    const total = a.length + b.length;
+    if (total === 0) return 1;
+    let previous = new Array(b.length + 1).fill(0);
+    let current = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const charA = a.charCodeAt(i - 1);
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = charA === b.charCodeAt(j - 1) ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+        }
+        [previous, current] = [current, previous];
+    }
+    return (2 * previous[b.length]) / total;
+}
+
+function jaroSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Uint8Array(a.length);
+    const matchedB = new Uint8Array(b.length);
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        const end = Math.min(i + window + 1, b.length);
+        for (let j = Math.max(0, i - window); j < end; j++) {
+            if (!matchedB[j] && a[i] === b[j]) {
+                matchedA[i] = 1;
+                matchedB[j] = 1;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    // Matched characters that appear in a different order, counted in pairs
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+    return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+export function jaroWinklerSimilarity(a, b) {
+    const jaro = jaroSimilarity(a, b);
+    let prefix = 0;
+    while (prefix < 4 && prefix < a.length && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+export function tokenSetSimilarity(a, b) {
+    const tokensA = new Set(a.split(' ').filter(Boolean));
+    const tokensB = new Set(b.split(' ').filter(Boolean));
+    const shared = [...tokensA].filter(token => tokensB.has(token)).sort();
+    const onlyA = [...tokensA].filter(token => !tokensB.has(token)).sort();
+    const onlyB = [...tokensB].filter(token => !tokensA.has(token)).sort();
+
+    const common = shared.join(' ');
+    const withA = [...shared, ...onlyA].join(' ');
+    const withB = [...shared, ...onlyB].join(' ');
+    if (common !== '' && (withA === common || withB === common)) return 1;
+    return Math.max(
+        indelSimilarity(withA, withB),
+        common === '' ? 0 : Math.max(indelSimilarity(common, withA), indelSimilarity(common, withB))
+    );
+}
+
+const SIMILARITY = {
+    levenshtein: levenshteinSimilarity,
+    jaroWinkler: jaroWinklerSimilarity,
+    tokenSet: tokenSetSimilarity
+};
+
+/**
+ * Similarity function of a metric; it takes texts already passed through normalizeFuzzyText
+ * @param {string} metric - One of FUZZY_METRICS
+ * @returns {(a: string, b: string) => number}
+ */
+export function fuzzySimilarity(metric) {
+    const similarity = SIMILARITY[metric];
+    if (!similarity) throw new Error(`Unknown similarity metric "${metric}"`);
+    return similarity;
+}
+
+// Distinct trigrams of a text, padded so its first and last letters count too
+function trigramsOf(text) {
+    const padded = `  ${text} `;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+}
+
+/**
+ * Trigram index over texts, to find the few worth scoring against a text instead of all of them.
+ * Texts sharing no trigram are never candidates; of the rest, those sharing the most come first.
+ * @param {string[]} texts - Normalized texts
+ * @returns {(text: string) => number[]} Indexes into `texts` of at most FUZZY_CANDIDATE_LIMIT candidates
+ */
+export function createFuzzyIndex(texts) {
+    const postings = new Map();
+    texts.forEach((text, i) => {
+        trigramsOf(text).forEach(gram => {
+            let list = postings.get(gram);
+            if (!list) {
+                list = [];
+                postings.set(gram, list);
+            }
+            list.push(i);
+        });
+    });
+
+    const shared = new Uint32Array(texts.length);
+    return (text) => {
+        const grams = trigramsOf(text);
+        const touched = [];
+        grams.forEach(gram => {
+            const list = postings.get(gram);
+            if (!list) return;
+            for (let k = 0; k < list.length; k++) {
+                if (shared[list[k]]++ === 0) touched.push(list[k]);
+            }
+        });
+
+        // Lowest shared count that still fits in the limit, found by counting rather than sorting
+        let candidates = touched;
+        if (touched.length > FUZZY_CANDIDATE_LIMIT) {
+            const counts = new Uint32Array(grams.size + 1);
+            touched.forEach(i => counts[shared[i]]++);
+            let cutoff = grams.size;
+            let kept = counts[cutoff];
+            while (cutoff > 1 && kept + counts[cutoff - 1] <= FUZZY_CANDIDATE_LIMIT) kept += counts[--cutoff];
+            candidates = touched.filter(i => shared[i] >= cutoff).slice(0, FUZZY_CANDIDATE_LIMIT);
+        }
+        touched.forEach(i => { shared[i] = 0; });
+        return candidates;
+    };
+}
+
+/**
+ * Key for a reviewed pair of (normalized) texts, as stored in a join's accepted/rejected lists
+ */
+export function fuzzyPairKey(leftText, rightText) {
+    return `${leftText}\u0000${rightText}`;
+}
@@ -0,0 +1,143 @@
+import { normalizeColumnName } from './utils';
+
+export const JSON_EXTENSIONS = /\.(json|ndjson|jsonl)$/i;
+
+export function isJsonFile(file) {
+    return JSON_EXTENSIONS.test(file.name) ||
+        file.type === 'application/json' ||
+        file.type === 'application/x-ndjson';
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Flatten a nested record into dotted keys, each part named like a CSV header.
+ * Objects become `parent.child`; arrays of primitives are joined with ", "
+ * and arrays containing objects are expanded by index (`items.0.sku`).
+ * The result has no prototype, so keys such as `__proto__` are kept as columns.
+ */
+export function flattenRecord(record, prefix = '', out = Object.create(null)) {
+    if (!isPlainObject(record)) {
+        out[prefix || 'value'] = toCellValue(record);
+        return out;
+    }
+
+    const keys = Object.keys(record);
+    if (keys.length === 0 && prefix) {
+        out[prefix] = '';
+        return out;
+    }
+
+    keys.forEach(key => {
+        const value = record[key];
+        const name = normalizeColumnName(key);
+        const path = prefix ? `${prefix}.${name}` : name;
+
+        if (isPlainObject(value)) {
+            flattenRecord(value, path, out);
+        } else if (Array.isArray(value)) {
+            if (value.some(item => item !== null && typeof item === 'object')) {
+                value.forEach((item, idx) => {
+                    if (isPlainObject(item)) {
+                        flattenRecord(item, `${path}.${idx}`, out);
+                    } else {
+                        out[`${path}.${idx}`] = toCellValue(item);
+                    }
+                });
+            } else {
+                out[path] = value.map(toCellValue).join(', ');
+            }
+        } else {
+            out[path] = toCellValue(value);
+        }
+    });
+
+    return out;
+}
+
+// Pick the records out of a parsed JSON document: a top-level array, or the
+// largest array-of-objects property of a top-level object (e.g. `{ "data": [...] }`).
+function extractRecords(parsed) {
+    if (Array.isArray(parsed)) return parsed;
+
+    if (isPlainObject(parsed)) {
+        let best = null;
+        Object.values(parsed).forEach(value => {
+            if (Array.isArray(value) && value.some(isPlainObject) && (!best || value.length > best.length)) {
+                best = value;
+            }
+        });
+        return best || [parsed];
+    }
+
+    return [parsed];
+}
+
+function parseNdjson(text) {
+    const records = [];
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (e) {
+            throw new Error(`Invalid JSON on line ${i + 1}: ${e.message}`);
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Parse JSON, NDJSON or JSON Lines text into flat row objects.
+ * Every row gets the union of all columns so the table has a stable shape.
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {boolean} options.lines - Treat input as one JSON value per line
+ * @returns {Array<Object>}
+ */
+export function parseJsonRows(text, { lines = false } = {}) {
+    const source = text.replace(/^\uFEFF/, '');
+    let records;
+
+    if (lines) {
+        records = parseNdjson(source);
+    } else {
+        try {
+            records = extractRecords(JSON.parse(source));
+        } catch (e) {
+            // Fall back to NDJSON when a .json file holds one object per line
+            if (source.trim().split(/\r?\n/).length < 2) throw e;
+            try {
+                records = parseNdjson(source);
+            } catch {
+                throw e;
+            }
+        }
+    }
+
+    const flatRecords = records.map(record => flattenRecord(record));
+    const columns = [];
+    const seen = new Set();
+    flatRecords.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        });
+    });
+
+    // fromEntries defines the keys, where assigning `__proto__` would set the prototype
+    return flatRecords.map(record => Object.fromEntries(columns.map(col => [col, record[col] ?? ''])));
+}
@@ -0,0 +1,125 @@
+import { createQueryRunner, cancelledError, isCancelledError } from './queryRunner';
+
+export { isCancelledError };
+
+function startWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new Worker(new URL('./queryEngine.worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Query engine that filters, joins, pivots and profiles datasets off the main thread.
+ * Falls back to running on the main thread (still chunked) when workers are unavailable.
+ *
+ * Datasets are registered once with setDataset and referenced by id, so a query only
+ * posts its parameters rather than the rows.
+ */
+export function createQueryEngine() {
+    let worker = startWorker();
+    const local = worker ? null : createQueryRunner();
+
+    // id -> { resolve, reject, onProgress }
+    const pending = new Map();
+    // channel -> id of the latest query, so a new query supersedes the previous one
+    const channels = new Map();
+    // datasetId -> { data, types } last sent, to skip re-sending unchanged tables
+    const sent = new Map();
+    let nextId = 1;
+
+    const settle = (id, callback) => {
+        const entry = pending.get(id);
+        if (!entry) return;
+        pending.delete(id);
+        callback(entry);
+    };
+
+    if (worker) {
+        worker.onmessage = ({ data: message }) => {
+            if (message.type === 'progress') {
+                pending.get(message.id)?.onProgress?.(message.progress);
+            } else if (message.type === 'result') {
+                settle(message.id, entry => entry.resolve(message.result));
+            } else if (message.type === 'error') {
+                const error = message.cancelled ? cancelledError() : new Error(message.message);
+                if (message.position !== undefined) error.position = message.position;
+                settle(message.id, entry => entry.reject(error));
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const error = new Error(event.message || 'Query worker failed');
+            [...pending.keys()].forEach(id => settle(id, entry => entry.reject(error)));
+        };
+    }
+
+    const post = (message) => worker.postMessage(message);
+
+    const cancel = (id) => {
+        if (!pending.has(id)) return;
+        if (worker) post({ type: 'cancel', id });
+        else local.cancel(id);
+        settle(id, entry => entry.reject(cancelledError()));
+    };
+
+    return {
+        usesWorker: Boolean(worker),
+
+        setDataset(datasetId, data, types = {}) {
+            const previous = sent.get(datasetId);
+            if (previous && previous.data === data && previous.types === types) return;
+            sent.set(datasetId, { data, types });
+            if (worker) post({ type: 'setDataset', datasetId, data, types });
+            else local.setDataset(datasetId, data, types);
+        },
+
+        // Also frees datasets the engine created from query results (`resultId`)
+        deleteDataset(datasetId) {
+            sent.delete(datasetId);
+            if (worker) post({ type: 'deleteDataset', datasetId });
+            else local.deleteDataset(datasetId);
+        },
+
+        /**
+         * Run a query.
+         * @param {string} op - 'filter' | 'join' | 'joinDiagnostics' | 'pivot' | 'quality' | 'sql'
+         * @param {Object} params - Operation parameters (see createQueryRunner)
+         * @param {Object} options
+         * @param {string} options.channel - Queries on the same channel cancel the previous one
+         * @param {Function} options.onProgress - Called with 0..1 while the query runs
+         * @returns {{ promise: Promise, cancel: Function }}
+         */
+        run(op, params, { channel, onProgress } = {}) {
+            const id = nextId++;
+            if (channel) {
+                if (channels.has(channel)) cancel(channels.get(channel));
+                channels.set(channel, id);
+            }
+
+            const promise = new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, onProgress });
+            }).finally(() => {
+                if (channel && channels.get(channel) === id) channels.delete(channel);
+            });
+
+            if (worker) {
+                post({ type: 'run', id, op, params });
+            } else {
+                local.run(id, op, params, progress => pending.get(id)?.onProgress?.(progress))
+                    .then(result => settle(id, entry => entry.resolve(result)))
+                    .catch(error => settle(id, entry => entry.reject(error)));
+            }
+
+            return { promise, cancel: () => cancel(id) };
+        },
+
+        terminate() {
+            [...pending.keys()].forEach(cancel);
+            worker?.terminate();
+            worker = null;
+        }
+    };
+}
@@ -0,0 +1,33 @@
+import { createQueryRunner, isCancelledError } from './queryRunner';
+
+const runner = createQueryRunner();
+
+self.onmessage = async ({ data: message }) => {
+    switch (message.type) {
+        case 'setDataset':
+            runner.setDataset(message.datasetId, message.data, message.types);
+            break;
+        case 'deleteDataset':
+            runner.deleteDataset(message.datasetId);
+            break;
+        case 'cancel':
+            runner.cancel(message.id);
+            break;
+        case 'run': {
+            const { id, op, params } = message;
+            try {
+                const result = await runner.run(id, op, params, progress => {
+                    self.postMessage({ type: 'progress', id, progress });
+                });
+                // Hand typed-array results over instead of copying them
+                const transfer = result instanceof Uint32Array ? [result.buffer] : [];
+                self.postMessage({ type: 'result', id, result }, transfer);
+            } catch (error) {
+                self.postMessage({ type: 'error', id, message: error.message, position: error.position, cancelled: isCancelledError(error) });
+            }
+            break;
+        }
+        default:
+            break;
+    }
+};
@@ -0,0 +1,153 @@
+import { compileTableFilter, joinInChunks, diagnoseJoinInChunks, pivotInChunks, dataQualityInChunks, detectSmartColumnTypes, CHUNK_ROWS } from './utils';
+import { takeRows } from './columnar';
+import { runSql } from './sql';
+
+export function cancelledError() {
+    const error = new Error('Query cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+export function isCancelledError(error) {
+    return error?.name === 'AbortError';
+}
+
+// Let queued messages (such as a cancel) run between chunks
+const yieldToEvents = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Holds datasets and runs queries against them. Used inside the query worker,
+ * and on the main thread when workers are unavailable.
+ */
+export function createQueryRunner() {
+    // datasetId -> { data: columnar table, types }
+    const datasets = new Map();
+    const active = new Set();
+    const cancelled = new Set();
+
+    const getDataset = (datasetId) => {
+        const dataset = datasets.get(datasetId);
+        if (!dataset) throw new Error(`Unknown dataset "${datasetId}"`);
+        return dataset;
+    };
+
+    const checkCancelled = (id) => {
+        if (cancelled.has(id)) {
+            cancelled.delete(id);
+            throw cancelledError();
+        }
+    };
+
+    // Run chunked work from utils, reporting progress and stopping if cancelled between chunks
+    const runInChunks = async (id, chunks, onProgress) => {
+        let step = chunks.next();
+        while (!step.done) {
+            onProgress(step.value);
+            await yieldToEvents();
+            checkCancelled(id);
+            step = chunks.next();
+        }
+        return step.value;
+    };
+
+    const operations = {
+        /**
+         * @returns {Promise<Uint32Array>} Indices of matching rows in the source dataset.
+         * The matching rows are kept as `resultId` for follow-up queries.
+         */
+        async filter(id, { datasetId, tree, isCaseSensitive, dateFormats, resultId }, onProgress) {
+            const { data, types } = getDataset(datasetId);
+            const matchesFilter = compileTableFilter(data, tree, isCaseSensitive, dateFormats);
+            const matches = new Uint32Array(data.length);
+            let count = 0;
+
+            for (let start = 0; start < data.length; start += CHUNK_ROWS) {
+                const end = Math.min(start + CHUNK_ROWS, data.length);
+                for (let i = start; i < end; i++) {
+                    if (matchesFilter(i)) {
+                        matches[count++] = i;
+                    }
+                }
+                onProgress(end / data.length);
+                if (end < data.length) {
+                    await yieldToEvents();
+                    checkCancelled(id);
+                }
+            }
+
+            const indices = matches.slice(0, count);
+            if (resultId) {
+                datasets.set(resultId, { data: takeRows(data, indices), types });
+            }
+            return indices;
+        },
+
+        /**
+         * Join registered tables. The joined table is kept as `resultId` and returned.
+         * Tables are read column by column; no rows are built.
+         */
+        async join(id, { tables, joins, aliases, resultId }, onProgress) {
+            const joinTables = {};
+            Object.entries(tables).forEach(([name, datasetId]) => {
+                joinTables[name] = getDataset(datasetId);
+            });
+            const result = await runInChunks(id, joinInChunks(joinTables, joins, aliases), onProgress);
+            if (resultId) datasets.set(resultId, { data: result.data, types: result.types });
+            return { ...result, smartTypes: detectSmartColumnTypes(result.data) };
+        },
+
+        /**
+         * Match rates, unmatched keys and fan-out of one join between two registered tables
+         */
+        async joinDiagnostics(id, { left, right, join }, onProgress) {
+            return runInChunks(id, diagnoseJoinInChunks(getDataset(left).data, getDataset(right).data, join), onProgress);
+        },
+
+        async pivot(id, { datasetId, config }, onProgress) {
+            return runInChunks(id, pivotInChunks(getDataset(datasetId).data, config), onProgress);
+        },
+
+        async quality(id, { datasetId, types }, onProgress) {
+            const dataset = getDataset(datasetId);
+            return runInChunks(id, dataQualityInChunks(dataset.data, types || dataset.types), onProgress);
+        },
+
+        /**
+         * Run a SQL SELECT. `tables` maps the names used in the query to dataset ids.
+         * @returns {Promise<{columns: string[], data: Object}>} Result as a columnar table
+         */
+        async sql(id, { query, tables }) {
+            const sqlTables = {};
+            Object.entries(tables).forEach(([name, datasetId]) => {
+                sqlTables[name] = getDataset(datasetId).data;
+            });
+            return runSql(query, sqlTables);
+        }
+    };
+
+    return {
+        setDataset(datasetId, data, types = {}) {
+            datasets.set(datasetId, { data, types });
+        },
+
+        deleteDataset(datasetId) {
+            datasets.delete(datasetId);
+        },
+
+        cancel(id) {
+            if (active.has(id)) cancelled.add(id);
+        },
+
+        async run(id, op, params, onProgress = () => {}) {
+            const operation = operations[op];
+            if (!operation) throw new Error(`Unknown query "${op}"`);
+            active.add(id);
+            try {
+                return await operation(id, params, onProgress);
+            } finally {
+                active.delete(id);
+                cancelled.delete(id);
+            }
+        }
+    };
+}
@@ -0,0 +1,108 @@
+const DB_NAME = 'csv-filtering-session';
+const DB_VERSION = 1;
+const TABLES_STORE = 'tables';
+const STATE_STORE = 'state';
+const STATE_KEY = 'workspace';
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+function openDb() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TABLES_STORE)) db.createObjectStore(TABLES_STORE);
+        if (!db.objectStoreNames.contains(STATE_STORE)) db.createObjectStore(STATE_STORE);
+    };
+    return requestToPromise(request);
+}
+
+async function withDb(callback) {
+    const db = await openDb();
+    try {
+        return await callback(db);
+    } finally {
+        db.close();
+    }
+}
+
+export function isSessionStoreAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Write changed tables and drop removed ones.
+ * @param {Object} tables - { tableName: { data, types, smartTypes } }
+ * @param {Array<string>} changed - Names whose contents need writing
+ */
+export function saveSessionTables(tables, changed) {
+    return withDb(async (db) => {
+        const tx = db.transaction(TABLES_STORE, 'readwrite');
+        const store = tx.objectStore(TABLES_STORE);
+        const storedNames = await requestToPromise(store.getAllKeys());
+
+        storedNames.filter(name => !tables[name]).forEach(name => store.delete(name));
+        changed.filter(name => tables[name]).forEach(name => store.put(tables[name], name));
+
+        await transactionDone(tx);
+    });
+}
+
+/**
+ * Save everything about the workspace except the table contents
+ */
+export function saveSessionState(state) {
+    return withDb(async (db) => {
+        const tx = db.transaction(STATE_STORE, 'readwrite');
+        tx.objectStore(STATE_STORE).put(state, STATE_KEY);
+        await transactionDone(tx);
+    });
+}
+
+/**
+ * @returns {Promise<{ tables: Object, state: Object|null }|null>} Null when nothing is stored
+ */
+export function loadSession() {
+    return withDb(async (db) => {
+        const tx = db.transaction([TABLES_STORE, STATE_STORE], 'readonly');
+        const tableStore = tx.objectStore(TABLES_STORE);
+        const [names, values, state] = await Promise.all([
+            requestToPromise(tableStore.getAllKeys()),
+            requestToPromise(tableStore.getAll()),
+            requestToPromise(tx.objectStore(STATE_STORE).get(STATE_KEY))
+        ]);
+
+        if (names.length === 0) return null;
+        const tables = {};
+        names.forEach((name, i) => {
+            tables[name] = values[i];
+        });
+        return { tables, state: state || null };
+    });
+}
+
+export function clearSession() {
+    return requestToPromise(indexedDB.deleteDatabase(DB_NAME));
+}
+
+/**
+ * Storage used by this origin, in bytes, where the browser reports it
+ * @returns {Promise<{ usage: number, quota: number }|null>}
+ */
+export async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
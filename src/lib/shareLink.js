@@ -0,0 +1,147 @@
+import { isFilterNode } from './filterPresets';
+import { sortLevelsOf, joinKeysOf, joinRangesOf, JOIN_RANGE_OPERATORS, JOIN_KEY_OPTIONS, joinFuzzyOf } from './utils';
+import { FUZZY_METRICS } from './fuzzy';
+
+const HASH_KEY = 'view';
+const VERSION = 1;
+const TABS = ['table', 'charts', 'pivot', 'sql'];
+const JOIN_TYPES = ['inner', 'left', 'right', 'full', 'semi', 'anti'];
+
+const isString = (value) => typeof value === 'string';
+const isStringArray = (value) => Array.isArray(value) && value.every(isString);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Sort levels as a list, or the single { key, direction } of older links
+function isSortConfig(sortConfig) {
+    const isLevel = (level) => level !== null && typeof level === 'object' &&
+        (level.key === null || isString(level.key)) && ['asc', 'desc', undefined].includes(level.direction);
+    return Array.isArray(sortConfig) ? sortConfig.every(level => isLevel(level) && level.key !== null) : isLevel(sortConfig);
+}
+
+const isColumnPair = (pair) => pair !== null && typeof pair === 'object' && isString(pair.leftColumn) && isString(pair.rightColumn);
+
+const isTextPairs = (pairs) => pairs === undefined || (Array.isArray(pairs) && pairs.every(pair =>
+    Array.isArray(pair) && pair.length === 2 && pair.every(isString)));
+
+function isFuzzyCondition(fuzzy) {
+    return isColumnPair(fuzzy) && FUZZY_METRICS.includes(fuzzy.metric) &&
+        (fuzzy.threshold === undefined || (typeof fuzzy.threshold === 'number' && fuzzy.threshold >= 0 && fuzzy.threshold <= 1)) &&
+        isTextPairs(fuzzy.accepted) && isTextPairs(fuzzy.rejected);
+}
+
+function isJoin(join) {
+    if (join === null || typeof join !== 'object') return false;
+    if (!['leftTable', 'rightTable'].every(key => isString(join[key]) && join[key] !== '')) return false;
+    if (join.keys !== undefined && !(Array.isArray(join.keys) && join.keys.every(isColumnPair))) return false;
+    if (join.ranges !== undefined && !(Array.isArray(join.ranges) &&
+        join.ranges.every(range => isColumnPair(range) && JOIN_RANGE_OPERATORS.includes(range.operator)))) return false;
+    if (join.keyMatching !== undefined && !(join.keyMatching !== null && typeof join.keyMatching === 'object' &&
+        Object.entries(join.keyMatching).every(([option, isOn]) => JOIN_KEY_OPTIONS.includes(option) && typeof isOn === 'boolean'))) return false;
+    if (join.fuzzy !== undefined && !isFuzzyCondition(join.fuzzy)) return false;
+    return (joinKeysOf(join).length > 0 || joinRangesOf(join).length > 0 || joinFuzzyOf(join) !== null) &&
+        JOIN_TYPES.includes(join.joinType || 'inner');
+}
+
+/**
+ * Check a decoded view and return it with defaults filled in
+ * @throws {Error} Describing the first invalid part
+ */
+export function validateViewState(view) {
+    if (view === null || typeof view !== 'object' || Array.isArray(view)) {
+        throw new Error('link does not contain a view');
+    }
+    if (view.v !== VERSION) {
+        throw new Error(`unsupported link version ${view.v}`);
+    }
+    if (!isStringArray(view.tables) || view.tables.length === 0) {
+        throw new Error('link does not name any tables');
+    }
+    if (!isFilterNode(view.filter) || view.filter.type !== 'group') {
+        throw new Error('filter is malformed');
+    }
+    if (view.tab !== undefined && !TABS.includes(view.tab)) {
+        throw new Error(`unknown tab "${view.tab}"`);
+    }
+    if (view.joins !== undefined && !(Array.isArray(view.joins) && view.joins.every(isJoin))) {
+        throw new Error('joins are malformed');
+    }
+    if (view.aliases !== undefined && (!isPlainObject(view.aliases) || !Object.values(view.aliases).every(isString))) {
+        throw new Error('table aliases are malformed');
+    }
+    if (view.table !== undefined) {
+        if (!isPlainObject(view.table) || !isStringArray(view.table.columns) ||
+            (view.table.sortConfig && !isSortConfig(view.table.sortConfig))) {
+            throw new Error('table view is malformed');
+        }
+    }
+    if (view.pivot !== undefined && !(isPlainObject(view.pivot) &&
+        ['rowField', 'columnField', 'valueField', 'aggFunc'].every(key => isString(view.pivot[key])))) {
+        throw new Error('pivot settings are malformed');
+    }
+
+    return {
+        tables: view.tables,
+        activeTable: isString(view.activeTable) ? view.activeTable : view.tables[0],
+        aliases: view.aliases || {},
+        joins: view.joins || [],
+        filter: view.filter,
+        isCaseSensitive: Boolean(view.isCaseSensitive),
+        tab: view.tab || 'table',
+        table: view.table || null,
+        pivot: view.pivot || null
+    };
+}
+
+/**
+ * Encode a view into a URL hash (`#view=...`)
+ */
+export function encodeViewHash(view) {
+    return `#${HASH_KEY}=${toBase64Url(JSON.stringify({ v: VERSION, ...view }))}`;
+}
+
+/**
+ * Read a view from a URL hash
+ * @returns {Object|null} The validated view, or null when the hash doesn't hold one
+ * @throws {Error} When the hash holds a view that can't be read
+ */
+export function decodeViewHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(fromBase64Url(encoded));
+    } catch {
+        throw new Error('link is corrupted or truncated');
+    }
+    return validateViewState(parsed);
+}
+
+/**
+ * Columns named by the table and pivot parts of a view that aren't in `columns`
+ */
+export function findUnknownViewColumns(view, columns) {
+    const known = new Set(columns);
+    const referenced = [
+        ...(view.table?.columns || []),
+        ...sortLevelsOf(view.table?.sortConfig).map(level => level.key),
+        view.pivot?.rowField,
+        view.pivot?.columnField,
+        view.pivot?.valueField
+    ].filter(Boolean);
+    return [...new Set(referenced.filter(col => !known.has(col)))];
+}
@@ -0,0 +1,1001 @@
+import { columnReader, columnNamesOf, fromRows } from './columnar';
+
+/**
+ * SQL SELECT over loaded tables.
+ *
+ *   SELECT [DISTINCT] items FROM t [AS a]
+ *     [[INNER | LEFT | RIGHT | FULL] [OUTER] JOIN u [AS b] ON cond | CROSS JOIN u]...
+ *     [WHERE cond] [GROUP BY exprs] [HAVING cond]
+ *     [ORDER BY expr [ASC | DESC], ...] [LIMIT n [OFFSET m]]
+ *
+ * Tables are named by their alias. Empty cells are NULL. Values compare as numbers
+ * when both sides are numbers and as text otherwise; LIKE ignores case.
+ *
+ * Rows are never materialized while joining: a joined row is a tuple of row indexes,
+ * one per table (-1 for the missing side of an outer join).
+ */
+
+export function sqlError(message, position) {
+    const error = new Error(message);
+    error.name = 'SqlError';
+    error.position = position;
+    return error;
+}
+
+// Joins without an equality condition compare every pair of rows
+const MAX_NESTED_LOOP_PAIRS = 50_000_000;
+
+// ---- Values ----
+
+function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const text = String(value).trim();
+    if (text === '') return null;
+    const num = Number(text);
+    return Number.isNaN(num) ? null : num;
+}
+
+function formatNumber(num) {
+    return Number.isFinite(num) ? String(Number.parseFloat(num.toPrecision(15))) : '';
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return formatNumber(value);
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    return String(value);
+}
+
+function formatValue(value) {
+    return toText(value) ?? '';
+}
+
+// null when either side is NULL
+function compareValues(a, b) {
+    if (a === null || b === null) return null;
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x !== null && y !== null) return x === y ? 0 : (x < y ? -1 : 1);
+    const s = toText(a);
+    const t = toText(b);
+    return s === t ? 0 : (s < t ? -1 : 1);
+}
+
+// Sort order: NULLs first, then numbers before text
+function sortCompare(a, b) {
+    if (a === null || b === null) return a === b ? 0 : (a === null ? -1 : 1);
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x !== null && y !== null) return x - y;
+    if (x !== null) return -1;
+    if (y !== null) return 1;
+    return toText(a).localeCompare(toText(b));
+}
+
+function isTrue(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'boolean') return value;
+    const num = toNumber(value);
+    return num !== null ? num !== 0 : toText(value).toLowerCase() === 'true';
+}
+
+// Three-valued logic: null is unknown
+function toLogic(value) {
+    return value === null || value === undefined ? null : isTrue(value);
+}
+
+function likeToRegExp(pattern) {
+    const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${source}$`, 'is');
+}
+
+// ---- Tokens ----
+
+// Words read as keywords unless quoted, so columns with these names have to be quoted
+export const KEYWORDS = new Set([
+    'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'LIMIT', 'OFFSET',
+    'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'AS', 'AND', 'OR', 'NOT', 'NULL', 'IS',
+    'IN', 'BETWEEN', 'LIKE', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'TRUE', 'FALSE'
+]);
+const OPERATORS = ['<=', '>=', '<>', '!=', '||', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '.', ';'];
+const IDENTIFIER_QUOTES = { '"': '"', '`': '`', '[': ']' };
+
+/**
+ * Split SQL text into tokens: { type: 'number' | 'string' | 'identifier' | 'keyword' | 'op' | 'end', value, start, end }.
+ * Quoted names are identifiers; unquoted words are keywords when they are SQL keywords.
+ */
+export function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        // -- comments run to the end of the line
+        if (source.startsWith('--', i)) {
+            while (i < source.length && source[i] !== '\n') i++;
+            continue;
+        }
+        const start = i;
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+            const match = source.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/)[0];
+            tokens.push({ type: 'number', value: Number(match), start, end: i + match.length });
+            i += match.length;
+        } else if (char === "'") {
+            let value = '';
+            i++;
+            while (true) {
+                if (i >= source.length) throw sqlError('Text is missing its closing quote', start);
+                if (source[i] === "'") {
+                    if (source[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                        continue;
+                    }
+                    break;
+                }
+                value += source[i++];
+            }
+            i++;
+            tokens.push({ type: 'string', value, start, end: i });
+        } else if (IDENTIFIER_QUOTES[char]) {
+            const close = source.indexOf(IDENTIFIER_QUOTES[char], i + 1);
+            if (close === -1) throw sqlError('Name is missing its closing quote', start);
+            tokens.push({ type: 'identifier', value: source.slice(i + 1, close), start, end: close + 1 });
+            i = close + 1;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            const upper = word.toUpperCase();
+            tokens.push(KEYWORDS.has(upper)
+                ? { type: 'keyword', value: upper, start, end: i + word.length }
+                : { type: 'identifier', value: word, start, end: i + word.length });
+            i += word.length;
+        } else {
+            const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+            if (!op) throw sqlError(`Unexpected "${char}"`, start);
+            tokens.push({ type: 'op', value: op, start, end: i + op.length });
+            i += op.length;
+        }
+    }
+    tokens.push({ type: 'end', value: 'end of query', start: source.length, end: source.length });
+    return tokens;
+}
+
+// ---- Parser ----
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+const COMPARISONS = new Set(['=', '<>', '!=', '<', '<=', '>', '>=']);
+
+function parseQuery(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+    const peek = (offset = 0) => tokens[pos + offset];
+    const isKeyword = (...words) => peek().type === 'keyword' && words.includes(peek().value);
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+    const acceptKeyword = (...words) => {
+        if (!isKeyword(...words)) return null;
+        return tokens[pos++].value;
+    };
+    const expectKeyword = (word) => {
+        if (!isKeyword(word)) throw sqlError(`Expected ${word} but found "${peek().value}"`, peek().start);
+        pos++;
+    };
+    const expectOp = (value) => {
+        if (!isOp(value)) throw sqlError(`Expected "${value}" but found "${peek().value}"`, peek().start);
+        pos++;
+    };
+    const expectIdentifier = (what) => {
+        if (peek().type !== 'identifier') throw sqlError(`Expected ${what} but found "${peek().value}"`, peek().start);
+        return tokens[pos++];
+    };
+
+    const parseExpression = () => parseOr();
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (acceptKeyword('OR')) left = { type: 'binary', op: 'OR', left, right: parseAnd() };
+        return left;
+    };
+
+    const parseAnd = () => {
+        let left = parseNot();
+        while (acceptKeyword('AND')) left = { type: 'binary', op: 'AND', left, right: parseNot() };
+        return left;
+    };
+
+    const parseNot = () => {
+        if (acceptKeyword('NOT')) return { type: 'not', operand: parseNot() };
+        return parsePredicate();
+    };
+
+    const parsePredicate = () => {
+        const left = parseConcat();
+        if (peek().type === 'op' && COMPARISONS.has(peek().value)) {
+            const op = tokens[pos++].value;
+            return { type: 'binary', op: op === '!=' ? '<>' : op, left, right: parseConcat() };
+        }
+        if (acceptKeyword('IS')) {
+            const negated = Boolean(acceptKeyword('NOT'));
+            expectKeyword('NULL');
+            return { type: 'isNull', operand: left, negated };
+        }
+        const negated = isKeyword('NOT') && peek(1).type === 'keyword' && ['IN', 'BETWEEN', 'LIKE'].includes(peek(1).value);
+        if (negated) pos++;
+        if (acceptKeyword('IN')) {
+            expectOp('(');
+            const list = [parseExpression()];
+            while (isOp(',')) {
+                pos++;
+                list.push(parseExpression());
+            }
+            expectOp(')');
+            return { type: 'in', operand: left, list, negated };
+        }
+        if (acceptKeyword('BETWEEN')) {
+            const low = parseConcat();
+            expectKeyword('AND');
+            return { type: 'between', operand: left, low, high: parseConcat(), negated };
+        }
+        if (acceptKeyword('LIKE')) {
+            return { type: 'like', operand: left, pattern: parseConcat(), negated };
+        }
+        return left;
+    };
+
+    const parseConcat = () => {
+        let left = parseSum();
+        while (isOp('||')) {
+            pos++;
+            left = { type: 'binary', op: '||', left, right: parseSum() };
+        }
+        return left;
+    };
+
+    const parseSum = () => {
+        let left = parseProduct();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[pos++].value;
+            left = { type: 'binary', op, left, right: parseProduct() };
+        }
+        return left;
+    };
+
+    const parseProduct = () => {
+        let left = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[pos++].value;
+            left = { type: 'binary', op, left, right: parseUnary() };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOp('-')) {
+            pos++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+        if (isOp('+')) pos++;
+        return parsePrimary();
+    };
+
+    const parseCase = () => {
+        const operand = isKeyword('WHEN') ? null : parseExpression();
+        const branches = [];
+        while (acceptKeyword('WHEN')) {
+            const when = parseExpression();
+            expectKeyword('THEN');
+            branches.push({ when, then: parseExpression() });
+        }
+        if (branches.length === 0) throw sqlError('CASE needs at least one WHEN', peek().start);
+        const otherwise = acceptKeyword('ELSE') ? parseExpression() : null;
+        expectKeyword('END');
+        return { type: 'case', operand, branches, otherwise };
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token.type === 'number' || token.type === 'string') {
+            pos++;
+            return { type: 'literal', value: token.value, start: token.start };
+        }
+        if (token.type === 'keyword') {
+            if (token.value === 'NULL') {
+                pos++;
+                return { type: 'literal', value: null };
+            }
+            if (token.value === 'TRUE' || token.value === 'FALSE') {
+                pos++;
+                return { type: 'literal', value: token.value === 'TRUE' };
+            }
+            if (token.value === 'CASE') {
+                pos++;
+                return parseCase();
+            }
+        }
+        if (isOp('(')) {
+            pos++;
+            const inner = parseExpression();
+            expectOp(')');
+            return inner;
+        }
+        if (token.type === 'identifier') {
+            pos++;
+            // Function call
+            if (isOp('(') && token.end === peek().start) {
+                pos++;
+                const name = token.value.toUpperCase();
+                const call = { type: 'call', name, args: [], distinct: false, star: false, start: token.start };
+                if (AGGREGATES.has(name) && acceptKeyword('DISTINCT')) call.distinct = true;
+                if (name === 'COUNT' && isOp('*')) {
+                    pos++;
+                    call.star = true;
+                } else if (!isOp(')')) {
+                    call.args.push(parseExpression());
+                    while (isOp(',')) {
+                        pos++;
+                        call.args.push(parseExpression());
+                    }
+                }
+                expectOp(')');
+                return call;
+            }
+            // table.column
+            if (isOp('.')) {
+                pos++;
+                const column = expectIdentifier('a column name');
+                return { type: 'column', table: token.value, name: column.value, start: token.start };
+            }
+            return { type: 'column', table: null, name: token.value, start: token.start };
+        }
+        if (token.type === 'end') throw sqlError('Query ends too early', token.start);
+        throw sqlError(`Unexpected "${token.value}"`, token.start);
+    };
+
+    const parseTableRef = () => {
+        const table = expectIdentifier('a table name');
+        let alias = null;
+        if (acceptKeyword('AS')) alias = expectIdentifier('an alias').value;
+        else if (peek().type === 'identifier') alias = tokens[pos++].value;
+        return { name: table.value, alias: alias || table.value, start: table.start };
+    };
+
+    const parseSelectItem = () => {
+        const start = peek().start;
+        if (isOp('*')) {
+            pos++;
+            return { type: 'star', table: null };
+        }
+        if (peek().type === 'identifier' && peek(1).type === 'op' && peek(1).value === '.' && peek(2).type === 'op' && peek(2).value === '*') {
+            const table = tokens[pos].value;
+            pos += 3;
+            return { type: 'star', table, start };
+        }
+        const expr = parseExpression();
+        const text = source.slice(start, tokens[pos - 1].end);
+        let alias = null;
+        if (acceptKeyword('AS')) alias = expectIdentifier('a column alias').value;
+        else if (peek().type === 'identifier') alias = tokens[pos++].value;
+        return { type: 'expr', expr, alias, text };
+    };
+
+    expectKeyword('SELECT');
+    const query = { distinct: false, items: [], from: null, joins: [], where: null, groupBy: [], having: null, orderBy: [], limit: null, offset: 0 };
+    query.distinct = Boolean(acceptKeyword('DISTINCT'));
+    query.items.push(parseSelectItem());
+    while (isOp(',')) {
+        pos++;
+        query.items.push(parseSelectItem());
+    }
+
+    expectKeyword('FROM');
+    query.from = parseTableRef();
+
+    while (isKeyword('JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS') || isOp(',')) {
+        if (isOp(',')) {
+            pos++;
+            query.joins.push({ kind: 'CROSS', table: parseTableRef(), on: null });
+            continue;
+        }
+        let kind = acceptKeyword('INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS') || 'INNER';
+        if (kind !== 'INNER' && kind !== 'CROSS') acceptKeyword('OUTER');
+        expectKeyword('JOIN');
+        const table = parseTableRef();
+        let on = null;
+        if (kind !== 'CROSS') {
+            expectKeyword('ON');
+            on = parseExpression();
+        }
+        query.joins.push({ kind, table, on });
+    }
+
+    if (acceptKeyword('WHERE')) query.where = parseExpression();
+    if (acceptKeyword('GROUP')) {
+        expectKeyword('BY');
+        query.groupBy.push(parseExpression());
+        while (isOp(',')) {
+            pos++;
+            query.groupBy.push(parseExpression());
+        }
+    }
+    if (acceptKeyword('HAVING')) query.having = parseExpression();
+    if (acceptKeyword('ORDER')) {
+        expectKeyword('BY');
+        do {
+            if (isOp(',')) pos++;
+            const expr = parseExpression();
+            const direction = acceptKeyword('ASC', 'DESC');
+            query.orderBy.push({ expr, descending: direction === 'DESC' });
+        } while (isOp(','));
+    }
+    if (acceptKeyword('LIMIT')) {
+        const limit = peek();
+        if (limit.type !== 'number') throw sqlError('LIMIT needs a number', limit.start);
+        pos++;
+        query.limit = limit.value;
+        if (acceptKeyword('OFFSET')) {
+            const offset = peek();
+            if (offset.type !== 'number') throw sqlError('OFFSET needs a number', offset.start);
+            pos++;
+            query.offset = offset.value;
+        }
+    }
+    if (isOp(';')) pos++;
+    if (peek().type !== 'end') throw sqlError(`Unexpected "${peek().value}"`, peek().start);
+    return query;
+}
+
+// ---- Functions ----
+
+const SCALAR_FUNCTIONS = {
+    UPPER: (s) => (s === null ? null : toText(s).toUpperCase()),
+    LOWER: (s) => (s === null ? null : toText(s).toLowerCase()),
+    TRIM: (s) => (s === null ? null : toText(s).trim()),
+    LENGTH: (s) => (s === null ? null : toText(s).length),
+    SUBSTR: (s, start, length) => {
+        if (s === null) return null;
+        const from = Math.max(0, (toNumber(start) ?? 1) - 1);
+        const count = length === undefined ? undefined : Math.max(0, toNumber(length) ?? 0);
+        return toText(s).substr(from, count);
+    },
+    REPLACE: (s, find, replacement) => (s === null ? null : toText(s).split(toText(find) ?? '').join(toText(replacement) ?? '')),
+    CONCAT: (...args) => args.map(arg => toText(arg) ?? '').join(''),
+    COALESCE: (...args) => args.find(arg => arg !== null) ?? null,
+    NULLIF: (a, b) => (compareValues(a, b) === 0 ? null : a),
+    ABS: (x) => { const num = toNumber(x); return num === null ? null : Math.abs(num); },
+    ROUND: (x, digits = 0) => {
+        const num = toNumber(x);
+        if (num === null) return null;
+        const factor = 10 ** Math.trunc(toNumber(digits) ?? 0);
+        return Math.round(num * factor) / factor;
+    }
+};
+SCALAR_FUNCTIONS.SUBSTRING = SCALAR_FUNCTIONS.SUBSTR;
+SCALAR_FUNCTIONS.LEN = SCALAR_FUNCTIONS.LENGTH;
+SCALAR_FUNCTIONS.IFNULL = SCALAR_FUNCTIONS.COALESCE;
+
+function aggregate(name, values) {
+    if (name === 'COUNT') return values.length;
+    if (name === 'MIN' || name === 'MAX') {
+        if (values.length === 0) return null;
+        const direction = name === 'MIN' ? -1 : 1;
+        return values.reduce((best, value) => (sortCompare(value, best) * direction > 0 ? value : best));
+    }
+    const numbers = values.map(toNumber).filter(num => num !== null);
+    if (numbers.length === 0) return null;
+    const sum = numbers.reduce((acc, num) => acc + num, 0);
+    return name === 'SUM' ? sum : sum / numbers.length;
+}
+
+// First aggregate call inside an expression, or null
+function findAggregate(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (node.type === 'call' && AGGREGATES.has(node.name)) return node;
+    for (const value of Object.values(node)) {
+        const found = Array.isArray(value)
+            ? value.map(findAggregate).find(Boolean)
+            : findAggregate(value);
+        if (found) return found;
+    }
+    return null;
+}
+
+function containsAggregate(node) {
+    return findAggregate(node) !== null;
+}
+
+// ---- Execution ----
+
+/**
+ * Compiles expressions against the query's tables. A row is a tuple of row indexes, one per table.
+ * In group mode expressions take a group ({ first, tuples }): aggregates read every tuple and
+ * plain columns read the group's first row.
+ */
+function createCompiler(sources, { outputColumns = null } = {}) {
+    const findSource = (tableName, position, visible) => {
+        const lower = tableName.toLowerCase();
+        const index = sources.findIndex((source, i) => i < visible && source.alias.toLowerCase() === lower);
+        if (index === -1) throw sqlError(`Unknown table "${tableName}"`, position);
+        return index;
+    };
+
+    const findColumn = (source, name) => {
+        if (source.columnSet.has(name)) return name;
+        const lower = name.toLowerCase();
+        return source.columns.find(col => col.toLowerCase() === lower) ?? null;
+    };
+
+    const resolve = (node, visible) => {
+        if (node.table) {
+            const index = findSource(node.table, node.start, visible);
+            const column = findColumn(sources[index], node.name);
+            if (column === null) throw sqlError(`Table "${node.table}" has no column "${node.name}"`, node.start);
+            return { index, column };
+        }
+        const matches = [];
+        sources.slice(0, visible).forEach((source, index) => {
+            const column = findColumn(source, node.name);
+            if (column !== null) matches.push({ index, column });
+        });
+        if (matches.length > 1) {
+            throw sqlError(`Column "${node.name}" is in more than one table; write it as ${sources[matches[0].index].alias}.${node.name}`, node.start);
+        }
+        if (matches.length === 0) throw sqlError(`Unknown column "${node.name}"`, node.start);
+        return matches[0];
+    };
+
+    const compile = (node, mode, visible = sources.length) => {
+        const sub = (child) => compile(child, mode, visible);
+
+        switch (node.type) {
+            case 'literal': {
+                const { value } = node;
+                return () => value;
+            }
+            case 'column': {
+                if (outputColumns && !node.table && outputColumns.has(node.name)) {
+                    const position = outputColumns.get(node.name);
+                    return (_, output) => output[position];
+                }
+                const { index, column } = resolve(node, visible);
+                const read = sources[index].readers[column];
+                const readTuple = (tuple) => {
+                    const rowIndex = tuple ? tuple[index] : -1;
+                    if (rowIndex === -1) return null;
+                    const value = read(rowIndex);
+                    return value === undefined || value === '' ? null : value;
+                };
+                return mode === 'group' ? (group) => readTuple(group.first) : readTuple;
+            }
+            case 'negate': {
+                const operand = sub(node.operand);
+                return (...args) => {
+                    const num = toNumber(operand(...args));
+                    return num === null ? null : -num;
+                };
+            }
+            case 'not': {
+                const operand = sub(node.operand);
+                return (...args) => {
+                    const value = toLogic(operand(...args));
+                    return value === null ? null : !value;
+                };
+            }
+            case 'binary': {
+                const left = sub(node.left);
+                const right = sub(node.right);
+                switch (node.op) {
+                    case 'AND':
+                        return (...args) => {
+                            const a = toLogic(left(...args));
+                            if (a === false) return false;
+                            const b = toLogic(right(...args));
+                            if (b === false) return false;
+                            return a === null || b === null ? null : true;
+                        };
+                    case 'OR':
+                        return (...args) => {
+                            const a = toLogic(left(...args));
+                            if (a === true) return true;
+                            const b = toLogic(right(...args));
+                            if (b === true) return true;
+                            return a === null || b === null ? null : false;
+                        };
+                    case '||':
+                        return (...args) => {
+                            const a = left(...args);
+                            const b = right(...args);
+                            return a === null || b === null ? null : toText(a) + toText(b);
+                        };
+                    case '=': case '<>': case '<': case '<=': case '>': case '>=': {
+                        const test = {
+                            '=': c => c === 0, '<>': c => c !== 0, '<': c => c < 0,
+                            '<=': c => c <= 0, '>': c => c > 0, '>=': c => c >= 0
+                        }[node.op];
+                        return (...args) => {
+                            const c = compareValues(left(...args), right(...args));
+                            return c === null ? null : test(c);
+                        };
+                    }
+                    default: {
+                        const apply = {
+                            '+': (a, b) => a + b,
+                            '-': (a, b) => a - b,
+                            '*': (a, b) => a * b,
+                            '/': (a, b) => (b === 0 ? null : a / b),
+                            '%': (a, b) => (b === 0 ? null : a % b)
+                        }[node.op];
+                        return (...args) => {
+                            const a = toNumber(left(...args));
+                            const b = toNumber(right(...args));
+                            return a === null || b === null ? null : apply(a, b);
+                        };
+                    }
+                }
+            }
+            case 'isNull': {
+                const operand = sub(node.operand);
+                return (...args) => (operand(...args) === null) !== node.negated;
+            }
+            case 'in': {
+                const operand = sub(node.operand);
+                const list = node.list.map(sub);
+                return (...args) => {
+                    const value = operand(...args);
+                    if (value === null) return null;
+                    let sawNull = false;
+                    for (const item of list) {
+                        const c = compareValues(value, item(...args));
+                        if (c === 0) return !node.negated;
+                        if (c === null) sawNull = true;
+                    }
+                    return sawNull ? null : node.negated;
+                };
+            }
+            case 'between': {
+                const operand = sub(node.operand);
+                const low = sub(node.low);
+                const high = sub(node.high);
+                return (...args) => {
+                    const value = operand(...args);
+                    const a = compareValues(value, low(...args));
+                    const b = compareValues(value, high(...args));
+                    if (a === null || b === null) return null;
+                    return (a >= 0 && b <= 0) !== node.negated;
+                };
+            }
+            case 'like': {
+                const operand = sub(node.operand);
+                const pattern = sub(node.pattern);
+                const cache = new Map();
+                return (...args) => {
+                    const value = operand(...args);
+                    const text = pattern(...args);
+                    if (value === null || text === null) return null;
+                    const key = toText(text);
+                    if (!cache.has(key)) cache.set(key, likeToRegExp(key));
+                    return cache.get(key).test(toText(value)) !== node.negated;
+                };
+            }
+            case 'case': {
+                const operand = node.operand ? sub(node.operand) : null;
+                const branches = node.branches.map(({ when, then }) => ({ when: sub(when), then: sub(then) }));
+                const otherwise = node.otherwise ? sub(node.otherwise) : () => null;
+                return (...args) => {
+                    const subject = operand ? operand(...args) : null;
+                    for (const branch of branches) {
+                        const matched = operand
+                            ? compareValues(subject, branch.when(...args)) === 0
+                            : isTrue(branch.when(...args));
+                        if (matched) return branch.then(...args);
+                    }
+                    return otherwise(...args);
+                };
+            }
+            case 'call': {
+                if (AGGREGATES.has(node.name)) {
+                    if (mode !== 'group') throw sqlError(`${node.name}() can only be used in SELECT, HAVING or ORDER BY`, node.start);
+                    if (!node.star && node.args.length !== 1) throw sqlError(`${node.name}() takes one argument`, node.start);
+                    if (node.star) return (group) => group.tuples.length;
+                    if (node.args.some(containsAggregate)) throw sqlError('Aggregate functions cannot be nested', node.start);
+                    const argument = compile(node.args[0], 'row', visible);
+                    return (group) => {
+                        let values = [];
+                        for (const tuple of group.tuples) {
+                            const value = argument(tuple);
+                            if (value !== null) values.push(value);
+                        }
+                        if (node.distinct) {
+                            const seen = new Set();
+                            values = values.filter(value => {
+                                const key = toText(value);
+                                if (seen.has(key)) return false;
+                                seen.add(key);
+                                return true;
+                            });
+                        }
+                        return aggregate(node.name, values);
+                    };
+                }
+                const fn = SCALAR_FUNCTIONS[node.name];
+                if (!fn) throw sqlError(`Unknown function "${node.name}"`, node.start);
+                const args = node.args.map(sub);
+                return (...callArgs) => fn(...args.map(arg => arg(...callArgs)));
+            }
+            default:
+                throw new Error(`Unsupported expression "${node.type}"`);
+        }
+    };
+
+    return { compile, resolve };
+}
+
+// Tables (indexes) an expression reads from
+function referencedSources(node, resolve, visible, found = new Set()) {
+    if (!node || typeof node !== 'object') return found;
+    if (node.type === 'column') {
+        found.add(resolve(node, visible).index);
+        return found;
+    }
+    Object.values(node).forEach(value => {
+        if (Array.isArray(value)) value.forEach(item => referencedSources(item, resolve, visible, found));
+        else if (value && typeof value === 'object') referencedSources(value, resolve, visible, found);
+    });
+    return found;
+}
+
+function splitConjuncts(node) {
+    if (node?.type === 'binary' && node.op === 'AND') return [...splitConjuncts(node.left), ...splitConjuncts(node.right)];
+    return node ? [node] : [];
+}
+
+function keyOf(values) {
+    if (values.some(value => value === null)) return null;
+    return values.map(value => {
+        const num = toNumber(value);
+        return num !== null ? `n${num}` : `s${toText(value)}`;
+    }).join('\u0000');
+}
+
+function joinTuples(tuples, join, sourceIndex, sources, compiler) {
+    const right = sources[sourceIndex];
+    const width = sourceIndex + 1;
+    const combine = (tuple, rowIndex) => {
+        const next = tuple.slice(0, width);
+        next[sourceIndex] = rowIndex;
+        return next;
+    };
+
+    // Equalities between the earlier tables and this one become a hash lookup
+    const leftKeys = [];
+    const rightKeys = [];
+    const residual = [];
+    splitConjuncts(join.on).forEach(condition => {
+        if (condition.type === 'binary' && condition.op === '=') {
+            const a = referencedSources(condition.left, compiler.resolve, width);
+            const b = referencedSources(condition.right, compiler.resolve, width);
+            const onlyRight = (set) => set.size === 1 && set.has(sourceIndex);
+            const onlyLeft = (set) => set.size > 0 && !set.has(sourceIndex);
+            if (onlyLeft(a) && onlyRight(b)) {
+                leftKeys.push(compiler.compile(condition.left, 'row', width));
+                rightKeys.push(compiler.compile(condition.right, 'row', width));
+                return;
+            }
+            if (onlyRight(a) && onlyLeft(b)) {
+                leftKeys.push(compiler.compile(condition.right, 'row', width));
+                rightKeys.push(compiler.compile(condition.left, 'row', width));
+                return;
+            }
+        }
+        residual.push(compiler.compile(condition, 'row', width));
+    });
+    const matchesResidual = (tuple) => residual.every(test => isTrue(test(tuple)));
+
+    let candidatesFor;
+    if (leftKeys.length > 0) {
+        const index = new Map();
+        const probe = new Array(width).fill(-1);
+        for (let rowIndex = 0; rowIndex < right.length; rowIndex++) {
+            probe[sourceIndex] = rowIndex;
+            const key = keyOf(rightKeys.map(read => read(probe)));
+            if (key === null) continue;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(rowIndex);
+        }
+        candidatesFor = (tuple) => index.get(keyOf(leftKeys.map(read => read(tuple)))) || [];
+    } else {
+        if (tuples.length * right.length > MAX_NESTED_LOOP_PAIRS) {
+            throw sqlError(`Joining ${right.alias} without an equality condition would compare too many rows`, join.table.start);
+        }
+        const all = Array.from({ length: right.length }, (_, i) => i);
+        candidatesFor = () => all;
+    }
+
+    const result = [];
+    const matchedRight = join.kind === 'RIGHT' || join.kind === 'FULL' ? new Uint8Array(right.length) : null;
+    tuples.forEach(tuple => {
+        let matched = false;
+        for (const rowIndex of candidatesFor(tuple)) {
+            const combined = combine(tuple, rowIndex);
+            if (!matchesResidual(combined)) continue;
+            matched = true;
+            if (matchedRight) matchedRight[rowIndex] = 1;
+            result.push(combined);
+        }
+        if (!matched && (join.kind === 'LEFT' || join.kind === 'FULL')) result.push(combine(tuple, -1));
+    });
+    if (matchedRight) {
+        for (let rowIndex = 0; rowIndex < right.length; rowIndex++) {
+            if (matchedRight[rowIndex]) continue;
+            const tuple = new Array(width).fill(-1);
+            tuple[sourceIndex] = rowIndex;
+            result.push(tuple);
+        }
+    }
+    return result;
+}
+
+function uniqueName(name, taken) {
+    let candidate = name;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${name}_${n}`;
+    taken.add(candidate);
+    return candidate;
+}
+
+/**
+ * Run a SELECT statement.
+ * @param {string} source - SQL text
+ * @param {Object} tables - { tableName: columnar table or row objects }; names are matched case-insensitively
+ * @returns {{ columns: string[], data: Object }} Result as a columnar table
+ * @throws {Error} SqlError with `position` (character offset) when the query is invalid
+ */
+export function runSql(source, tables) {
+    const query = parseQuery(String(source ?? ''));
+    const tableNames = Object.keys(tables);
+
+    const refs = [query.from, ...query.joins.map(join => join.table)];
+    const sources = refs.map(ref => {
+        const name = tableNames.find(table => table === ref.name) ?? tableNames.find(table => table.toLowerCase() === ref.name.toLowerCase());
+        if (name === undefined) {
+            throw sqlError(`Unknown table "${ref.name}". Tables: ${tableNames.join(', ') || 'none loaded'}`, ref.start);
+        }
+        const data = tables[name];
+        const columns = columnNamesOf(data);
+        return {
+            alias: ref.alias,
+            data,
+            length: data.length,
+            columns,
+            columnSet: new Set(columns),
+            readers: Object.fromEntries(columns.map(col => [col, columnReader(data, col)]))
+        };
+    });
+    const aliases = new Set();
+    sources.forEach((source, i) => {
+        const key = source.alias.toLowerCase();
+        if (aliases.has(key)) throw sqlError(`Table name "${source.alias}" is used twice; give one an alias`, refs[i].start);
+        aliases.add(key);
+    });
+
+    const compiler = createCompiler(sources);
+
+    // FROM and JOINs
+    let tuples = Array.from({ length: sources[0].length }, (_, i) => [i]);
+    query.joins.forEach((join, i) => {
+        tuples = joinTuples(tuples, join, i + 1, sources, compiler);
+    });
+
+    if (query.where) {
+        const misplaced = findAggregate(query.where);
+        if (misplaced) throw sqlError('Aggregate functions are not allowed in WHERE; use HAVING', misplaced.start);
+        const where = compiler.compile(query.where, 'row');
+        tuples = tuples.filter(tuple => isTrue(where(tuple)));
+    }
+
+    // SELECT list
+    const isGrouped = query.groupBy.length > 0 || query.having !== null ||
+        query.items.some(item => item.type === 'expr' && containsAggregate(item.expr)) ||
+        query.orderBy.some(item => containsAggregate(item.expr));
+    const mode = isGrouped ? 'group' : 'row';
+    const taken = new Set();
+    const outputs = [];
+    query.items.forEach(item => {
+        if (item.type === 'star') {
+            const indexes = item.table === null
+                ? sources.map((_, i) => i)
+                : [sources.findIndex(source => source.alias.toLowerCase() === item.table.toLowerCase())];
+            if (indexes[0] === -1) throw sqlError(`Unknown table "${item.table}"`, item.start);
+            indexes.forEach(index => {
+                sources[index].columns.forEach(column => {
+                    const node = { type: 'column', table: sources[index].alias, name: column, start: 0 };
+                    const name = sources.length > 1 ? `${sources[index].alias}.${column}` : column;
+                    outputs.push({ name: uniqueName(name, taken), evaluate: compiler.compile(node, mode) });
+                });
+            });
+            return;
+        }
+        const name = item.alias || (item.expr.type === 'column' ? item.expr.name : item.text);
+        outputs.push({ name: uniqueName(name, taken), evaluate: compiler.compile(item.expr, mode) });
+    });
+
+    // Rows (or groups) that produce output rows
+    let units;
+    if (isGrouped) {
+        const groupKeys = query.groupBy.map(expr => {
+            const misplaced = findAggregate(expr);
+            if (misplaced) throw sqlError('GROUP BY cannot use aggregate functions', misplaced.start);
+            return compiler.compile(expr, 'row');
+        });
+        const groups = new Map();
+        tuples.forEach(tuple => {
+            const key = groupKeys.map(read => toText(read(tuple)) ?? '\u0000null').join('\u0001');
+            if (!groups.has(key)) groups.set(key, { first: tuple, tuples: [] });
+            groups.get(key).tuples.push(tuple);
+        });
+        units = [...groups.values()];
+        // An aggregate without GROUP BY still returns one row
+        if (units.length === 0 && query.groupBy.length === 0) units = [{ first: null, tuples: [] }];
+        if (query.having) {
+            const having = compiler.compile(query.having, 'group');
+            units = units.filter(group => isTrue(having(group)));
+        }
+    } else {
+        units = tuples;
+    }
+
+    let rows = units.map(unit => ({ unit, values: outputs.map(output => output.evaluate(unit)) }));
+
+    if (query.distinct) {
+        const seen = new Set();
+        rows = rows.filter(row => {
+            const key = row.values.map(value => toText(value) ?? '\u0000null').join('\u0001');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    if (query.orderBy.length > 0) {
+        // ORDER BY may name output columns or their position
+        const outputColumns = new Map(outputs.map((output, i) => [output.name, i]));
+        const orderCompiler = createCompiler(sources, { outputColumns });
+        const keys = query.orderBy.map(({ expr, descending }) => {
+            if (expr.type === 'literal' && typeof expr.value === 'number') {
+                const position = expr.value - 1;
+                if (!Number.isInteger(position) || position < 0 || position >= outputs.length) {
+                    throw sqlError(`ORDER BY ${expr.value} is not a selected column`, expr.start);
+                }
+                return { read: (_, values) => values[position], descending };
+            }
+            return { read: orderCompiler.compile(expr, mode), descending };
+        });
+        const sortKeys = rows.map(row => keys.map(key => key.read(row.unit, row.values)));
+        const order = rows.map((_, i) => i);
+        order.sort((a, b) => {
+            for (let k = 0; k < keys.length; k++) {
+                const c = sortCompare(sortKeys[a][k], sortKeys[b][k]);
+                if (c !== 0) return keys[k].descending ? -c : c;
+            }
+            return a - b;
+        });
+        rows = order.map(i => rows[i]);
+    }
+
+    if (query.offset > 0 || query.limit !== null) {
+        rows = rows.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+    }
+
+    const columns = outputs.map(output => output.name);
+    const rowObjects = rows.map(row => {
+        const object = {};
+        columns.forEach((column, i) => {
+            object[column] = formatValue(row.values[i]);
+        });
+        return object;
+    });
+    return { columns, data: fromRows(rowObjects, columns) };
+}
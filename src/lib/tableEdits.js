@@ -0,0 +1,87 @@
+import { detectColumnTypes, detectSmartColumnTypes } from './utils';
+import { columnNamesOf } from './columnar';
+
+/**
+ * Edited cells of a table are kept as a Set of keys built from the source row index
+ * and column name. Sets are replaced rather than changed, so a history entry can hold
+ * the set from before its change and undo can put it back.
+ */
+const KEY_SEPARATOR = '\u0000';
+
+export function editedCellKey(rowIndex, column) {
+    return `${rowIndex}${KEY_SEPARATOR}${column}`;
+}
+
+export function markCellEdited(editedCells, rowIndex, column) {
+    const next = new Set(editedCells);
+    next.add(editedCellKey(rowIndex, column));
+    return next;
+}
+
+/**
+ * Edited cells after rows are deleted: marks on deleted rows go, later rows move up
+ */
+export function dropEditedRows(editedCells, rowIndexes) {
+    if (!editedCells || editedCells.size === 0) return editedCells;
+    const deleted = [...new Set(rowIndexes)].sort((a, b) => a - b);
+    const deletedBefore = (rowIndex) => {
+        let low = 0;
+        let high = deleted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (deleted[mid] < rowIndex) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    };
+
+    const next = new Set();
+    editedCells.forEach(key => {
+        const separator = key.indexOf(KEY_SEPARATOR);
+        const rowIndex = Number(key.slice(0, separator));
+        const shift = deletedBefore(rowIndex);
+        if (deleted[shift] === rowIndex) return;
+        next.add(editedCellKey(rowIndex - shift, key.slice(separator + 1)));
+    });
+    return next;
+}
+
+/**
+ * Types and smart types after an edit. Only `columns` are detected again;
+ * without `columns` the whole table is.
+ */
+export function redetectTypes(table, data, columns) {
+    if (!columns || !table?.types) {
+        return { types: detectColumnTypes(data), smartTypes: detectSmartColumnTypes(data) };
+    }
+    if (columns.length === 0) return { types: table.types, smartTypes: table.smartTypes };
+    // Undoing an added column leaves it out of `data`
+    const present = columns.filter(col => columnNamesOf(data).includes(col));
+    const types = { ...table.types, ...detectColumnTypes(data, { columns: present }) };
+    const smartTypes = { ...table.smartTypes, ...detectSmartColumnTypes(data, present) };
+    columns.filter(col => !present.includes(col)).forEach(col => {
+        delete types[col];
+        delete smartTypes[col];
+    });
+    return { types, smartTypes };
+}
+
+/**
+ * One line describing a history entry for the changes log
+ */
+export function describeChange({ operation, change }) {
+    if (!change) return operation;
+    if (change.kind === 'cell') {
+        const from = change.oldValue === '' ? 'empty' : `"${change.oldValue}"`;
+        const to = change.newValue === '' ? 'empty' : `"${change.newValue}"`;
+        return `Row ${change.rowIndex + 1}, ${change.column}: ${from} → ${to}`;
+    }
+    if (change.kind === 'addRow') return `Added row ${change.rowIndex + 1}`;
+    if (change.kind === 'addColumn') return `${change.column} = ${change.formula}`;
+    if (change.kind === 'deleteRows') {
+        return change.rowIndexes.length === 1
+            ? `Deleted row ${change.rowIndexes[0] + 1}`
+            : `Deleted ${change.rowIndexes.length} rows`;
+    }
+    return operation;
+}
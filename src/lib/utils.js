@@ -1,5 +1,7 @@
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
+import { toRows, columnNamesOf, columnReader, columnValues, takeRows, mapColumn, takeColumn, tableFromColumns, encodeColumn, EMPTY_TABLE } from './columnar';
+import { FUZZY_METRICS, DEFAULT_FUZZY_THRESHOLD, FUZZY_REVIEW_MARGIN, FUZZY_MAX_PAIRS, FUZZY_CANDIDATE_LIMIT, normalizeFuzzyText, fuzzySimilarity, fuzzyPairKey, createFuzzyIndex } from './fuzzy';
 
 export function cn(...inputs) {
     return twMerge(clsx(inputs));
@@ -18,6 +20,20 @@ export function normalizeColumnName(header) {
     return name;
 }
 
+/**
+ * Make header names non-empty and unique, the same way PapaParse renames
+ * duplicate CSV headers (name, name_1, name_2...)
+ */
+export function buildHeaders(headerCells) {
+    const seen = new Map();
+    return headerCells.map((cell, idx) => {
+        const base = normalizeColumnName(cell) || `Column ${idx + 1}`;
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}_${count}`;
+    });
+}
+
 function isBlank(value) {
     return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
 }
@@ -30,7 +46,9 @@ function isBlank(value) {
 // - 1/14/2025 11:31:53 AM
 // - 1/14/2025 23:31:53
 // - 2025-01-14T23:31:53
-function parseFlexibleDateParts(input) {
+// dateFormat decides how non-ISO dates are read: 'auto' / 'MDY' (1/14/2025),
+// 'DMY' (14/1/2025) or 'YMD' (25/1/14). Four-digit leading years are always year-first.
+export function parseFlexibleDateParts(input, dateFormat = 'auto') {
     if (input instanceof Date) {
         if (Number.isNaN(input.getTime())) return null;
         return {
@@ -66,10 +84,16 @@ function parseFlexibleDateParts(input) {
     let day;
 
     // Prefer YYYY-MM-DD when first token is 4 digits.
-    if (String(dateMatch[1]).length === 4) {
+    if (String(dateMatch[1]).length === 4 || dateFormat === 'YMD') {
         year = a;
         month = b;
         day = c;
+        if (year < 100) year += 2000;
+    } else if (dateFormat === 'DMY') {
+        day = a;
+        month = b;
+        year = c;
+        if (year < 100) year += 2000;
     } else {
         // Assume US-style M/D/YYYY for CSV exports.
         month = a;
@@ -131,181 +155,907 @@ function dateTimeKeyUTC(parts) {
     return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
 }
 
-export function detectType(value) {
+export function detectType(value, dateFormat = 'auto') {
     if (value === null || value === undefined || value === '') return 'string';
 
-    if (!isNaN(Number(value)) && String(value).trim() !== '') return 'number';
+    const str = String(value).trim();
+    if (!isNaN(Number(value)) && str !== '') {
+        // Leading zeros (zip codes, account numbers) and long digit runs are identifiers
+        if (/^[+-]?0\d/.test(str) || str.replace(/\D/g, '').length > 15) return 'string';
+        return 'number';
+    }
 
     // Check for date/datetime patterns more carefully
-    const parts = parseFlexibleDateParts(value);
+    const parts = parseFlexibleDateParts(value, dateFormat);
     if (parts) return 'date';
 
     return 'string';
 }
 
-export function detectColumnTypes(data) {
+// ============================================
+// COLUMN TYPES & SCHEMA
+// ============================================
+
+export const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'datetime', 'categorical'];
+
+// The base type each column type behaves as for operators, sorting, statistics and charts
+const TYPE_FAMILIES = {
+    string: 'string',
+    number: 'number',
+    integer: 'number',
+    boolean: 'boolean',
+    date: 'date',
+    datetime: 'date',
+    categorical: 'string'
+};
+
+export function typeFamily(type) {
+    return TYPE_FAMILIES[type] || 'string';
+}
+
+const BOOLEAN_TRUE_TOKENS = new Set(['true', 'yes', 'y', 't', '1']);
+const BOOLEAN_FALSE_TOKENS = new Set(['false', 'no', 'n', 'f', '0']);
+
+/**
+ * Read true/false, yes/no, Y/N, T/F and 1/0 (any case) as a boolean
+ * @returns {boolean|null} null when the value is not a boolean token
+ */
+export function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (isBlank(value)) return null;
+    const token = String(value).trim().toLowerCase();
+    if (BOOLEAN_TRUE_TOKENS.has(token)) return true;
+    if (BOOLEAN_FALSE_TOKENS.has(token)) return false;
+    return null;
+}
+
+/**
+ * Normalized label for grouping boolean values ('true' / 'false'), or the raw value
+ */
+export function booleanLabel(value) {
+    const parsed = parseBoolean(value);
+    return parsed === null ? value : String(parsed);
+}
+
+export const DATE_FORMATS = [
+    { value: 'auto', label: 'Auto (YYYY-MM-DD or M/D/YYYY)' },
+    { value: 'MDY', label: 'Month first (M/D/YYYY)' },
+    { value: 'DMY', label: 'Day first (D/M/YYYY)' },
+    { value: 'YMD', label: 'Year first (YY/M/D)' }
+];
+
+// Placeholder values that mean "no value" and should not vote on a column's type
+const MISSING_VALUE_TOKENS = new Set(['', 'na', 'n/a', '#n/a', 'null', 'none', 'nil', '-', '--', '?']);
+
+const TYPE_SAMPLE_SIZE = 10000;
+// Share of non-missing values that must agree before a column gets a specific type
+const TYPE_CONFIDENCE = 0.9;
+// Below TYPE_CONFIDENCE but above this, the type is suggested in the schema editor
+const TYPE_SUGGESTION = 0.75;
+const MAX_CONFLICT_EXAMPLES = 5;
+
+function isMissingValue(value) {
+    return isBlank(value) || MISSING_VALUE_TOKENS.has(String(value).trim().toLowerCase());
+}
+
+// Row indexes spread evenly across the whole file, always including the last row
+function sampleRowIndexes(length, maxSample) {
+    if (length <= maxSample) return Array.from({ length }, (_, i) => i);
+    const step = (length - 1) / (maxSample - 1);
+    return Array.from({ length: maxSample }, (_, i) => Math.round(i * step));
+}
+
+/**
+ * Detect each column's type from a sample spread across the whole file.
+ * Missing-value placeholders (N/A, null, -) are ignored; a column is boolean,
+ * numeric or date when at least 90% of the remaining values agree. Columns of
+ * only 1/0 count as boolean when both values appear.
+ * @param {Object|Array} data - Columnar table or row objects
+ * @param {Object} options
+ * @param {Object} options.dateFormats - { column: 'auto' | 'MDY' | 'DMY' | 'YMD' }
+ * @param {string[]} options.columns - Only profile these columns (defaults to all)
+ * @returns {Object} { column: { type, suggestedType, sampled, missing, conflicts: { count, examples: [{ row, value }] } } }
+ */
+export function profileColumnTypes(data, { dateFormats = {}, maxSample = TYPE_SAMPLE_SIZE, columns = columnNamesOf(data) } = {}) {
     if (!data || data.length === 0) return {};
-    const types = {};
-    const sample = data.slice(0, 10); // Check first 10 rows
 
-    Object.keys(data[0]).forEach(key => {
-        let type = 'string';
-        // Check all non-empty values in sample
-        for (const row of sample) {
-            if (row[key]) {
-                type = detectType(row[key]);
-                if (type !== 'string') break; // Found a specific type
+    const indexes = sampleRowIndexes(data.length, maxSample);
+    const profiles = {};
+
+    columns.forEach(col => {
+        const read = columnReader(data, col);
+        const counts = { number: 0, date: 0, string: 0, boolean: 0 };
+        const booleanTokens = new Set();
+        const classified = [];
+        let missing = 0;
+
+        indexes.forEach(rowIdx => {
+            const value = read(rowIdx);
+            if (isMissingValue(value)) {
+                missing++;
+                return;
+            }
+            const type = detectType(value, dateFormats[col]);
+            const isBoolean = parseBoolean(value) !== null;
+            counts[type]++;
+            if (isBoolean) {
+                counts.boolean++;
+                booleanTokens.add(String(value).trim().toLowerCase());
             }
+            classified.push({ row: rowIdx, value: String(value), type, isBoolean });
+        });
+
+        const present = classified.length;
+        // 0/1 is only a flag when the column holds both and nothing else; only 1s, or 0/1 among
+        // other numbers, are counts or measurements
+        const isNumericFlag = [...booleanTokens].every(token => token === '0' || token === '1');
+        let type = 'string';
+        if (present > 0 && counts.boolean / present >= TYPE_CONFIDENCE &&
+            (!isNumericFlag || (booleanTokens.size === 2 && counts.boolean === present))) {
+            type = 'boolean';
+        } else if (present > 0 && counts.number / present >= TYPE_CONFIDENCE) {
+            type = 'number';
+        } else if (present > 0 && counts.date / present >= TYPE_CONFIDENCE) {
+            type = 'date';
+        }
+
+        // Mostly-but-not-quite numeric or date columns stay strings; suggest the type
+        // so the conflicting values can be reviewed
+        let suggestedType = null;
+        if (type === 'string' && present > 0) {
+            const dominant = counts.number >= counts.date ? 'number' : 'date';
+            if (counts[dominant] / present >= TYPE_SUGGESTION) suggestedType = dominant;
         }
-        // Double check if mixed (e.g., some numbers, some strings -> string)
-        // For simplicity, we stick to the first specific type found or default to string
-        types[key] = type;
+
+        const expected = suggestedType || type;
+        const conflicting = expected === 'string'
+            ? []
+            : classified.filter(item => (expected === 'boolean' ? !item.isBoolean : item.type !== expected));
+        profiles[col] = {
+            type,
+            suggestedType,
+            sampled: indexes.length,
+            missing,
+            conflicts: {
+                count: conflicting.length,
+                examples: conflicting.slice(0, MAX_CONFLICT_EXAMPLES).map(({ row, value }) => ({ row, value }))
+            }
+        };
+    });
+
+    return profiles;
+}
+
+export function detectColumnTypes(data, options) {
+    const profiles = profileColumnTypes(data, options);
+    const types = {};
+    Object.entries(profiles).forEach(([col, profile]) => {
+        types[col] = profile.type;
     });
     return types;
 }
 
-export function applyFilter(row, filterNode, isCaseSensitive = false) {
-    if (filterNode.type === 'group') {
-        const { logic, children } = filterNode;
-        if (children.length === 0) return true;
+/**
+ * Merge schema overrides ({ column: { type, dateFormat } }) over detected types
+ */
+export function applySchemaOverrides(types, overrides = {}) {
+    const merged = { ...types };
+    Object.entries(overrides).forEach(([col, override]) => {
+        if (col in merged && override?.type) {
+            merged[col] = override.type;
+        }
+    });
+    return merged;
+}
+
+const NUMERIC_COMPARATORS = {
+    '=': (a, b) => a === b,
+    '≠': (a, b) => a !== b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '≥': (a, b) => a >= b,
+    '≤': (a, b) => a <= b
+};
+
+const matchNothing = () => false;
+const matchEverything = () => true;
 
-        // Evaluate all children
-        const results = children.map(child => applyFilter(row, child, isCaseSensitive));
+function compileGroup(node, compileOptions) {
+    const predicates = node.children.map(child => compileNode(child, compileOptions));
+    if (predicates.length === 0) return matchEverything;
+    if (predicates.length === 1) return predicates[0];
 
-        if (logic === 'AND') {
-            return results.every(r => r);
-        } else { // OR
-            return results.some(r => r);
+    if (node.logic === 'AND') {
+        return (record) => {
+            for (let i = 0; i < predicates.length; i++) {
+                if (!predicates[i](record)) return false;
+            }
+            return true;
+        };
+    }
+    return (record) => {
+        for (let i = 0; i < predicates.length; i++) {
+            if (predicates[i](record)) return true;
         }
-    } else if (filterNode.type === 'condition') {
-        const { field, operator, value } = filterNode;
-        const rowValue = row[field];
+        return false;
+    };
+}
 
-        // --- EMPTY CHECKS (Type Agnostic) ---
-        if (operator === 'is empty') {
-            return rowValue === '' || rowValue === null || rowValue === undefined || (typeof rowValue === 'string' && rowValue.trim() === '');
+// Test for a single cell value, or null when the condition can never match
+function compileValueTest(operator, value, isCaseSensitive, dateFormat) {
+    // --- BOOLEAN ---
+    if (operator === 'is true') return (cell) => parseBoolean(cell) === true;
+    if (operator === 'is false') return (cell) => parseBoolean(cell) === false;
+
+    // 1. TEXT / STRING
+    const strB = String(value ?? '');
+    const valB = isCaseSensitive ? strB : strB.toLowerCase();
+    const text = isCaseSensitive
+        ? (cell) => String(cell ?? '')
+        : (cell) => String(cell ?? '').toLowerCase();
+
+    switch (operator) {
+        case 'is': return (cell) => text(cell) === valB;
+        case 'is not': return (cell) => text(cell) !== valB;
+        case 'contains': return (cell) => text(cell).includes(valB);
+        case 'does not contain': return (cell) => !text(cell).includes(valB);
+        case 'startswith': return (cell) => text(cell).startsWith(valB);
+        case 'endswith': return (cell) => text(cell).endsWith(valB);
+        case 'in':
+        case 'not in': {
+            const options = new Set(strB.split(',').map(s => isCaseSensitive ? s.trim() : s.trim().toLowerCase()));
+            return operator === 'in'
+                ? (cell) => options.has(text(cell))
+                : (cell) => !options.has(text(cell));
         }
-        if (operator === 'is not empty') {
-            return rowValue !== '' && rowValue !== null && rowValue !== undefined && !(typeof rowValue === 'string' && rowValue.trim() === '');
+        case 'regexp': {
+            let regex;
+            try {
+                regex = new RegExp(strB, isCaseSensitive ? '' : 'i');
+            } catch (e) {
+                return null; // Invalid regex doesn't match
+            }
+            return (cell) => regex.test(String(cell ?? ''));
         }
+    }
 
-        if (!field) return true;
+    // 2. NUMBER
+    const compareNumbers = NUMERIC_COMPARATORS[operator];
+    if (compareNumbers) {
+        const numB = Number(value);
+        if (isNaN(numB) || value === '') return null;
+        return (cell) => {
+            const numA = Number(cell);
+            return !isNaN(numA) && cell !== '' && compareNumbers(numA, numB);
+        };
+    }
+
+    // 3. DATE / DATETIME
+    // Use tolerant parsing and compare by calendar date when the filter value is date-only.
+    if (isBlank(value)) return null;
+    const parseCell = (cell) => (isBlank(cell) ? null : parseFlexibleDateParts(cell, dateFormat));
+
+    if (operator === 'is on' || operator === 'is not on') {
+        const bParts = parseFlexibleDateParts(value, dateFormat);
+        if (!bParts) return null;
+        const keyB = dateOnlyKeyUTC(bParts);
+        const isOn = operator === 'is on';
+        return (cell) => {
+            const aParts = parseCell(cell);
+            return aParts ? (dateOnlyKeyUTC(aParts) === keyB) === isOn : false;
+        };
+    }
 
-        // --- TYPE SPECIFIC COMPARISONS ---
+    if (operator === 'is between') {
+        const [startRaw = '', endRaw = ''] = String(value).split('|');
+        if (isBlank(startRaw) || isBlank(endRaw)) return null;
+        const startParts = parseFlexibleDateParts(startRaw, dateFormat);
+        const endParts = parseFlexibleDateParts(endRaw, dateFormat);
+        if (!startParts || !endParts) return null;
+        const keyStart = dateOnlyKeyUTC(startParts);
+        const keyEnd = dateOnlyKeyUTC(endParts);
+        const lo = Math.min(keyStart, keyEnd);
+        const hi = Math.max(keyStart, keyEnd);
+        return (cell) => {
+            const aParts = parseCell(cell);
+            if (!aParts) return false;
+            const keyA = dateOnlyKeyUTC(aParts);
+            return keyA >= lo && keyA <= hi;
+        };
+    }
 
-        // 1. TEXT / STRING
-        // Helper for safe string conversion
-        const strA = String(rowValue ?? '');
-        const strB = String(value ?? '');
+    if (operator === 'is before' || operator === 'is after') {
+        const bParts = parseFlexibleDateParts(value, dateFormat);
+        if (!bParts) return null;
+        const isFilterDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim()) && !bParts.hasTime;
+        const toKey = isFilterDateOnly ? dateOnlyKeyUTC : dateTimeKeyUTC;
+        const keyB = toKey(bParts);
+        const isBefore = operator === 'is before';
+        return (cell) => {
+            const aParts = parseCell(cell);
+            if (!aParts) return false;
+            const keyA = toKey(aParts);
+            return isBefore ? keyA < keyB : keyA > keyB;
+        };
+    }
 
-        const valA = isCaseSensitive ? strA : strA.toLowerCase();
-        const valB = isCaseSensitive ? strB : strB.toLowerCase();
+    return null;
+}
 
-        // Exact match
-        if (operator === 'is') return valA === valB;
-        if (operator === 'is not') return valA !== valB;
+function compileCondition(node, { isCaseSensitive, dateFormats, bindField }) {
+    const { field, operator, value } = node;
 
-        // Partial match
-        if (operator === 'contains') return valA.includes(valB);
-        if (operator === 'does not contain') return !valA.includes(valB);
-        if (operator === 'startswith') return valA.startsWith(valB);
-        if (operator === 'endswith') return valA.endsWith(valB);
+    // --- EMPTY CHECKS (Type Agnostic) ---
+    if (operator === 'is empty') return bindField(field, isBlank);
+    if (operator === 'is not empty') return bindField(field, (cell) => !isBlank(cell));
 
-        // List match
-        if (operator === 'in') {
-            const options = strB.split(',').map(s => s.trim());
-            const finalOptions = isCaseSensitive ? options : options.map(o => o.toLowerCase());
-            return finalOptions.includes(valA);
+    if (!field) return matchEverything;
+
+    const test = compileValueTest(operator, value, isCaseSensitive, dateFormats[field]);
+    return test ? bindField(field, test) : matchNothing;
+}
+
+function compileNode(node, compileOptions) {
+    if (node.type === 'group') return compileGroup(node, compileOptions);
+    if (node.type === 'condition') return compileCondition(node, compileOptions);
+    return matchEverything;
+}
+
+/**
+ * Compile a filter tree into a single row predicate.
+ * Filter values are parsed once (dates, `in` lists, regexes), so use this when testing many rows.
+ * @param {Object} dateFormats - Optional { column: dateFormat } from schema overrides
+ * @returns {(row: Object) => boolean}
+ */
+export function compileFilter(filterNode, isCaseSensitive = false, dateFormats = {}) {
+    return compileNode(filterNode, {
+        isCaseSensitive,
+        dateFormats,
+        bindField: (field, test) => (row) => test(row[field])
+    });
+}
+
+/**
+ * Compile a filter tree against a columnar table into a predicate over row indexes.
+ * Conditions on dictionary-encoded columns are evaluated once per distinct value.
+ * @returns {(rowIndex: number) => boolean}
+ */
+export function compileTableFilter(table, filterNode, isCaseSensitive = false, dateFormats = {}) {
+    const bindField = (field, test) => {
+        const column = table.columns[field];
+        if (!column) {
+            const result = test(undefined);
+            return () => result;
         }
-        if (operator === 'not in') {
-            const options = strB.split(',').map(s => s.trim());
-            const finalOptions = isCaseSensitive ? options : options.map(o => o.toLowerCase());
-            return !finalOptions.includes(valA);
+        if (column.encoding === 'dictionary') {
+            const { dictionary, codes } = column;
+            const matches = new Uint8Array(dictionary.length);
+            for (let i = 0; i < dictionary.length; i++) matches[i] = test(dictionary[i]) ? 1 : 0;
+            return (rowIndex) => matches[codes[rowIndex]] === 1;
         }
+        const read = columnReader(table, field);
+        return (rowIndex) => test(read(rowIndex));
+    };
+    return compileNode(filterNode, { isCaseSensitive, dateFormats, bindField });
+}
 
-        // Regex
-        if (operator === 'regexp') {
-            try {
-                const regex = new RegExp(strB, isCaseSensitive ? '' : 'i');
-                return regex.test(strA);
-            } catch (e) {
-                return false; // Invalid regex doesn't match
+/**
+ * Evaluate a filter tree against a single row
+ * @param {Object} dateFormats - Optional { column: dateFormat } from schema overrides
+ */
+export function applyFilter(row, filterNode, isCaseSensitive = false, dateFormats = {}) {
+    return compileFilter(filterNode, isCaseSensitive, dateFormats)(row);
+}
+
+// ============================================
+// CHUNKED WORK
+// ============================================
+
+// Rows processed between progress reports and cancellation checks
+export const CHUNK_ROWS = 25000;
+
+/*
+ * Work over whole tables (joins, pivots, data quality) is written as generators that yield their
+ * progress (0..1) after each chunk of rows and return the result. runChunks runs one to the end
+ * at once; the query runner pauses between chunks instead, so it can report progress and stop
+ * a query that was cancelled.
+ */
+
+/**
+ * Run chunked work to the end and return its result
+ * @param {Generator<number, any>} chunks
+ */
+export function runChunks(chunks) {
+    let step = chunks.next();
+    while (!step.done) step = chunks.next();
+    return step.value;
+}
+
+// Calls processRows(start, end) over rows 0..length a chunk at a time, yielding the share done
+function* inChunks(length, processRows, chunkRows = CHUNK_ROWS) {
+    for (let start = 0; start < length; start += chunkRows) {
+        const end = Math.min(start + chunkRows, length);
+        processRows(start, end);
+        yield end / length;
+    }
+}
+
+// Runs chunked work as the part of a larger job between progress `from` and `to`, returning its result
+function* withinProgress(chunks, from, to) {
+    let step = chunks.next();
+    while (!step.done) {
+        yield from + (to - from) * step.value;
+        step = chunks.next();
+    }
+    return step.value;
+}
+
+// Operators a range condition can use, read as `left <op> right`
+export const JOIN_RANGE_OPERATORS = ['<', '<=', '>', '>='];
+
+/**
+ * Equality key pairs of a join. Joins saved before composite keys have a single
+ * leftColumn/rightColumn pair instead of `keys`.
+ * @returns {Array<{ leftColumn: string, rightColumn: string }>}
+ */
+export function joinKeysOf(join) {
+    const keys = Array.isArray(join.keys) ? join.keys : [{ leftColumn: join.leftColumn, rightColumn: join.rightColumn }];
+    return keys.filter(key => key && key.leftColumn && key.rightColumn);
+}
+
+/**
+ * Fuzzy condition of a join, with defaults filled in, or null for joins on exact values
+ * @returns {{ leftColumn: string, rightColumn: string, metric: string, threshold: number,
+ *   accepted: Array<[string, string]>, rejected: Array<[string, string]> } | null}
+ *   Reviewed pairs hold the normalized texts of both sides
+ */
+export function joinFuzzyOf(join) {
+    const fuzzy = join.fuzzy;
+    if (!fuzzy || !fuzzy.leftColumn || !fuzzy.rightColumn || !FUZZY_METRICS.includes(fuzzy.metric)) return null;
+    return { threshold: DEFAULT_FUZZY_THRESHOLD, accepted: [], rejected: [], ...fuzzy };
+}
+
+// Column added to the right table's columns by a fuzzy join, holding each match's similarity
+export const FUZZY_SCORE_COLUMN = 'match_score';
+
+const formatScore = (score) => String(Math.round(score * 1000) / 1000);
+
+/**
+ * Range conditions of a join: [{ leftColumn, operator, rightColumn }]
+ */
+export function joinRangesOf(join) {
+    return (join.ranges || []).filter(range =>
+        range && range.leftColumn && range.rightColumn && JOIN_RANGE_OPERATORS.includes(range.operator)
+    );
+}
+
+/**
+ * Options for comparing a join's key pairs, stored as `join.keyMatching`. With none set,
+ * keys compare as text ignoring case.
+ *   isCaseSensitive   - `ABC` and `abc` are different keys
+ *   trimWhitespace    - spaces around a key are ignored (`abc ` = `abc`)
+ *   stripLeadingZeros - `007` = `7`
+ *   numericEquality   - keys that are numbers compare by value (`1` = `1.0` = `1e0`)
+ *   normalizeUnicode  - keys compare in Unicode NFKC form, so composed and decomposed accents,
+ *                       ligatures and full-width characters match their plain forms
+ */
+export const JOIN_KEY_OPTIONS = ['isCaseSensitive', 'trimWhitespace', 'stripLeadingZeros', 'numericEquality', 'normalizeUnicode'];
+
+const DECIMAL_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * The function turning a key value into the text it is matched by
+ * @param {Object} keyMatching - Flags from JOIN_KEY_OPTIONS
+ * @returns {(value: any) => string}
+ */
+export function joinKeyNormalizer(keyMatching = {}) {
+    const { isCaseSensitive, trimWhitespace, stripLeadingZeros, numericEquality, normalizeUnicode } = keyMatching;
+    return (value) => {
+        let key = String(value ?? '');
+        if (normalizeUnicode) key = key.normalize('NFKC');
+        if (trimWhitespace) key = key.trim();
+        if (numericEquality && DECIMAL_NUMBER.test(key)) return String(Number(key));
+        if (stripLeadingZeros) key = key.replace(/^([+-]?)0+(?=\d)/, '$1');
+        return isCaseSensitive ? key : key.toLowerCase();
+    };
+}
+
+// Range conditions compare numbers as numbers and dates by their timestamp; other values never match
+function rangeKey(value) {
+    if (isBlank(value)) return null;
+    const num = Number(value);
+    if (!Number.isNaN(num)) return num;
+    const parts = parseFlexibleDateParts(value);
+    return parts ? dateTimeKeyUTC(parts) : null;
+}
+
+function compareRange(left, operator, right) {
+    if (right === null) return false;
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+}
+
+// First position in `sorted` whose value is >= (or, with `isAfter`, >) `target`
+function searchSorted(sorted, values, target, isAfter) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        const value = values[sorted[mid]];
+        if (value < target || (isAfter && value === target)) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Slice of right rows (sorted by value) that can satisfy `left <op> right`
+function rangeWindow(sorted, values, operator, left) {
+    switch (operator) {
+        case '<': return [searchSorted(sorted, values, left, true), sorted.length];
+        case '<=': return [searchSorted(sorted, values, left, false), sorted.length];
+        case '>': return [0, searchSorted(sorted, values, left, false)];
+        default: return [0, searchSorted(sorted, values, left, true)];
+    }
+}
+
+// Reads cells by row index and column name, for code that looks columns up by name
+function cellReader(table) {
+    const readers = new Map();
+    return (i, column) => {
+        let read = readers.get(column);
+        if (!read) {
+            read = columnReader(table, column);
+            readers.set(column, read);
+        }
+        return read(i);
+    };
+}
+
+// Reads the composite key of a row; `side` is 'leftColumn' or 'rightColumn'
+function joinKeyReader(join) {
+    const keys = joinKeysOf(join);
+    const normalize = joinKeyNormalizer(join.keyMatching);
+    return (read, side) => keys.map(key => normalize(read(key[side]))).join('\u0000');
+}
+
+/**
+ * Index the right side of a join on its exact conditions.
+ * Equality keys go through a hash index, compared as set by `join.keyMatching`. Range conditions binary-search the rows sharing a key
+ * (or all rows, without keys) sorted by the first range column, and check the rest per candidate.
+ * @param {Object|Array} rightTable - Columnar table (or array of rows)
+ * @returns {(readLeft: (column: string) => any) => number[]} Matching right row indexes, in file order
+ */
+function createExactMatcher(rightTable, join) {
+    const ranges = joinRangesOf(join);
+    const keyOf = joinKeyReader(join);
+    const readRight = cellReader(rightTable);
+
+    const buckets = new Map();
+    for (let i = 0; i < rightTable.length; i++) {
+        const key = keyOf(column => readRight(i, column), 'rightColumn');
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = [];
+            buckets.set(key, bucket);
+        }
+        bucket.push(i);
+    }
+
+    if (ranges.length === 0) {
+        return (readLeft) => buckets.get(keyOf(readLeft, 'leftColumn')) || [];
+    }
+
+    const rightValues = ranges.map(range => {
+        const read = columnReader(rightTable, range.rightColumn);
+        const values = new Array(rightTable.length);
+        for (let i = 0; i < rightTable.length; i++) values[i] = rangeKey(read(i));
+        return values;
+    });
+    const [primary] = ranges;
+    const primaryValues = rightValues[0];
+    buckets.forEach((indices, key) => {
+        buckets.set(key, indices
+            .filter(i => primaryValues[i] !== null)
+            .sort((a, b) => primaryValues[a] - primaryValues[b]));
+    });
+
+    return (readLeft) => {
+        const sorted = buckets.get(keyOf(readLeft, 'leftColumn'));
+        if (!sorted) return [];
+        const leftValues = ranges.map(range => rangeKey(readLeft(range.leftColumn)));
+        if (leftValues.includes(null)) return [];
+
+        const [from, to] = rangeWindow(sorted, primaryValues, primary.operator, leftValues[0]);
+        const matches = [];
+        for (let j = from; j < to; j++) {
+            const i = sorted[j];
+            let isMatch = true;
+            for (let r = 1; r < ranges.length && isMatch; r++) {
+                isMatch = compareRange(leftValues[r], ranges[r].operator, rightValues[r][i]);
             }
+            if (isMatch) matches.push(i);
         }
+        return matches.sort((a, b) => a - b);
+    };
+}
 
-        // 2. NUMBER
-        const numA = Number(rowValue);
-        const numB = Number(value);
+/**
+ * Fuzzy matching on one column pair: each left row gets the right rows whose text scores highest,
+ * at least the threshold (ties all kept), among the rows the exact conditions allow.
+ * Rejected pairs are skipped, so the next best match takes their place. Large sets of candidates
+ * are narrowed with a trigram index (createFuzzyIndex) before any text is scored.
+ * @param {Function|null} findCandidates - Exact matcher narrowing the rows to compare, or null for all rows
+ * @param {number} leftRowCount - Rows on the left, to refuse joins without exact conditions that are too large
+ * @returns {(readLeft: (column: string) => any) => number[]} Right row indexes with their score as `matches.score`
+ * @throws {Error} Without exact conditions, when left rows × distinct right texts exceed FUZZY_MAX_PAIRS
+ */
+function createFuzzyMatcher(rightTable, fuzzy, findCandidates, leftRowCount) {
+    const similarity = fuzzySimilarity(fuzzy.metric);
+    const readRight = columnReader(rightTable, fuzzy.rightColumn);
+    const rightTexts = new Array(rightTable.length);
+    for (let i = 0; i < rightTable.length; i++) rightTexts[i] = normalizeFuzzyText(readRight(i));
+    const rejected = new Set(fuzzy.rejected.map(([left, right]) => fuzzyPairKey(left, right)));
+    const noMatches = [];
+
+    // Rows sharing a text are scored once
+    const groupByText = (indices) => {
+        const groups = new Map();
+        for (const i of indices) {
+            const text = rightTexts[i];
+            if (text === '') continue;
+            let group = groups.get(text);
+            if (!group) {
+                group = [];
+                groups.set(text, group);
+            }
+            group.push(i);
+        }
+        return groups;
+    };
 
-        // Check valid numbers for numeric ops
-        if (!isNaN(numA) && !isNaN(numB) && rowValue !== '' && value !== '') {
-            if (operator === '=') return numA === numB;
-            if (operator === '≠') return numA !== numB;
-            if (operator === '>') return numA > numB;
-            if (operator === '<') return numA < numB;
-            if (operator === '≥') return numA >= numB;
-            if (operator === '≤') return numA <= numB;
-        }
-
-        // 3. DATE / DATETIME
-        // Use tolerant parsing and compare by calendar date when the filter value is date-only.
-        if (!isBlank(rowValue) && !isBlank(value)) {
-            if (operator === 'is on' || operator === 'is not on') {
-                const aParts = parseFlexibleDateParts(rowValue);
-                const bParts = parseFlexibleDateParts(value);
-                if (aParts && bParts) {
-                    const keyA = dateOnlyKeyUTC(aParts);
-                    const keyB = dateOnlyKeyUTC(bParts);
-                    if (operator === 'is on') return keyA === keyB;
-                    if (operator === 'is not on') return keyA !== keyB;
-                }
+    const bestMatches = (leftText, groups, texts) => {
+        let best = fuzzy.threshold;
+        let matches = noMatches;
+        for (const text of texts) {
+            // Edits can't bring texts of very different lengths close enough
+            if (fuzzy.metric === 'levenshtein' && Math.min(text.length, leftText.length) / Math.max(text.length, leftText.length) < best) continue;
+            if (rejected.has(fuzzyPairKey(leftText, text))) continue;
+            const score = text === leftText ? 1 : similarity(leftText, text);
+            if (score < best) continue;
+            if (score > best || matches === noMatches) {
+                best = score;
+                matches = [];
             }
+            matches.push(...groups.get(text));
+        }
+        if (matches === noMatches) return noMatches;
+        matches.sort((a, b) => a - b);
+        matches.score = best;
+        return matches;
+    };
 
-            if (operator === 'is between') {
-                const [startRaw = '', endRaw = ''] = String(value).split('|');
-                if (!isBlank(startRaw) && !isBlank(endRaw)) {
-                    const aParts = parseFlexibleDateParts(rowValue);
-                    const startParts = parseFlexibleDateParts(startRaw);
-                    const endParts = parseFlexibleDateParts(endRaw);
-                    if (aParts && startParts && endParts) {
-                        const keyA = dateOnlyKeyUTC(aParts);
-                        const keyStart = dateOnlyKeyUTC(startParts);
-                        const keyEnd = dateOnlyKeyUTC(endParts);
-                        const lo = Math.min(keyStart, keyEnd);
-                        const hi = Math.max(keyStart, keyEnd);
-                        return keyA >= lo && keyA <= hi;
-                    }
-                }
+    // Right texts with a trigram index over them, and the best matches found per left text
+    const indexTexts = (groups) => {
+        const texts = [...groups.keys()];
+        const findSimilar = createFuzzyIndex(texts);
+        const cache = new Map();
+        return (leftText) => {
+            if (!cache.has(leftText)) cache.set(leftText, bestMatches(leftText, groups, findSimilar(leftText).map(k => texts[k])));
+            return cache.get(leftText);
+        };
+    };
+
+    if (!findCandidates) {
+        const allGroups = groupByText(rightTexts.keys());
+        if (leftRowCount * allGroups.size > FUZZY_MAX_PAIRS) {
+            throw new Error(`A fuzzy join of ${leftRowCount.toLocaleString()} rows with ${allGroups.size.toLocaleString()} distinct texts is too large to compare; add an exact key pair to narrow it down`);
+        }
+        const matchAll = indexTexts(allGroups);
+        return (readLeft) => {
+            const leftText = normalizeFuzzyText(readLeft(fuzzy.leftColumn));
+            return leftText === '' ? noMatches : matchAll(leftText);
+        };
+    }
+
+    // Key matchers hand out one list per key, so each key's index is built once
+    const indexed = new WeakMap();
+    return (readLeft) => {
+        const leftText = normalizeFuzzyText(readLeft(fuzzy.leftColumn));
+        if (leftText === '') return noMatches;
+        const candidates = findCandidates(readLeft);
+        if (candidates.length <= FUZZY_CANDIDATE_LIMIT) {
+            const groups = groupByText(candidates);
+            return bestMatches(leftText, groups, groups.keys());
+        }
+        let match = indexed.get(candidates);
+        if (!match) {
+            match = indexTexts(groupByText(candidates));
+            indexed.set(candidates, match);
+        }
+        return match(leftText);
+    };
+}
+
+/**
+ * Index the right side of a join once, then look up the right rows matching each left row:
+ * exact conditions first, then the fuzzy condition among those rows.
+ * @param {number} leftRowCount - Rows that will be looked up, for the size limit of fuzzy joins
+ * @returns {(readLeft: (column: string) => any) => number[]} Matching right row indexes, in file order
+ */
+function createJoinMatcher(rightTable, join, leftRowCount) {
+    const fuzzy = joinFuzzyOf(join);
+    const hasExactConditions = joinKeysOf(join).length > 0 || joinRangesOf(join).length > 0;
+    // A join without any condition would pair every row with every row
+    if (!hasExactConditions) return fuzzy ? createFuzzyMatcher(rightTable, fuzzy, null, leftRowCount) : () => [];
+    const findExact = createExactMatcher(rightTable, join);
+    return fuzzy ? createFuzzyMatcher(rightTable, fuzzy, findExact, leftRowCount) : findExact;
+}
+
+// Left rows per chunk of a fuzzy join, which scores texts instead of looking keys up
+const FUZZY_CHUNK_ROWS = 1000;
+
+// Rows per chunk when matching the left side of a join
+const joinChunkRows = (join) => (joinFuzzyOf(join) ? FUZZY_CHUNK_ROWS : CHUNK_ROWS);
+
+// Join types that only keep or drop rows of the left side and add no columns
+const FILTERING_JOIN_TYPES = ['semi', 'anti'];
+
+/*
+ * While a chain of joins runs, no rows are built. The joined table is a list of parts:
+ *   { table, names, columns, rows } - a source table; `names` are its columns, `columns` their
+ *                                     names in the join, and rows[i] the source row of joined row i (-1 for none)
+ *   { scores, columns }             - the match_score column of a fuzzy join (NaN for none)
+ * Only the finished table is assembled, one column at a time.
+ */
+
+// A part of the joined table at the picked joined rows (-1 for none)
+function pickJoinedRows(part, picked) {
+    if (part.scores) {
+        const scores = new Float64Array(picked.length);
+        for (let k = 0; k < picked.length; k++) scores[k] = picked[k] < 0 ? NaN : part.scores[picked[k]];
+        return { ...part, scores };
+    }
+    const rows = new Int32Array(picked.length);
+    for (let k = 0; k < picked.length; k++) rows[k] = picked[k] < 0 ? -1 : part.rows[picked[k]];
+    return { ...part, rows };
+}
+
+// Reads a cell of the joined rows by its name in the join; as in a row object, later columns of the same name win
+function joinedCellReader(joined) {
+    const readers = new Map();
+    joined.parts.forEach(part => {
+        part.columns.forEach((name, c) => {
+            if (part.scores) {
+                const { scores } = part;
+                readers.set(name, (i) => (Number.isNaN(scores[i]) ? null : formatScore(scores[i])));
+                return;
             }
+            const { rows } = part;
+            const read = columnReader(part.table, part.names[c]);
+            readers.set(name, (i) => (rows[i] < 0 ? null : read(rows[i])));
+        });
+    });
+    return (i, column) => readers.get(column)?.(i);
+}
 
-            if (operator === 'is before' || operator === 'is after') {
-                const aParts = parseFlexibleDateParts(rowValue);
-                const bParts = parseFlexibleDateParts(value);
-                if (aParts && bParts) {
-                    const isFilterDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim()) && !bParts.hasTime;
-                    const keyA = isFilterDateOnly ? dateOnlyKeyUTC(aParts) : dateTimeKeyUTC(aParts);
-                    const keyB = isFilterDateOnly ? dateOnlyKeyUTC(bParts) : dateTimeKeyUTC(bParts);
-                    if (operator === 'is before') return keyA < keyB;
-                    if (operator === 'is after') return keyA > keyB;
-                }
+function joinedTable(joined) {
+    const columns = {};
+    joined.parts.forEach(part => {
+        part.columns.forEach((name, c) => {
+            columns[name] = part.scores
+                ? encodeColumn(Array.from(part.scores, score => (Number.isNaN(score) ? null : formatScore(score))))
+                : takeColumn(part.table, part.names[c], part.rows);
+        });
+    });
+    return tableFromColumns(joined.length, joined.columns, columns);
+}
+
+/**
+ * Join one more table onto the rows joined so far, a chunk of them at a time.
+ * @param {{ length: number, parts: Array, columns: string[] }} joined - Rows so far, with columns named `alias.column`
+ * @returns {Generator<number, Object>} Yields progress; returns the rows after this join, in the same form
+ */
+function* joinStep(joined, rightTable, join, getAlias) {
+    const joinType = join.joinType || 'inner';
+    const leftAlias = getAlias(join.leftTable);
+    const rightAlias = getAlias(join.rightTable);
+    const findMatches = createJoinMatcher(rightTable, join, joined.length);
+    const readJoined = joinedCellReader(joined);
+
+    // Join columns name a column of the left table; names already qualified with an alias are used as is
+    const known = new Set(joined.columns);
+    const leftNames = new Map();
+    const leftName = (column) => {
+        if (!leftNames.has(column)) {
+            const qualified = `${leftAlias}.${column}`;
+            leftNames.set(column, known.has(qualified) ? qualified : column);
+        }
+        return leftNames.get(column);
+    };
+    const matchesOf = (i) => findMatches(column => readJoined(i, leftName(column)));
+
+    if (FILTERING_JOIN_TYPES.includes(joinType)) {
+        const keepMatched = joinType === 'semi';
+        const kept = [];
+        yield* inChunks(joined.length, (start, end) => {
+            for (let i = start; i < end; i++) {
+                if ((matchesOf(i).length > 0) === keepMatched) kept.push(i);
+            }
+        }, joinChunkRows(join));
+        return { length: kept.length, parts: joined.parts.map(part => pickJoinedRows(part, kept)), columns: joined.columns };
+    }
+
+    // Each joined row is a left row (-1 for none) with a right row (-1 for none) and, for fuzzy joins, their score
+    const leftRows = [];
+    const rightRows = [];
+    const scores = [];
+    // Track which right rows have been matched (for RIGHT and FULL OUTER joins)
+    const matchedRight = new Uint8Array(rightTable.length);
+
+    yield* inChunks(joined.length, (start, end) => {
+        for (let i = start; i < end; i++) {
+            const matches = matchesOf(i);
+            for (let j = 0; j < matches.length; j++) {
+                matchedRight[matches[j]] = 1;
+                leftRows.push(i);
+                rightRows.push(matches[j]);
+                scores.push(matches.score ?? NaN);
+            }
+            // LEFT or FULL OUTER: include left row with nulls for right columns
+            if (matches.length === 0 && (joinType === 'left' || joinType === 'full')) {
+                leftRows.push(i);
+                rightRows.push(-1);
+                scores.push(NaN);
             }
         }
+    }, joinChunkRows(join));
 
-        return false;
+    // For RIGHT and FULL OUTER joins: add unmatched right rows
+    if (joinType === 'right' || joinType === 'full') {
+        for (let i = 0; i < rightTable.length; i++) {
+            if (matchedRight[i]) continue;
+            leftRows.push(-1);
+            rightRows.push(i);
+            scores.push(NaN);
+        }
+    }
+
+    const rightColumns = columnNamesOf(rightTable);
+    const parts = [
+        ...joined.parts.map(part => pickJoinedRows(part, leftRows)),
+        { table: rightTable, names: rightColumns, columns: rightColumns.map(col => `${rightAlias}.${col}`), rows: Int32Array.from(rightRows) }
+    ];
+    // Fuzzy joins also record how alike the matched keys were
+    if (joinFuzzyOf(join)) {
+        parts.push({ scores: Float64Array.from(scores), columns: [`${rightAlias}.${FUZZY_SCORE_COLUMN}`] });
     }
-    return true;
+    return { length: leftRows.length, parts, columns: parts.flatMap(part => part.columns) };
 }
 
 /**
- * Perform INNER JOIN across multiple tables based on join definitions.
- * @param {Object} tables - { tableName: { data: [], types: {} } }
- * @param {Array} joins - [{ leftTable, leftColumn, rightTable, rightColumn }]
+ * Perform a chain of joins across multiple tables, a chunk of rows at a time (see runChunks).
+ * Each join adds its right table to the rows built by the joins before it, with its own join type:
+ *   inner, left, right, full - as in SQL; rows of earlier joins count as the left side
+ *   semi - left rows with at least one match, once each; anti - left rows without any match.
+ *          Neither adds the right table's columns ("customers with no orders").
+ * Rows match when every key pair is equal (ignoring case unless `keyMatching` says otherwise)
+ * and every range condition holds; a join may have only range conditions ("event time between start and end").
+ * A fuzzy condition then keeps each left row's most similar right rows (see joinFuzzyOf) and adds
+ * their score as `<right alias>.match_score`.
+ * @param {Object} tables - { tableName: { data: columnar table (or array of rows), types: {} } }
+ * @param {Array} joins - [{ leftTable, rightTable, keys: [{ leftColumn, rightColumn }],
+ *   ranges: [{ leftColumn, operator, rightColumn }], keyMatching, fuzzy, joinType }]; older joins have leftColumn/rightColumn instead of keys
  * @param {Object} tableAliases - Optional { tableName: alias } for shorter column names
- * @returns {{ data: Array, types: Object, columns: Array }}
+ * @returns {Generator<number, { data: Object, types: Object, columns: Array, steps: Array<{ rows: number }> }>}
+ *   Returns the joined columnar table; `steps` holds the row count after each join
  */
-export function performJoin(tables, joins, tableAliases = {}) {
+export function* joinInChunks(tables, joins, tableAliases = {}) {
     if (!joins || joins.length === 0 || Object.keys(tables).length < 2) {
-        return { data: [], types: {}, columns: [] };
+        return { data: EMPTY_TABLE, types: {}, columns: [], steps: [] };
     }
 
     const getAlias = (tableName) => tableAliases[tableName] || tableName;
@@ -315,153 +1065,416 @@ export function performJoin(tables, joins, tableAliases = {}) {
     const rightTable = tables[firstJoin.rightTable];
 
     if (!leftTable || !rightTable) {
-        return { data: [], types: {}, columns: [] };
+        return { data: EMPTY_TABLE, types: {}, columns: [], steps: [] };
     }
 
-    let result = [];
-    const leftData = leftTable.data;
-    const rightData = rightTable.data;
-    const joinType = firstJoin.joinType || 'inner';
-
-    const rightIndex = new Map();
-    for (let i = 0; i < rightData.length; i++) {
-        const row = rightData[i];
-        const key = String(row[firstJoin.rightColumn] ?? '').toLowerCase();
-        if (!rightIndex.has(key)) {
-            rightIndex.set(key, []);
+    // Start from the first left table with its columns prefixed by its alias
+    const leftAlias = getAlias(firstJoin.leftTable);
+    const leftColumns = columnNamesOf(leftTable.data);
+    const columns = leftColumns.map(col => `${leftAlias}.${col}`);
+    const rows = new Int32Array(leftTable.data.length);
+    for (let i = 0; i < rows.length; i++) rows[i] = i;
+    let joined = { length: rows.length, parts: [{ table: leftTable.data, names: leftColumns, columns, rows }], columns };
+
+    const steps = [];
+    for (let s = 0; s < joins.length; s++) {
+        const join = joins[s];
+        const nextTable = tables[join.rightTable];
+        if (nextTable) {
+            joined = yield* withinProgress(joinStep(joined, nextTable.data, join, getAlias), s / joins.length, (s + 1) / joins.length);
         }
-        rightIndex.get(key).push(row);
+        steps.push({ rows: joined.length });
     }
 
-    const leftAlias = getAlias(firstJoin.leftTable);
-    const rightAlias = getAlias(firstJoin.rightTable);
-
-    // Get all column names for null filling
-    const leftColumns = leftData.length > 0 ? Object.keys(leftData[0]) : [];
-    const rightColumns = rightData.length > 0 ? Object.keys(rightData[0]) : [];
-
-    // Track which right rows have been matched (for RIGHT and FULL OUTER joins)
-    const matchedRightKeys = new Set();
+    const types = {};
+    joins.forEach(join => {
+        const leftTypes = tables[join.leftTable]?.types || {};
+        const rightTypes = FILTERING_JOIN_TYPES.includes(join.joinType) ? {} : tables[join.rightTable]?.types || {};
+        const leftAlias = getAlias(join.leftTable);
+        const rightAlias = getAlias(join.rightTable);
 
-    // Process left table rows
-    for (let i = 0; i < leftData.length; i++) {
-        const leftRow = leftData[i];
-        const key = String(leftRow[firstJoin.leftColumn] ?? '').toLowerCase();
-        const matchingRightRows = rightIndex.get(key) || [];
+        for (const col in leftTypes) {
+            types[`${leftAlias}.${col}`] = leftTypes[col];
+        }
+        for (const col in rightTypes) {
+            types[`${rightAlias}.${col}`] = rightTypes[col];
+        }
+        if (joinFuzzyOf(join) && !FILTERING_JOIN_TYPES.includes(join.joinType)) {
+            types[`${rightAlias}.${FUZZY_SCORE_COLUMN}`] = 'number';
+        }
+    });
 
-        if (matchingRightRows.length > 0) {
-            // Mark this key as matched
-            matchedRightKeys.add(key);
+    return { data: joinedTable(joined), types, columns: joined.columns, steps };
+}
 
-            for (let j = 0; j < matchingRightRows.length; j++) {
-                const rightRow = matchingRightRows[j];
-                const combinedRow = {};
+/**
+ * joinInChunks run to the end at once, with the joined rows as row objects
+ * @returns {{ data: Array, types: Object, columns: Array, steps: Array<{ rows: number }> }}
+ */
+export function performJoin(tables, joins, tableAliases = {}) {
+    const result = runChunks(joinInChunks(tables, joins, tableAliases));
+    return { ...result, data: toRows(result.data) };
+}
 
-                for (const col of leftColumns) {
-                    combinedRow[`${leftAlias}.${col}`] = leftRow[col];
-                }
+// Row indexes kept for drill-down: per side of a join, and per key
+const DIAGNOSTIC_SAMPLE_ROWS = 100;
+const DIAGNOSTIC_KEY_ROWS = 20;
+// Keys listed per side (unmatched) and for fan-out
+const DIAGNOSTIC_KEY_LIMIT = 20;
+// Borderline fuzzy matches listed for review
+const DIAGNOSTIC_REVIEW_LIMIT = 200;
 
-                for (const col of rightColumns) {
-                    combinedRow[`${rightAlias}.${col}`] = rightRow[col];
+/**
+ * Explain what a join between two tables does, a chunk of rows at a time (see runChunks):
+ * how many rows on each side find a match, which keys have no partner, and which keys repeat
+ * on both sides and multiply rows. Counts are exact for the two tables; in a chain, earlier joins can change them.
+ * @param {Object|Array} leftTable - Columnar table (or rows) of join.leftTable
+ * @param {Object|Array} rightTable - Columnar table (or rows) of join.rightTable
+ * @returns {Generator<number, {
+ *   pairs: number, estimatedRows: number, hasKeys: boolean,
+ *   left: Object, right: Object,
+ *   manyToManyKeys: number, fanOutKeys: Array<{ label: string, left: number, right: number }>,
+ *   fuzzyReview: null | { count: number, pairs: Array<{ left, right, leftValue, rightValue, score, leftRows }> }
+ * }>} Each side has `rows`, `matchedRows`, `unmatchedRowIndexes` (the first ones), `distinctKeys`,
+ *   `unmatchedKeys`, `duplicateKeys` and `topUnmatchedKeys: [{ label, count, rowIndexes }]`.
+ *   Key counts are 0 for joins without exact keys. `fuzzyReview` lists the borderline pairs of a fuzzy
+ *   join (scoring less than FUZZY_REVIEW_MARGIN above the threshold), weakest first.
+ */
+export function* diagnoseJoinInChunks(leftTable, rightTable, join) {
+    const keys = joinKeysOf(join);
+    const keyOf = joinKeyReader(join);
+    const findMatches = createJoinMatcher(rightTable, join, leftTable.length);
+    const readLeft = cellReader(leftTable);
+    const readRight = cellReader(rightTable);
+
+    // Key -> rows having it on each side; labels show the key as written in the first row
+    const keyStats = new Map();
+    const countKeys = function* (side, table, read) {
+        const column = `${side}Column`;
+        yield* inChunks(table.length, (start, end) => {
+            for (let i = start; i < end; i++) {
+                const key = keyOf(name => read(i, name), column);
+                let entry = keyStats.get(key);
+                if (!entry) {
+                    entry = { label: keys.map(k => String(read(i, k[column]) ?? '')).join(' | '), left: 0, right: 0, leftRows: [], rightRows: [] };
+                    keyStats.set(key, entry);
                 }
-
-                result.push(combinedRow);
+                entry[side]++;
+                if (entry[`${side}Rows`].length < DIAGNOSTIC_KEY_ROWS) entry[`${side}Rows`].push(i);
             }
-        } else if (joinType === 'left' || joinType === 'full') {
-            // LEFT or FULL OUTER: include left row with nulls for right columns
-            const combinedRow = {};
+        });
+    };
+    if (keys.length > 0) {
+        yield* withinProgress(countKeys('left', leftTable, readLeft), 0, 0.25);
+        yield* withinProgress(countKeys('right', rightTable, readRight), 0.25, 0.5);
+    }
 
-            for (const col of leftColumns) {
-                combinedRow[`${leftAlias}.${col}`] = leftRow[col];
+    // Fuzzy matches scoring just above the threshold, per pair of texts, unless already accepted
+    const fuzzy = joinFuzzyOf(join);
+    const accepted = new Set((fuzzy?.accepted || []).map(([left, right]) => fuzzyPairKey(left, right)));
+    const reviewPairs = new Map();
+    const collectReviewPairs = (i, matches) => {
+        if (matches.score >= fuzzy.threshold + FUZZY_REVIEW_MARGIN) return;
+        const leftValue = readLeft(i, fuzzy.leftColumn);
+        const leftText = normalizeFuzzyText(leftValue);
+        const seen = new Set();
+        for (let j = 0; j < matches.length; j++) {
+            const rightValue = readRight(matches[j], fuzzy.rightColumn);
+            const rightText = normalizeFuzzyText(rightValue);
+            const key = fuzzyPairKey(leftText, rightText);
+            if (accepted.has(key) || seen.has(key)) continue;
+            seen.add(key);
+            let pair = reviewPairs.get(key);
+            if (!pair) {
+                pair = { left: leftText, right: rightText, leftValue: String(leftValue), rightValue: String(rightValue), score: Number(formatScore(matches.score)), leftRows: 0 };
+                reviewPairs.set(key, pair);
             }
+            pair.leftRows++;
+        }
+    };
 
-            for (const col of rightColumns) {
-                combinedRow[`${rightAlias}.${col}`] = null;
+    let pairs = 0;
+    let matchedLeft = 0;
+    const unmatchedLeft = [];
+    const matchedRight = new Uint8Array(rightTable.length);
+    // Key-only joins hand out one shared list per key; mark its rows once, not once per left row
+    const markedLists = new Set();
+    const matchRows = inChunks(leftTable.length, (start, end) => {
+        for (let i = start; i < end; i++) {
+            const matches = findMatches(column => readLeft(i, column));
+            pairs += matches.length;
+            if (matches.length === 0) {
+                if (unmatchedLeft.length < DIAGNOSTIC_SAMPLE_ROWS) unmatchedLeft.push(i);
+                continue;
             }
-
-            result.push(combinedRow);
+            matchedLeft++;
+            if (fuzzy) collectReviewPairs(i, matches);
+            if (markedLists.has(matches)) continue;
+            markedLists.add(matches);
+            for (let j = 0; j < matches.length; j++) matchedRight[matches[j]] = 1;
         }
+    }, joinChunkRows(join));
+    yield* withinProgress(matchRows, keys.length > 0 ? 0.5 : 0, 1);
+
+    let matchedRightCount = 0;
+    const unmatchedRight = [];
+    for (let i = 0; i < rightTable.length; i++) {
+        if (matchedRight[i]) matchedRightCount++;
+        else if (unmatchedRight.length < DIAGNOSTIC_SAMPLE_ROWS) unmatchedRight.push(i);
     }
 
-    // For RIGHT and FULL OUTER joins: add unmatched right rows
-    if (joinType === 'right' || joinType === 'full') {
-        for (let i = 0; i < rightData.length; i++) {
-            const rightRow = rightData[i];
-            const key = String(rightRow[firstJoin.rightColumn] ?? '').toLowerCase();
+    const entries = [...keyStats.values()];
+    const sideSummary = (side, rows, matchedRows, unmatchedRowIndexes) => {
+        const other = side === 'left' ? 'right' : 'left';
+        const present = entries.filter(entry => entry[side] > 0);
+        const unmatched = present.filter(entry => entry[other] === 0);
+        return {
+            rows: rows.length,
+            matchedRows,
+            unmatchedRowIndexes,
+            distinctKeys: present.length,
+            unmatchedKeys: unmatched.length,
+            duplicateKeys: present.filter(entry => entry[side] > 1).length,
+            topUnmatchedKeys: unmatched
+                .sort((a, b) => b[side] - a[side])
+                .slice(0, DIAGNOSTIC_KEY_LIMIT)
+                .map(entry => ({ label: entry.label, count: entry[side], rowIndexes: entry[`${side}Rows`] }))
+        };
+    };
 
-            if (!matchedRightKeys.has(key)) {
-                const combinedRow = {};
+    const manyToMany = entries.filter(entry => entry.left > 1 && entry.right > 1);
+    const unmatchedLeftCount = leftTable.length - matchedLeft;
+    const unmatchedRightCount = rightTable.length - matchedRightCount;
+    const estimates = {
+        inner: pairs,
+        left: pairs + unmatchedLeftCount,
+        right: pairs + unmatchedRightCount,
+        full: pairs + unmatchedLeftCount + unmatchedRightCount,
+        semi: matchedLeft,
+        anti: unmatchedLeftCount
+    };
 
-                for (const col of leftColumns) {
-                    combinedRow[`${leftAlias}.${col}`] = null;
-                }
+    return {
+        pairs,
+        estimatedRows: estimates[join.joinType || 'inner'],
+        hasKeys: keys.length > 0,
+        left: sideSummary('left', leftTable, matchedLeft, unmatchedLeft),
+        right: sideSummary('right', rightTable, matchedRightCount, unmatchedRight),
+        manyToManyKeys: manyToMany.length,
+        fanOutKeys: manyToMany
+            .sort((a, b) => b.left * b.right - a.left * a.right)
+            .slice(0, DIAGNOSTIC_KEY_LIMIT)
+            .map(entry => ({ label: entry.label, left: entry.left, right: entry.right })),
+        fuzzyReview: fuzzy && {
+            count: reviewPairs.size,
+            pairs: [...reviewPairs.values()].sort((a, b) => a.score - b.score).slice(0, DIAGNOSTIC_REVIEW_LIMIT)
+        }
+    };
+}
 
-                for (const col of rightColumns) {
-                    combinedRow[`${rightAlias}.${col}`] = rightRow[col];
-                }
+/**
+ * diagnoseJoinInChunks run to the end at once
+ */
+export function diagnoseJoin(leftTable, rightTable, join) {
+    return runChunks(diagnoseJoinInChunks(leftTable, rightTable, join));
+}
 
-                result.push(combinedRow);
-            }
-        }
-    }
+// ============================================
+// TABLE VIEW - QUICK SEARCH, SORTING, EXPORT VIEW
+// ============================================
 
-    for (let i = 1; i < joins.length; i++) {
-        const join = joins[i];
-        const nextTable = tables[join.rightTable];
+/**
+ * Indexes of rows where any cell contains the search term
+ * @param {Object} table - Columnar table
+ * @param {ArrayLike<number>} indices - Rows to search, in order (defaults to every row)
+ * @returns {Array<number>}
+ */
+export function searchTable(table, searchTerm, isCaseSensitive = false, indices = null) {
+    const rowIndexes = indices ? Array.from(indices) : Array.from({ length: table.length }, (_, i) => i);
+    if (!searchTerm) return rowIndexes;
+
+    const matchesAnyCell = compileTableFilter(table, {
+        type: 'group',
+        logic: 'OR',
+        children: table.columnNames.map(field => ({ type: 'condition', field, operator: 'contains', value: searchTerm }))
+    }, isCaseSensitive);
+    return rowIndexes.filter(rowIdx => matchesAnyCell(rowIdx));
+}
+
+/**
+ * Sort levels of a sort config: an array of { key, direction }, or a single level as older views stored it
+ * @returns {Array<{ key: string, direction: 'asc' | 'desc' }>}
+ */
+export function sortLevelsOf(sortConfig) {
+    const levels = Array.isArray(sortConfig) ? sortConfig : [sortConfig];
+    return levels
+        .filter(level => level && typeof level.key === 'string')
+        .map(level => ({ key: level.key, direction: level.direction === 'desc' ? 'desc' : 'asc' }));
+}
 
-        if (!nextTable) continue;
+// Smart types whose values read as numbers once symbols are stripped
+const NUMERIC_SMART_TYPES = new Set(['currency', 'percentage']);
 
-        const nextIndex = new Map();
-        for (let j = 0; j < nextTable.data.length; j++) {
-            const row = nextTable.data[j];
-            const key = String(row[join.rightColumn] ?? '').toLowerCase();
-            if (!nextIndex.has(key)) {
-                nextIndex.set(key, []);
-            }
-            nextIndex.get(key).push(row);
+/**
+ * Split text for natural ordering. Digit runs compare by value ("item2" before "item10")
+ * when the text has other characters too; text made only of digits stays one part,
+ * so zip codes and ids typed as strings keep their text order.
+ */
+function naturalParts(text) {
+    return /^\d+$/.test(text) ? [text] : text.match(/\d+|\D+/g) || [];
+}
+
+const isDigitRun = (part, whole) => part.length < whole && part.charCodeAt(0) >= 48 && part.charCodeAt(0) <= 57;
+
+function compareNaturalParts(a, b, aLength, bLength) {
+    const count = Math.min(a.length, b.length);
+    for (let i = 0; i < count; i++) {
+        const x = a[i];
+        const y = b[i];
+        if (x === y) continue;
+        if (isDigitRun(x, aLength) && isDigitRun(y, bLength)) {
+            const xValue = x.replace(/^0+(?=\d)/, '');
+            const yValue = y.replace(/^0+(?=\d)/, '');
+            if (xValue.length !== yValue.length) return xValue.length - yValue.length;
+            if (xValue !== yValue) return xValue < yValue ? -1 : 1;
+            return x.length - y.length;
         }
+        return x < y ? -1 : 1;
+    }
+    return a.length - b.length;
+}
 
-        const newResult = [];
-        const joinRightAlias = getAlias(join.rightTable);
-        const leftTableAlias = getAlias(join.leftTable);
+/**
+ * How a value sorts in a column: empty, a typed value (number, date or boolean) or text.
+ * Typed values sort before text that fails to parse.
+ */
+function sortEntry(value, family, smartType, dateFormat) {
+    const text = String(value ?? '');
+    if (text.trim() === '') return { isEmpty: true };
+
+    if (family === 'date' || (family === 'string' && smartType === 'datetime')) {
+        const parts = parseFlexibleDateParts(text, dateFormat);
+        if (parts) return { typed: dateTimeKeyUTC(parts) };
+    } else if (family === 'boolean') {
+        const bool = parseBoolean(text);
+        // false before true
+        if (bool !== null) return { typed: Number(bool) };
+    } else if (family === 'string' && NUMERIC_SMART_TYPES.has(smartType)) {
+        const num = Number(text.replace(/[$€£¥₹,%\s]/g, ''));
+        if (!isNaN(num)) return { typed: num };
+    } else if (family !== 'string') {
+        const num = Number(text);
+        if (!isNaN(num)) return { typed: num };
+    }
 
-        for (let j = 0; j < result.length; j++) {
-            const resultRow = result[j];
-            const leftColName = join.leftColumn.includes('.') ? join.leftColumn : `${leftTableAlias}.${join.leftColumn}`;
-            const key = String(resultRow[leftColName] ?? '').toLowerCase();
-            const matchingRows = nextIndex.get(key) || [];
+    const lower = text.toLowerCase();
+    return { text: lower, parts: naturalParts(lower) };
+}
 
-            for (let k = 0; k < matchingRows.length; k++) {
-                const nextRow = matchingRows[k];
-                const combinedRow = { ...resultRow };
-                for (const col in nextRow) {
-                    combinedRow[`${joinRightAlias}.${col}`] = nextRow[col];
-                }
-                newResult.push(combinedRow);
+function compareSortEntries(a, b) {
+    const aTyped = a.typed !== undefined;
+    const bTyped = b.typed !== undefined;
+    if (aTyped && bTyped) return a.typed - b.typed;
+    if (aTyped !== bTyped) return aTyped ? -1 : 1;
+    return compareNaturalParts(a.parts, b.parts, a.text.length, b.text.length);
+}
+
+/**
+ * Rank of each row's value within one sort level (-1 for empty cells).
+ * Each distinct value is parsed and ranked once, so rows then compare as integers.
+ */
+function rankRows(table, indices, key, family, smartType, dateFormat) {
+    const column = table.columns[key];
+    let values;
+    const slots = new Int32Array(indices.length);
+    if (column.encoding === 'dictionary') {
+        values = column.dictionary;
+        for (let i = 0; i < indices.length; i++) slots[i] = column.codes[indices[i]];
+    } else {
+        const read = columnReader(table, key);
+        const slotOf = new Map();
+        values = [];
+        for (let i = 0; i < indices.length; i++) {
+            const value = read(indices[i]);
+            let slot = slotOf.get(value);
+            if (slot === undefined) {
+                slot = values.length;
+                values.push(value);
+                slotOf.set(value, slot);
             }
+            slots[i] = slot;
         }
-
-        result = newResult;
     }
 
-    const types = {};
-    joins.forEach(join => {
-        const leftTypes = tables[join.leftTable]?.types || {};
-        const rightTypes = tables[join.rightTable]?.types || {};
-        const leftAlias = getAlias(join.leftTable);
-        const rightAlias = getAlias(join.rightTable);
+    const entries = values.map(value => sortEntry(value, family, smartType, dateFormat));
+    const order = entries.map((_, slot) => slot).filter(slot => !entries[slot].isEmpty);
+    order.sort((a, b) => compareSortEntries(entries[a], entries[b]));
 
-        for (const col in leftTypes) {
-            types[`${leftAlias}.${col}`] = leftTypes[col];
-        }
-        for (const col in rightTypes) {
-            types[`${rightAlias}.${col}`] = rightTypes[col];
+    const rankOfSlot = new Int32Array(values.length).fill(-1);
+    let rank = 0;
+    order.forEach((slot, i) => {
+        if (i > 0 && compareSortEntries(entries[order[i - 1]], entries[slot]) !== 0) rank++;
+        rankOfSlot[slot] = rank;
+    });
+    return slots.map(slot => rankOfSlot[slot]);
+}
+
+/**
+ * Sort row indexes by one or more columns. Each level compares by its column's type:
+ * date columns by calendar value (read with the column's date format), boolean columns
+ * false before true, numbers and currency/percentage smart types numerically, and text
+ * in natural order. Empty cells sort last in either direction; ties keep their order.
+ * @param {Object} table - Columnar table
+ * @param {ArrayLike<number>} indices - Rows to sort (not mutated)
+ * @param {Array|Object} sortConfig - [{ key, direction: 'asc' | 'desc' }], highest priority first
+ * @param {Object} types - Optional { column: type }
+ * @param {Object} dateFormats - Optional { column: dateFormat }
+ * @param {Object} smartTypes - Optional { column: { smartType } }
+ * @returns {Array<number>}
+ */
+export function sortTableRows(table, indices, sortConfig, types = {}, dateFormats = {}, smartTypes = {}) {
+    const levels = sortLevelsOf(sortConfig).filter(level => table.columns[level.key]);
+    const rows = Array.from(indices);
+    if (levels.length === 0) return rows;
+
+    const ranks = levels.map(({ key }) => rankRows(
+        table, rows, key,
+        types[key] ? typeFamily(types[key]) : null,
+        smartTypes[key]?.smartType,
+        dateFormats[key]
+    ));
+    const directions = levels.map(level => (level.direction === 'asc' ? 1 : -1));
+
+    const positions = rows.map((_, position) => position);
+    positions.sort((a, b) => {
+        for (let level = 0; level < ranks.length; level++) {
+            const aRank = ranks[level][a];
+            const bRank = ranks[level][b];
+            if (aRank === bRank) continue;
+            if (aRank === -1) return 1;
+            if (bRank === -1) return -1;
+            return (aRank - bRank) * directions[level];
         }
+        return a - b;
     });
+    return positions.map(position => rows[position]);
+}
 
-    const columns = result.length > 0 ? Object.keys(result[0]) : [];
+/**
+ * Apply a DataTable view to a table so exports match what is on screen
+ * @param {Object} table - Filtered columnar table
+ * @param {Object} view - { columns, sortConfig, searchTerm, isCaseSensitiveSearch } as reported by DataTable
+ * @returns {{ rows: Array, columns: Array }}
+ */
+export function applyTableView(table, view, types = {}, dateFormats = {}, smartTypes = {}) {
+    const allColumns = columnNamesOf(table);
+    if (!view || !table) return { rows: toRows(table), columns: allColumns };
+
+    const available = new Set(allColumns);
+    const columns = (view.columns || []).filter(col => available.has(col));
+    const indices = sortTableRows(table, searchTable(table, view.searchTerm, view.isCaseSensitiveSearch), view.sortConfig, types, dateFormats, smartTypes);
 
-    return { data: result, types, columns };
+    return { rows: toRows(takeRows(table, indices)), columns };
 }
 
 // ============================================
@@ -510,23 +1523,33 @@ export function calculateStdDev(values, mean) {
     return Math.sqrt(avgSquaredDiff);
 }
 
+// Numbers in a column, skipping blanks and text. Number-encoded columns are read without conversion.
+function numericColumnValues(table, column) {
+    const encoded = table.columns[column];
+    if (encoded?.encoding === 'number') {
+        return Array.prototype.filter.call(encoded.values, val => !Number.isNaN(val));
+    }
+    return columnValues(table, column)
+        .filter(val => val !== null && val !== undefined && val !== '' && !isNaN(Number(val)))
+        .map(Number);
+}
+
 /**
  * Calculate comprehensive statistics for a numeric column
+ * @param {Object} table - Columnar table
  */
-export function calculateColumnStats(data, column) {
-    if (!data || data.length === 0) return null;
+export function calculateColumnStats(table, column) {
+    if (!table || table.length === 0) return null;
 
-    const values = data
-        .map(row => row[column])
-        .filter(val => val !== null && val !== undefined && val !== '' && !isNaN(Number(val)))
-        .map(Number);
+    const values = numericColumnValues(table, column);
 
     if (values.length === 0) return null;
 
     const sum = values.reduce((a, b) => a + b, 0);
     const mean = sum / values.length;
-    const min = Math.min(...values);
-    const max = Math.max(...values);
+    // Not Math.min(...values): large columns overflow the call stack
+    const min = values.reduce((a, b) => (b < a ? b : a), Infinity);
+    const max = values.reduce((a, b) => (b > a ? b : a), -Infinity);
     const median = calculateMedian(values);
     const mode = calculateMode(values);
     const stdDev = calculateStdDev(values, mean);
@@ -578,15 +1601,24 @@ export function findDuplicates(data) {
     return { duplicateIndices, duplicateCount: duplicateIndices.length };
 }
 
+const isNumericCell = (value) => value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+
 /**
  * Find outliers using IQR method
+ * @param {Object|Array} data - Columnar table or row objects
  */
 export function findOutliers(data, column) {
-    const values = data
-        .map((row, idx) => ({ value: row[column], index: idx }))
-        .filter(item => item.value !== null && item.value !== undefined && item.value !== '' && !isNaN(Number(item.value)))
-        .map(item => ({ ...item, value: Number(item.value) }));
+    const read = columnReader(data, column);
+    const values = [];
+    for (let i = 0; i < data.length; i++) {
+        const value = read(i);
+        if (isNumericCell(value)) values.push({ value: Number(value), index: i });
+    }
+    return outliersOf(values);
+}
 
+// IQR outliers among { value, index } entries
+function outliersOf(values) {
     if (values.length < 4) return { outlierIndices: [], outlierCount: 0, bounds: null };
 
     const sorted = [...values].sort((a, b) => a.value - b.value);
@@ -610,33 +1642,43 @@ export function findOutliers(data, column) {
 }
 
 /**
- * Calculate data quality metrics for all columns
+ * Calculate data quality metrics for all columns, a chunk of rows at a time (see runChunks)
+ * @param {Object|Array} table - Columnar table or row objects
  */
-export function detectDataQuality(data, types) {
-    if (!data || data.length === 0) return { overall: 0, columns: {} };
+export function* dataQualityInChunks(table, types) {
+    if (!table || table.length === 0) return { overall: 0, columns: {} };
 
-    const columns = Object.keys(data[0]);
+    const columns = columnNamesOf(table);
+    const totalRows = table.length;
+    // One pass per column, then one for duplicate rows
+    const passes = columns.length + 1;
     const columnQuality = {};
     let totalScore = 0;
     let columnCount = 0;
 
-    columns.forEach(col => {
-        const values = data.map(row => row[col]);
-        const totalRows = values.length;
+    for (let c = 0; c < columns.length; c++) {
+        const col = columns[c];
+        const read = columnReader(table, col);
+        const isNumeric = typeFamily(types[col]) === 'number';
+        let missingCount = 0;
+        const uniqueValues = new Set();
+        const numbers = [];
+
+        yield* withinProgress(inChunks(totalRows, (start, end) => {
+            for (let i = start; i < end; i++) {
+                const v = read(i);
+                // Missing values
+                if (v === null || v === undefined || v === '' || (typeof v === 'string' && v.trim() === '')) missingCount++;
+                if (v !== null && v !== undefined && v !== '') uniqueValues.add(v);
+                if (isNumeric && isNumericCell(v)) numbers.push({ value: Number(v), index: i });
+            }
+        }), c / passes, (c + 1) / passes);
 
-        // Missing values
-        const missingCount = values.filter(v => v === null || v === undefined || v === '' || (typeof v === 'string' && v.trim() === '')).length;
         const missingPercent = (missingCount / totalRows) * 100;
-
         // Duplicate values in column
-        const uniqueValues = new Set(values.filter(v => v !== null && v !== undefined && v !== ''));
         const duplicateCount = totalRows - missingCount - uniqueValues.size;
-
         // Outliers (for numeric columns)
-        let outlierInfo = { outlierCount: 0, bounds: null };
-        if (types[col] === 'number') {
-            outlierInfo = findOutliers(data, col);
-        }
+        const outlierInfo = isNumeric ? outliersOf(numbers) : { outlierCount: 0, bounds: null };
 
         // Calculate column score (100 = perfect)
         const missingPenalty = missingPercent;
@@ -652,19 +1694,35 @@ export function detectDataQuality(data, types) {
 
         totalScore += columnScore;
         columnCount++;
-    });
+    }
 
     // Row-level duplicates
-    const { duplicateCount: rowDuplicates } = findDuplicates(data);
+    const readers = columns.map(col => columnReader(table, col));
+    const seen = new Set();
+    let rowDuplicates = 0;
+    yield* withinProgress(inChunks(totalRows, (start, end) => {
+        for (let i = start; i < end; i++) {
+            const key = JSON.stringify(readers.map(read => read(i)));
+            if (seen.has(key)) rowDuplicates++;
+            else seen.add(key);
+        }
+    }), columns.length / passes, 1);
 
     return {
         overall: Math.round(totalScore / columnCount),
         rowDuplicates,
-        totalRows: data.length,
+        totalRows,
         columns: columnQuality
     };
 }
 
+/**
+ * dataQualityInChunks run to the end at once
+ */
+export function detectDataQuality(table, types) {
+    return runChunks(dataQualityInChunks(table, types));
+}
+
 // ============================================
 // PREMIUM FEATURES - SMART TYPE DETECTION
 // ============================================
@@ -699,17 +1757,21 @@ export function detectSmartType(value) {
 
 /**
  * Detect smart types for all columns with validation stats
+ * @param {Object|Array} data - Columnar table or row objects
+ * @param {string[]} columns - Only check these columns (defaults to all)
  */
-export function detectSmartColumnTypes(data) {
+export function detectSmartColumnTypes(data, columns = columnNamesOf(data)) {
     if (!data || data.length === 0) return {};
 
-    const columns = Object.keys(data[0]);
     const result = {};
 
     columns.forEach(col => {
-        const nonEmptyValues = data
-            .map(row => row[col])
-            .filter(v => v !== null && v !== undefined && v !== '');
+        const read = columnReader(data, col);
+        const nonEmptyValues = [];
+        for (let i = 0; i < data.length; i++) {
+            const v = read(i);
+            if (v !== null && v !== undefined && v !== '') nonEmptyValues.push(v);
+        }
 
         if (nonEmptyValues.length === 0) {
             result[col] = { smartType: null, validCount: 0, invalidCount: 0, validPercent: 0 };
@@ -758,81 +1820,64 @@ export function detectSmartColumnTypes(data) {
 // PREMIUM FEATURES - DATA CLEANING
 // ============================================
 
+const CLEANING_TRANSFORMS = {
+    trim: (value) => value.trim(),
+    uppercase: (value) => value.toUpperCase(),
+    lowercase: (value) => value.toLowerCase(),
+    titlecase: (value) => value
+        .toLowerCase()
+        .split(' ')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '),
+    removeSpecialChars: (value) => value.replace(/[^a-zA-Z0-9\s]/g, ''),
+    removeNumbers: (value) => value.replace(/[0-9]/g, ''),
+    numbersOnly: (value) => value.replace(/[^0-9.-]/g, '')
+};
+
 /**
- * Clean a column with specified operation
- */
-export function cleanColumn(data, column, operation) {
-    return data.map(row => {
-        const newRow = { ...row };
-        let value = row[column];
-
-        if (value === null || value === undefined) {
-            return newRow;
-        }
-
-        const strValue = String(value);
-
-        switch (operation) {
-            case 'trim':
-                newRow[column] = strValue.trim();
-                break;
-            case 'uppercase':
-                newRow[column] = strValue.toUpperCase();
-                break;
-            case 'lowercase':
-                newRow[column] = strValue.toLowerCase();
-                break;
-            case 'titlecase':
-                newRow[column] = strValue
-                    .toLowerCase()
-                    .split(' ')
-                    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                    .join(' ');
-                break;
-            case 'removeSpecialChars':
-                newRow[column] = strValue.replace(/[^a-zA-Z0-9\s]/g, '');
-                break;
-            case 'removeNumbers':
-                newRow[column] = strValue.replace(/[0-9]/g, '');
-                break;
-            case 'numbersOnly':
-                newRow[column] = strValue.replace(/[^0-9.-]/g, '');
-                break;
-            default:
-                break;
-        }
-
-        return newRow;
-    });
+ * Clean a column with specified operation. Only that column is rebuilt.
+ * @param {Object} table - Columnar table
+ */
+export function cleanColumn(table, column, operation) {
+    const transform = CLEANING_TRANSFORMS[operation];
+    if (!transform) return table;
+    return mapColumn(table, column, value => (
+        value === null || value === undefined ? value : transform(String(value))
+    ));
 }
 
 /**
- * Remove duplicate rows from data
+ * Remove duplicate rows from a columnar table, keeping the first of each
  */
-export function removeDuplicateRows(data) {
+export function removeDuplicateRows(table) {
+    // Dictionary codes and numbers identify a value, so rows compare without building row objects
+    const keyParts = table.columnNames.map(name => {
+        const column = table.columns[name];
+        return column.encoding === 'number' ? column.values : column.codes;
+    });
     const seen = new Set();
-    return data.filter(row => {
-        const key = JSON.stringify(row);
-        if (seen.has(key)) {
-            return false;
+    const kept = [];
+    for (let i = 0; i < table.length; i++) {
+        let key = '';
+        for (let c = 0; c < keyParts.length; c++) key += `${keyParts[c][i]}\u0000`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            kept.push(i);
         }
-        seen.add(key);
-        return true;
-    });
+    }
+    return kept.length === table.length ? table : takeRows(table, kept);
 }
 
 /**
  * Fill empty values with a specified value
+ * @param {Object} table - Columnar table
  */
-export function fillEmpty(data, column, fillValue) {
-    return data.map(row => {
-        const newRow = { ...row };
-        if (row[column] === null || row[column] === undefined || row[column] === '' ||
-            (typeof row[column] === 'string' && row[column].trim() === '')) {
-            newRow[column] = fillValue;
-        }
-        return newRow;
-    });
+export function fillEmpty(table, column, fillValue) {
+    return mapColumn(table, column, value => (
+        value === null || value === undefined || (typeof value === 'string' && value.trim() === '')
+            ? fillValue
+            : value
+    ));
 }
 
 // ============================================
@@ -852,42 +1897,63 @@ const AGGREGATION_FUNCTIONS = {
 };
 
 /**
- * Create pivot table data
+ * Create pivot table data, a chunk of rows at a time (see runChunks)
+ * @param {Object} config - { rowField, columnField, valueField, aggFunc, types }.
+ *   Boolean row/column fields group yes/Y/1 etc. together; a boolean value field
+ *   counts as 1/0 so Sum is the number of true values and Average the share.
  */
-export function createPivotData(data, config) {
-    const { rowField, columnField, valueField, aggFunc = 'sum' } = config;
+export function* pivotInChunks(table, config) {
+    const { rowField, columnField, valueField, aggFunc = 'sum', types = {} } = config;
 
-    if (!rowField || !data || data.length === 0) {
+    if (!rowField || !table || table.length === 0) {
         return { rows: [], columns: [], pivotData: {}, totals: {} };
     }
 
-    // Get unique row and column values
-    const uniqueRows = [...new Set(data.map(row => row[rowField] ?? '(Empty)'))].sort();
+    const groupReader = (field) => {
+        const read = columnReader(table, field);
+        return typeFamily(types[field]) === 'boolean'
+            ? (i) => booleanLabel(read(i) ?? '(Empty)')
+            : (i) => read(i) ?? '(Empty)';
+    };
+    const rowKey = groupReader(rowField);
+    const colKey = columnField ? groupReader(columnField) : () => 'Total';
+    const readValue = valueField ? columnReader(table, valueField) : () => 1;
+    const isBooleanValue = valueField && typeFamily(types[valueField]) === 'boolean';
+
+    // Group values by row and column in one pass
+    const cells = new Map();
+    yield* inChunks(table.length, (start, end) => {
+        for (let i = start; i < end; i++) {
+            const rowVal = rowKey(i);
+            const colVal = colKey(i);
+            if (!cells.has(rowVal)) cells.set(rowVal, new Map());
+            const rowCells = cells.get(rowVal);
+            if (!rowCells.has(colVal)) rowCells.set(colVal, []);
+
+            const v = readValue(i);
+            if (isBooleanValue) {
+                const parsed = parseBoolean(v);
+                if (parsed !== null) rowCells.get(colVal).push(Number(parsed));
+            } else if (v !== null && v !== undefined && v !== '') {
+                rowCells.get(colVal).push(isNaN(Number(v)) ? 0 : Number(v));
+            }
+        }
+    });
+
+    const uniqueRows = [...cells.keys()].sort();
     const uniqueCols = columnField
-        ? [...new Set(data.map(row => row[columnField] ?? '(Empty)'))].sort()
+        ? [...new Set([...cells.values()].flatMap(rowCells => [...rowCells.keys()]))].sort()
         : ['Total'];
 
     // Build pivot structure
     const pivotData = {};
     const totals = { row: {}, column: {}, grand: 0 };
+    const aggregator = AGGREGATION_FUNCTIONS[aggFunc] || AGGREGATION_FUNCTIONS.sum;
 
     uniqueRows.forEach(rowVal => {
         pivotData[rowVal] = {};
         uniqueCols.forEach(colVal => {
-            // Filter data for this cell
-            const cellData = data.filter(row => {
-                const matchRow = (row[rowField] ?? '(Empty)') === rowVal;
-                const matchCol = !columnField || (row[columnField] ?? '(Empty)') === colVal;
-                return matchRow && matchCol;
-            });
-
-            // Get values and aggregate
-            const values = cellData
-                .map(row => valueField ? row[valueField] : 1)
-                .filter(v => v !== null && v !== undefined && v !== '')
-                .map(v => isNaN(Number(v)) ? 0 : Number(v));
-
-            const aggregator = AGGREGATION_FUNCTIONS[aggFunc] || AGGREGATION_FUNCTIONS.sum;
+            const values = cells.get(rowVal).get(colVal) || [];
             const result = values.length > 0 ? aggregator(values) : 0;
             pivotData[rowVal][colVal] = Math.round(result * 100) / 100;
         });
@@ -913,3 +1979,10 @@ export function createPivotData(data, config) {
         totals
     };
 }
+
+/**
+ * pivotInChunks run to the end at once
+ */
+export function createPivotData(table, config) {
+    return runChunks(pivotInChunks(table, config));
+}
@@ -1,5 +1,9 @@
 import { test, expect } from '@playwright/test';
 import path from 'path';
+import XLSX from 'xlsx';
+import { openWorkbook } from '../src/lib/excelParser.js';
+import { sheetToRows } from '../src/lib/excel.js';
+import { parseJsonRows } from '../src/lib/json.js';
 
 test.setTimeout(60000);
 
@@ -212,3 +216,250 @@ test.describe('CSV Parsing Robustness', () => {
         await expect(bobCells).toHaveCount(0);
     });
 });
+
+function buildWorkbook(sheets) {
+    const workbook = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, { rows, merges, ref }]) => {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        if (merges) sheet['!merges'] = merges;
+        if (ref) sheet['!ref'] = ref;
+        XLSX.utils.book_append_sheet(workbook, sheet, name);
+    });
+    return Buffer.from(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+test.describe('Excel Import', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+    });
+
+    test('should list sheets and load the selected ones as separate tables', async ({ page }) => {
+        const buffer = buildWorkbook({
+            Customers: { rows: [['id', 'name'], [1, 'Alice'], [2, 'Bob']] },
+            Orders: { rows: [['order_id', 'customer_id'], [10, 1], [11, 2]] }
+        });
+
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'crm.xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            buffer,
+        });
+
+        await expect(page.getByText('Select sheets to load')).toBeVisible();
+        await page.getByRole('checkbox', { name: 'Load sheet Orders' }).check();
+        await page.getByRole('button', { name: /Load 2 sheets/i }).click();
+
+        await page.waitForSelector('table');
+        await expect(page.getByRole('button', { name: /Select table crm_Customers/i })).toBeVisible();
+        await expect(page.getByRole('button', { name: /Select table crm_Orders/i })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'Alice' }).first()).toBeVisible();
+    });
+
+    test('should honour header row and fill merged header cells', async ({ page }) => {
+        const buffer = buildWorkbook({
+            Report: {
+                rows: [['Quarterly report'], [], ['Region', 'Sales', ''], ['West', 100, 'ok'], ['East', 200, 'late']],
+                merges: [{ s: { r: 2, c: 1 }, e: { r: 2, c: 2 } }]
+            }
+        });
+
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'report.xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            buffer,
+        });
+
+        await page.getByLabel('Header row').fill('3');
+        await page.getByRole('button', { name: /Load 1 sheet/i }).click();
+
+        await page.waitForSelector('table');
+        await expect(page.locator('th').filter({ hasText: 'Region' })).toBeVisible();
+        await expect(page.locator('th').filter({ hasText: /^Sales_1/ })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'West' }).first()).toBeVisible();
+    });
+});
+
+test.describe('Excel Parsing', () => {
+    test('trims sheets to their cells and reads only the sheets asked for', () => {
+        // Formatting often leaves a used range far beyond the data (up to A1:XFD1048576;
+        // a smaller one keeps writing the test file quick)
+        const workbook = openWorkbook(buildWorkbook({
+            Notes: { rows: [['', ''], ['', 'region', 'sales'], ['', 'West', '100'], ['', '', ''], ['', 'East']], ref: 'A1:Z5000' },
+            Empty: { rows: [['']] }
+        }));
+
+        expect(workbook.sheets).toEqual([
+            { name: 'Notes', rowCount: 4, columnCount: 2, firstRow: 2 },
+            { name: 'Empty', rowCount: 0, columnCount: 0, firstRow: 1 }
+        ]);
+
+        const [notes] = workbook.readSheets(['Notes']);
+        expect(notes.matrix.length).toBe(4);
+        expect(sheetToRows(notes, { headerRow: 2 })).toEqual([
+            { region: 'West', sales: '100' },
+            { region: 'East', sales: '' }
+        ]);
+    });
+});
+
+test.describe('JSON Parsing', () => {
+    test('names nested keys like headers and keeps __proto__ as a column', () => {
+        const rows = parseJsonRows('[{"__proto__": "x", " id ": 1, "meta": {" \\"source\\" ": "api", "__proto__": {"polluted": true}}}]');
+        expect(rows.length).toBe(1);
+        expect(Object.keys(rows[0])).toEqual(['__proto__', 'id', 'meta.source', 'meta.__proto__.polluted']);
+        expect(rows[0]['meta.source']).toBe('api');
+        expect(Object.getOwnPropertyDescriptor(rows[0], '__proto__').value).toBe('x');
+        expect(Object.getPrototypeOf(rows[0])).toBe(Object.prototype);
+        expect({}.polluted).toBeUndefined();
+    });
+});
+
+test.describe('JSON Import', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+    });
+
+    test('should flatten nested objects into dotted columns', async ({ page }) => {
+        const json = JSON.stringify({
+            count: 2,
+            results: [
+                { id: 1, name: 'Alice', address: { city: 'Paris' }, tags: ['vip', 'new'] },
+                { id: 2, name: 'Bob', address: { city: 'Berlin' }, tags: [] }
+            ]
+        });
+
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'api_export.json',
+            mimeType: 'application/json',
+            buffer: Buffer.from(json, 'utf-8'),
+        });
+
+        await page.waitForSelector('table');
+
+        await expect(page.locator('th').filter({ hasText: 'address.city' })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'Berlin' }).first()).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'vip, new' }).first()).toBeVisible();
+    });
+
+    test('should load NDJSON with one record per line', async ({ page }) => {
+        const ndjson = [
+            '{"event":"click","user":{"id":7}}',
+            '{"event":"view","user":{"id":8}}'
+        ].join('\n');
+
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'events.ndjson',
+            mimeType: 'application/x-ndjson',
+            buffer: Buffer.from(ndjson, 'utf-8'),
+        });
+
+        await page.waitForSelector('table');
+
+        await expect(page.locator('th').filter({ hasText: 'user.id' })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'view' }).first()).toBeVisible();
+    });
+
+    test('should report the line of invalid JSON Lines input', async ({ page }) => {
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'broken.jsonl',
+            mimeType: 'application/x-ndjson',
+            buffer: Buffer.from('{"a":1}\n{oops}', 'utf-8'),
+        });
+
+        await expect(page.getByText(/Invalid JSON on line 2/)).toBeVisible();
+    });
+});
+
+test.describe('CSV Import Wizard', () => {
+    // Start without the preview setting the other tests opt out with
+    test.use({ storageState: { cookies: [], origins: [] } });
+
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+    });
+
+    test('should preview CSV files by default until turned off', async ({ page }) => {
+        const upload = (name) => page.locator('input[type="file"]').setInputFiles({
+            name,
+            mimeType: 'text/csv',
+            buffer: Buffer.from('name,age\nAlice,30\n', 'utf-8'),
+        });
+
+        await expect(page.getByLabel('Review CSV import settings before loading')).toBeChecked();
+        await upload('people.csv');
+        await expect(page.getByRole('region', { name: 'CSV import options' })).toBeVisible();
+        await expect(page.getByRole('table', { name: 'Import preview' }).locator('td').first()).toHaveText('Alice');
+        await page.getByRole('button', { name: 'Cancel' }).click();
+
+        await page.getByLabel('Review CSV import settings before loading').uncheck();
+        await upload('people.csv');
+        await page.waitForSelector('table');
+        await expect(page.getByRole('region', { name: 'CSV import options' })).toHaveCount(0);
+    });
+
+    test('should preview and load a file with preamble lines, comments and semicolons', async ({ page }) => {
+        const csvContent = [
+            'Export from legacy system',
+            'Generated 2024-01-31',
+            'region;sales',
+            '# totals are preliminary',
+            'West;100',
+            'East;200'
+        ].join('\n');
+
+        await page.getByLabel('Review CSV import settings before loading').check();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'legacy.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from(csvContent, 'utf-8'),
+        });
+
+        const wizard = page.getByRole('region', { name: 'CSV import options' });
+        await expect(wizard).toBeVisible();
+
+        await page.getByLabel('Delimiter').selectOption(';');
+        await page.getByLabel('Lines to skip').fill('2');
+        await page.getByLabel('Comment prefix').fill('#');
+
+        const preview = page.getByRole('table', { name: 'Import preview' });
+        await expect(preview.locator('th')).toHaveText(['region', 'sales']);
+        await expect(preview.locator('tbody tr')).toHaveCount(2);
+
+        await page.getByRole('button', { name: 'Load CSV' }).click();
+
+        await page.waitForSelector('table');
+        await expect(page.locator('th').filter({ hasText: 'region' })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'East' }).first()).toBeVisible();
+    });
+
+    test('should name columns when the file has no header row', async ({ page }) => {
+        await page.getByLabel('Review CSV import settings before loading').check();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'no_header.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('Alice,30\nBob,25\n', 'utf-8'),
+        });
+
+        await page.getByLabel('Header row (0 = none)').fill('0');
+        const preview = page.getByRole('table', { name: 'Import preview' });
+        await expect(preview.locator('th')).toHaveText(['Column 1', 'Column 2']);
+        await expect(preview.locator('tbody tr')).toHaveCount(2);
+    });
+
+    test('should open the wizard for files that are not valid UTF-8', async ({ page }) => {
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'latin1.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('name,city\nJos\xe9,Z\xfcrich\n', 'latin1'),
+        });
+
+        await expect(page.getByText(/not valid UTF-8/)).toBeVisible();
+        await expect(page.getByLabel('Encoding')).toHaveValue('windows-1252');
+
+        const preview = page.getByRole('table', { name: 'Import preview' });
+        await expect(preview.locator('td').first()).toHaveText('José');
+    });
+});
@@ -1,6 +1,16 @@
 import { test, expect } from '@playwright/test';
 import path from 'path';
 import fs from 'fs';
+import { compileFilter, applyFilter, compileTableFilter, detectColumnTypes, cleanColumn, calculateColumnStats, createPivotData, sortTableRows, sortLevelsOf, performJoin, joinKeyNormalizer, diagnoseJoin, detectDataQuality } from '../src/lib/utils.js';
+import { fromRows, toRows, takeRows, withColumn, mapColumn, setCell, appendRow, dropRows } from '../src/lib/columnar.js';
+import { editedCellKey, markCellEdited, dropEditedRows, redetectTypes } from '../src/lib/tableEdits.js';
+import { compileFormula, evaluateFormula, addCalculatedColumn } from '../src/lib/formula.js';
+import { runSql } from '../src/lib/sql.js';
+import { filterToSql, filterToPandas, parseFilterText } from '../src/lib/filterText.js';
+import { createQueryRunner } from '../src/lib/queryRunner.js';
+import { columnFacet, getColumnFilter, setColumnFilter, valueConditions, canListValue, rangeConditions, dateConditions } from '../src/lib/columnFilters.js';
+import { validateViewState } from '../src/lib/shareLink.js';
+import { normalizeFuzzyText, fuzzySimilarity, createFuzzyIndex, FUZZY_CANDIDATE_LIMIT } from '../src/lib/fuzzy.js';
 
 test.setTimeout(60000);
 
@@ -484,3 +494,1787 @@ test.describe('Table Manager Accessibility', () => {
         await expect(removeButton).toBeVisible();
     });
 });
+
+// ============================================
+// EXPORT DIALOG
+// ============================================
+
+test.describe('Export Dialog', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+        await page.waitForSelector('table');
+    });
+
+    test('should export filtered rows as JSON', async ({ page }) => {
+        await page.getByRole('button', { name: /Export As/i }).click();
+        await expect(page.getByRole('dialog', { name: 'Export Data' })).toBeVisible();
+
+        await page.getByRole('radio', { name: /JSON/ }).first().click();
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.getByRole('button', { name: 'Export JSON' }).click();
+        const download = await downloadPromise;
+
+        expect(download.suggestedFilename()).toBe('filtered_data.json');
+        const content = JSON.parse(fs.readFileSync(await download.path(), 'utf-8'));
+        expect(Array.isArray(content)).toBe(true);
+        expect(content[0]).toHaveProperty('name');
+    });
+
+    test('should export a Markdown table with a custom file name', async ({ page }) => {
+        await page.getByRole('button', { name: /Export As/i }).click();
+        await page.getByRole('radio', { name: /Markdown/ }).click();
+        await page.getByLabel('File name').fill('guest_list');
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.getByRole('button', { name: 'Export Markdown' }).click();
+        const download = await downloadPromise;
+
+        expect(download.suggestedFilename()).toBe('guest_list.md');
+        const content = fs.readFileSync(await download.path(), 'utf-8');
+        expect(content.split('\n')[1]).toMatch(/^\| --- \|/);
+    });
+
+    test('should route pivot export through the export dialog', async ({ page }) => {
+        await page.getByRole('button', { name: /Pivot/i }).click();
+        await page.getByRole('button', { name: /Export Pivot/i }).click();
+
+        await page.getByRole('radio', { name: /Excel/ }).click();
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.getByRole('button', { name: 'Export Excel' }).click();
+        const download = await downloadPromise;
+
+        expect(download.suggestedFilename()).toBe('pivot_table.xlsx');
+    });
+
+    test('should export the table as shown, with a toggle for the raw filtered set', async ({ page }) => {
+        // Hide the email column and sort by name descending
+        await page.getByRole('button', { name: /Columns/i }).click();
+        await page.getByLabel('Toggle visibility for email').uncheck();
+        await page.getByRole('button', { name: /Columns/i }).click();
+        const nameHeader = page.locator('th', { hasText: 'name' }).first();
+        await nameHeader.click();
+        await nameHeader.click();
+        await expect(nameHeader).toHaveAttribute('aria-sort', 'descending');
+
+        await page.getByRole('button', { name: /Export As/i }).click();
+        await expect(page.getByLabel('Export as shown in table')).toBeChecked();
+        await page.getByRole('radio', { name: /JSON/ }).first().click();
+
+        let downloadPromise = page.waitForEvent('download');
+        await page.getByRole('button', { name: 'Export JSON' }).click();
+        let content = JSON.parse(fs.readFileSync(await (await downloadPromise).path(), 'utf-8'));
+
+        expect(Object.keys(content[0])).not.toContain('email');
+        const names = content.map(row => row.name);
+        expect(names).toEqual([...names].sort((a, b) => b.toLowerCase().localeCompare(a.toLowerCase())));
+
+        // Raw filtered set keeps every column in file order
+        await page.getByRole('button', { name: /Export As/i }).click();
+        await page.getByLabel('Export as shown in table').uncheck();
+        await page.getByRole('radio', { name: /JSON/ }).first().click();
+
+        downloadPromise = page.waitForEvent('download');
+        await page.getByRole('button', { name: 'Export JSON' }).click();
+        content = JSON.parse(fs.readFileSync(await (await downloadPromise).path(), 'utf-8'));
+
+        expect(Object.keys(content[0])).toEqual(['id', 'name', 'email', 'category']);
+        expect(content[0].id).toBe('1');
+    });
+});
+
+test.describe('Schema Editor', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+    });
+
+    const uploadCsv = async (page, name, lines) => {
+        await page.locator('input[type="file"]').setInputFiles({
+            name,
+            mimeType: 'text/csv',
+            buffer: Buffer.from(lines.join('\n'), 'utf-8'),
+        });
+        await page.waitForSelector('table');
+    };
+
+    test('should keep zip codes as strings and report conflicting values', async ({ page }) => {
+        const lines = ['zip,qty'];
+        for (let i = 0; i < 19; i++) lines.push(`0${2100 + i},${i}`);
+        lines.push('02199,abc');
+        await uploadCsv(page, 'orders.csv', lines);
+
+        await page.getByRole('button', { name: 'Schema' }).click();
+        const dialog = page.getByRole('dialog', { name: 'Column Schema' });
+        await expect(dialog).toBeVisible();
+
+        await expect(dialog.getByLabel('Type for zip')).toHaveValue('');
+        await expect(dialog.getByLabel('Type for zip').locator('option').first()).toHaveText('Detected (string)');
+        await expect(dialog.getByLabel('Type for qty').locator('option').first()).toHaveText('Detected (number)');
+        await expect(dialog.getByText(/1 value not number: "abc" \(row 20\)/)).toBeVisible();
+    });
+
+    test('should sort by the overridden type and remember overrides', async ({ page }) => {
+        await uploadCsv(page, 'amounts.csv', ['label,amount', 'a,10', 'b,9', 'c,100']);
+
+        const firstAmount = () => page.locator('tbody tr').first().locator('td').nth(1);
+        const amountHeader = page.locator('th', { hasText: 'amount' });
+
+        await amountHeader.click();
+        await expect(firstAmount()).toHaveText('9');
+
+        await page.getByRole('button', { name: 'Schema' }).click();
+        await page.getByLabel('Type for amount').selectOption('string');
+        await page.getByRole('button', { name: 'Done' }).click();
+
+        // Same ascending sort, now compared as text
+        await expect(amountHeader).toHaveAttribute('aria-sort', 'ascending');
+        await expect(firstAmount()).toHaveText('10');
+
+        await page.reload();
+        await page.waitForLoadState('networkidle');
+        await uploadCsv(page, 'amounts.csv', ['label,amount', 'a,10', 'b,9', 'c,100']);
+        await page.getByRole('button', { name: 'Schema' }).click();
+        await expect(page.getByLabel('Type for amount')).toHaveValue('string');
+    });
+
+    test('should read day-first dates with a date format override', async ({ page }) => {
+        await uploadCsv(page, 'events.csv', ['event,when', 'launch,13/01/2024', 'review,02/02/2024', 'kickoff,01/03/2023']);
+
+        await page.getByRole('button', { name: 'Schema' }).click();
+        await page.getByLabel('Type for when').selectOption('date');
+        await page.getByLabel('Date format for when').selectOption('DMY');
+        await page.getByRole('button', { name: 'Done' }).click();
+
+        const whenHeader = page.locator('th', { hasText: 'when' });
+        await whenHeader.click();
+        await expect(page.locator('tbody tr').first().locator('td').first()).toHaveText('kickoff');
+        await expect(page.locator('tbody tr').last().locator('td').first()).toHaveText('review');
+    });
+});
+
+test.describe('Boolean Columns', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'members.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('member,active\nAda,Yes\nBen,no\nCy,Y\nDee,N\nEve,\n', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+    });
+
+    test('should offer boolean operators and filter yes/no values', async ({ page }) => {
+        await page.getByRole('button', { name: /Condition/i }).click();
+        const filterSection = page.locator('.bg-white.dark\\:bg-gray-800').filter({ has: page.locator('select').first() }).first();
+        await filterSection.locator('select').first().selectOption('active');
+
+        const operatorSelect = filterSection.locator('select').nth(1);
+        await expect(operatorSelect.locator('option')).toHaveText(['is true', 'is false', 'is empty']);
+        await expect(operatorSelect).toHaveValue('is true');
+
+        await expect(page.locator('td').filter({ hasText: 'Ada' })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'Cy' })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'Ben' })).toHaveCount(0);
+
+        await operatorSelect.selectOption('is false');
+        await expect(page.locator('td').filter({ hasText: 'Dee' })).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'Ada' })).toHaveCount(0);
+    });
+
+    test('should count Yes and Y together in the pivot table', async ({ page }) => {
+        await page.getByRole('button', { name: /Pivot/i }).click();
+        // Row Field is the first pivot selector
+        await page.locator('select').filter({ has: page.locator('option[value="active"]') }).first().selectOption('active');
+
+        await expect(page.locator('td').filter({ hasText: /^true$/ })).toHaveCount(1);
+        await expect(page.locator('td').filter({ hasText: /^false$/ })).toHaveCount(1);
+    });
+});
+
+test.describe('Boolean Column Detection', () => {
+    const column = (values) => values.map(value => ({ value }));
+
+    test('types 0/1 columns as boolean only when every value is 0 or 1', () => {
+        const flags = Array.from({ length: 40 }, (_, i) => String(i % 2));
+        expect(detectColumnTypes(column(flags)).value).toBe('boolean');
+
+        // A few other numbers among the 0s and 1s make it a count, not a flag
+        expect(detectColumnTypes(column([...flags, '2', '7'])).value).toBe('number');
+        expect(detectColumnTypes(column(flags.map(() => '1'))).value).toBe('number');
+        expect(detectColumnTypes(column(['yes', 'no', 'Y', 'N'])).value).toBe('boolean');
+    });
+});
+
+// ============================================
+// FILTER PRESET TESTS
+// ============================================
+
+test.describe('Filter Presets', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+        await page.waitForSelector('table');
+    });
+
+    test('should save a preset and load it after a reload', async ({ page }) => {
+        await page.getByRole('button', { name: /Condition/i }).click();
+        const filterSection = page.locator('.bg-white.dark\\:bg-gray-800').filter({ has: page.locator('select').first() }).first();
+        await filterSection.locator('select').first().selectOption('name');
+        await filterSection.locator('select').nth(1).selectOption('contains');
+        await page.getByPlaceholder(/unique values|Enter text/i).fill('Jane');
+
+        await page.getByRole('button', { name: 'Save as preset' }).click();
+        await page.getByLabel('Preset name').fill('Jane only');
+        await page.getByRole('button', { name: 'Save preset' }).click();
+        await expect(page.getByRole('button', { name: /Presets \(1\)/ })).toBeVisible();
+
+        await page.reload();
+        await page.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+        await page.waitForSelector('table');
+        await expect(page.locator('td').filter({ hasText: /^Tom$/ })).toHaveCount(1);
+
+        await page.getByRole('button', { name: /Presets \(1\)/ }).click();
+        await page.getByRole('list', { name: 'Saved filter presets' }).getByRole('button', { name: 'Jane only' }).click();
+
+        await expect(page.locator('td').filter({ hasText: 'Jane' }).first()).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: /^Tom$/ })).toHaveCount(0);
+    });
+
+    test('should export presets and skip missing columns when importing', async ({ page }) => {
+        const presetFile = {
+            format: 'csv-filtering/filter-presets',
+            version: 1,
+            presets: [{
+                name: 'Morning check',
+                isCaseSensitive: false,
+                savedAt: 0,
+                tree: {
+                    id: 'root', type: 'group', logic: 'AND', children: [
+                        { id: 'a', type: 'condition', field: 'Name', operator: 'contains', value: 'Tom' },
+                        { id: 'b', type: 'condition', field: 'vip_level', operator: 'is', value: 'gold' }
+                    ]
+                }
+            }]
+        };
+
+        const fileChooserPromise = page.waitForEvent('filechooser');
+        await page.getByRole('button', { name: 'Import presets' }).click();
+        const fileChooser = await fileChooserPromise;
+        await fileChooser.setFiles({
+            name: 'presets.json',
+            mimeType: 'application/json',
+            buffer: Buffer.from(JSON.stringify(presetFile), 'utf-8'),
+        });
+        await expect(page.getByText('Imported 1 filter preset')).toBeVisible();
+
+        await page.getByRole('button', { name: /Presets \(1\)/ }).click();
+        await page.getByRole('button', { name: 'Morning check' }).click();
+
+        // "Name" is matched to "name"; the vip_level condition is dropped with a warning
+        await expect(page.getByText(/uses columns not in this table: vip_level/)).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: /^Tom$/ })).toHaveCount(1);
+        await expect(page.locator('td').filter({ hasText: 'Jane' })).toHaveCount(0);
+
+        const downloadPromise = page.waitForEvent('download');
+        await page.getByRole('button', { name: 'Export presets' }).click();
+        const download = await downloadPromise;
+
+        expect(download.suggestedFilename()).toBe('filter_presets.json');
+        const content = JSON.parse(fs.readFileSync(await download.path(), 'utf-8'));
+        expect(content.presets.map(p => p.name)).toEqual(['Morning check']);
+    });
+});
+
+// ============================================
+// SHAREABLE LINK TESTS
+// ============================================
+
+test.describe('Shareable Links', () => {
+    test('should restore filters and visible columns from a copied link', async ({ page, context }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: /Condition/i }).click();
+        const filterSection = page.locator('.bg-white.dark\\:bg-gray-800').filter({ has: page.locator('select').first() }).first();
+        await filterSection.locator('select').first().selectOption('name');
+        await filterSection.locator('select').nth(1).selectOption('contains');
+        await page.getByPlaceholder(/unique values|Enter text/i).fill('Jane');
+
+        await page.getByRole('button', { name: /Columns/i }).click();
+        await page.getByLabel('Toggle visibility for email').uncheck();
+        await page.getByRole('button', { name: /Columns/i }).click();
+
+        await page.getByRole('button', { name: 'Copy Link' }).click();
+        await expect(page).toHaveURL(/#view=/);
+        const link = page.url();
+
+        const teammate = await context.newPage();
+        await teammate.goto(link);
+        await expect(teammate.getByRole('status').filter({ hasText: 'Shared view' })).toContainText('guests.csv');
+
+        await teammate.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+        await teammate.waitForSelector('table');
+
+        await expect(teammate.getByText('Applied shared view')).toBeVisible();
+        await expect(teammate.locator('td').filter({ hasText: 'Jane' }).first()).toBeVisible();
+        await expect(teammate.locator('td').filter({ hasText: /^Tom$/ })).toHaveCount(0);
+        await expect(teammate.locator('th').filter({ hasText: 'email' })).toHaveCount(0);
+        await expect(teammate).not.toHaveURL(/#view=/);
+    });
+
+    test('should report unknown columns and reject corrupted links', async ({ page }) => {
+        const view = {
+            v: 1,
+            tables: ['guests.csv'],
+            filter: {
+                id: 'root', type: 'group', logic: 'AND', children: [
+                    { id: 'a', type: 'condition', field: 'loyalty_tier', operator: 'is', value: 'gold' }
+                ]
+            },
+            tab: 'pivot',
+            pivot: { rowField: 'category', columnField: '', valueField: 'spend', aggFunc: 'sum' }
+        };
+        const encoded = Buffer.from(JSON.stringify(view), 'utf-8').toString('base64url');
+
+        await page.goto(`/#view=${encoded}`);
+        await page.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+
+        await expect(page.getByText(/skipping unknown columns loyalty_tier, spend/)).toBeVisible();
+        await expect(page.getByText('Pivot Table Configuration')).toBeVisible();
+
+        // A hash-only change doesn't reload the app, so start from a fresh document
+        await page.goto('about:blank');
+        await page.goto('/#view=not-a-view');
+        await expect(page.getByRole('alert').filter({ hasText: 'Could not open the shared link' })).toBeVisible();
+    });
+
+    test('rejects null or non-object view parts with a message', () => {
+        const view = { v: 1, tables: ['guests.csv'], filter: { id: 'root', type: 'group', logic: 'AND', children: [] } };
+        expect(validateViewState(view)).toMatchObject({ aliases: {}, table: null, pivot: null });
+        expect(() => validateViewState({ ...view, pivot: null })).toThrow('pivot settings are malformed');
+        expect(() => validateViewState({ ...view, table: null })).toThrow('table view is malformed');
+        expect(() => validateViewState({ ...view, table: 'name,email' })).toThrow('table view is malformed');
+        expect(() => validateViewState({ ...view, aliases: null })).toThrow('table aliases are malformed');
+        expect(() => validateViewState({ ...view, aliases: ['guests'] })).toThrow('table aliases are malformed');
+    });
+});
+
+// ============================================
+// SESSION PERSISTENCE TESTS
+// ============================================
+
+test.describe('Session Persistence', () => {
+    test('should restore tables and filters after a reload until forgotten', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+
+        await page.getByRole('button', { name: 'Not saved' }).click();
+        await page.getByLabel(/Keep tables after reload/).check();
+        await page.getByRole('button', { name: /Saved locally/ }).click();
+
+        await page.locator('input[type="file"]').setInputFiles(path.resolve('guests.csv'));
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: /Condition/i }).click();
+        const filterSection = page.locator('.bg-white.dark\\:bg-gray-800').filter({ has: page.locator('select').first() }).first();
+        await filterSection.locator('select').first().selectOption('name');
+        await filterSection.locator('select').nth(1).selectOption('contains');
+        await page.getByPlaceholder(/unique values|Enter text/i).fill('Jane');
+
+        // Saves are debounced by a second
+        await page.waitForTimeout(2000);
+        await page.reload();
+
+        await expect(page.getByText(/Restored 1 table from your last session/)).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: 'Jane' }).first()).toBeVisible();
+        await expect(page.locator('td').filter({ hasText: /^Tom$/ })).toHaveCount(0);
+
+        await page.getByRole('button', { name: /Saved locally/ }).click();
+        await page.getByRole('button', { name: 'Forget everything' }).click();
+        await expect(page.getByText('Drag and drop your file here')).toBeVisible();
+
+        await page.reload();
+        await page.waitForLoadState('networkidle');
+        await expect(page.locator('table')).toHaveCount(0);
+        await expect(page.getByRole('button', { name: /Saved locally/ })).toBeVisible();
+    });
+});
+
+// ============================================
+// QUERY ENGINE TESTS
+// ============================================
+
+test.describe('Background Query Engine', () => {
+    test('should filter a large file off the main thread and keep the latest result', async ({ page }) => {
+        const lines = ['id,name,score'];
+        for (let i = 0; i < 150000; i++) {
+            lines.push(`${i},${i % 3 === 0 ? 'Jane' : 'Tom'},${i % 100}`);
+        }
+
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'large.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from(lines.join('\n'), 'utf-8'),
+        });
+        await page.waitForSelector('table', { timeout: 30000 });
+
+        await page.getByRole('button', { name: /Condition/i }).click();
+        const filterSection = page.locator('.bg-white.dark\\:bg-gray-800').filter({ has: page.locator('select').first() }).first();
+        await filterSection.locator('select').first().selectOption('name');
+        await filterSection.locator('select').nth(1).selectOption('is');
+
+        // Each keystroke supersedes the previous filter; only the last one should win
+        const valueInput = page.getByPlaceholder(/unique values|Enter text|Enter value/i);
+        await valueInput.pressSequentially('Jane', { delay: 20 });
+        await expect(page.getByText('50000 matches found')).toBeVisible({ timeout: 20000 });
+
+        // The page keeps responding while filters recompute
+        await valueInput.fill('Tom');
+        await page.getByPlaceholder(/Search/i).first().fill('1');
+        await expect(page.getByText('100000 matches found')).toBeVisible({ timeout: 20000 });
+
+        await page.getByRole('button', { name: /Pivot/i }).click();
+        await expect(page.locator('td').filter({ hasText: /^Tom$/ })).toHaveCount(1);
+    });
+
+    test('joins, pivots and profiles columnar tables in cancellable chunks', async () => {
+        const people = [];
+        const visits = [];
+        for (let i = 0; i < 60000; i++) {
+            people.push({ id: String(i), team: i % 2 === 0 ? 'red' : 'blue' });
+            visits.push({ person: String(i % 30000), minutes: String(i % 7) });
+        }
+        const runner = createQueryRunner();
+        runner.setDataset('table:people', fromRows(people), { id: 'integer', team: 'string' });
+        runner.setDataset('table:visits', fromRows(visits), { person: 'integer', minutes: 'integer' });
+        const params = {
+            tables: { people: 'table:people', visits: 'table:visits' },
+            joins: [{ leftTable: 'people', rightTable: 'visits', joinType: 'left', keys: [{ leftColumn: 'id', rightColumn: 'person' }] }],
+            resultId: 'joined'
+        };
+
+        const progress = [];
+        const joined = await runner.run(1, 'join', params, value => progress.push(value));
+        expect(joined.data.format).toBe('columnar');
+        expect(joined.data.length).toBe(90000);
+        expect(joined.steps).toEqual([{ rows: 90000 }]);
+        expect(progress.length).toBeGreaterThan(1);
+        expect(progress[progress.length - 1]).toBe(1);
+
+        // A cancel is picked up between chunks instead of after the whole join
+        const cancelled = runner.run(2, 'join', { ...params, resultId: 'stale' });
+        runner.cancel(2);
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+
+        const pivotConfig = { rowField: 'people.team', valueField: 'visits.minutes', aggFunc: 'sum' };
+        expect(await runner.run(3, 'pivot', { datasetId: 'joined', config: pivotConfig }))
+            .toEqual(createPivotData(joined.data, pivotConfig));
+        const quality = await runner.run(4, 'quality', { datasetId: 'table:visits' });
+        expect(quality).toMatchObject({ totalRows: 60000, rowDuplicates: 0 });
+        expect(quality).toEqual(detectDataQuality(visits, { person: 'integer', minutes: 'integer' }));
+    });
+});
+
+// ============================================
+// COMPILED FILTER BENCHMARKS
+// ============================================
+
+test.describe('Compiled Filter Benchmarks', () => {
+    let rows;
+
+    test.beforeAll(() => {
+        rows = Array.from({ length: 200000 }, (_, i) => ({
+            id: String(i),
+            name: `User ${i % 977}`,
+            city: ['Paris', 'Lima', 'Oslo', 'Rome'][i % 4],
+            amount: String((i * 37) % 1000),
+            active: i % 3 === 0 ? 'yes' : 'no',
+            joined: `2024-${String((i % 12) + 1).padStart(2, '0')}-${String((i % 28) + 1).padStart(2, '0')}`,
+        }));
+    });
+
+    const condition = (field, operator, value) => ({ id: `${field}-${operator}`, type: 'condition', field, operator, value });
+
+    const trees = {
+        'in list': condition('city', 'in', 'paris, OSLO ,Rome'),
+        'regexp': condition('name', 'regexp', '^user 1\\d'),
+        'date range': condition('joined', 'is between', '2024-10-31|2024-02-01'),
+        'nested AND/OR': {
+            id: 'root', type: 'group', logic: 'AND', children: [
+                condition('amount', '>', '100'),
+                condition('active', 'is true', ''),
+                {
+                    id: 'inner', type: 'group', logic: 'OR', children: [
+                        condition('joined', 'is before', '2024-03-01'),
+                        condition('name', 'contains', '99'),
+                        condition('city', 'not in', 'Lima'),
+                    ],
+                },
+            ],
+        },
+    };
+
+    const time = (fn) => {
+        const start = performance.now();
+        const result = fn();
+        return { result, ms: performance.now() - start };
+    };
+
+    for (const [label, tree] of Object.entries(trees)) {
+        // Timings are only reported as an annotation; wall-clock comparisons are too noisy to assert on
+        test(`compiled predicate matches per-row evaluation: ${label}`, () => {
+            // Per-row evaluation re-reads the filter values (dates, lists, regexes) for every row
+            const perRow = time(() => rows.filter(row => applyFilter(row, tree)));
+            const compiled = time(() => {
+                const matches = compileFilter(tree);
+                return rows.filter(matches);
+            });
+
+            test.info().annotations.push({
+                type: 'benchmark',
+                description: `${label}: ${rows.length} rows, per-row ${perRow.ms.toFixed(1)}ms, compiled ${compiled.ms.toFixed(1)}ms`,
+            });
+
+            expect(compiled.result).toEqual(perRow.result);
+            expect(compiled.result.length).toBeGreaterThan(0);
+        });
+    }
+
+    test('compiled predicate keeps filter semantics', () => {
+        const sample = [
+            { name: 'Ada', score: '10', when: '1/15/2024', flag: 'TRUE' },
+            { name: 'bob', score: '', when: '2024-01-16 09:00', flag: 'no' },
+            { name: '', score: '7', when: '', flag: '' },
+        ];
+        const names = (tree, isCaseSensitive) => sample.filter(compileFilter(tree, isCaseSensitive)).map(row => row.name);
+
+        expect(names(condition('name', 'in', 'ADA, Bob'), false)).toEqual(['Ada', 'bob']);
+        expect(names(condition('name', 'in', 'ADA, Bob'), true)).toEqual([]);
+        expect(names(condition('name', 'regexp', '('), false)).toEqual([]);
+        expect(names(condition('score', '≥', '7'), false)).toEqual(['Ada', '']);
+        expect(names(condition('score', '>', ''), false)).toEqual([]);
+        expect(names(condition('when', 'is on', '2024-01-15'), false)).toEqual(['Ada']);
+        expect(names(condition('when', 'is after', '2024-01-15'), false)).toEqual(['bob']);
+        expect(names(condition('flag', 'is false', ''), false)).toEqual(['bob']);
+        expect(names(condition('name', 'is empty', ''), false)).toEqual(['']);
+        expect(names({ id: 'root', type: 'group', logic: 'OR', children: [] }, false)).toEqual(['Ada', 'bob', '']);
+    });
+});
+
+// ============================================
+// COLUMNAR TABLE TESTS
+// ============================================
+
+test.describe('Columnar Tables', () => {
+    const rows = [
+        { id: '1', name: 'Ann', score: '10', zip: '007' },
+        { id: '2', name: 'Bob', score: '', zip: '02139' },
+        { id: '3', name: 'Ann ', score: '2.5', zip: '007' },
+    ];
+
+    test('round-trips rows and keeps number text unchanged', () => {
+        const table = fromRows(rows);
+        expect(table.length).toBe(3);
+        expect(table.columnNames).toEqual(['id', 'name', 'score', 'zip']);
+        expect(table.columns.score.encoding).toBe('number');
+        // Leading zeros would be lost as numbers, so the column stays dictionary-encoded
+        expect(table.columns.zip.encoding).toBe('dictionary');
+        expect(table.columns.zip.dictionary).toEqual(['007', '02139']);
+        expect(toRows(table)).toEqual(rows);
+        expect(toRows(takeRows(table, [2, 0]))).toEqual([rows[2], rows[0]]);
+    });
+
+    test('changes one column without copying the others', () => {
+        const table = fromRows(rows);
+        const trimmed = cleanColumn(table, 'name', 'trim');
+        expect(trimmed.columns.id).toBe(table.columns.id);
+        expect(trimmed.columns.zip).toBe(table.columns.zip);
+        expect(trimmed.columns.name.dictionary).toEqual(['Ann', 'Bob']);
+        expect(toRows(trimmed).map(row => row.name)).toEqual(['Ann', 'Bob', 'Ann']);
+
+        const calls = [];
+        mapColumn(table, 'zip', value => {
+            calls.push(value);
+            return value;
+        });
+        expect(calls).toEqual(['007', '02139']);
+
+        const flagged = withColumn(table, 'flag', ['yes', 'no', 'yes']);
+        expect(flagged.columnNames).toEqual(['id', 'name', 'score', 'zip', 'flag']);
+        expect(table.columns.flag).toBeUndefined();
+    });
+
+    test('filters, stats and pivots read columns directly', () => {
+        const table = fromRows(rows);
+        const tree = {
+            id: 'root', type: 'group', logic: 'OR', children: [
+                { id: 'a', type: 'condition', field: 'name', operator: 'startswith', value: 'ann' },
+                { id: 'b', type: 'condition', field: 'score', operator: '>', value: '5' },
+            ],
+        };
+        const matches = compileTableFilter(table, tree);
+        const rowMatches = compileFilter(tree);
+        expect([0, 1, 2].filter(i => matches(i))).toEqual([0, 2]);
+        expect(rows.filter(rowMatches)).toEqual([rows[0], rows[2]]);
+
+        expect(calculateColumnStats(table, 'score')).toMatchObject({ count: 2, sum: 12.5, min: 2.5, max: 10 });
+
+        const pivot = createPivotData(table, { rowField: 'zip', valueField: 'score', aggFunc: 'sum' });
+        expect(pivot.rows).toEqual(['007', '02139']);
+        expect(pivot.pivotData['007'].Total).toBe(12.5);
+        expect(pivot.totals.grand).toBe(12.5);
+    });
+});
+
+// ============================================
+// VIRTUALIZED TABLE TESTS
+// ============================================
+
+test.describe('Virtualized Table', () => {
+    test.beforeEach(async ({ page }) => {
+        const lines = ['id,name,score'];
+        for (let i = 1; i <= 20000; i++) {
+            lines.push(`${i},${i % 2 === 0 ? 'Jane' : 'Tom'},${i % 100}`);
+        }
+
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'rows.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from(lines.join('\n'), 'utf-8'),
+        });
+        await page.waitForSelector('table', { timeout: 30000 });
+    });
+
+    test('should keep pages as the default and only render visible rows when scrolling', async ({ page }) => {
+        await expect(page.getByRole('button', { name: 'Pages' })).toHaveAttribute('aria-pressed', 'true');
+        await expect(page.getByRole('button', { name: /Go to next page/i })).toBeVisible();
+
+        await page.getByRole('button', { name: 'Scroll' }).click();
+        await expect(page.getByRole('button', { name: /Go to next page/i })).toHaveCount(0);
+        await expect(page.getByText(/of 20000 results/)).toBeVisible();
+
+        const renderedRows = await page.locator('tbody tr[aria-rowindex]').count();
+        expect(renderedRows).toBeGreaterThan(0);
+        expect(renderedRows).toBeLessThan(100);
+        await expect(page.getByRole('grid')).toHaveAttribute('aria-rowcount', '20001');
+    });
+
+    test('should jump to a row in both modes', async ({ page }) => {
+        await page.getByLabel('Jump to row').fill('1234');
+        await page.getByRole('button', { name: 'Go to row' }).click();
+        await expect(page.getByText('Page 25 /', { exact: false })).toBeVisible();
+        await expect(page.locator('td[aria-selected="true"]')).toHaveText('1234');
+
+        await page.getByRole('button', { name: 'Scroll' }).click();
+        await page.getByLabel('Jump to row').fill('15000');
+        await page.getByRole('button', { name: 'Go to row' }).click();
+        await expect(page.locator('td[aria-selected="true"]')).toHaveText('15000');
+        await expect(page.locator('tbody tr[aria-rowindex="15001"]')).toBeVisible();
+    });
+
+    test('should move the active cell with the keyboard', async ({ page }) => {
+        await page.getByRole('button', { name: 'Scroll' }).click();
+        await page.locator('tbody td').filter({ hasText: /^1$/ }).first().click();
+
+        const grid = page.getByRole('grid');
+        await grid.press('ArrowDown');
+        await grid.press('ArrowRight');
+        await expect(page.locator('td[aria-selected="true"]')).toHaveText('Jane');
+
+        await grid.press('Control+ArrowDown');
+        await expect(page.locator('td[aria-selected="true"]')).toHaveText('Jane');
+        await expect(page.locator('tbody tr[aria-rowindex="20001"]')).toBeVisible();
+
+        await grid.press('Control+Home');
+        await expect(page.locator('td[aria-selected="true"]')).toHaveText('1');
+    });
+});
+
+// ============================================
+// CELL EDITING TESTS
+// ============================================
+
+test.describe('Cell Editing', () => {
+    const rows = [
+        { id: '1', name: 'Ann', score: '10' },
+        { id: '2', name: 'Bob', score: '20' },
+        { id: '3', name: 'Cy', score: '30' },
+    ];
+
+    test('edits cells and rows without touching other columns', () => {
+        const table = fromRows(rows);
+
+        const renamed = setCell(table, 1, 'name', 'Bobby');
+        expect(toRows(renamed)[1]).toEqual({ id: '2', name: 'Bobby', score: '20' });
+        expect(renamed.columns.score).toBe(table.columns.score);
+        expect(toRows(table)[1].name).toBe('Bob');
+
+        // Text in a number column switches its encoding
+        const typo = setCell(table, 0, 'score', 'ten');
+        expect(typo.columns.score.encoding).toBe('dictionary');
+        expect(toRows(typo).map(row => row.score)).toEqual(['ten', '20', '30']);
+
+        const added = appendRow(table, { name: 'Dee' });
+        expect(added.length).toBe(4);
+        expect(toRows(added)[3]).toEqual({ id: '', name: 'Dee', score: '' });
+
+        expect(toRows(dropRows(table, [0, 2]))).toEqual([rows[1]]);
+    });
+
+    test('keeps edit marks on the right rows and re-detects only edited columns', () => {
+        let edited = markCellEdited(new Set(), 0, 'name');
+        edited = markCellEdited(edited, 2, 'score');
+        expect(dropEditedRows(edited, [1])).toEqual(new Set([editedCellKey(0, 'name'), editedCellKey(1, 'score')]));
+        expect(dropEditedRows(edited, [0])).toEqual(new Set([editedCellKey(1, 'score')]));
+
+        const table = { data: fromRows(rows), types: { id: 'number', name: 'string', score: 'number' }, smartTypes: {} };
+        const data = setCell(setCell(setCell(table.data, 0, 'score', 'a'), 1, 'score', 'b'), 2, 'id', 'x');
+        const { types } = redetectTypes(table, data, ['score']);
+        expect(types).toEqual({ id: 'number', name: 'string', score: 'string' });
+    });
+
+    test('should edit a cell, highlight it and undo the change', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'people.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('id,name,score\n1,Ann,10\n2,Bob,20\n3,Cy,30', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        await page.locator('tbody td').filter({ hasText: /^Bob$/ }).dblclick();
+        const editor = page.getByRole('textbox', { name: /Edit name, row 2/ });
+        await editor.fill('Bobby');
+        await editor.press('Enter');
+
+        const editedCell = page.locator('tbody td').filter({ hasText: /^Bobby$/ });
+        await expect(editedCell).toHaveAttribute('data-edited', 'true');
+        await expect(page.locator('td[aria-selected="true"]')).toHaveText('Cy');
+
+        await page.getByRole('button', { name: 'Highlight edited cells' }).click();
+        await expect(editedCell).not.toHaveAttribute('data-edited', 'true');
+
+        await page.getByRole('button', { name: /Changes \(1\)/ }).click();
+        await expect(page.getByText('Row 2, name: "Bob" → "Bobby"')).toBeVisible();
+
+        await page.getByRole('button', { name: /Undo/i }).click();
+        await expect(page.locator('tbody td').filter({ hasText: /^Bob$/ })).toHaveCount(1);
+    });
+
+    test('should add and delete rows', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'people.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('id,name,score\n1,Ann,10\n2,Bob,20\n3,Cy,30', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: 'Add row' }).click();
+        const editor = page.getByRole('textbox', { name: /Edit id, row 4/ });
+        await editor.fill('4');
+        await editor.press('Enter');
+        await expect(page.getByText('4 matches found')).toBeVisible();
+
+        await page.locator('tbody td').filter({ hasText: /^Ann$/ }).click();
+        await page.getByRole('button', { name: 'Delete row' }).click();
+        await expect(page.getByText('3 matches found')).toBeVisible();
+        await expect(page.locator('tbody td').filter({ hasText: /^Ann$/ })).toHaveCount(0);
+    });
+});
+
+// ============================================
+// CALCULATED COLUMN TESTS
+// ============================================
+
+test.describe('Calculated Columns', () => {
+    const table = fromRows([
+        { name: ' Ann Lee ', price: '2.5', qty: '4', start: '2024-01-31', ordered: '31/01/2024' },
+        { name: 'Bob', price: '', qty: '3', start: '1/15/2024', ordered: '01/02/2024' },
+    ]);
+
+    test('evaluates arithmetic, text, date and conditional formulas', () => {
+        expect(evaluateFormula(table, 'price * qty')).toEqual(['10', '']);
+        expect(evaluateFormula(table, '[price] + 0.1 + 0.2')).toEqual(['2.8', '']);
+        expect(evaluateFormula(table, 'upper(split(trim(name), " ", 1)) & "!"')).toEqual(['ANN!', 'BOB!']);
+        expect(evaluateFormula(table, 'substr(concat(name, qty), 2, 3)')).toEqual(['Ann', 'ob3']);
+        expect(evaluateFormula(table, 'case(qty > 3, "big", qty = 3, "three", "small")')).toEqual(['big', 'three']);
+        expect(evaluateFormula(table, 'if(isblank(price), "missing", "ok")')).toEqual(['ok', 'missing']);
+        expect(evaluateFormula(table, 'year(start) & "-" & month(start)')).toEqual(['2024-1', '2024-1']);
+        expect(evaluateFormula(table, 'datediff(start, "2024-03-01")')).toEqual(['30', '46']);
+        expect(evaluateFormula(table, 'dateadd(start, 1, "month")')).toEqual(['2024-02-29', '2024-02-15']);
+        // Dates read from a column use its date format
+        expect(evaluateFormula(table, 'day(ordered)', { dateFormats: { ordered: 'DMY' } })).toEqual(['31', '1']);
+    });
+
+    test('rejects unknown columns, functions and bad syntax with a position', () => {
+        expect(compileFormula('price * [qty]', table.columnNames).references).toEqual(['price', 'qty']);
+        const errorOf = (source) => {
+            try {
+                compileFormula(source, table.columnNames);
+                return null;
+            } catch (err) {
+                return { message: err.message, position: err.position };
+            }
+        };
+        expect(errorOf('total * 2')).toEqual({ message: 'Unknown column "total"', position: 0 });
+        expect(errorOf('qty + sqrt(4)')).toEqual({ message: 'Unknown function "sqrt"', position: 6 });
+        expect(errorOf('(qty + 1')).toMatchObject({ message: 'Expected ")"' });
+        expect(errorOf('if(qty)').message).toContain('if() takes 2 to 3 arguments');
+    });
+
+    test('reads column names holding "]" from doubled brackets', () => {
+        const tagged = fromRows([{ 'x]y': '4', 'a[b]': 'k' }]);
+        expect(compileFormula('[x]]y] * 2 & [a[b]]]', tagged.columnNames).references).toEqual(['x]y', 'a[b]']);
+        expect(toRows(addCalculatedColumn(tagged, 'out', '[x]]y] * 2 & [a[b]]]'))[0].out).toBe('8k');
+        expect(() => compileFormula('[x]]y', tagged.columnNames)).toThrow('Column name is missing its closing "]"');
+    });
+
+    test('adds a typed column that the rest of the app can read', () => {
+        const withTotal = addCalculatedColumn(table, 'total', 'price * qty');
+        expect(withTotal.columnNames).toEqual([...table.columnNames, 'total']);
+        expect(withTotal.columns.total.encoding).toBe('number');
+        expect(withTotal.columns.price).toBe(table.columns.price);
+        expect(redetectTypes({ types: {}, smartTypes: {} }, withTotal, ['total']).types).toEqual({ total: 'number' });
+    });
+
+    test('should add a calculated column from the toolbar and undo it', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'orders.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('item,price,qty\nPen,2.5,4\nInk,10,3', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: 'Add calculated column' }).click();
+        const dialog = page.getByRole('dialog');
+        await dialog.getByLabel('New column name').fill('total');
+        await dialog.getByLabel('Formula').fill('price * qty + missing');
+        await expect(dialog.getByText('Unknown column "missing"')).toBeVisible();
+        await expect(dialog.getByRole('button', { name: 'Add column' })).toBeDisabled();
+
+        await dialog.getByLabel('Formula').fill('price * qty');
+        await expect(dialog.getByRole('table', { name: 'Calculated column preview' })).toContainText('30');
+        await dialog.getByRole('button', { name: 'Add column' }).click();
+
+        await expect(page.getByRole('dialog')).toHaveCount(0);
+        await expect(page.locator('thead th').filter({ hasText: 'total' })).toBeVisible();
+        await expect(page.locator('tbody td').filter({ hasText: /^30$/ })).toBeVisible();
+
+        await page.getByRole('button', { name: /Undo/i }).click();
+        await expect(page.locator('thead th').filter({ hasText: 'total' })).toHaveCount(0);
+    });
+});
+
+// ============================================
+// SQL QUERY MODE TESTS
+// ============================================
+
+test.describe('SQL Query Mode', () => {
+    const people = fromRows([
+        { id: '1', name: 'Ann', dept: 'eng', salary: '100' },
+        { id: '2', name: 'Bob', dept: 'eng', salary: '80' },
+        { id: '3', name: 'Cy', dept: 'ops', salary: '' },
+        { id: '4', name: 'Di', dept: '', salary: '50' }
+    ]);
+    const depts = fromRows([
+        { code: 'eng', title: 'Engineering' },
+        { code: 'ops', title: 'Operations' },
+        { code: 'hr', title: 'HR' }
+    ]);
+    const query = (sql) => {
+        const result = runSql(sql, { people, depts });
+        return { columns: result.columns, rows: toRows(result.data) };
+    };
+
+    test('filters, groups and orders a single table', () => {
+        expect(query('SELECT name FROM people WHERE salary >= 80 ORDER BY salary').rows)
+            .toEqual([{ name: 'Bob' }, { name: 'Ann' }]);
+
+        const grouped = query(`
+            SELECT dept, COUNT(*) AS n, SUM(salary) AS total FROM people
+            WHERE dept IS NOT NULL GROUP BY dept HAVING COUNT(*) > 1`);
+        expect(grouped.rows).toEqual([{ dept: 'eng', n: '2', total: '180' }]);
+
+        expect(query("SELECT UPPER(name) || '!' AS shout FROM people WHERE name LIKE 'b%' OR id IN (3) ORDER BY 1 DESC LIMIT 1").rows)
+            .toEqual([{ shout: 'CY!' }]);
+        expect(query('SELECT COUNT(DISTINCT dept), AVG(salary) FROM people').columns)
+            .toEqual(['COUNT(DISTINCT dept)', 'AVG(salary)']);
+    });
+
+    test('joins tables by alias', () => {
+        expect(query('SELECT p.name, d.title FROM people p LEFT JOIN depts d ON p.dept = d.code ORDER BY p.id').rows).toEqual([
+            { name: 'Ann', title: 'Engineering' },
+            { name: 'Bob', title: 'Engineering' },
+            { name: 'Cy', title: 'Operations' },
+            { name: 'Di', title: '' }
+        ]);
+        expect(query('SELECT d.title, COUNT(p.id) AS staff FROM depts d LEFT JOIN people p ON p.dept = d.code GROUP BY d.title ORDER BY staff DESC, d.title').rows)
+            .toEqual([{ title: 'Engineering', staff: '2' }, { title: 'Operations', staff: '1' }, { title: 'HR', staff: '0' }]);
+        // Several tables qualify the columns of SELECT *
+        expect(query('SELECT * FROM people JOIN depts ON dept = code WHERE salary > 90').columns)
+            .toEqual(['people.id', 'people.name', 'people.dept', 'people.salary', 'depts.code', 'depts.title']);
+    });
+
+    test('reports errors with a position', () => {
+        const errorOf = (sql) => {
+            try {
+                runSql(sql, { people, depts });
+                return null;
+            } catch (err) {
+                return { message: err.message, position: err.position };
+            }
+        };
+        expect(errorOf('SELECT nope FROM people')).toEqual({ message: 'Unknown column "nope"', position: 7 });
+        expect(errorOf('SELECT * FROM staff').message).toContain('Unknown table "staff"');
+        expect(errorOf('SELECT id FROM people JOIN depts ON 1 = 1 JOIN people ON 1 = 1').message).toContain('used twice');
+        expect(errorOf('SELECT name FROM people WHERE COUNT(*) > 1').position).toBe(30);
+        expect(errorOf('SELECT name FROM people WHERE').message).toBe('Query ends too early');
+    });
+
+    test('runs in the query engine against registered tables', async () => {
+        const runner = createQueryRunner();
+        runner.setDataset('table:people.csv', people);
+        const result = await runner.run(1, 'sql', { query: 'SELECT MAX(salary) AS top FROM p', tables: { p: 'table:people.csv' } });
+        expect(toRows(result.data)).toEqual([{ top: '100' }]);
+    });
+
+    test('should run a query and load the result as a table', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'sales.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('region,amount\nNorth,10\nSouth,5\nNorth,7', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: 'SQL', exact: true }).click();
+        const editor = page.getByLabel('SQL query');
+        await editor.fill('SELECT region, SUM(amount) AS total FROM sales GROUP BY region ORDER BY total DESC');
+        await editor.press('Control+Enter');
+        await expect(page.getByText('2 rows, 2 columns')).toBeVisible();
+        await expect(page.locator('tbody td').filter({ hasText: /^17$/ })).toBeVisible();
+
+        await editor.fill('SELECT missing FROM sales');
+        await page.getByRole('button', { name: 'Run query' }).click();
+        await expect(page.getByText('Unknown column "missing"')).toBeVisible();
+
+        await editor.fill('SELECT region FROM sales WHERE amount > 6');
+        await page.getByRole('button', { name: 'Run query' }).click();
+        await page.getByRole('button', { name: 'Load as table' }).click();
+        await expect(page.getByText('Loaded 2 rows as table "query_result"')).toBeVisible();
+    });
+});
+
+// ============================================
+// FILTER TEXT TESTS
+// ============================================
+
+test.describe('Filter Text', () => {
+    const condition = (field, operator, value = '') => ({ id: field + operator, type: 'condition', field, operator, value });
+    const tree = {
+        id: 'root', type: 'group', logic: 'AND', children: [
+            condition('city', 'is', 'Oslo'),
+            condition('price', '≥', '10'),
+            {
+                id: 'or', type: 'group', logic: 'OR', children: [
+                    condition('first name', 'contains', "O'Neil"),
+                    condition('ordered', 'is between', '2024-01-01|2024-01-31'),
+                    condition('note', 'is empty')
+                ]
+            },
+            condition('', 'is', 'incomplete')
+        ]
+    };
+    const columns = ['city', 'price', 'first name', 'ordered', 'note'];
+    const types = { price: 'number', ordered: 'date' };
+    const withoutIds = (node) => JSON.parse(JSON.stringify(node, (key, value) => (key === 'id' ? undefined : value)));
+
+    test('renders a filter tree as SQL and pandas', () => {
+        expect(filterToSql(tree, { isCaseSensitive: true })).toBe(
+            `city = 'Oslo' AND price >= 10 AND ("first name" LIKE '%O''Neil%' OR ordered BETWEEN DATE '2024-01-01' AND DATE '2024-01-31' OR note IS NULL)`
+        );
+        expect(filterToSql(tree)).toContain(`LOWER(city) = 'oslo'`);
+        expect(filterToPandas(tree, { style: 'mask' })).toBe(
+            "(df['city'].str.lower() == 'oslo') & (df['price'] >= 10) & " +
+            "((df['first name'].str.contains('O\\'Neil', case=False, regex=False, na=False)) | " +
+            "(df['ordered'].dt.normalize().between('2024-01-01', '2024-01-31')) | (df['note'].isna()))"
+        );
+        expect(filterToPandas(tree, { style: 'query', isCaseSensitive: true })).toContain('city == \'Oslo\' and price >= 10 and (`first name`.str.contains(');
+        expect(filterToSql({ id: 'r', type: 'group', logic: 'AND', children: [] })).toBe('');
+    });
+
+    test('parses SQL text back into the same filter tree', () => {
+        const sql = filterToSql(tree, { isCaseSensitive: true });
+        const parsed = parseFilterText(sql, { columns, types });
+        const expected = withoutIds({ ...tree, children: tree.children.slice(0, 3) });
+        expect(withoutIds(parsed)).toEqual(expected);
+        expect(filterToSql(parsed, { isCaseSensitive: true })).toBe(sql);
+
+        expect(withoutIds(parseFilterText("WHERE NOT (city IN ('Oslo', 'Rome') OR price < 5)", { columns, types }))).toEqual({
+            type: 'group', logic: 'AND', children: [
+                { type: 'condition', field: 'city', operator: 'not in', value: 'Oslo, Rome' },
+                { type: 'condition', field: 'price', operator: '≥', value: '5' }
+            ]
+        });
+        expect(parseFilterText("city LIKE 'O%' OR ordered > '2024-02-01'", { columns, types }).children.map(c => c.operator))
+            .toEqual(['startswith', 'is after']);
+    });
+
+    test('quotes columns named like SQL or Python keywords', () => {
+        const keywordTree = { id: 'root', type: 'group', logic: 'AND', children: [condition('order', '>', '3'), condition('t1.from', 'is', 'Oslo')] };
+        const keywordColumns = ['order', 't1.from'];
+        const sql = filterToSql(keywordTree, { isCaseSensitive: true });
+        expect(sql).toBe(`"order" > 3 AND "t1.from" = 'Oslo'`);
+        expect(withoutIds(parseFilterText(sql, { columns: keywordColumns, types: { order: 'number' } }))).toEqual(withoutIds(keywordTree));
+
+        const pythonTree = { id: 'root', type: 'group', logic: 'AND', children: [condition('class', 'is', 'a'), condition('True', '>', '1')] };
+        expect(filterToPandas(pythonTree, { style: 'query', isCaseSensitive: true })).toBe("`class` == 'a' and `True` > 1");
+    });
+
+    test('matches regular expressions without case when Match Case is off', () => {
+        const regexpTree = { id: 'root', type: 'group', logic: 'AND', children: [condition('city', 'regexp', '^O\\D+$')] };
+        expect(filterToSql(regexpTree, { isCaseSensitive: true })).toBe(`city REGEXP '^O\\D+$'`);
+        const sql = filterToSql(regexpTree);
+        expect(sql).toBe(`LOWER(city) REGEXP '^o\\D+$'`);
+        expect(withoutIds(parseFilterText(sql, { columns, types }).children[0])).toEqual({ type: 'condition', field: 'city', operator: 'regexp', value: '^o\\D+$' });
+    });
+
+    test('points errors at the bad token', () => {
+        const errorOf = (text) => {
+            try {
+                parseFilterText(text, { columns, types });
+                return null;
+            } catch (err) {
+                return { message: err.message, position: err.position };
+            }
+        };
+        expect(errorOf("town = 'Oslo'")).toEqual({ message: 'Unknown column "town"', position: 0 });
+        expect(errorOf("price > 'cheap'")).toEqual({ message: 'Expected a number but found "cheap"', position: 8 });
+        expect(errorOf("city = 'Oslo' price > 3")).toEqual({ message: 'Expected AND, OR or the end but found "price"', position: 14 });
+        expect(errorOf("city = 'Oslo")).toMatchObject({ position: 7 });
+    });
+
+    test('should apply a typed WHERE clause to the filter builder', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'stock.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('item,qty\nPen,4\nInk,12\nPad,30', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: 'Edit as text' }).click();
+        const text = page.getByLabel('Filter as text');
+        await text.fill('qty > 10 AND itm = 1');
+        await expect(page.getByText('Unknown column "itm" (at character 14)')).toBeVisible();
+
+        await text.fill("qty > 10 AND item <> 'Pad'");
+        await page.getByRole('button', { name: 'Apply text' }).click();
+        await expect(page.getByText('1 matches found')).toBeVisible();
+        await expect(text).toHaveValue("qty > 10 AND LOWER(item) <> 'pad'");
+
+        await page.getByRole('button', { name: 'pandas mask' }).click();
+        await expect(text).toHaveValue("(df['qty'] > 10) & (df['item'].str.lower() != 'pad')");
+    });
+});
+
+// ============================================
+// MULTI-COLUMN SORT TESTS
+// ============================================
+
+test.describe('Multi-column Sort', () => {
+    const sortedColumn = (rows, sortConfig, column, types = {}, dateFormats = {}, smartTypes = {}) => {
+        const table = fromRows(rows);
+        const indices = sortTableRows(table, [...rows.keys()], sortConfig, types, dateFormats, smartTypes);
+        return indices.map(i => rows[i][column]);
+    };
+
+    test('orders text naturally and keeps digit-only text as text', () => {
+        const rows = ['file10', 'file2', 'File1', '', 'file2b'].map(name => ({ name }));
+        expect(sortedColumn(rows, [{ key: 'name', direction: 'asc' }], 'name')).toEqual(['File1', 'file2', 'file2b', 'file10', '']);
+        expect(sortedColumn(rows, [{ key: 'name', direction: 'desc' }], 'name')).toEqual(['file10', 'file2b', 'file2', 'File1', '']);
+
+        const codes = ['10', '9', '100'].map(code => ({ code }));
+        expect(sortedColumn(codes, [{ key: 'code', direction: 'asc' }], 'code', { code: 'string' })).toEqual(['10', '100', '9']);
+    });
+
+    test('compares each level by its column type', () => {
+        const prices = ['$1,200.00', '$99.50', '$5'].map(price => ({ price }));
+        expect(sortedColumn(prices, [{ key: 'price', direction: 'asc' }], 'price', { price: 'string' }, {}, { price: { smartType: 'currency' } }))
+            .toEqual(['$5', '$99.50', '$1,200.00']);
+
+        const dates = ['03/02/2024', '01/12/2023', '15/01/2024'].map(day => ({ day }));
+        expect(sortedColumn(dates, [{ key: 'day', direction: 'asc' }], 'day', { day: 'date' }, { day: 'DMY' }))
+            .toEqual(['01/12/2023', '15/01/2024', '03/02/2024']);
+    });
+
+    test('breaks ties with later levels and accepts the older single-level config', () => {
+        const rows = [
+            { team: 'b', score: '3' },
+            { team: 'a', score: '' },
+            { team: 'a', score: '10' },
+            { team: 'b', score: '12' },
+            { team: 'a', score: '2' }
+        ];
+        const levels = [{ key: 'team', direction: 'asc' }, { key: 'score', direction: 'desc' }];
+        const table = fromRows(rows);
+        const order = sortTableRows(table, [...rows.keys()], levels, { score: 'number' });
+        expect(order.map(i => `${rows[i].team}${rows[i].score}`)).toEqual(['a10', 'a2', 'a', 'b12', 'b3']);
+
+        expect(sortLevelsOf({ key: 'team', direction: 'desc' })).toEqual([{ key: 'team', direction: 'desc' }]);
+        expect(sortLevelsOf({ key: null, direction: 'asc' })).toEqual([]);
+        expect(sortedColumn(rows, { key: 'score', direction: 'asc' }, 'score', { score: 'number' })).toEqual(['2', '3', '10', '12', '']);
+        expect(sortedColumn(rows, [{ key: 'missing', direction: 'asc' }], 'team')).toEqual(['b', 'a', 'a', 'b', 'a']);
+    });
+
+    test('should add sort levels with Shift+click and reorder them', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'teams.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('team,player\nb,p2\na,p10\na,p9\nb,p1', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        const teamHeader = page.locator('th', { hasText: 'team' }).first();
+        const playerHeader = page.locator('th', { hasText: 'player' }).first();
+        await teamHeader.click();
+        await playerHeader.click({ modifiers: ['Shift'] });
+        await expect(teamHeader).toHaveAttribute('aria-sort', 'ascending');
+        await expect(playerHeader).toHaveAttribute('aria-sort', 'ascending');
+        await expect(playerHeader.locator('[data-sort-priority="2"]')).toBeVisible();
+        await expect(page.locator('tbody tr').first()).toContainText('p9');
+
+        await page.getByRole('button', { name: 'Sort (2)' }).click();
+        await page.getByRole('button', { name: 'Move player up' }).click();
+        await expect(playerHeader.locator('[data-sort-priority="1"]')).toBeVisible();
+        await expect(page.locator('tbody tr').first()).toContainText('p1');
+
+        await page.getByRole('button', { name: 'Remove sort by team' }).click();
+        await expect(teamHeader).toHaveAttribute('aria-sort', 'none');
+        await expect(page.getByRole('button', { name: 'Sort (1)' })).toBeVisible();
+    });
+});
+
+// ============================================
+// HEADER FILTERS AND FACETS TESTS
+// ============================================
+
+test.describe('Header Filters and Facets', () => {
+    const rows = [
+        { city: 'Oslo', price: '12', ordered: '03/01/2024' },
+        { city: 'Rome', price: '5', ordered: '15/01/2024' },
+        { city: 'Oslo', price: '30', ordered: '02/02/2024' },
+        { city: '', price: '', ordered: '' },
+        { city: 'Lima', price: '7.5', ordered: '20/02/2024' }
+    ];
+    const table = fromRows(rows);
+    const emptyTree = { id: 'root', type: 'group', logic: 'AND', children: [] };
+    const matching = (tree) => rows.filter(row => compileFilter(tree, false, { ordered: 'DMY' })(row));
+
+    test('counts values and finds the bounds of number and date columns', () => {
+        const cities = columnFacet(table, 'city', 'string');
+        expect(cities.values).toEqual([
+            { value: 'Lima', count: 1 }, { value: 'Oslo', count: 2 }, { value: 'Rome', count: 1 }, { value: '', count: 1 }
+        ]);
+        expect(cities.isTruncated).toBe(false);
+
+        expect(columnFacet(table, 'price', 'number')).toMatchObject({ min: 5, max: 30 });
+        expect(columnFacet(table, 'price', 'number').values.map(v => v.value)).toEqual(['5', '7.5', '12', '30', '']);
+        expect(columnFacet(table, 'ordered', 'date', 'DMY')).toMatchObject({ start: '2024-01-03', end: '2024-02-20' });
+    });
+
+    test('writes picked values and ranges as top-level conditions', () => {
+        const all = columnFacet(table, 'city', 'string').values.map(v => v.value);
+        expect(valueConditions(all, new Set(all))).toEqual([]);
+        expect(valueConditions(all, new Set(['Oslo', 'Lima', '']))).toEqual([{ operator: 'not in', value: 'Rome' }]);
+        expect(valueConditions(all, new Set(['Rome']))).toEqual([{ operator: 'in', value: 'Rome' }]);
+        expect(valueConditions(all, new Set(['']))).toEqual([{ operator: 'is empty', value: '' }]);
+
+        let tree = setColumnFilter(emptyTree, 'city', 'values', valueConditions(all, new Set(['Oslo', 'Rome'])));
+        tree = setColumnFilter(tree, 'price', 'range', rangeConditions({ min: 10, max: 30 }, { min: 5, max: 30 }));
+        expect(tree.children.map(({ field, operator, value }) => `${field} ${operator} ${value}`))
+            .toEqual(['city in Oslo, Rome', 'price ≥ 10']);
+        expect(matching(tree).map(row => row.price)).toEqual(['12', '30']);
+        expect(getColumnFilter(tree, 'city').values).toEqual({ operator: 'in', values: ['Oslo', 'Rome'] });
+
+        // Updating keeps the condition (and its id) in place; an empty list removes it
+        const cityId = tree.children[0].id;
+        tree = setColumnFilter(tree, 'city', 'values', [{ operator: 'not in', value: 'Oslo' }]);
+        expect(tree.children[0]).toMatchObject({ id: cityId, operator: 'not in', value: 'Oslo' });
+        tree = setColumnFilter(tree, 'city', 'values', []);
+        expect(tree.children.map(c => c.field)).toEqual(['price']);
+    });
+
+    test('leaves padded values out of picked value lists', () => {
+        const padded = [{ tag: 'a' }, { tag: ' a' }, { tag: 'b' }, { tag: '' }];
+        const all = columnFacet(fromRows(padded), 'tag', 'string').values.map(v => v.value);
+        expect(all).toContain(' a');
+        expect(canListValue(' a')).toBe(false);
+        const keptTags = (selected) => {
+            const tree = setColumnFilter(emptyTree, 'tag', 'values', valueConditions(all, new Set(selected)));
+            return padded.filter(row => compileFilter(tree, false)(row)).map(row => row.tag);
+        };
+
+        // " a" would be trimmed to "a" in the list, so it is neither kept nor dropped in place of "a"
+        expect(keptTags(['b', ' a'])).toEqual(['b']);
+        expect(keptTags(['a', 'b'])).toEqual(['a', ' a', 'b']);
+        expect(keptTags(['a'])).toEqual(['a']);
+    });
+
+    test('reads date ranges in the column format and leaves OR groups intact', () => {
+        const dated = setColumnFilter(emptyTree, 'ordered', 'dates', dateConditions({ start: '2024-01-10', end: '' }, { start: '2024-01-03', end: '2024-02-20' }));
+        expect(dated.children[0]).toMatchObject({ operator: 'is between', value: '2024-01-10|2024-02-20' });
+        expect(matching(dated).map(row => row.city)).toEqual(['Rome', 'Oslo', 'Lima']);
+
+        const typed = { ...emptyTree, children: [{ id: 'd', type: 'condition', field: 'ordered', operator: 'is between', value: '01/01/2024|31/01/2024' }] };
+        expect(getColumnFilter(typed, 'ordered', 'DMY').dates).toEqual({ start: '2024-01-01', end: '2024-01-31' });
+
+        const either = {
+            id: 'root', type: 'group', logic: 'OR', children: [
+                { id: 'a', type: 'condition', field: 'city', operator: 'is', value: 'Oslo' },
+                { id: 'b', type: 'condition', field: 'city', operator: 'is', value: 'Lima' }
+            ]
+        };
+        const narrowed = setColumnFilter(either, 'price', 'range', [{ operator: '≤', value: '10' }]);
+        expect(narrowed).toMatchObject({ id: 'root', logic: 'AND' });
+        expect(narrowed.children[0]).toMatchObject({ type: 'group', logic: 'OR' });
+        expect(matching(narrowed).map(row => row.city)).toEqual(['Lima']);
+    });
+
+    test('should filter from a header menu and show the condition in the filters panel', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'cities.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('city,price\nOslo,12\nRome,5\nOslo,30\nLima,7', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+
+        await page.getByRole('button', { name: 'Filter city' }).click();
+        const menu = page.getByRole('dialog', { name: 'Filter city' });
+        await expect(menu.getByText('2', { exact: true })).toBeVisible();
+        await menu.getByRole('checkbox', { name: 'Rome' }).uncheck();
+        await menu.getByRole('button', { name: 'Apply filter' }).click();
+
+        await expect(page.getByText('3 matches found')).toBeVisible();
+        await expect(page.getByRole('button', { name: 'Filter city' })).toHaveAttribute('aria-pressed', 'true');
+
+        // The condition is an ordinary one in the filters panel
+        await page.getByRole('button', { name: 'Edit as text' }).click();
+        await expect(page.getByLabel('Filter as text')).toHaveValue("LOWER(city) NOT IN ('rome')");
+
+        await page.getByRole('button', { name: 'Facets' }).click();
+        await page.getByRole('complementary', { name: 'Facets' }).getByRole('button', { name: 'price' }).click();
+        await expect(page.getByLabel('Minimum price')).toBeVisible();
+    });
+});
+
+// ============================================
+// COMPOSITE AND RANGE JOIN TESTS
+// ============================================
+
+test.describe('Composite and Range Joins', () => {
+    const orders = [
+        { order_id: '1', line_no: '1', item: 'pen' },
+        { order_id: '1', line_no: '2', item: 'ink' },
+        { order_id: '2', line_no: '1', item: 'pad' }
+    ];
+    const shipments = [
+        { order_id: '1', line_no: '2', shipped: '2024-01-03' },
+        { order_id: '2', line_no: '1', shipped: '2024-01-05' },
+        { order_id: '1', line_no: '1', shipped: '2024-01-02' },
+        { order_id: '2', line_no: '2', shipped: '2024-01-09' }
+    ];
+    const events = [
+        { at: '2024-01-01 10:30', what: 'login' },
+        { at: '2024-01-01 13:00', what: 'upload' },
+        { at: '2024-01-02 09:00', what: 'logout' }
+    ];
+    const shifts = [
+        { shift: 'early', start: '2024-01-01 08:00', end: '2024-01-01 12:00' },
+        { shift: 'late', start: '2024-01-01 12:00', end: '2024-01-01 20:00' },
+        { shift: 'overlap', start: '2024-01-01 11:00', end: '2024-01-01 14:00' }
+    ];
+    const tables = {
+        orders: { data: orders, types: {} },
+        shipments: { data: shipments, types: {} },
+        events: { data: events, types: {} },
+        shifts: { data: shifts, types: {} }
+    };
+    const between = [{ leftColumn: 'at', operator: '>=', rightColumn: 'start' }, { leftColumn: 'at', operator: '<', rightColumn: 'end' }];
+
+    test('matches every key pair of a composite key', () => {
+        const result = performJoin(tables, [{
+            leftTable: 'orders', rightTable: 'shipments', joinType: 'left',
+            keys: [{ leftColumn: 'order_id', rightColumn: 'order_id' }, { leftColumn: 'line_no', rightColumn: 'line_no' }]
+        }]);
+        expect(result.data.map(row => `${row['orders.item']} ${row['shipments.shipped']}`))
+            .toEqual(['pen 2024-01-02', 'ink 2024-01-03', 'pad 2024-01-05']);
+
+        // Joins saved before composite keys still work
+        const legacy = performJoin(tables, [{ leftTable: 'orders', leftColumn: 'order_id', rightTable: 'shipments', rightColumn: 'order_id' }]);
+        expect(legacy.data).toHaveLength(6);
+    });
+
+    test('joins on range conditions alone or together with keys', () => {
+        const byShift = performJoin(tables, [{ leftTable: 'events', rightTable: 'shifts', joinType: 'left', keys: [], ranges: between }]);
+        expect(byShift.data.map(row => `${row['events.what']}:${row['shifts.shift']}`))
+            .toEqual(['login:early', 'upload:late', 'upload:overlap', 'logout:null']);
+
+        const later = performJoin(tables, [{
+            leftTable: 'orders', rightTable: 'shipments', joinType: 'right',
+            keys: [{ leftColumn: 'order_id', rightColumn: 'order_id' }],
+            ranges: [{ leftColumn: 'line_no', operator: '<', rightColumn: 'line_no' }]
+        }]);
+        expect(later.data.map(row => `${row['orders.item']}:${row['shipments.line_no']}`))
+            .toEqual(['pen:2', 'pad:2', 'null:1', 'null:1']);
+
+        // Rows whose range values are neither numbers nor dates never match
+        const text = performJoin(tables, [{ leftTable: 'events', rightTable: 'shifts', ranges: [{ leftColumn: 'what', operator: '<', rightColumn: 'shift' }] }]);
+        expect(text.data).toEqual([]);
+    });
+
+    test('should add a second key pair to a join', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'orders.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('order_id,line_no,item\n1,1,pen\n1,2,ink\n2,1,pad', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+        await page.getByRole('button', { name: /Add another table/i }).click();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'ships.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('order_id,line_no,shipped\n1,2,jan 3\n2,1,jan 5\n1,1,jan 2', 'utf-8'),
+        });
+        await page.getByRole('button', { name: /Configure Joins/i }).click();
+
+        await page.getByLabel('Left column').selectOption('order_id');
+        await page.getByLabel('Right column').selectOption('order_id');
+        await page.getByRole('button', { name: 'Add key pair' }).click();
+        await page.getByLabel('Key 2 left column').selectOption('line_no');
+        await page.getByLabel('Key 2 right column').selectOption('line_no');
+        await page.getByRole('button', { name: /Add Join/i }).click();
+
+        await expect(page.getByText('orders.order_id = ships.order_id')).toBeVisible();
+        await expect(page.getByText('orders.line_no = ships.line_no')).toBeVisible();
+        await page.getByRole('button', { name: /Done/i }).click();
+        await expect(page.getByText('3 matches found')).toBeVisible();
+    });
+});
+
+// ==========================================
+// CHAINED JOIN TYPES
+// ==========================================
+test.describe('Chained Join Types', () => {
+    const tables = {
+        customers: { data: [{ id: '1', name: 'Ada' }, { id: '2', name: 'Bo' }, { id: '3', name: 'Cy' }], types: {} },
+        orders: { data: [{ order: 'a', customer: '1' }, { order: 'b', customer: '1' }, { order: 'c', customer: '2' }, { order: 'd', customer: '9' }], types: {} },
+        payments: { data: [{ order: 'a', paid: '10' }, { order: 'x', paid: '5' }], types: {} }
+    };
+    const byCustomer = { leftTable: 'customers', rightTable: 'orders', keys: [{ leftColumn: 'id', rightColumn: 'customer' }] };
+    const byOrder = { leftTable: 'orders', rightTable: 'payments', keys: [{ leftColumn: 'order', rightColumn: 'order' }] };
+
+    test('applies the join type of every join in the chain', () => {
+        const left = performJoin(tables, [{ ...byCustomer, joinType: 'left' }, { ...byOrder, joinType: 'left' }]);
+        expect(left.data.map(row => `${row['customers.name']}:${row['orders.order']}:${row['payments.paid']}`))
+            .toEqual(['Ada:a:10', 'Ada:b:null', 'Bo:c:null', 'Cy:null:null']);
+        expect(left.steps).toEqual([{ rows: 4 }, { rows: 4 }]);
+
+        const full = performJoin(tables, [{ ...byCustomer, joinType: 'inner' }, { ...byOrder, joinType: 'full' }]);
+        expect(full.data.map(row => `${row['orders.order']}:${row['payments.order']}`))
+            .toEqual(['a:a', 'b:null', 'c:null', 'null:x']);
+        expect(full.steps).toEqual([{ rows: 3 }, { rows: 4 }]);
+
+        const right = performJoin(tables, [{ ...byCustomer, joinType: 'inner' }, { ...byOrder, joinType: 'right' }]);
+        expect(right.data.map(row => `${row['customers.name']}:${row['payments.order']}`)).toEqual(['Ada:a', 'null:x']);
+    });
+
+    test('keeps or drops left rows with semi and anti joins', () => {
+        const withOrders = performJoin(tables, [{ ...byCustomer, joinType: 'semi' }]);
+        expect(withOrders.data.map(row => row['customers.name'])).toEqual(['Ada', 'Bo']);
+        expect(withOrders.columns).toEqual(['customers.id', 'customers.name']);
+        expect(Object.keys(withOrders.types).some(col => col.startsWith('orders.'))).toBe(false);
+
+        const withoutOrders = performJoin(tables, [{ ...byCustomer, joinType: 'anti' }]);
+        expect(withoutOrders.data).toEqual([{ 'customers.id': '3', 'customers.name': 'Cy' }]);
+
+        // Orders without a payment, after a chain step
+        const unpaid = performJoin(tables, [{ ...byCustomer, joinType: 'inner' }, { ...byOrder, joinType: 'anti' }]);
+        expect(unpaid.data.map(row => row['orders.order'])).toEqual(['b', 'c']);
+        expect(unpaid.steps).toEqual([{ rows: 3 }, { rows: 2 }]);
+
+        // An empty result still lists its columns
+        const none = performJoin({ ...tables, payments: { data: [], types: {} } }, [{ ...byOrder, joinType: 'semi' }]);
+        expect(none.data).toEqual([]);
+        expect(none.columns).toEqual(['orders.order', 'orders.customer']);
+    });
+
+    test('should show row counts per join and run an anti join', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'customers.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('id,name\n1,Ada\n2,Bo\n3,Cy', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+        await page.getByRole('button', { name: /Add another table/i }).click();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'orders.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('order,customer\na,1\nb,1\nc,2', 'utf-8'),
+        });
+        await page.getByRole('button', { name: /Configure Joins/i }).click();
+
+        await page.getByRole('button', { name: 'ANTI' }).click();
+        await page.getByLabel('Left column').selectOption('id');
+        await page.getByLabel('Right column').selectOption('customer');
+        await page.getByRole('button', { name: /Add Join/i }).click();
+
+        await expect(page.getByText('Starts from 3 rows of customers')).toBeVisible();
+        await expect(page.getByText('→ 1 rows')).toBeVisible();
+        await page.getByRole('button', { name: /Done/i }).click();
+        await expect(page.getByText('1 matches found')).toBeVisible();
+        await expect(page.getByRole('cell', { name: 'Cy' })).toBeVisible();
+    });
+});
+
+// ==========================================
+// JOIN KEY MATCHING
+// ==========================================
+test.describe('Join Key Matching', () => {
+    test('normalizes keys by the chosen options', () => {
+        expect(joinKeyNormalizer()('ABC ')).toBe('abc ');
+        expect(joinKeyNormalizer({ isCaseSensitive: true })('ABC')).toBe('ABC');
+        expect(joinKeyNormalizer({ trimWhitespace: true })('  Abc ')).toBe('abc');
+        expect(joinKeyNormalizer({ stripLeadingZeros: true })('007')).toBe('7');
+        expect(joinKeyNormalizer({ stripLeadingZeros: true })('000')).toBe('0');
+        expect(joinKeyNormalizer({ stripLeadingZeros: true })('0a')).toBe('0a');
+
+        const numeric = joinKeyNormalizer({ numericEquality: true });
+        expect(['1', '1.0', '01', '1e0'].map(numeric)).toEqual(['1', '1', '1', '1']);
+        expect(numeric('0x1')).toBe('0x1');
+        expect(numeric('')).toBe('');
+
+        const unicode = joinKeyNormalizer({ normalizeUnicode: true, isCaseSensitive: true });
+        expect(unicode('Cafe\u0301')).toBe(unicode('Caf\u00e9'));
+        expect(unicode('\uff21\uff11')).toBe('A1');
+        expect(joinKeyNormalizer({ isCaseSensitive: true })('Cafe\u0301')).not.toBe('Caf\u00e9');
+    });
+
+    test('joins with the key matching options of each join', () => {
+        const tables = {
+            codes: { data: [{ code: 'ABC ' }, { code: 'abc' }, { code: '007' }, { code: '1.50' }], types: {} },
+            names: { data: [{ code: 'abc', name: 'lower' }, { code: 'ABC', name: 'upper' }, { code: '7', name: 'seven' }, { code: '1.5', name: 'one and a half' }], types: {} }
+        };
+        const join = (keyMatching) => performJoin(tables, [{
+            leftTable: 'codes', rightTable: 'names', joinType: 'left',
+            keys: [{ leftColumn: 'code', rightColumn: 'code' }], keyMatching
+        }]).data.map(row => `${row['codes.code']}=${row['names.name']}`);
+
+        expect(join(undefined)).toEqual(['ABC =null', 'abc=lower', 'abc=upper', '007=null', '1.50=null']);
+        expect(join({ isCaseSensitive: true, trimWhitespace: true })).toEqual(['ABC =upper', 'abc=lower', '007=null', '1.50=null']);
+        expect(join({ trimWhitespace: true, numericEquality: true })).toEqual([
+            'ABC =lower', 'ABC =upper', 'abc=lower', 'abc=upper', '007=seven', '1.50=one and a half'
+        ]);
+    });
+
+    test('should save key matching options with a join', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'codes.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('code,qty\nABC,1\n007,2', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+        await page.getByRole('button', { name: /Add another table/i }).click();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'names.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('code,name\nabc,lower\n7,seven', 'utf-8'),
+        });
+        await page.getByRole('button', { name: /Configure Joins/i }).click();
+
+        await page.getByLabel('Left column').selectOption('code');
+        await page.getByLabel('Right column').selectOption('code');
+        await page.getByLabel('Case-sensitive').check();
+        await page.getByLabel('Ignore leading zeros').check();
+        await page.getByRole('button', { name: /Add Join/i }).click();
+
+        await expect(page.getByText('(case-sensitive, no leading zeros)')).toBeVisible();
+        await page.getByRole('button', { name: /Done/i }).click();
+        await expect(page.getByText('1 matches found')).toBeVisible();
+        await expect(page.getByRole('cell', { name: 'seven' })).toBeVisible();
+    });
+});
+
+// ==========================================
+// JOIN DIAGNOSTICS
+// ==========================================
+test.describe('Join Diagnostics', () => {
+    const customers = [{ id: '1', name: 'Ada' }, { id: '2', name: 'Bo' }, { id: '2', name: 'Bo again' }, { id: '3', name: 'Cy' }, { id: '', name: 'Nobody' }];
+    const orders = [{ customer: '1', order: 'a' }, { customer: '2', order: 'b' }, { customer: '2', order: 'c' }, { customer: '2', order: 'd' }, { customer: '9', order: 'e' }];
+    const join = { leftTable: 'customers', rightTable: 'orders', keys: [{ leftColumn: 'id', rightColumn: 'customer' }] };
+
+    test('reports match rates, unmatched keys and fan-out', () => {
+        const report = diagnoseJoin(customers, orders, { ...join, joinType: 'left' });
+
+        expect(report.pairs).toBe(7);
+        expect(report.estimatedRows).toBe(9);
+        expect(report.left).toMatchObject({ rows: 5, matchedRows: 3, distinctKeys: 4, unmatchedKeys: 2, duplicateKeys: 1, unmatchedRowIndexes: [3, 4] });
+        expect(report.left.topUnmatchedKeys.map(key => key.label)).toEqual(['3', '']);
+        expect(report.right).toMatchObject({ rows: 5, matchedRows: 4, distinctKeys: 3, unmatchedKeys: 1, duplicateKeys: 1, unmatchedRowIndexes: [4] });
+        expect(report.right.topUnmatchedKeys).toEqual([{ label: '9', count: 1, rowIndexes: [4] }]);
+        expect(report.manyToManyKeys).toBe(1);
+        expect(report.fanOutKeys).toEqual([{ label: '2', left: 2, right: 3 }]);
+
+        // The estimate follows the join type and agrees with the join itself
+        const tables = { customers: { data: customers, types: {} }, orders: { data: orders, types: {} } };
+        ['inner', 'left', 'right', 'full', 'semi', 'anti'].forEach(joinType => {
+            expect(diagnoseJoin(customers, orders, { ...join, joinType }).estimatedRows)
+                .toBe(performJoin(tables, [{ ...join, joinType }]).data.length);
+        });
+    });
+
+    test('diagnoses range-only joins without key counts', async () => {
+        const report = diagnoseJoin(
+            [{ at: '5' }, { at: '15' }, { at: '50' }],
+            [{ from: '0', to: '10' }, { from: '10', to: '20' }, { from: '12', to: '30' }],
+            { leftTable: 'l', rightTable: 'r', ranges: [{ leftColumn: 'at', operator: '>=', rightColumn: 'from' }, { leftColumn: 'at', operator: '<', rightColumn: 'to' }] }
+        );
+        expect(report).toMatchObject({ pairs: 3, estimatedRows: 3, hasKeys: false, manyToManyKeys: 0 });
+        expect(report.left).toMatchObject({ matchedRows: 2, distinctKeys: 0, unmatchedRowIndexes: [2] });
+        expect(report.right.matchedRows).toBe(3);
+
+        // Also available from the query engine, by dataset id
+        const runner = createQueryRunner();
+        runner.setDataset('table:customers', fromRows(customers));
+        runner.setDataset('table:orders', fromRows(orders));
+        const fromEngine = await runner.run(1, 'joinDiagnostics', { left: 'table:customers', right: 'table:orders', join });
+        expect(fromEngine.estimatedRows).toBe(7);
+    });
+
+    test('should diagnose a join and open its unmatched rows', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'customers.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('id,name\n1,Ada\n2,Bo\n3,Cy', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+        await page.getByRole('button', { name: /Add another table/i }).click();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'orders.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('customer,order\n1,a\n2,b\n2,c\n9,e', 'utf-8'),
+        });
+        await page.getByRole('button', { name: /Configure Joins/i }).click();
+
+        await page.getByLabel('Left column').selectOption('id');
+        await page.getByLabel('Right column').selectOption('customer');
+        await page.getByRole('button', { name: 'Check join' }).click();
+        const diagnostics = page.getByRole('region', { name: /Diagnostics for customers and orders/ });
+        await expect(diagnostics.getByText('3 rows', { exact: true })).toBeVisible();
+        await expect(diagnostics.getByText('2 of 3 rows match')).toBeVisible();
+        await expect(diagnostics.getByText('3 of 4 rows match')).toBeVisible();
+
+        await diagnostics.getByRole('button', { name: /Show 1 unmatched rows of customers/ }).click();
+        await expect(diagnostics.getByRole('cell', { name: 'Cy' })).toBeVisible();
+        await diagnostics.getByRole('button', { name: /^9/ }).click();
+        await expect(diagnostics.getByText('Rows of orders with key 9')).toBeVisible();
+        await expect(diagnostics.getByRole('cell', { name: 'e', exact: true })).toBeVisible();
+
+        await page.getByRole('button', { name: /Add Join/i }).click();
+        await page.getByRole('button', { name: 'Diagnose join 1' }).click();
+        await expect(page.getByText('2 of 3 rows match')).toBeVisible();
+    });
+});
+
+// ==========================================
+// FUZZY JOINS
+// ==========================================
+test.describe('Fuzzy Joins', () => {
+    const crm = [{ company: 'Acme Inc.' }, { company: 'Globex Corporation' }, { company: 'Initech' }, { company: 'Umbrella' }];
+    const billing = [{ name: 'ACME, Inc', plan: 'pro' }, { name: 'Globex Corp', plan: 'basic' }, { name: 'Initrode', plan: 'free' }, { name: 'Hooli', plan: 'pro' }];
+    const tables = { crm: { data: crm, types: {} }, billing: { data: billing, types: {} } };
+    const fuzzyJoin = (fuzzy, joinType = 'left') => ({
+        leftTable: 'crm', rightTable: 'billing', joinType, keys: [],
+        fuzzy: { leftColumn: 'company', rightColumn: 'name', metric: 'jaroWinkler', threshold: 0.85, ...fuzzy }
+    });
+
+    test('scores text similarity with each metric', () => {
+        expect(normalizeFuzzyText('ACME, Inc.')).toBe('acme inc');
+        expect(normalizeFuzzyText('Café Zürich')).toBe('cafe zurich');
+
+        const score = (metric, a, b) => fuzzySimilarity(metric)(normalizeFuzzyText(a), normalizeFuzzyText(b));
+        expect(score('levenshtein', 'kitten', 'sitting')).toBeCloseTo(1 - 3 / 7, 5);
+        expect(score('jaroWinkler', 'martha', 'marhta')).toBeCloseTo(0.961, 3);
+        expect(score('tokenSet', 'Acme Holdings', 'holdings acme')).toBe(1);
+        expect(score('tokenSet', 'Acme', 'Acme Holdings')).toBe(1);
+        expect(score('levenshtein', 'Acme', 'Acme Holdings')).toBeLessThan(0.5);
+        expect(() => fuzzySimilarity('soundex')).toThrow(/Unknown similarity metric/);
+    });
+
+    test('joins each row to its best match above the threshold and adds the score', () => {
+        const result = performJoin(tables, [fuzzyJoin()]);
+        const rows = toRows(result.data);
+
+        expect(rows.map(row => `${row['crm.company']}:${row['billing.name']}:${row['billing.match_score']}`)).toEqual([
+            'Acme Inc.:ACME, Inc:1',
+            'Globex Corporation:Globex Corp:0.922',
+            'Initech:Initrode:0.868',
+            'Umbrella:null:null'
+        ]);
+        expect(result.types['billing.match_score']).toBe('number');
+
+        // A stricter threshold or another metric changes which pairs make it
+        const strict = toRows(performJoin(tables, [fuzzyJoin({ threshold: 0.9 }, 'inner')]).data);
+        expect(strict.map(row => row['billing.name'])).toEqual(['ACME, Inc', 'Globex Corp']);
+        const tokens = toRows(performJoin(tables, [fuzzyJoin({ metric: 'tokenSet', threshold: 0.7 }, 'inner')]).data);
+        expect(tokens.map(row => row['billing.name'])).toEqual(['ACME, Inc', 'Globex Corp']);
+
+        // Semi joins keep only the left columns, without a score
+        const semi = performJoin(tables, [fuzzyJoin({}, 'semi')]);
+        expect(semi.data.length).toBe(3);
+        expect(semi.columns).not.toContain('billing.match_score');
+    });
+
+    test('combines with exact keys and honors reviewed pairs', () => {
+        const offices = [{ country: 'DE', company: 'Acme Inc.' }, { country: 'FR', company: 'Acme Inc.' }];
+        const accounts = [{ country: 'DE', name: 'ACME Inc' }, { country: 'FR', name: 'Acme SA' }, { country: 'FR', name: 'Acmee Inc' }];
+        const join = {
+            leftTable: 'offices', rightTable: 'accounts', joinType: 'left',
+            keys: [{ leftColumn: 'country', rightColumn: 'country' }],
+            fuzzy: { leftColumn: 'company', rightColumn: 'name', metric: 'levenshtein', threshold: 0.7 }
+        };
+        const joinTables = { offices: { data: offices, types: {} }, accounts: { data: accounts, types: {} } };
+        const names = (j) => toRows(performJoin(joinTables, [j]).data).map(row => row['accounts.name']);
+
+        // Only accounts of the same country are compared
+        expect(names(join)).toEqual(['ACME Inc', 'Acmee Inc']);
+
+        // A rejected pair gives way to the next best match, or none
+        expect(names({ ...join, fuzzy: { ...join.fuzzy, rejected: [['acme inc', 'acmee inc']] } })).toEqual(['ACME Inc', null]);
+        expect(names({ ...join, fuzzy: { ...join.fuzzy, threshold: 0.5, rejected: [['acme inc', 'acmee inc']] } })).toEqual(['ACME Inc', 'Acme SA']);
+    });
+
+    test('lists borderline matches for review until they are accepted', () => {
+        const review = diagnoseJoin(crm, billing, fuzzyJoin()).fuzzyReview;
+        expect(review.count).toBe(2);
+        expect(review.pairs).toEqual([
+            { left: 'initech', right: 'initrode', leftValue: 'Initech', rightValue: 'Initrode', score: 0.868, leftRows: 1 },
+            { left: 'globex corporation', right: 'globex corp', leftValue: 'Globex Corporation', rightValue: 'Globex Corp', score: 0.922, leftRows: 1 }
+        ]);
+
+        const reviewed = diagnoseJoin(crm, billing, fuzzyJoin({ accepted: [['globex corporation', 'globex corp']], rejected: [['initech', 'initrode']] }));
+        expect(reviewed.fuzzyReview.count).toBe(0);
+        expect(reviewed.left.matchedRows).toBe(2);
+        expect(diagnoseJoin(crm, billing, { ...fuzzyJoin(), fuzzy: undefined, keys: [{ leftColumn: 'company', rightColumn: 'name' }] }).fuzzyReview).toBeNull();
+    });
+
+    test('narrows fuzzy-only joins to trigram candidates and refuses oversized ones', async () => {
+        const texts = ['acme inc', 'acme holdings', 'globex corp', 'initrode', 'hooli'];
+        const findSimilar = createFuzzyIndex(texts);
+        expect(findSimilar('acme incorporated')).toEqual(expect.arrayContaining([0, 1]));
+        expect(findSimilar('acme incorporated')).not.toContain(4);
+        expect(findSimilar('zzz')).toEqual([]);
+        const many = createFuzzyIndex(Array.from({ length: 500 }, (_, i) => `acme branch ${i}`));
+        expect(many('acme branch').length).toBe(FUZZY_CANDIDATE_LIMIT);
+
+        // 3000 × 3000 names, each spelled a little differently on the right
+        const syllables = ['ka', 'lor', 'mi', 'zen', 'tor', 'bel', 'ux', 'ran', 'sol', 'vi', 'dex', 'nor', 'pa', 'quin', 'ster', 'ga', 'fel', 'hy', 'jo', 'wex'];
+        const nameOf = (i) => [i % 20, Math.floor(i / 20) % 20, Math.floor(i / 400)].map(k => syllables[k]).join('');
+        const firms = Array.from({ length: 3000 }, (_, i) => ({ company: `${nameOf(i)} Holdings` }));
+        const accounts = Array.from({ length: 3000 }, (_, i) => ({ name: `holdings ${nameOf(i)}`, id: String(i) }));
+        const runner = createQueryRunner();
+        runner.setDataset('table:firms', fromRows(firms), { company: 'string' });
+        runner.setDataset('table:accounts', fromRows(accounts), { name: 'string', id: 'integer' });
+        const params = {
+            tables: { firms: 'table:firms', accounts: 'table:accounts' },
+            joins: [{
+                leftTable: 'firms', rightTable: 'accounts', joinType: 'left', keys: [],
+                fuzzy: { leftColumn: 'company', rightColumn: 'name', metric: 'tokenSet', threshold: 0.85 }
+            }],
+            resultId: 'matched'
+        };
+        const progress = [];
+        const matched = await runner.run(1, 'join', params, value => progress.push(value));
+        expect(toRows(matched.data).every((row, i) => row['accounts.id'] === String(i))).toBe(true);
+        expect(progress.length).toBeGreaterThan(2);
+
+        const cancelled = runner.run(2, 'join', { ...params, resultId: 'stale' });
+        runner.cancel(2);
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+
+        // Beyond FUZZY_MAX_PAIRS only an exact key pair makes the join small enough
+        const huge = Array.from({ length: 10001 }, (_, i) => ({ name: `firm ${i}` }));
+        const hugeTables = { a: { data: huge, types: {} }, b: { data: huge, types: {} } };
+        const hugeJoin = { leftTable: 'a', rightTable: 'b', joinType: 'inner', keys: [], fuzzy: { leftColumn: 'name', rightColumn: 'name', metric: 'levenshtein' } };
+        expect(() => performJoin(hugeTables, [hugeJoin])).toThrow(/add an exact key pair/);
+        expect(performJoin(hugeTables, [{ ...hugeJoin, keys: [{ leftColumn: 'name', rightColumn: 'name' }] }]).data.length).toBe(10001);
+    });
+
+    test('should add a fuzzy join and reject a borderline match', async ({ page }) => {
+        await page.goto('/');
+        await page.waitForLoadState('networkidle');
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'crm.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('company\nAcme Inc.\nInitech', 'utf-8'),
+        });
+        await page.waitForSelector('table');
+        await page.getByRole('button', { name: /Add another table/i }).click();
+        await page.locator('input[type="file"]').setInputFiles({
+            name: 'billing.csv',
+            mimeType: 'text/csv',
+            buffer: Buffer.from('name,plan\n"ACME, Inc",pro\nInitrode,free', 'utf-8'),
+        });
+        await page.getByRole('button', { name: /Configure Joins/i }).click();
+
+        await page.getByLabel('Left column').selectOption('company');
+        await page.getByLabel('Right column').selectOption('name');
+        await page.getByLabel('Fuzzy match').check();
+        await page.getByLabel('Similarity metric').selectOption('jaroWinkler');
+        await page.getByLabel('Match threshold').fill('0.85');
+        await page.getByRole('button', { name: /Add Join/i }).click();
+        await expect(page.getByText('crm.company ≈ billing.name (Jaro-Winkler ≥ 0.85)')).toBeVisible();
+        await expect(page.getByText('→ 2 rows')).toBeVisible();
+
+        await page.getByRole('button', { name: 'Review fuzzy matches of join 1' }).click();
+        const review = page.getByRole('region', { name: /Fuzzy matches of crm and billing/ });
+        await review.getByRole('button', { name: 'Reject Initech ≈ Initrode' }).click();
+        await expect(review.getByText('No borderline matches left to review.')).toBeVisible();
+        await expect(review.getByRole('button', { name: 'Restore initech ≈ initrode' })).toBeVisible();
+
+        await page.getByRole('button', { name: /Done/i }).click();
+        await expect(page.getByRole('columnheader', { name: /billing\.match_score/ })).toBeVisible();
+        await expect(page.getByRole('cell', { name: 'Initrode' })).toHaveCount(0);
+    });
+});